@@ -0,0 +1,183 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 警報狀態機
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 每種災害（地磁、閃焰、輻射）各有一個狀態：
+ *
+ *   quiet → watch → warning → severe → recovering → quiet
+ *
+ * 讀數決定目前等級；事件期間記錄峰值，只有超過峰值等級（或 NOAA 等級）時才算升級，
+ * 讀數在等級邊界來回時不重複通知。讀數低於 watch 門檻進入 recovering，
+ * 持續 recoveryDelay 後回到 quiet 並產生一次結束摘要（峰值、持續時間、最高等級）。
+ *
+ * step() 只依讀數本身的時間計算，不讀取系統時間：以記錄的資料序列呼叫 replay()
+ * 可重現同樣的狀態轉換。狀態的保存、轉換紀錄與推播在 server.js。
+ *
+ *   事件 type：
+ *     start     quiet → watch 以上，事件開始              notify
+ *     escalate  等級或 NOAA 等級超過本次峰值              notify
+ *     peak      讀數創新高但等級未超過峰值（個別門檻用）
+ *     change    峰值以下的等級變化（降級或回升）
+ *     recover   低於 watch 門檻，進入 recovering
+ *     resume    recovering 期間回升
+ *     end       recovering 持續 recoveryDelay，回到 quiet   notify（summary 為 true 的災害）
+ */
+
+const STATES = ['quiet', 'watch', 'warning', 'severe', 'recovering'];
+const LEVEL_RANK = { quiet: 0, watch: 1, warning: 2, severe: 3 };
+
+const HOUR = 60 * 60 * 1000;
+
+// NOAA 等級：由高到低的門檻，回傳 0（未達 1 級）～ 5
+function scaleFrom(thresholds) {
+    return value => {
+        const index = thresholds.findIndex(min => value >= min);
+        return index === -1 ? 0 : thresholds.length - index;
+    };
+}
+
+/**
+ * 各災害的設定
+ *   levels         進入 watch / warning / severe 的讀數門檻
+ *   scale          讀數 → NOAA 等級數字（G / R / S）
+ *   recoveryDelay  低於 watch 門檻多久後結束事件（毫秒）
+ *   summary        結束時是否通知
+ */
+const HAZARDS = {
+    // Kp 指數（3 小時一筆）：Kp 5 = G1、Kp 7 = G3
+    // watch 為極光警報的最低門檻（極光帶內的地點為 Kp 3），個別門檻在 server.js 篩選
+    geomagnetic: {
+        scaleLetter: 'G',
+        levels: { watch: 3, warning: 5, severe: 7 },
+        scale: scaleFrom([9, 8, 7, 6, 5]),
+        recoveryDelay: 3 * HOUR,
+        summary: true
+    },
+    // GOES X 射線通量（W/m²）：M1 = R1、M5 = R2、X1 = R3
+    flare: {
+        scaleLetter: 'R',
+        levels: { watch: 1e-5, warning: 5e-5, severe: 1e-4 },
+        scale: scaleFrom([2e-3, 1e-3, 1e-4, 5e-5, 1e-5]),
+        recoveryDelay: 0.5 * HOUR,
+        summary: false
+    },
+    // ≥10 MeV 質子通量（pfu）：10 = S1、100 = S2、1000 = S3
+    radiation: {
+        scaleLetter: 'S',
+        levels: { watch: 10, warning: 100, severe: 1000 },
+        scale: scaleFrom([1e5, 1e4, 1e3, 100, 10]),
+        recoveryDelay: 0.5 * HOUR,
+        summary: true
+    }
+};
+
+function initialState() {
+    return { state: 'quiet', since: null, startedAt: null, peak: null, peakScale: 0, recoveringSince: null, value: null, time: null };
+}
+
+// 讀數對應的等級（不含 recovering）
+function levelOf(hazard, value) {
+    const { levels } = HAZARDS[hazard];
+    if (value >= levels.severe) return 'severe';
+    if (value >= levels.warning) return 'warning';
+    if (value >= levels.watch) return 'watch';
+    return 'quiet';
+}
+
+function scaleLabel(hazard, scale) {
+    return `${HAZARDS[hazard].scaleLetter}${scale}`;
+}
+
+/**
+ * 以一筆讀數推進狀態
+ * @param {string} hazard geomagnetic / flare / radiation
+ * @param {object} state 目前狀態（initialState() 或上次的結果）
+ * @param {{ time: string, value: number }} reading
+ * @returns {{ state: object, events: Array<object> }} 新狀態（不修改傳入的物件）與本次產生的事件
+ */
+function step(hazard, state, reading) {
+    const config = HAZARDS[hazard];
+    const value = Number(reading.value);
+    if (!Number.isFinite(value) || !Number.isFinite(Date.parse(reading.time))) return { state, events: [] };
+
+    const time = new Date(reading.time).toISOString();
+    const level = levelOf(hazard, value);
+    const scale = config.scale(value);
+    const next = { ...state, value, time };
+    const event = (type, extra = {}) => ({
+        hazard, type, from: state.state, to: next.state, time, value, scale,
+        peak: next.peak, peakScale: next.peakScale, previousPeak: state.peak, notify: false, ...extra
+    });
+
+    // 事件開始
+    if (state.state === 'quiet') {
+        if (level === 'quiet') return { state: next, events: [] };
+        Object.assign(next, { state: level, since: time, startedAt: time, peak: value, peakScale: scale, recoveringSince: null });
+        return { state: next, events: [event('start', { previousPeak: null, notify: true })] };
+    }
+
+    // 低於 watch 門檻：進入 recovering，持續 recoveryDelay 後結束
+    if (level === 'quiet') {
+        if (state.state !== 'recovering') {
+            Object.assign(next, { state: 'recovering', since: time, recoveringSince: time });
+            return { state: next, events: [event('recover')] };
+        }
+        if (Date.parse(time) - Date.parse(state.recoveringSince) < config.recoveryDelay) return { state: next, events: [] };
+
+        const summary = {
+            peak: state.peak,
+            peakScale: state.peakScale,
+            peakLevel: levelOf(hazard, state.peak),
+            startedAt: state.startedAt,
+            endedAt: state.recoveringSince,
+            hours: (Date.parse(state.recoveringSince) - Date.parse(state.startedAt)) / HOUR
+        };
+        const ended = { ...initialState(), value, time };
+        return {
+            state: ended,
+            events: [{ ...event('end'), to: 'quiet', peak: state.peak, peakScale: state.peakScale, notify: config.summary, summary }]
+        };
+    }
+
+    // 事件進行中：超過峰值等級或 NOAA 等級才算升級
+    const escalated = LEVEL_RANK[level] > LEVEL_RANK[levelOf(hazard, state.peak)] || scale > state.peakScale;
+    const newPeak = value > state.peak;
+    if (newPeak) next.peak = value;
+    next.peakScale = Math.max(state.peakScale, scale);
+    if (level !== state.state) Object.assign(next, { state: level, since: time, recoveringSince: null });
+
+    if (escalated) return { state: next, events: [event('escalate', { notify: true })] };
+    if (newPeak) return { state: next, events: [event('peak')] };
+    if (state.state === 'recovering') return { state: next, events: [event('resume')] };
+    if (level !== state.state) return { state: next, events: [event('change')] };
+    return { state: next, events: [] };
+}
+
+/**
+ * 以資料序列重播狀態機（依時間排序）
+ * @param {string} hazard
+ * @param {Array<{ time: string, value: number }>} series
+ * @param {object} [state] 起始狀態，預設 quiet
+ * @returns {{ state: object, events: Array<object> }}
+ */
+function replay(hazard, series, state = initialState()) {
+    const events = [];
+    const sorted = [...series].sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+    for (const reading of sorted) {
+        const result = step(hazard, state, reading);
+        state = result.state;
+        events.push(...result.events);
+    }
+    return { state, events };
+}
+
+module.exports = {
+    STATES,
+    HAZARDS,
+    initialState,
+    levelOf,
+    scaleLabel,
+    step,
+    replay
+};
@@ -0,0 +1,95 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 極光可見性計算
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 以地磁偶極模型將地理座標換算為地磁緯度，
+ * 再依 Kp 與極光橢圓赤道側邊界的經驗關係估算可見性。
+ */
+
+// 地磁北極（IGRF-13 偶極，2025 年）
+const GEOMAGNETIC_POLE = { lat: 80.8, lon: -72.7 };
+
+// 極光橢圓赤道側邊界（頭頂可見）：Kp 0 約地磁緯度 66.5°，每增加 1 Kp 約南移 2°
+const OVAL_BOUNDARY_KP0 = 66.5;
+const OVAL_BOUNDARY_PER_KP = 2.05;
+
+// 極光發光高度約 100-250 km，邊界外約 3° 地磁緯度內可在地平線上看到
+const HORIZON_VIEW_MARGIN = 3;
+
+const rad = Math.PI / 180;
+
+function geomagneticLatitude(lat, lon) {
+    const sinMlat = Math.sin(lat * rad) * Math.sin(GEOMAGNETIC_POLE.lat * rad) +
+        Math.cos(lat * rad) * Math.cos(GEOMAGNETIC_POLE.lat * rad) * Math.cos((lon - GEOMAGNETIC_POLE.lon) * rad);
+    return Math.asin(Math.max(-1, Math.min(1, sinMlat))) / rad;
+}
+
+// 指定 Kp 時極光橢圓赤道側邊界的地磁緯度
+function ovalBoundary(kp) {
+    return OVAL_BOUNDARY_KP0 - OVAL_BOUNDARY_PER_KP * kp;
+}
+
+// 在該地磁緯度看到地平線上極光所需的 Kp（0-9，無條件進位到 0.5）
+function requiredKp(mlat) {
+    const kp = (OVAL_BOUNDARY_KP0 - HORIZON_VIEW_MARGIN - Math.abs(mlat)) / OVAL_BOUNDARY_PER_KP;
+    return Math.max(0, Math.min(9, Math.ceil(kp * 2) / 2));
+}
+
+/**
+ * 估算某地在目前 Kp 下的極光可見性
+ * @returns {{ geomagLat, requiredKp, extremeOnly, margin, level, key, label, direction, hemisphere }}
+ *          key 為可見性類型（polarCap / overhead / sky / horizon / none），供多語系訊息使用
+ */
+function estimateVisibility(kp, lat, lon) {
+    const mlat = geomagneticLatitude(lat, lon);
+    const absMlat = Math.abs(mlat);
+    const needed = requiredKp(mlat);
+    const margin = absMlat - (ovalBoundary(kp) - HORIZON_VIEW_MARGIN);
+    const hemisphere = mlat >= 0 ? 'north' : 'south';
+    const direction = mlat >= 0 ? '北方' : '南方';
+
+    let level, key, label;
+    if (absMlat > OVAL_BOUNDARY_KP0 + 12) {
+        // 極冠區：位於極光橢圓內側，通常只見微弱極光
+        level = 'low';
+        key = 'polarCap';
+        label = '位於極冠區，極光多出現在赤道側天空';
+    } else if (margin >= HORIZON_VIEW_MARGIN * 2) {
+        level = 'high';
+        key = 'overhead';
+        label = '極光可能出現在頭頂';
+    } else if (margin >= HORIZON_VIEW_MARGIN) {
+        level = 'medium';
+        key = 'sky';
+        label = `${direction}天空可見`;
+    } else if (margin >= 0) {
+        level = 'low';
+        key = 'horizon';
+        label = `${direction}地平線附近，需暗空與長曝光`;
+    } else {
+        level = 'none';
+        key = 'none';
+        label = '目前無法看到';
+    }
+
+    return {
+        geomagLat: mlat,
+        requiredKp: needed,
+        // 需要的 Kp 超過 9 時，只有極端風暴才有機會
+        extremeOnly: (OVAL_BOUNDARY_KP0 - HORIZON_VIEW_MARGIN - absMlat) / OVAL_BOUNDARY_PER_KP > 9,
+        margin,
+        level,
+        key,
+        label,
+        direction,
+        hemisphere
+    };
+}
+
+module.exports = {
+    geomagneticLatitude,
+    ovalBoundary,
+    requiredKp,
+    estimateVisibility
+};
@@ -0,0 +1,158 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CME 地球方向評估
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 優先採用 WSA-Enlil 模擬的地球抵達時間與 Kp 預估；
+ * 無模擬時以 cmeAnalyses 的錐體幾何與 ECA 經驗模型估算。
+ */
+
+const AU_KM = 1.496e8;
+const ENLIL_ARRIVAL_ERROR_HOURS = 7;  // WSA-Enlil 抵達時間平均誤差約 ±7 小時
+const ECA_ARRIVAL_ERROR_HOURS = 12;   // 經驗模型誤差較大
+
+// CME 中心方向與日地連線的夾角（HEEQ 經緯度，單位：度）
+function cmeAngleFromEarth(latitude, longitude) {
+    const rad = Math.PI / 180;
+    const cosAngle = Math.cos(latitude * rad) * Math.cos(longitude * rad);
+    return Math.acos(Math.max(-1, Math.min(1, cosAngle))) / rad;
+}
+
+// Gopalswamy et al. (2001) 經驗 CME 抵達模型（ECA）
+// 0.76 AU 內以 a = 1.41 - 0.0035·u (m/s²) 加減速，之後等速
+function estimateCMETransitHours(speed) {
+    const u = speed * 1000;                   // m/s
+    const a = 1.41 - 0.0035 * speed;          // m/s²
+    const d1 = 0.76 * AU_KM * 1000;           // m
+    const d2 = 0.24 * AU_KM * 1000;
+
+    let t1;
+    if (Math.abs(a) < 1e-9) {
+        t1 = d1 / u;
+    } else {
+        const disc = u * u + 2 * a * d1;
+        if (disc <= 0) return null;           // 減速過快，模型無解
+        t1 = (-u + Math.sqrt(disc)) / a;
+    }
+    const v1 = u + a * t1;
+    if (v1 <= 0) return null;
+
+    return (t1 + d2 / v1) / 3600;
+}
+
+// 依速度粗估地磁反應（無 Enlil 模擬時使用）
+function estimateCMEKpFromSpeed(speed, glancing) {
+    let range;
+    if (speed >= 2000) range = [7, 9];
+    else if (speed >= 1200) range = [6, 8];
+    else if (speed >= 800) range = [5, 7];
+    else if (speed >= 500) range = [4, 6];
+    else range = [3, 5];
+
+    if (glancing) range = range.map(kp => Math.max(2, kp - 1));
+    return range;
+}
+
+// 該 CME 最新一次的 WSA-Enlil 模擬（DONKI 模擬清單與 CME 內附的 enlilList）
+function latestSimulation(cme, simulations = []) {
+    return [
+        ...simulations.filter(sim => sim.cmeInputs?.some(input => input.cmeid === cme.id)),
+        ...(cme.enlilList || [])
+    ].sort((a, b) => new Date(b.modelCompletionTime) - new Date(a.modelCompletionTime))[0] || null;
+}
+
+// 評估依據：最新模擬的完成時間，無模擬時為最準確分析的時間；有新模擬或修正分析時隨之改變
+function assessmentBasis(cme, simulations = []) {
+    const sim = latestSimulation(cme, simulations);
+    if (sim) return `enlil:${sim.modelCompletionTime}`;
+    return cme.analysisTime ? `analysis:${cme.analysisTime}` : null;
+}
+
+// 是否需要（重新）評估：已警報者不再處理；判定不朝向地球者只在評估依據更新後重新評估
+// alerted 為已警報的 ID 集合，misses 為 ID → 判定不朝向地球時的評估依據
+function needsAssessment(cme, simulations, alerted, misses) {
+    if (!cme.id || alerted.has(cme.id)) return false;
+    return misses.get(cme.id) !== assessmentBasis(cme, simulations);
+}
+
+// 判斷 CME 是否朝向地球，並估算抵達時間窗與預期 Kp
+function assessCME(cme, simulations = []) {
+    const result = {
+        id: cme.id,
+        assessed: false,      // 是否已有足夠資料做出判斷
+        earthDirected: false,
+        glancing: false,
+        arrival: null,
+        windowStart: null,
+        windowEnd: null,
+        kpMin: null,
+        kpMax: null,
+        source: null,
+        angle: null,
+        basis: null           // 判斷依據的模擬完成時間或分析時間
+    };
+
+    // 1. WSA-Enlil 模擬：取該 CME 最新一次模擬結果
+    const sim = latestSimulation(cme, simulations);
+
+    if (sim) {
+        result.assessed = true;
+        result.basis = assessmentBasis(cme, simulations);
+        const earthImpact = sim.impactList?.find(impact => impact.location === 'Earth');
+        const arrivalTime = sim.estimatedShockArrivalTime || earthImpact?.arrivalTime;
+
+        // 有模擬但無地球抵達時間，表示 Enlil 判定不會擊中地球
+        if (!arrivalTime) return result;
+
+        const arrival = new Date(arrivalTime);
+        const kps = [sim.kp_90, sim.kp_135, sim.kp_180].filter(kp => typeof kp === 'number');
+
+        result.earthDirected = true;
+        result.glancing = !!(sim.isEarthGB || earthImpact?.isGlancingBlow);
+        result.arrival = arrival;
+        result.windowStart = new Date(arrival.getTime() - ENLIL_ARRIVAL_ERROR_HOURS * 3600 * 1000);
+        result.windowEnd = new Date(arrival.getTime() + ENLIL_ARRIVAL_ERROR_HOURS * 3600 * 1000);
+        if (kps.length > 0) {
+            result.kpMin = Math.min(...kps);
+            result.kpMax = Math.max(...kps);
+        } else {
+            [result.kpMin, result.kpMax] = estimateCMEKpFromSpeed(cme.speed, result.glancing);
+        }
+        result.source = 'WSA-Enlil';
+        return result;
+    }
+
+    // 2. 無模擬：以 cmeAnalyses 幾何判斷（日地連線落在 CME 錐體內）
+    if (cme.latitude === null || cme.longitude === null || !cme.halfAngle || !cme.speed) {
+        return result;
+    }
+
+    const angle = cmeAngleFromEarth(cme.latitude, cme.longitude);
+    result.assessed = true;
+    result.basis = assessmentBasis(cme, simulations);
+    result.angle = angle;
+    if (angle > cme.halfAngle) return result;
+
+    const transitHours = estimateCMETransitHours(cme.speed);
+    if (!transitHours) return result;
+
+    const arrival = new Date(new Date(cme.time).getTime() + transitHours * 3600 * 1000);
+    result.earthDirected = true;
+    result.glancing = angle > cme.halfAngle / 2;
+    result.arrival = arrival;
+    result.windowStart = new Date(arrival.getTime() - ECA_ARRIVAL_ERROR_HOURS * 3600 * 1000);
+    result.windowEnd = new Date(arrival.getTime() + ECA_ARRIVAL_ERROR_HOURS * 3600 * 1000);
+    [result.kpMin, result.kpMax] = estimateCMEKpFromSpeed(cme.speed, result.glancing);
+    result.source = '錐體幾何 + ECA 經驗模型';
+    return result;
+}
+
+module.exports = {
+    cmeAngleFromEarth,
+    estimateCMETransitHours,
+    estimateCMEKpFromSpeed,
+    latestSimulation,
+    assessmentBasis,
+    needsAssessment,
+    assessCME
+};
@@ -0,0 +1,459 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 指令解析
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * LINE 文字訊息 → 意圖（intent）與參數；不呼叫 LINE 或任何 API，可單獨測試。
+ *
+ *   INTENTS 登錄每個意圖的關鍵字（中文指令、同義說法、英文與日文別名）與參數類型
+ *   比對：以關鍵字開頭的優先於句中出現，其次關鍵字越長越優先，
+ *   都不相符時以編輯距離容錯（「黃金時克」→ 黃金時刻、「auroa」→ aurora）
+ *   參數：地名、時間（「晚上九點」→ 21:00）、星期（「平日」「週一三五」）、時區、
+ *   Kp 門檻、S 等級、仰角，或保留原文
+ *   取消訂閱：只有整句為指令時直接執行，句中出現、開頭相符、錯字或問句（「如何取消訂閱？」）
+ *   標記 confirm，由呼叫端先請用戶確認
+ */
+
+const { HAZARDS } = require('./alerts');
+
+// 極光警報門檻下限：地磁事件的 watch 門檻
+const MIN_ALERT_KP = HAZARDS.geomagnetic.levels.watch;
+
+// ═══ 意圖登錄 ═══
+// 第一個關鍵字為標準中文指令；fixed 為固定參數（同一意圖依關鍵字帶入不同值）；param 為參數類型：
+//   city 地名、time 時間、schedule 時間 + 星期 + 時區、kp Kp 門檻、level S 等級、elevation 仰角、text 原文
+// destructive 為取消訂閱類的意圖（見 confirm）
+const INTENTS = [
+    { id: 'language', param: 'text', keywords: ['語言', 'language', 'lang', '言語'] },
+    { id: 'timeZone', param: 'text', keywords: ['時區', 'timezone', 'time zone', 'tz', 'タイムゾーン'] },
+
+    // 查詢
+    { id: 'report', keywords: ['太空氣象', '報告', '完整報告', '太空天氣', 'report', 'space weather', '宇宙天気', 'レポート'] },
+    { id: 'aurora', keywords: ['極光', '極光預報', '北極光', 'aurora', 'kp', 'オーロラ'] },
+    { id: 'solarWind', keywords: ['太陽風', '太陽', 'solar', 'solar wind'] },
+    { id: 'iss', keywords: ['ISS', '太空站', '國際太空站', 'space station', '宇宙ステーション'] },
+    { id: 'issPasses', param: 'city', keywords: ['ISS過境', '過境', 'ISS passes', 'ISS pass', 'ISS通過'] },
+    { id: 'cme', keywords: ['CME', '日冕拋射', '日冕物質拋射', 'コロナ質量放出'] },
+    { id: 'weather', param: 'city', keywords: ['天氣', '天氣預報', 'weather', '天気'] },
+    { id: 'moon', keywords: ['月相', '月亮', '月齡', 'moon', 'moon phase', '月齢', '月'] },
+    { id: 'sunTimes', param: 'city', keywords: ['黃金時刻', '日出日落', '日出', '日落', 'golden hour', 'sunrise', 'sunset', 'ゴールデンアワー', '日の出', '日の入り'] },
+    { id: 'launchNext', keywords: ['發射', '火箭', '火箭發射', 'spacex', 'launch', 'rocket', '打ち上げ', 'ロケット'] },
+    { id: 'launchList', keywords: ['發射列表', 'spacex列表', '發射排程', 'launches', 'launch list', '打ち上げ一覧', '打ち上げ予定'] },
+    { id: 'meteor', param: 'city', keywords: ['流星雨', '流星', 'meteor', 'meteors', 'meteor shower', '流星群'] },
+    { id: 'tonight', param: 'city', keywords: ['今晚', '今晚能看什麼', '今晚看什麼', 'tonight', '今夜', '今夜の見どころ'] },
+    { id: 'observing', param: 'city', keywords: ['觀星預報', '觀星', '星空預報', '觀測預報', 'forecast', 'stargazing', 'observing forecast', '星空予報', '観測予報'] },
+
+    // 選單
+    { id: 'subscriptionMenu', keywords: ['訂閱', '設定', '通知', 'subscribe', 'alerts', 'settings', '通知設定'] },
+    { id: 'mainMenu', keywords: ['選單', '主選單', '幫助', 'menu', 'help', 'メニュー', 'ヘルプ'] },
+
+    // 訂閱
+    { id: 'subscribeDaily', param: 'schedule', keywords: ['訂閱每日報告', '每日報告', '訂閱報告', 'daily report', 'subscribe daily', '毎日レポート'] },
+    { id: 'subscribeAurora', param: 'kp', keywords: ['訂閱極光警報', '訂閱極光', '極光警報', 'subscribe aurora', 'aurora alert', 'オーロラ通知'] },
+    { id: 'subscribeFlare', keywords: ['訂閱閃焰警報', '訂閱閃焰', '閃焰警報', 'subscribe flare', 'flare alert', 'フレア通知'] },
+    { id: 'subscribeCme', keywords: ['訂閱CME警報', '訂閱CME', 'CME警報', 'subscribe CME', 'CME alert', 'CME通知'] },
+    { id: 'subscribeRadiation', param: 'level', keywords: ['訂閱輻射警報', '訂閱輻射', '輻射警報', 'subscribe radiation', 'radiation alert', '放射線通知'] },
+    { id: 'subscribeIss', param: 'elevation', keywords: ['訂閱ISS', '訂閱ISS過境', 'ISS提醒', 'subscribe ISS', 'ISS alert', 'ISS通知'] },
+    { id: 'subscribeMeteor', keywords: ['訂閱流星雨', '訂閱流星', '流星雨提醒', 'subscribe meteor', 'meteor alert', '流星群通知'] },
+    { id: 'subscribeLaunch', param: 'text', keywords: ['訂閱發射', '訂閱發射提醒', '發射提醒', 'subscribe launch', 'launch alert', '打ち上げ通知'] },
+    { id: 'unsubscribeDaily', param: 'time', destructive: true, keywords: ['取消每日報告', '取消訂閱每日報告', 'unsubscribe daily', '毎日レポート解除'] },
+    { id: 'unsubscribe', destructive: true, fixed: { type: 'aurora' }, keywords: ['取消極光警報', '取消極光', '取消訂閱極光', 'unsubscribe aurora', 'オーロラ通知解除'] },
+    { id: 'unsubscribe', destructive: true, fixed: { type: 'flare' }, keywords: ['取消閃焰警報', '取消閃焰', '取消訂閱閃焰', 'unsubscribe flare', 'フレア通知解除'] },
+    { id: 'unsubscribe', destructive: true, fixed: { type: 'cme' }, keywords: ['取消CME警報', '取消CME', '取消訂閱CME', 'unsubscribe CME', 'CME通知解除'] },
+    { id: 'unsubscribe', destructive: true, fixed: { type: 'radiation' }, keywords: ['取消輻射警報', '取消輻射', '取消訂閱輻射', 'unsubscribe radiation', '放射線通知解除'] },
+    { id: 'unsubscribe', destructive: true, fixed: { type: 'iss' }, keywords: ['取消ISS提醒', '取消ISS', '取消訂閱ISS', 'unsubscribe ISS', 'ISS通知解除'] },
+    { id: 'unsubscribe', destructive: true, fixed: { type: 'meteor' }, keywords: ['取消流星雨提醒', '取消流星雨', '取消訂閱流星雨', 'unsubscribe meteor', '流星群通知解除'] },
+    { id: 'unsubscribe', destructive: true, fixed: { type: 'launch' }, keywords: ['取消發射提醒', '取消訂閱發射', '取消發射', 'unsubscribe launch', '打ち上げ通知解除'] },
+    { id: 'mySubscriptions', keywords: ['我的訂閱', '查看訂閱', 'my subscriptions', 'subscriptions', '購読一覧', '通知一覧'] },
+    { id: 'unsubscribeAll', destructive: true, keywords: ['取消所有訂閱', '取消訂閱', 'unsubscribe', 'unsubscribe all', 'すべて解除', '通知解除'] }
+];
+
+// 地名前後的口語贅字（只從參數的頭尾剝除，避免誤刪地名中的字）
+const FILLERS = [
+    '請問', '幫我', '給我', '我想知道', '想知道', '我想', '查詢', '查一下', '看一下', '一下',
+    '現在', '目前', '今天', '今日', '最近',
+    '怎麼樣', '怎樣', '如何', '好嗎', '好不好', '狀況', '情況', '多少', '什麼', '適合', '可以', '能看', '嗎', '呢', '的', '在', '查',
+    '教えて', 'ですか', 'どう', 'は', 'の', 'を',
+    'please', "what's", 'what', 'is', 'the', 'how', 'in', 'at', 'for', 'show', 'me', 'check', 'today', 'now'
+].sort((a, b) => b.length - a.length);
+
+// 句尾標點與全形空白
+const PUNCTUATION = /[?？!！。，,、~～…．.\s　]+/g;
+
+const CHINESE_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+const ASCII_WORD = /[a-z0-9]/;
+
+// 比對用正規化：全形轉半形、臺 → 台；之後的小寫轉換不改變長度，比對位置可直接對回原文切出參數
+function normalize(text) {
+    return String(text || '').normalize('NFKC').replace(/臺/g, '台');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 關鍵字 → 正規表示式
+ * 空白與中英文交界允許任意空白（「ISS 過境」「訂閱 ISS 30」），
+ * 英文開頭 / 結尾需為單字邊界（unsubscribe 不會被當成 subscribe）
+ */
+function keywordPattern(keyword) {
+    const chars = [...keyword.toLowerCase()];
+    let source = '';
+    chars.forEach((ch, i) => {
+        if (ch === ' ') {
+            source += '\\s*';
+            return;
+        }
+        const prev = chars[i - 1];
+        if (prev && prev !== ' ' && ASCII_WORD.test(prev) !== ASCII_WORD.test(ch)) source += '\\s*';
+        source += escapeRegExp(ch);
+    });
+    const head = ASCII_WORD.test(chars[0]) ? '(?<![a-z])' : '';
+    const tail = ASCII_WORD.test(chars[chars.length - 1]) ? '(?![a-z])' : '';
+    return new RegExp(head + source + tail);
+}
+
+const KEYWORDS = INTENTS.flatMap((intent, index) => intent.keywords.map(keyword => ({
+    intent,
+    index,
+    keyword,
+    length: keyword.replace(/\s/g, '').length,
+    compact: keyword.toLowerCase().replace(/\s/g, ''),
+    pattern: keywordPattern(keyword)
+})));
+
+// ═══ 參數擷取 ═══
+
+const CITY_STOP_WORDS = [...new Set([...FILLERS, ...KEYWORDS.filter(k => k.length >= 2).map(k => k.keyword.toLowerCase())])]
+    .sort((a, b) => b.length - a.length);
+
+// 剝除頭尾贅字與標點：「今天 台北 的」→「台北」
+// words 可另外指定；地名參數連同其他指令關鍵字一併剝除（「今晚 台北 天氣」→「台北」）
+function stripFillers(value, words = FILLERS) {
+    let text = String(value || '').replace(PUNCTUATION, ' ').trim();
+    let changed = true;
+    while (changed && text) {
+        changed = false;
+        for (const filler of words) {
+            const lower = text.toLowerCase();
+            const ascii = ASCII_WORD.test(filler[0]);
+            if (lower.startsWith(filler) && (!ascii || !ASCII_WORD.test(lower.charAt(filler.length)))) {
+                text = text.slice(filler.length).trim();
+                changed = true;
+            } else if (lower.endsWith(filler) && (!ascii || !ASCII_WORD.test(lower.charAt(lower.length - filler.length - 1)))) {
+                text = text.slice(0, text.length - filler.length).trim();
+                changed = true;
+            }
+        }
+    }
+    return text;
+}
+
+// 中文數字（一 ~ 五十九）→ 數字；阿拉伯數字直接轉換
+function parseNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+    const match = String(value).match(/^([一二兩三四五]?)(十?)([零〇一二兩三四五六七八九]?)$/);
+    if (!match || (!match[1] && !match[2] && !match[3])) return null;
+    if (!match[2]) return match[1] && match[3] ? null : CHINESE_DIGITS[match[1] || match[3]];
+    const tens = match[1] ? CHINESE_DIGITS[match[1]] : 1;
+    return tens * 10 + (match[3] ? CHINESE_DIGITS[match[3]] : 0);
+}
+
+const NUMBER = '(\\d{1,2}|[零〇一二兩三四五六七八九十]{1,3})';
+
+// 時段詞：決定 12 小時制的上午 / 下午
+const PERIODS = [
+    { pattern: /(凌晨|清晨|早上|早晨|上午|午前|朝|am|a\.m\.)/, pm: false },
+    { pattern: /(中午|正午)/, noon: true },
+    { pattern: /(下午|傍晚|晚上|晚間|夜間|夜裡|夜晚|今晚|午後|夜|晚|pm|p\.m\.)/, pm: true }
+];
+
+/**
+ * 時間 → HH:MM
+ * 支援「20:00」「8:30」「晚上九點」「下午3點半」「九點十五分」「9pm」「午後9時」
+ * @returns {string|null}
+ */
+function parseTime(value) {
+    const text = normalize(value).toLowerCase();
+
+    let hour = null;
+    let minute = 0;
+    const clock = text.match(/(\d{1,2})\s*[:：]\s*(\d{2})/);
+    const spoken = text.match(new RegExp(`${NUMBER}\\s*(?:點|点|時|时|o'clock|h(?![a-z]))\\s*(半|${NUMBER}\\s*分?)?`));
+    const meridiem = text.match(/(\d{1,2})\s*(am|pm|a\.m\.|p\.m\.)/);
+
+    if (clock) {
+        hour = parseInt(clock[1]);
+        minute = parseInt(clock[2]);
+    } else if (spoken) {
+        hour = parseNumber(spoken[1]);
+        if (spoken[2] === '半') minute = 30;
+        else if (spoken[3]) minute = parseNumber(spoken[3]);
+    } else if (meridiem) {
+        hour = parseInt(meridiem[1]);
+    }
+    if (hour === null || minute === null || minute > 59 || hour > 24) return null;
+
+    const period = PERIODS.find(p => p.pattern.test(text));
+    if (period && hour <= 12) {
+        if (period.noon) hour = hour === 12 ? 12 : hour + 12;
+        else if (period.pm && hour < 12) hour += 12;
+        else if (period.pm && hour === 12 && /(晚上|夜|午後|pm|p\.m\.)/.test(text)) hour = 0;
+        else if (!period.pm && hour === 12) hour = 0;
+    }
+    if (hour === 24) hour = 0;
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// Kp 門檻：「3」「kp 4.5」「Kp五」；地磁事件自 Kp 3 開始，更低的門檻不會收到警報，以 3 計
+function parseKp(value) {
+    const text = normalize(value).toLowerCase();
+    const match = text.match(/(?:kp\s*[≥>=]*\s*)?(\d(?:\.\d)?|[零〇一二兩三四五六七八九])/);
+    if (!match) return null;
+    const kp = parseNumber(match[1]);
+    return kp === null ? null : Math.min(9, Math.max(MIN_ALERT_KP, kp));
+}
+
+// 輻射等級：「S2」「s3」「3」→ S2 / S3
+function parseLevel(value) {
+    const match = normalize(value).toLowerCase().match(/s?\s*([1-5])/);
+    return match ? `S${match[1]}` : null;
+}
+
+// 仰角：「30」「40°」「三十度」
+function parseElevation(value) {
+    const match = normalize(value).match(/(\d{1,2}|[一二三四五六七八九十]{1,3})\s*(?:°|度)?/);
+    return match ? parseNumber(match[1]) : null;
+}
+
+// 星期（ISO 編號 1 = 週一 … 7 = 週日）
+const CHINESE_WEEKDAYS = { 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 日: 7, 天: 7 };
+const JAPANESE_WEEKDAYS = { 月: 1, 火: 2, 水: 3, 木: 4, 金: 5, 土: 6, 日: 7 };
+const ENGLISH_WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// 起訖星期（可跨週：週五到週一 → 5, 6, 7, 1）
+function dayRange(from, to) {
+    const days = [from];
+    for (let d = from; d !== to; ) {
+        d = d % 7 + 1;
+        days.push(d);
+    }
+    return days;
+}
+
+// 「一三五」「一到五」→ 星期編號；到 / 至 / ~ 表示範圍
+function collectDays(sequence, names, days) {
+    const chars = [...sequence.replace(/(至|から|[~〜-])/g, '到')].filter(ch => ch === '到' || names[ch]);
+    for (let i = 0; i < chars.length; i++) {
+        if (chars[i] === '到') continue;
+        if (chars[i + 1] === '到' && names[chars[i + 2]]) {
+            dayRange(names[chars[i]], names[chars[i + 2]]).forEach(d => days.add(d));
+            i += 2;
+        } else {
+            days.add(names[chars[i]]);
+        }
+    }
+}
+
+/**
+ * 星期
+ * 支援「每天」「平日」「週末」「週一三五」「星期一到五」「mon-fri」「sat sun」「月水金曜」「月〜金曜日」
+ * @returns {number[]|null} 未指定時回傳 null
+ */
+function parseWeekdays(value) {
+    const text = normalize(value).toLowerCase();
+    if (/(每天|每日|天天|毎日|every\s*day)/.test(text)) return [1, 2, 3, 4, 5, 6, 7];
+    if (/(平日|工作日|weekdays?(?![a-z]))/.test(text)) return [1, 2, 3, 4, 5];
+    if (/(週末|周末|假日|weekends?(?![a-z]))/.test(text)) return [6, 7];
+
+    const days = new Set();
+    const chinese = /(?:週|周|星期|禮拜|礼拜)[一二三四五六日天](?:\s*(?:[、,和及與跟]|到|至|[~〜-])?\s*(?:週|周|星期|禮拜|礼拜)?[一二三四五六日天])*/g;
+    for (const match of text.match(chinese) || []) {
+        collectDays(match.replace(/(週|周|星期|禮拜|礼拜)/g, ''), CHINESE_WEEKDAYS, days);
+    }
+    const japanese = /[月火水木金土日](?:\s*(?:[・、,~〜-]|から)?\s*[月火水木金土日])*(?=曜)/g;
+    for (const match of text.match(japanese) || []) {
+        collectDays(match, JAPANESE_WEEKDAYS, days);
+    }
+    const english = /(?<![a-z])(mon|tue|wed|thu|fri|sat|sun)[a-z]*(?:\s*(?:-|~|to|through)\s*(mon|tue|wed|thu|fri|sat|sun)[a-z]*)?/g;
+    for (const match of text.matchAll(english)) {
+        const from = ENGLISH_WEEKDAYS.indexOf(match[1]) + 1;
+        const to = match[2] ? ENGLISH_WEEKDAYS.indexOf(match[2]) + 1 : from;
+        dayRange(from, to).forEach(d => days.add(d));
+    }
+    return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+}
+
+// 時區：IANA 名稱（Asia/Tokyo、America/Argentina/Buenos_Aires）或 UTC，保留原文大小寫
+function parseTimeZone(value) {
+    const match = normalize(value).match(/(?<![A-Za-z])([A-Za-z]+(?:\/[A-Za-z0-9_+-]+){1,2}|UTC|utc)(?![A-Za-z/])/);
+    if (!match) return null;
+    return /^utc$/i.test(match[1]) ? 'UTC' : match[1];
+}
+
+// 每日報告排程：「07:15 平日 Asia/Tokyo」→ { time, days, timeZone }
+function parseSchedule(value) {
+    const timeZone = parseTimeZone(value);
+    const rest = timeZone ? normalize(value).replace(/(?<![A-Za-z])([A-Za-z]+(?:\/[A-Za-z0-9_+-]+){1,2}|UTC|utc)(?![A-Za-z/])/, ' ') : value;
+    return { time: parseTime(rest), days: parseWeekdays(rest), timeZone };
+}
+
+function extractParams(type, argument) {
+    switch (type) {
+        case 'city': return { city: stripFillers(argument, CITY_STOP_WORDS) };
+        case 'time': return { time: parseTime(argument) };
+        case 'schedule': return parseSchedule(argument);
+        case 'kp': return { kp: parseKp(argument) };
+        case 'level': return { level: parseLevel(argument) };
+        case 'elevation': return { elevation: parseElevation(argument) };
+        case 'text': return { text: argument.trim() };
+        default: return {};
+    }
+}
+
+// ═══ 容錯比對 ═══
+
+// 編輯距離（含相鄰字元對調）
+function editDistance(a, b) {
+    const s = [...a];
+    const t = [...b];
+    const d = Array.from({ length: s.length + 1 }, (_, i) => [i, ...new Array(t.length).fill(0)]);
+    for (let j = 1; j <= t.length; j++) d[0][j] = j;
+    for (let i = 1; i <= s.length; i++) {
+        for (let j = 1; j <= t.length; j++) {
+            const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[s.length][t.length];
+}
+
+// 容許的錯字數：3-5 字 1 個、6 字以上 2 個；兩個字的關鍵字不容錯
+function allowedTypos(length) {
+    return Math.floor(length / 3);
+}
+
+/**
+ * 開頭容錯比對：整句或句首（之後為參數）與關鍵字的編輯距離
+ * @returns {Array} 每個登錄項目最接近的候選 { entry, distance, rest }
+ */
+function fuzzyCandidates(text) {
+    const chars = [...text];
+    const best = new Map();
+    for (const entry of KEYWORDS) {
+        const allowed = allowedTypos(entry.length);
+        if (allowed === 0) continue;
+
+        for (let len = entry.length - allowed; len <= entry.length + allowed; len++) {
+            if (len < 1 || len > chars.length) continue;
+            // 有參數的意圖才允許句首比對，其餘需整句相符
+            if (len < chars.length && !entry.intent.param) continue;
+
+            const head = chars.slice(0, len).join('').toLowerCase().replace(/\s/g, '');
+            const distance = editDistance(head, entry.compact);
+            if (distance > allowed) continue;
+
+            const current = best.get(entry.index);
+            if (!current || distance < current.distance || (distance === current.distance && len > current.len)) {
+                best.set(entry.index, { entry, distance, len, rest: chars.slice(len).join('') });
+            }
+        }
+    }
+    return [...best.values()].sort((a, b) => a.distance - b.distance || a.entry.index - b.entry.index);
+}
+
+// ═══ 解析 ═══
+
+const MODE_RANK = { exact: 3, prefix: 2, contains: 1 };
+
+const QUESTION = /[?？]$/;
+
+function result(intent, match, keyword, argument, confidence, question) {
+    return {
+        intent: intent.id,
+        command: intent.keywords[0],
+        match,
+        keyword,
+        argument: argument.trim(),
+        params: { ...intent.fixed, ...extractParams(intent.param, argument) },
+        confidence,
+        confirm: Boolean(intent.destructive) && (match !== 'exact' || question)
+    };
+}
+
+/**
+ * 解析文字訊息
+ * @param {string} text 使用者輸入的原文
+ * @returns {object} { intent, command, match, keyword, argument, params, confidence, confirm }；
+ *   confirm 為 true 時不應直接執行（取消訂閱但非完整指令）；
+ *   無法判斷時 intent 為 null，suggestions 列出接近的指令
+ */
+function parseCommand(text) {
+    const original = normalize(text).trim();
+    const display = original.replace(/[?？!！。~～…]+$/, '').trim();
+    const question = QUESTION.test(original);
+    const lower = display.toLowerCase();
+    if (!lower) return { intent: null, params: {}, suggestions: [] };
+
+    // 1. 關鍵字比對：完全相符 / 開頭相符 / 句中出現
+    const matches = [];
+    for (const entry of KEYWORDS) {
+        const found = lower.match(entry.pattern);
+        if (!found) continue;
+
+        const start = found.index;
+        const end = start + found[0].length;
+        const mode = start === 0 && end === lower.length ? 'exact' : start === 0 ? 'prefix' : 'contains';
+        // 單字關鍵字（月）只接受完全相符
+        if (entry.length < 2 && mode !== 'exact') continue;
+        // 原文參數（發射商、語言）只取關鍵字之後；地名等可在關鍵字前後（「台中今晚能看什麼」）
+        const rest = entry.intent.param === 'text'
+            ? display.slice(end)
+            : `${display.slice(0, start)} ${display.slice(end)}`;
+
+        matches.push({ entry, mode, start, rest });
+    }
+
+    if (matches.length > 0) {
+        matches.sort((a, b) =>
+            (a.mode === 'contains') - (b.mode === 'contains') ||
+            b.entry.length - a.entry.length ||
+            MODE_RANK[b.mode] - MODE_RANK[a.mode] ||
+            a.start - b.start ||
+            a.entry.index - b.entry.index
+        );
+        const { entry, mode, rest } = matches[0];
+        const confidence = mode === 'exact' ? 1 : mode === 'prefix' ? 0.9 : 0.75;
+        return result(entry.intent, mode, entry.keyword, rest, confidence, question);
+    }
+
+    // 2. 錯字容錯
+    const candidates = fuzzyCandidates(display);
+    if (candidates.length === 0) return { intent: null, params: {}, suggestions: [] };
+
+    const [best, second] = candidates;
+    if (second && second.distance === best.distance) {
+        return { intent: null, params: {}, suggestions: candidates.filter(c => c.distance === best.distance).map(c => c.entry.keyword) };
+    }
+    return result(best.entry.intent, 'fuzzy', best.entry.keyword, best.rest, 0.6 - best.distance * 0.1, question);
+}
+
+module.exports = {
+    INTENTS,
+    parseCommand,
+    parseTime,
+    parseKp,
+    parseLevel,
+    parseElevation,
+    parseWeekdays,
+    parseTimeZone,
+    parseSchedule,
+    stripFillers,
+    editDistance
+};
@@ -0,0 +1,351 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 地名查詢（地理編碼）
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 內建台灣縣市、鄉鎮市區與常見觀星地點的離線地名表，
+ * 並解析 Open-Meteo Geocoding API 的查詢結果；
+ * 也可由座標找出最近的鄉鎮，為沒有地址的位置訊息命名。
+ */
+
+const TAIWAN_TIME_ZONE = 'Asia/Taipei';
+
+// 直轄市與省轄市（市政府所在地）
+const CITIES = {
+    '台北市': [25.033, 121.565],
+    '新北市': [25.012, 121.465],
+    '桃園市': [24.993, 121.301],
+    '台中市': [24.147, 120.673],
+    '台南市': [22.999, 120.227],
+    '高雄市': [22.627, 120.301],
+    '基隆市': [25.128, 121.741],
+    '新竹市': [24.804, 120.969],
+    '嘉義市': [23.480, 120.449]
+};
+
+// 縣（縣政府所在地）
+const COUNTIES = {
+    '新竹縣': [24.839, 121.004],
+    '苗栗縣': [24.560, 120.821],
+    '彰化縣': [24.081, 120.538],
+    '南投縣': [23.916, 120.664],
+    '雲林縣': [23.709, 120.543],
+    '嘉義縣': [23.459, 120.333],
+    '屏東縣': [22.670, 120.488],
+    '宜蘭縣': [24.757, 121.753],
+    '花蓮縣': [23.977, 121.604],
+    '台東縣': [22.756, 121.144],
+    '澎湖縣': [23.566, 119.586],
+    '金門縣': [24.436, 118.319],
+    '連江縣': [26.160, 119.951]
+};
+
+// 主要鄉鎮市區（公所附近座標），依縣市分組
+const TOWNSHIPS = {
+    '台北市': {
+        '信義區': [25.033, 121.567], '大安區': [25.026, 121.543], '中正區': [25.032, 121.518],
+        '中山區': [25.064, 121.533], '松山區': [25.050, 121.577], '大同區': [25.063, 121.513],
+        '萬華區': [25.035, 121.500], '文山區': [24.989, 121.570], '南港區': [25.055, 121.607],
+        '內湖區': [25.069, 121.589], '士林區': [25.093, 121.525], '北投區': [25.132, 121.501]
+    },
+    '新北市': {
+        '板橋區': [25.012, 121.465], '三重區': [25.062, 121.488], '中和區': [24.999, 121.499],
+        '永和區': [25.008, 121.516], '新莊區': [25.036, 121.450], '新店區': [24.968, 121.542],
+        '土城區': [24.972, 121.443], '蘆洲區': [25.085, 121.473], '樹林區': [24.991, 121.420],
+        '汐止區': [25.063, 121.658], '鶯歌區': [24.955, 121.355], '三峽區': [24.934, 121.369],
+        '淡水區': [25.170, 121.440], '林口區': [25.077, 121.392], '五股區': [25.083, 121.438],
+        '泰山區': [25.059, 121.431], '八里區': [25.147, 121.399], '深坑區': [25.002, 121.616],
+        '石碇區': [24.991, 121.658], '坪林區': [24.937, 121.711], '烏來區': [24.865, 121.550],
+        '瑞芳區': [25.109, 121.806], '平溪區': [25.026, 121.739], '雙溪區': [25.034, 121.866],
+        '貢寮區': [25.022, 121.909], '金山區': [25.222, 121.637], '萬里區': [25.179, 121.689],
+        '石門區': [25.290, 121.568], '三芝區': [25.258, 121.501]
+    },
+    '桃園市': {
+        '桃園區': [24.993, 121.301], '中壢區': [24.965, 121.225], '平鎮區': [24.946, 121.218],
+        '八德區': [24.929, 121.284], '楊梅區': [24.908, 121.146], '蘆竹區': [25.045, 121.292],
+        '龜山區': [25.021, 121.347], '大園區': [25.064, 121.196], '觀音區': [25.033, 121.083],
+        '新屋區': [24.972, 121.106], '龍潭區': [24.864, 121.216], '大溪區': [24.881, 121.286],
+        '復興區': [24.820, 121.352]
+    },
+    '台中市': {
+        '北屯區': [24.182, 120.686], '西屯區': [24.181, 120.616], '南屯區': [24.138, 120.643],
+        '豐原區': [24.252, 120.719], '大里區': [24.099, 120.678], '太平區': [24.127, 120.718],
+        '霧峰區': [24.062, 120.700], '烏日區': [24.104, 120.624], '潭子區': [24.210, 120.705],
+        '大雅區': [24.229, 120.648], '神岡區': [24.258, 120.661], '后里區': [24.309, 120.711],
+        '大甲區': [24.349, 120.622], '外埔區': [24.332, 120.654], '清水區': [24.268, 120.559],
+        '梧棲區': [24.255, 120.531], '沙鹿區': [24.234, 120.567], '龍井區': [24.193, 120.546],
+        '大肚區': [24.154, 120.541], '東勢區': [24.258, 120.828], '新社區': [24.234, 120.809],
+        '和平區': [24.175, 120.884]
+    },
+    '台南市': {
+        '安平區': [22.993, 120.166], '永康區': [23.026, 120.257], '仁德區': [22.972, 120.252],
+        '歸仁區': [22.967, 120.294], '關廟區': [22.963, 120.328], '新化區': [23.038, 120.311],
+        '善化區': [23.132, 120.297], '新營區': [23.307, 120.317], '鹽水區': [23.320, 120.266],
+        '柳營區': [23.277, 120.311], '白河區': [23.351, 120.416], '後壁區': [23.366, 120.361],
+        '東山區': [23.326, 120.403], '麻豆區': [23.181, 120.248], '佳里區': [23.165, 120.177],
+        '學甲區': [23.232, 120.180], '將軍區': [23.199, 120.156], '北門區': [23.267, 120.126],
+        '七股區': [23.140, 120.140], '玉井區': [23.124, 120.460], '楠西區': [23.174, 120.485],
+        '南化區': [23.042, 120.477]
+    },
+    '高雄市': {
+        '鳳山區': [22.627, 120.357], '左營區': [22.690, 120.295], '楠梓區': [22.728, 120.326],
+        '三民區': [22.650, 120.315], '苓雅區': [22.622, 120.312], '前鎮區': [22.591, 120.318],
+        '小港區': [22.565, 120.354], '鼓山區': [22.648, 120.272], '旗津區': [22.590, 120.266],
+        '仁武區': [22.701, 120.348], '大寮區': [22.605, 120.395], '林園區': [22.502, 120.395],
+        '大樹區': [22.693, 120.433], '岡山區': [22.797, 120.296], '路竹區': [22.857, 120.262],
+        '湖內區': [22.908, 120.211], '茄萣區': [22.906, 120.183], '梓官區': [22.760, 120.267],
+        '彌陀區': [22.783, 120.247], '阿蓮區': [22.884, 120.327], '田寮區': [22.869, 120.359],
+        '燕巢區': [22.793, 120.362], '旗山區': [22.889, 120.483], '美濃區': [22.898, 120.542],
+        '內門區': [22.943, 120.462], '杉林區': [22.971, 120.539], '甲仙區': [23.083, 120.588],
+        '六龜區': [22.998, 120.633], '茂林區': [22.886, 120.663], '桃源區': [23.159, 120.762],
+        '那瑪夏區': [23.216, 120.700]
+    },
+    '新竹縣': {
+        '竹北市': [24.839, 121.004], '竹東鎮': [24.737, 121.091], '湖口鄉': [24.903, 121.044],
+        '新埔鎮': [24.825, 121.073], '關西鎮': [24.789, 121.177], '尖石鄉': [24.707, 121.198],
+        '五峰鄉': [24.637, 121.120]
+    },
+    '苗栗縣': {
+        '苗栗市': [24.560, 120.821], '頭份市': [24.688, 120.913], '竹南鎮': [24.686, 120.873],
+        '後龍鎮': [24.612, 120.787], '通霄鎮': [24.489, 120.677], '苑裡鎮': [24.443, 120.651],
+        '三義鄉': [24.413, 120.765], '大湖鄉': [24.422, 120.864], '卓蘭鎮': [24.310, 120.824],
+        '南庄鄉': [24.597, 121.000], '泰安鄉': [24.444, 120.902]
+    },
+    '彰化縣': {
+        '彰化市': [24.081, 120.538], '員林市': [23.959, 120.574], '鹿港鎮': [24.057, 120.435],
+        '和美鎮': [24.111, 120.499], '溪湖鎮': [23.962, 120.479], '北斗鎮': [23.871, 120.520],
+        '田中鎮': [23.858, 120.581], '二林鎮': [23.899, 120.374]
+    },
+    '南投縣': {
+        '南投市': [23.916, 120.664], '草屯鎮': [23.974, 120.680], '埔里鎮': [23.965, 120.967],
+        '竹山鎮': [23.758, 120.672], '集集鎮': [23.829, 120.785], '名間鄉': [23.838, 120.681],
+        '鹿谷鄉': [23.745, 120.753], '魚池鄉': [23.897, 120.936], '水里鄉': [23.812, 120.853],
+        '國姓鄉': [24.042, 120.858], '信義鄉': [23.700, 120.855], '仁愛鄉': [24.025, 121.133]
+    },
+    '雲林縣': {
+        '斗六市': [23.709, 120.543], '斗南鎮': [23.679, 120.479], '虎尾鎮': [23.708, 120.432],
+        '西螺鎮': [23.798, 120.466], '土庫鎮': [23.677, 120.392], '北港鎮': [23.575, 120.302],
+        '麥寮鄉': [23.754, 120.252], '口湖鄉': [23.584, 120.185], '古坑鄉': [23.643, 120.562]
+    },
+    '嘉義縣': {
+        '太保市': [23.459, 120.333], '朴子市': [23.465, 120.247], '民雄鄉': [23.551, 120.428],
+        '大林鎮': [23.601, 120.471], '水上鄉': [23.430, 120.398], '中埔鄉': [23.425, 120.523],
+        '竹崎鄉': [23.523, 120.551], '梅山鄉': [23.585, 120.557], '番路鄉': [23.465, 120.555],
+        '布袋鎮': [23.378, 120.167], '東石鄉': [23.459, 120.154], '阿里山鄉': [23.508, 120.802]
+    },
+    '屏東縣': {
+        '屏東市': [22.670, 120.488], '潮州鎮': [22.550, 120.543], '東港鎮': [22.466, 120.449],
+        '恆春鎮': [22.002, 120.745], '萬丹鄉': [22.589, 120.486], '內埔鄉': [22.612, 120.567],
+        '里港鄉': [22.779, 120.494], '枋寮鄉': [22.366, 120.593], '枋山鄉': [22.260, 120.656],
+        '車城鄉': [22.072, 120.711], '滿州鄉': [22.021, 120.838], '琉球鄉': [22.342, 120.370],
+        '三地門鄉': [22.714, 120.654], '霧台鄉': [22.745, 120.732], '來義鄉': [22.525, 120.633],
+        '春日鄉': [22.370, 120.628], '獅子鄉': [22.201, 120.706], '牡丹鄉': [22.128, 120.771]
+    },
+    '宜蘭縣': {
+        '宜蘭市': [24.757, 121.753], '羅東鎮': [24.677, 121.767], '蘇澳鎮': [24.595, 121.851],
+        '頭城鎮': [24.857, 121.823], '礁溪鄉': [24.827, 121.770], '壯圍鄉': [24.745, 121.781],
+        '員山鄉': [24.742, 121.722], '冬山鄉': [24.637, 121.792], '五結鄉': [24.685, 121.798],
+        '三星鄉': [24.667, 121.653], '大同鄉': [24.676, 121.604], '南澳鄉': [24.465, 121.800]
+    },
+    '花蓮縣': {
+        '花蓮市': [23.977, 121.604], '吉安鄉': [23.972, 121.568], '新城鄉': [24.128, 121.641],
+        '秀林鄉': [24.117, 121.620], '壽豐鄉': [23.870, 121.509], '鳳林鎮': [23.745, 121.452],
+        '光復鄉': [23.669, 121.423], '豐濱鄉': [23.597, 121.519], '瑞穗鄉': [23.497, 121.376],
+        '萬榮鄉': [23.713, 121.409], '玉里鎮': [23.337, 121.312], '卓溪鄉': [23.346, 121.303],
+        '富里鄉': [23.180, 121.248]
+    },
+    '台東縣': {
+        '台東市': [22.756, 121.144], '卑南鄉': [22.786, 121.083], '鹿野鄉': [22.913, 121.136],
+        '關山鎮': [23.047, 121.163], '池上鄉': [23.125, 121.219], '海端鄉': [23.101, 121.172],
+        '延平鄉': [22.902, 121.084], '東河鄉': [22.970, 121.301], '成功鎮': [23.098, 121.380],
+        '長濱鄉': [23.315, 121.451], '太麻里鄉': [22.615, 120.999], '金峰鄉': [22.597, 120.969],
+        '大武鄉': [22.355, 120.890], '達仁鄉': [22.296, 120.879], '綠島鄉': [22.662, 121.490],
+        '蘭嶼鄉': [22.045, 121.548]
+    },
+    '澎湖縣': {
+        '馬公市': [23.566, 119.586], '湖西鄉': [23.583, 119.659], '白沙鄉': [23.666, 119.598],
+        '西嶼鄉': [23.601, 119.507], '望安鄉': [23.358, 119.505], '七美鄉': [23.206, 119.430]
+    },
+    '金門縣': {
+        '金城鎮': [24.436, 118.319], '金湖鎮': [24.439, 118.420], '金沙鎮': [24.491, 118.414],
+        '金寧鄉': [24.457, 118.335], '烈嶼鄉': [24.433, 118.245]
+    },
+    '連江縣': {
+        '南竿鄉': [26.160, 119.951], '北竿鄉': [26.224, 119.992], '莒光鄉': [25.975, 119.938],
+        '東引鄉': [26.368, 120.490]
+    }
+};
+
+// 常見觀星與旅遊地點（不屬於行政區名稱）
+const LANDMARKS = [
+    { name: '陽明山', county: '台北市', lat: 25.155, lon: 121.548 },
+    { name: '合歡山', county: '南投縣', lat: 24.142, lon: 121.273 },
+    { name: '清境', county: '南投縣', lat: 24.058, lon: 121.162 },
+    { name: '日月潭', county: '南投縣', lat: 23.857, lon: 120.916 },
+    { name: '鹿林天文台', county: '南投縣', lat: 23.469, lon: 120.873 },
+    { name: '玉山', county: '南投縣', lat: 23.470, lon: 120.957 },
+    { name: '阿里山', county: '嘉義縣', lat: 23.510, lon: 120.802 },
+    { name: '武陵', county: '台中市', lat: 24.396, lon: 121.311 },
+    { name: '太平山', county: '宜蘭縣', lat: 24.509, lon: 121.535 },
+    { name: '太魯閣', county: '花蓮縣', lat: 24.158, lon: 121.622 },
+    { name: '墾丁', county: '屏東縣', lat: 21.946, lon: 120.798 },
+    { name: '小琉球', county: '屏東縣', lat: 22.342, lon: 120.370 }
+];
+
+// 常用國際城市（舊版城市清單，離線時仍可使用）
+const WORLD_CITIES = [
+    { name: '東京', country: '日本', lat: 35.676, lon: 139.650, timeZone: 'Asia/Tokyo' },
+    { name: '首爾', country: '韓國', lat: 37.566, lon: 126.978, timeZone: 'Asia/Seoul' },
+    { name: '紐約', country: '美國', lat: 40.712, lon: -74.006, timeZone: 'America/New_York' },
+    { name: '倫敦', country: '英國', lat: 51.507, lon: -0.127, timeZone: 'Europe/London' }
+];
+
+// 比對用：台 / 臺 視為相同，去除空白
+function normalizeName(name) {
+    return String(name || '').trim().replace(/臺/g, '台').replace(/\s+/g, '').toLowerCase();
+}
+
+// 行政區簡稱：花蓮市 → 花蓮、信義區 → 信義（單字地名不省略）
+function shortName(name) {
+    return /^.{2,}[市縣鄉鎮區]$/.test(name) ? name.slice(0, -1) : null;
+}
+
+function place(name, lat, lon, extra = {}) {
+    return { name, lat, lon, county: null, country: '台灣', timeZone: TAIWAN_TIME_ZONE, kind: 'township', ...extra };
+}
+
+// 收錄順序即同名時的優先順序：省轄市（嘉義 → 嘉義市）優先於鄉鎮（花蓮 → 花蓮市），再來才是縣
+const GAZETTEER = [
+    ...Object.entries(CITIES).map(([name, [lat, lon]]) => place(name, lat, lon, { kind: 'city' })),
+    ...Object.entries(TOWNSHIPS).flatMap(([county, towns]) =>
+        Object.entries(towns).map(([name, [lat, lon]]) => place(name, lat, lon, { county }))
+    ),
+    ...LANDMARKS.map(l => place(l.name, l.lat, l.lon, { county: l.county, kind: 'landmark' })),
+    ...Object.entries(COUNTIES).map(([name, [lat, lon]]) => place(name, lat, lon, { kind: 'county' })),
+    ...WORLD_CITIES.map(c => ({ ...c, county: null, kind: 'world' }))
+];
+
+// 地名索引：全名、簡稱、縣市 + 鄉鎮（花蓮縣玉里鎮）
+// 單獨的簡稱（成功、中山）常是其他名稱的開頭（成功大學、中山大學），只用於精確查詢
+const INDEX = new Map();
+const SHORT_KEYS = new Set();
+function addKey(key, entry, short = false) {
+    if (!key || INDEX.has(key)) return;
+    INDEX.set(key, entry);
+    if (short) SHORT_KEYS.add(key);
+}
+for (const entry of GAZETTEER) {
+    addKey(normalizeName(entry.name), entry);
+    if (entry.county) addKey(normalizeName(entry.county + entry.name), entry);
+}
+for (const entry of GAZETTEER) {
+    if (entry.kind === 'world' || entry.kind === 'landmark') continue;
+    const short = shortName(entry.name);
+    if (short) addKey(normalizeName(short), entry, true);
+    if (short && entry.county) addKey(normalizeName(shortName(entry.county) + short), entry);
+}
+
+// 顯示名稱：玉里鎮（花蓮縣）、東京（日本）
+function displayName(entry) {
+    if (entry.county) return `${entry.name}（${entry.county}）`;
+    if (entry.kind === 'world' || entry.source === 'online') {
+        const region = [entry.country, entry.admin1].filter(Boolean).filter(r => r !== entry.name);
+        return region.length ? `${entry.name}（${region.join(' ')}）` : entry.name;
+    }
+    return entry.name;
+}
+
+function toResult(entry, source = 'gazetteer') {
+    return {
+        name: entry.name,
+        displayName: displayName(entry),
+        lat: entry.lat,
+        lon: entry.lon,
+        timeZone: entry.timeZone,
+        county: entry.county || null,
+        country: entry.country || null,
+        source
+    };
+}
+
+/**
+ * 離線地名表精確查詢
+ * @returns {object|null} { name, displayName, lat, lon, timeZone, county, country, source }
+ */
+function lookup(query) {
+    const entry = INDEX.get(normalizeName(query));
+    return entry ? toResult(entry) : null;
+}
+
+/**
+ * 離線地名表模糊查詢：查詢字即地名，或以完整地名開頭的地址（「花蓮縣玉里鎮中山路」）
+ * 取最長（最具體）的相符鍵；簡稱只接受整個查詢字相符（「成功大學」不是成功鎮）
+ */
+function search(query) {
+    const q = normalizeName(query);
+    if (q.length < 2) return null;
+
+    let best = null;
+    for (const [key, entry] of INDEX) {
+        if (key.length < 2) continue;
+        const matched = q === key || (q.startsWith(key) && !SHORT_KEYS.has(key));
+        if (matched && (!best || key.length > best.key.length)) best = { key, entry };
+    }
+    return best ? toResult(best.entry) : null;
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const rad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * rad;
+    const dLon = (lon2 - lon1) * rad;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * 座標附近的鄉鎮或地點（縣層級與國際城市不列入）
+ * @param {number} maxKm 超過此距離視為不在地名表範圍內
+ */
+function nearest(lat, lon, maxKm = 15) {
+    let best = null;
+    for (const entry of GAZETTEER) {
+        if (entry.kind === 'county' || entry.kind === 'world') continue;
+        const d = distanceKm(lat, lon, entry.lat, entry.lon);
+        if (!best || d < best.distance) best = { entry, distance: d };
+    }
+    if (!best || best.distance > maxKm) return null;
+    return { ...toResult(best.entry), distanceKm: Math.round(best.distance * 10) / 10 };
+}
+
+/**
+ * 解析 Open-Meteo Geocoding API 回應（{ results: [...] }）
+ * @returns {Array|null} 格式不符時回傳 null；查無結果為空陣列
+ */
+function parseGeocodingResults(json) {
+    if (!json || typeof json !== 'object') return null;
+    if (!json.results) return [];
+    if (!Array.isArray(json.results)) return null;
+
+    return json.results
+        .filter(r => Number.isFinite(r.latitude) && Number.isFinite(r.longitude) && r.name)
+        .map(r => toResult({
+            name: r.name,
+            lat: r.latitude,
+            lon: r.longitude,
+            timeZone: r.timezone || null,
+            country: r.country || null,
+            admin1: r.admin1 || null,
+            source: 'online'
+        }, 'online'));
+}
+
+module.exports = {
+    TAIWAN_TIME_ZONE,
+    GAZETTEER,
+    normalizeName,
+    lookup,
+    search,
+    nearest,
+    distanceKm,
+    parseGeocodingResults
+};
@@ -0,0 +1,59 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 地平線穿越搜尋
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 給定「時刻 → 高度角」函式，找出高度角穿越指定值的時刻（升起 / 落下），
+ * 日出日落、曙暮光、月出月落共用；另提供方位角轉十六方位。
+ */
+
+const COMPASS_POINTS = ['北', '北北東', '東北', '東北東', '東', '東南東', '東南', '南南東',
+    '南', '南南西', '西南', '西南西', '西', '西北西', '西北', '北北西'];
+
+function azimuthToCompass(azimuth) {
+    return COMPASS_POINTS[Math.round(((azimuth % 360) + 360) % 360 / 22.5) % 16];
+}
+
+/**
+ * @param {(date: Date) => number} altitudeAt  高度角（度）
+ * @param {Date} start
+ * @param {Date} end
+ * @param {number} targetAltitude  穿越的高度角（度）
+ * @param {number} stepMinutes     粗掃步長
+ * @returns {Array<{ time: Date, rising: boolean }>}
+ */
+function findCrossings(altitudeAt, start, end, targetAltitude = 0, stepMinutes = 10) {
+    const crossings = [];
+    const step = stepMinutes * 60000;
+    let prevTime = start.getTime();
+    let prevAlt = altitudeAt(start) - targetAltitude;
+
+    for (let t = prevTime + step; t <= end.getTime() + step - 1; t += step) {
+        const time = Math.min(t, end.getTime());
+        const alt = altitudeAt(new Date(time)) - targetAltitude;
+
+        if ((prevAlt < 0) !== (alt < 0)) {
+            // 二分法精修到 10 秒內
+            let lo = prevTime, hi = time, loAlt = prevAlt;
+            while (hi - lo > 10000) {
+                const mid = (lo + hi) / 2;
+                const midAlt = altitudeAt(new Date(mid)) - targetAltitude;
+                if ((midAlt < 0) === (loAlt < 0)) {
+                    lo = mid;
+                    loAlt = midAlt;
+                } else {
+                    hi = mid;
+                }
+            }
+            crossings.push({ time: new Date(Math.round((lo + hi) / 2)), rising: alt >= 0 });
+        }
+
+        prevTime = time;
+        prevAlt = alt;
+        if (time >= end.getTime()) break;
+    }
+
+    return crossings;
+}
+
+module.exports = { COMPASS_POINTS, findCrossings, azimuthToCompass };
@@ -0,0 +1,957 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 訊息目錄：English
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 提示中的指令使用英文別名（見 lib/commands.js），中文指令同樣有效
+ */
+
+module.exports = {
+    // ═══ 共用 ═══
+    'score.excellent': 'Excellent',
+    'score.good': 'Good',
+    'score.fair': 'Fair',
+    'score.poor': 'Poor',
+    'compass.points': ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+        'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'],
+    'place.default': 'Taipei',
+    'command.suggest': '🤔 Did you mean: {commands}',
+    'place.unknown': '❌ Place "{city}" not found\n\nTry a county, township or city name, e.g.\n花蓮, 玉里, 合歡山, Tokyo, Paris\nor share your LINE location',
+
+    // ═══ 語言設定 ═══
+    'language.current': '🌐 Current language: {name}\n\nSwitch with:\n• language zh　繁體中文\n• language en　English\n• language ja　日本語',
+    'language.set': '✅ Language set to English\n\nType "menu" to see available commands',
+
+    // ═══ 時區 ═══
+    'timeZone.current': '🕐 Time zone: {timeZone}\n\nDaily reports follow this time zone\nType "timezone Europe/London" or "timezone London" to change it',
+    'timeZone.set': '✅ Time zone set to {timeZone}\nLocal time is {time}; daily reports will follow this time zone',
+    'timeZone.invalid': '❌ Unknown time zone "{value}"\n\nUse an IANA name (e.g. Asia/Tokyo, Europe/London) or a city name',
+    'language.unsupported': '❌ Unsupported language "{value}"\n\nAvailable: zh (繁體中文), en (English), ja (日本語)',
+
+    // ═══ 歡迎訊息 ═══
+    'welcome': `🛰️ Welcome to ORBITAL COMMAND!
+
+Your space weather command center:
+
+🌌 Live aurora forecasts
+☀️ Solar activity monitoring
+🚀 ISS tracking
+⚠️ Space weather alerts
+
+━━━━━━━━━━━━━━━━
+
+📱 Getting started:
+• "aurora" for the aurora forecast
+• "solar" for solar activity
+• "menu" for all commands
+• 「language zh」切換為繁體中文 / 「language ja」で日本語
+
+Clear skies! ✨`,
+
+    // ═══ 火箭發射 ═══
+    'countdown.now': 'Launch time reached',
+    'countdown.days': '{days} d {hours} h',
+    'countdown.hours': '{hours} h {minutes} min',
+    'countdown.minutes': '{minutes} min',
+    'launch.status.Go': '🟢 Go for launch',
+    'launch.status.TBC': '🟡 To be confirmed',
+    'launch.status.TBD': '🟡 To be determined',
+    'launch.status.Hold': '🟠 On hold',
+    'launch.status.In Flight': '🚀 In flight',
+    'launch.status.Success': '✅ Success',
+    'launch.status.Failure': '❌ Failure',
+    'launch.status.Partial Failure': '⚠️ Partial failure',
+    'launch.tentative': ' (tentative)',
+    'launch.tbd': 'TBD',
+    'launch.title': '🛸 Next Launch',
+    'launch.rocket': '🛰️ Rocket: {rocket}',
+    'launch.countdown': '⏳ Countdown: {countdown}',
+    'launch.net': '📅 NET: {date}',
+    'launch.webcast': '📺 Webcast: {url}',
+    'launch.bundled': '⚠️ Live schedule unavailable, showing reference data',
+    'launch.netNote': '🕐 Times in Taiwan time (NET: no earlier than)',
+    'launch.timeNote': '🕐 Times in Taiwan time',
+    'launch.hint': '💡 Type "launches" for more launches, "subscribe launch" for countdown reminders',
+    'launch.none': '🛸 No launches currently scheduled',
+    'launch.listTitle': '🛸 Upcoming Launches',
+    'launch.liveLinks': '🔗 Live launch info:',
+    'launch.listHint': '💡 Type "subscribe launch" or "subscribe launch SpaceX" for countdown reminders',
+    'launch.filter.provider': 'provider "{name}"',
+    'launch.filter.rocket': 'rocket "{name}"',
+    'launch.filter.all': 'all launches',
+    'launch.stage.T-24h': 'T-24 hours',
+    'launch.stage.T-1h': 'T-1 hour',
+    'launch.stage.liftoff': 'Liftoff',
+    'launch.reminder.title': '⏰ Launch reminder: {stage}',
+    'launch.reminder.liftoff': '🚀 Liftoff!',
+    'launch.reminder.timeUp': '🚀 It\'s launch time!',
+    'launch.change.scrub': '🛑 Launch scrubbed',
+    'launch.change.net': '📅 Launch time changed',
+    'launch.change.hold': '🟠 Countdown on hold',
+    'launch.change.resume': '🟢 Countdown resumed',
+    'launch.change.previous': 'Previously: {date}',
+    'launch.change.newNet': 'New NET: {date}',
+
+    // ═══ 月相 ═══
+    'moon.phase.new': 'New Moon',
+    'moon.phase.waxingCrescent': 'Waxing Crescent',
+    'moon.phase.firstQuarter': 'First Quarter',
+    'moon.phase.waxingGibbous': 'Waxing Gibbous',
+    'moon.phase.full': 'Full Moon',
+    'moon.phase.waningGibbous': 'Waning Gibbous',
+    'moon.phase.lastQuarter': 'Last Quarter',
+    'moon.phase.waningCrescent': 'Waning Crescent',
+    'moon.title': '🌙 Moon Today',
+    'moon.waxing': 'waxing',
+    'moon.waning': 'waning',
+    'moon.phaseLine': '{icon} {phase} ({trend})',
+    'moon.illumination': '📊 Illumination: {value}%',
+    'moon.age': '📆 Age: {value} days',
+    'moon.distance': '📏 Distance: {value} km',
+    'moon.rise': '🌄 Moonrise: {time}',
+    'moon.set': '🌃 Moonset: {time}',
+    'moon.noEvent': 'none today',
+    'moon.next.new': '🌑 New: {date}',
+    'moon.next.firstQuarter': '🌓 First quarter: {date}',
+    'moon.next.full': '🌕 Full: {date}',
+    'moon.next.lastQuarter': '🌗 Last quarter: {date}',
+    'moon.viewing': '🔭 Stargazing: {condition}',
+    'moon.viewing.good': 'Excellent ⭐',
+    'moon.viewing.fair': 'Fair',
+    'moon.viewing.bright': 'Bright moonlight',
+    'moon.hint': '💡 Around new moon is best for stargazing. Share your location for local moonrise and moonset',
+    'moonlight.good': 'excellent (little moonlight)',
+    'moonlight.fair': 'fair (some moonlight)',
+    'moonlight.poor': 'poor (bright moonlight)',
+
+    // ═══ 黃金時刻 ═══
+    'sun.title': '🌅 Golden Hour',
+    'sun.polarDay': '☀️ Polar day, the sun does not set',
+    'sun.polarNight': '🌑 Polar night, the sun does not rise',
+    'sun.riseSet': '🌅 Sunrise {sunrise}　🌇 Sunset {sunset}',
+    'sun.dayLength': '☀️ Daylight {hours} h {minutes} min',
+    'sun.morning': '📸 Morning',
+    'sun.evening': '📸 Evening',
+    'sun.blueHour': '🔵 Blue hour: {range}',
+    'sun.goldenHour': '🟠 Golden hour: {range}',
+    'sun.twilight': '🌗 Twilight (dawn / dusk)',
+    'sun.civil': 'Civil: {dawn} / {dusk}',
+    'sun.nautical': 'Nautical: {dawn} / {dusk}',
+    'sun.astronomical': 'Astronomical: {dawn} / {dusk}',
+    'sun.hint': '💡 The sky is fully dark after astronomical dusk, ideal for astrophotography',
+
+    // ═══ 流星雨 ═══
+    'meteor.shower.QUA': 'Quadrantids',
+    'meteor.shower.LYR': 'Lyrids',
+    'meteor.shower.ETA': 'Eta Aquariids',
+    'meteor.shower.SDA': 'Southern Delta Aquariids',
+    'meteor.shower.PER': 'Perseids',
+    'meteor.shower.DRA': 'Draconids',
+    'meteor.shower.ORI': 'Orionids',
+    'meteor.shower.STA': 'Southern Taurids',
+    'meteor.shower.LEO': 'Leonids',
+    'meteor.shower.GEM': 'Geminids',
+    'meteor.shower.URS': 'Ursids',
+    'meteor.parent.QUA': 'asteroid 2003 EH1',
+    'meteor.parent.LYR': 'Comet Thatcher',
+    'meteor.parent.ETA': 'Comet Halley',
+    'meteor.parent.SDA': 'Comet 96P/Machholz',
+    'meteor.parent.PER': 'Comet Swift–Tuttle',
+    'meteor.parent.DRA': 'Comet Giacobini–Zinner',
+    'meteor.parent.ORI': 'Comet Halley',
+    'meteor.parent.STA': 'Comet Encke',
+    'meteor.parent.LEO': 'Comet Tempel–Tuttle',
+    'meteor.parent.GEM': 'asteroid 3200 Phaethon',
+    'meteor.parent.URS': 'Comet Tuttle',
+    'meteor.title': '☄️ Meteor Shower Forecast',
+    'meteor.rate': '~{rate}/hr ({time}, radiant {direction} {altitude}°)',
+    'meteor.radiantDown': 'radiant below the horizon, hard to see',
+    'meteor.peakIn': 'peak in {days} days',
+    'meteor.peakTonight': 'peaks tonight',
+    'meteor.peakPassed': 'peak was {days} days ago',
+    'meteor.active': '🔥 Active: {name}',
+    'meteor.period': '📅 {start} - {end} ({when})',
+    'meteor.tonight': '🌃 Tonight: {forecast}',
+    'meteor.upcoming': '📅 Coming up',
+    'meteor.upcomingShower': '⭐ {name} (ZHR {zhr})',
+    'meteor.peakDate': '   📅 Peak {date} (in {days} days)',
+    'meteor.moonlight': '   🌙 Moonlight {value}%{condition}',
+    'meteor.condition': ', {condition}',
+    'meteor.currentMoon': '{icon} Current moon: {phase} ({value}% lit)',
+    'meteor.hint': '💡 Share your location for local radiant altitudes. Type "subscribe meteor" to get a reminder 2 days before each peak',
+    'meteor.reminder.title': '☄️ {name} peaking soon!',
+    'meteor.reminder.peak': '📅 Peak: night of {date} (in {days} days)',
+    'meteor.reminder.period': '🗓️ Active: {start} - {end}',
+    'meteor.reminder.rate': '💫 ZHR {zhr}, about {rate}/hr expected here',
+    'meteor.reminder.best': '🕐 Best time: {time} (radiant {direction} {altitude}°)',
+    'meteor.reminder.radiantNeverUp': '🕐 The radiant never rises here, expect very few meteors',
+    'meteor.reminder.moonlight': '🌙 Moonlight: {value}%{condition}',
+    'meteor.reminder.parent': '☄️ Parent body: {parent}',
+    'meteor.reminder.tip': '💡 Find a dark site, lie back to take in the whole sky, and give your eyes 20 minutes to adapt',
+
+    // ═══ ISS ═══
+    'iss.region.ocean': 'over the ocean',
+    'iss.region.japanTaiwan': 'over Japan / Taiwan',
+    'iss.region.usa': 'over the United States',
+    'iss.region.europe': 'over Europe',
+    'iss.region.australia': 'over Australia',
+    'iss.region.asia': 'over Asia',
+    'iss.region.southAmerica': 'over South America',
+    'iss.region.africa': 'over Africa',
+    'iss.region.polar': 'over the polar regions',
+    'iss.unavailable': '🚀 ISS data is temporarily unavailable, please try again later',
+    'iss.message': p => `🚀 International Space Station (ISS) Live
+━━━━━━━━━━━━━━━━
+
+📍 Now: ${p.location}
+
+🌐 Coordinates
+Latitude: ${p.lat}°
+Longitude: ${p.lon}°
+
+📡 Orbit
+Altitude: ${p.altitude} km
+Speed: ${p.velocity} km/h
+
+━━━━━━━━━━━━━━━━
+
+🔭 ISS facts:
+• Orbits Earth every 90 minutes
+• Sees 16 sunrises and sunsets a day
+• Currently crewed by 7 astronauts
+• Orbital inclination 51.6°
+
+━━━━━━━━━━━━━━━━
+
+🌙 Spotting tips:
+The ISS looks like a bright star moving quickly across the sky
+Type "ISS passes" for visible passes in the next 3 days
+
+💡 Share your location and type "subscribe ISS" to be notified 10 minutes before a pass`,
+    'iss.passes.title': '🛰️ ISS Pass Forecast',
+    'iss.passes.none': 'No visible ISS passes in the next 3 days\n(needs elevation ≥ 10°, a sunlit station and a dark sky)',
+    'iss.passes.maxElevation': '📐 Max elevation {elevation}° ({direction})',
+    'iss.passes.magnitude': '✨ Magnitude {value}',
+    'iss.passes.tle': '📡 Orbital data: {date}',
+    'iss.passes.outdated': '⚠️ Orbital data is more than {days} days old, so pass predictions are paused (old data is too inaccurate)',
+    'iss.passes.hint': '💡 Share your location for local passes, or type "ISS passes Tokyo"',
+    'iss.alert.title': '🛰️ ISS pass coming up!',
+    'iss.alert.in': '⏰ In about {minutes} minutes ({time})',
+    'iss.alert.appear': '🧭 Appears: {direction} at {elevation}°',
+    'iss.alert.peak': '📐 Highest: {direction} at {elevation}° ({time})',
+    'iss.alert.disappear': '🌑 Disappears: {direction} ({time})',
+    'iss.alert.magnitude': '✨ Magnitude: {value}',
+    'iss.alert.tip': '💡 The ISS looks like a steady, non-twinkling bright star moving smoothly',
+
+    // ═══ 今晚觀測 ═══
+    'planet.mercury': 'Mercury',
+    'planet.venus': 'Venus',
+    'planet.mars': 'Mars',
+    'planet.jupiter': 'Jupiter',
+    'planet.saturn': 'Saturn',
+    'deepSky.m31': 'Andromeda Galaxy M31',
+    'deepSky.m42': 'Orion Nebula M42',
+    'deepSky.m45': 'Pleiades M45',
+    'deepSky.m13': 'Hercules Cluster M13',
+    'deepSky.m8': 'Lagoon Nebula M8',
+    'deepSky.milkyWay': 'Milky Way core',
+    'deepSky.m44': 'Beehive Cluster M44',
+    'deepSky.doubleCluster': 'Double Cluster',
+    'deepSky.omegaCen': 'Omega Centauri',
+    'deepSky.lmc': 'Large Magellanic Cloud',
+    'tonight.noNight': 'no night',
+    'tonight.moonTarget': 'Moon ({phase})',
+    'tonight.auroraTarget': 'Aurora (Kp {kp})',
+    'tonight.title': '🔭 What\'s Up Tonight',
+    'tonight.polarDay': '☀️ Polar day, no night to observe',
+    'tonight.sunsetSunrise': '🌇 Sunset {sunset}　🌅 Sunrise {sunrise}',
+    'tonight.darkness': '🌌 Astronomical darkness: {start} - {end}',
+    'tonight.moon': '{icon} {phase} ({value}% lit)',
+    'tonight.cloud': '☁️ Cloud cover: {value}',
+    'tonight.conditions': '⭐ Conditions: {label} ({score} pts)',
+    'tonight.noTargets': '😴 No good targets for the rest of tonight',
+    'tonight.targets': '🎯 Recommended targets',
+    'tonight.target': '{index}. {icon} {name} ({score} pts)',
+    'tonight.window': '   🕐 {start} - {end}',
+    'tonight.peak': '   📈 Best at {time}{where}',
+    'tonight.where': ', {direction} {altitude}°',
+    'tonight.whereAurora': ', {direction}',
+    'tonight.hint': '💡 Share your location for a plan at your site',
+
+    // ═══ 觀星預報 ═══
+    'observing.title': '🔭 Stargazing Forecast (next 3 nights)',
+    'observing.night': '📅 Night of {date}',
+    'observing.polarDay': '☀️ Polar day, no night to observe',
+    'observing.outOfRange': '❔ Beyond the forecast range',
+    'observing.average': '{icon} Overall {score} pts ({label})',
+    'observing.best': '🏆 Best {time} ({score} pts)',
+    'observing.clouds': '   ☁️ Low {low}% / Mid {mid}% / High {high}%',
+    'observing.humidity': '   💧 Humidity {humidity}%　🌬️ Seeing {seeing}',
+    'observing.moonUp': '   🌙 Moon up ({value}% lit)',
+    'observing.hour': '{hour}:00',
+    'observing.legend': '🟢 ≥70 Excellent　🟡 ≥45 Good　🟠 ≥25 Fair　🔴 Poor',
+    'observing.hint': '💡 Scores combine cloud layers, humidity, visibility, wind and jet stream, twilight and moonlight',
+    'observing.unavailable': '❌ Stargazing forecast unavailable, please try again later',
+
+    // ═══ 太空氣象報告 ═══
+    'kp.quiet': 'quiet',
+    'kp.active': 'active',
+    'kp.storm': 'storm',
+    'kp.severe': 'severe',
+    'reading.unavailable': 'data unavailable',
+    'report.title': '🛰️ Space Weather Report',
+    'report.aurora': '🌌 Aurora',
+    'report.kp': '{emoji} Kp index: {kp} ({status})',
+    'report.gLevel': '📊 Geomagnetic storm: {level}',
+    'report.chances': '🌍 Aurora chances',
+    'report.solar': '☀️ Solar activity',
+    'report.flare': '🔥 Flare class: {value}',
+    'report.solarWind': '💨 Solar wind: {value} km/s',
+    'report.bz': '🧲 Bz: {value} nT',
+    'report.radiation': '☢️ Radiation storm: {value}',
+    'report.iss': '🚀 International Space Station',
+    'report.issComputing': 'computing',
+    'report.altitude': '📡 Altitude: {value} km',
+    'report.updated': '⏰ Updated: {time}',
+    'report.hint': '💡 More commands:\n"aurora" "solar" "iss" "menu"',
+    'report.alert.strongStorm': '🔴 Strong geomagnetic storm {level}',
+    'report.alert.storm': '🟠 Geomagnetic storm {level}',
+    'report.alert.xFlare': '🔴 X-class solar flare {flare}',
+    'report.alert.mFlare': '🟠 M-class solar flare {flare}',
+    'report.alert.radiation': '☢️ Radiation storm {level}',
+
+    // ═══ 極光 ═══
+    'aurora.location.iceland': 'Reykjavík, Iceland',
+    'aurora.location.norway': 'Tromsø, Norway',
+    'aurora.location.finland': 'Rovaniemi, Finland',
+    'aurora.location.canada': 'Yellowknife, Canada',
+    'aurora.location.alaska': 'Fairbanks, Alaska',
+    'aurora.location.hokkaido': 'Hokkaido, Japan',
+    'aurora.location.scotland': 'Inverness, Scotland',
+    'aurora.location.newZealand': 'Invercargill, New Zealand',
+    'aurora.short.iceland': 'Iceland',
+    'aurora.short.norway': 'Norway',
+    'aurora.short.finland': 'Finland',
+    'aurora.short.hokkaido': 'Hokkaido',
+    'aurora.chance': '{name}: {chance}',
+    'aurora.hemisphere.north': 'northern',
+    'aurora.hemisphere.south': 'southern',
+    'aurora.visibility.polarCap': 'Inside the polar cap, aurora mostly toward the equator',
+    'aurora.visibility.overhead': 'Aurora may be overhead',
+    'aurora.visibility.sky': 'Visible in the {direction} sky',
+    'aurora.visibility.horizon': 'Low on the {direction} horizon, needs dark skies and long exposures',
+    'aurora.visibility.none': 'Not visible right now',
+    'aurora.title': '🌌 Aurora Forecast',
+    'aurora.kp': '{emoji} Kp index: {kp}',
+    'aurora.gLevel': '📊 Geomagnetic storm level: {level}',
+    'aurora.yourLocation': '📍 Your location: {place}',
+    'aurora.yourChance': '🌌 Chance: {visible} (overhead {overhead})',
+    'aurora.chances': '🌍 Chances around the world:',
+    'aurora.model': '📡 NOAA OVATION model, forecast for {time}',
+    'aurora.modelUnavailable': '📡 OVATION model data temporarily unavailable',
+    'aurora.kpGuide': '📖 Kp guide:\n0-2: quiet, Arctic only\n3-4: active, Scandinavia\n5-6: storm, mid-latitudes\n7+: severe, possibly low latitudes',
+    'aurora.hint': '💡 Type "subscribe aurora" and share your location to be alerted when aurora may be visible where you are',
+    'aurora.alert.title': '🌌 ⚠️ Aurora Alert!',
+    'aurora.alert.kp': 'Kp has reached {kp}',
+    'aurora.alert.gLevel': 'Geomagnetic storm level: {level}',
+    'aurora.alert.threshold': '🔔 Your threshold: Kp ≥ {kp} ({source})',
+    'aurora.alert.source.custom': 'custom',
+    'aurora.alert.source.location': 'from your location',
+    'aurora.alert.source.default': 'default',
+    'aurora.alert.geomagLat': '🧲 Geomagnetic latitude: {value}°',
+    'aurora.alert.visibility': '👀 Visibility: {label}',
+    'aurora.alert.shareLocation': '📍 Share your LINE location to get a visibility estimate for your area',
+    'aurora.alert.towards.north': 'northern',
+    'aurora.alert.towards.south': 'southern',
+    'aurora.alert.tips': '🔭 Tips:\n• Best within 2 hours of local midnight\n• Get away from light pollution and face the {direction} horizon\n• Use night / long-exposure mode on your phone',
+    'aurora.stormOver': '✅ Geomagnetic storm over\n\nKp has dropped back to {kp} (below 4)\n\n📈 Peak: Kp {peak} ({gLevel})\n⏱️ Duration: about {hours} hours\n\nWe\'ll alert you again when Kp reaches your threshold',
+
+    // ═══ 太陽風 ═══
+    'solar.speed.normal': '🟢 Normal',
+    'solar.speed.elevated': '🟡 Elevated',
+    'solar.speed.high': '🟠 High',
+    'solar.speed.extreme': '🔴 Extreme',
+    'solar.bz.north': '🟢 Northward (stable)',
+    'solar.bz.south': '🟡 Southward (active)',
+    'solar.bz.strongSouth': '🔴 Strongly southward (storm)',
+    'solar.message': p => `☀️ Solar Wind Live
+━━━━━━━━━━━━━━━━
+
+💨 Speed: ${p.speed} km/s
+   ${p.speedStatus}
+
+📊 Density: ${p.density} p/cm³
+
+🌡️ Temperature: ${p.temperature}K
+
+━━━━━━━━━━━━━━━━
+
+🧲 Interplanetary magnetic field (IMF)
+Bz: ${p.bz} nT
+   ${p.bzStatus}
+Bt: ${p.bt} nT
+
+━━━━━━━━━━━━━━━━
+
+🔥 Solar flares
+Current class: ${p.flare}
+X-ray flux: ${p.xrayFlux} W/m²
+
+☢️ Radiation storm
+Proton flux: ${p.protonFlux} pfu
+Level: ${p.sLevel}
+
+━━━━━━━━━━━━━━━━
+
+📖 Notes:
+• Solar wind > 500 km/s can trigger geomagnetic storms
+• The more southward (negative) Bz, the stronger the activity
+• X-class flares can disrupt radio communications
+
+💡 Type "subscribe flare" to be alerted on X-class flares`,
+
+    // ═══ CME ═══
+    'cme.none': '🌋 No CMEs detected in the past 7 days',
+    'cme.listTitle': '🌋 Recent Coronal Mass Ejections',
+    'cme.speed': '💨 Speed: {value} km/s',
+    'cme.type': '📐 Type: {value}',
+    'cme.source.enlil': 'WSA-Enlil',
+    'cme.source.eca': 'cone geometry + ECA empirical model',
+    'cme.alert': p => `🌋 ⚠️ Earth-directed CME Alert!
+
+A coronal mass ejection ${p.glancing ? 'may deliver a glancing blow to' : 'is heading toward'} Earth
+
+🆔 ${p.id}
+📅 Eruption: ${p.time}
+💨 Speed: ${p.speed} km/s
+📐 Half-angle: ${p.halfAngle}°
+
+⏱️ Estimated arrival (Taiwan time)
+${p.windowStart} – ${p.windowEnd}
+Most likely: ${p.arrival}
+
+🧲 Expected Kp: ${p.kp}${p.gLevel ? ` (up to about G${p.gLevel})` : ''}
+📊 Based on: ${p.source}
+
+${p.auroraLikely ? '🌌 Aurora possible after arrival, watch out at high latitudes' : '💡 Only minor geomagnetic effects expected'}`,
+
+    // ═══ 閃焰、輻射警報 ═══
+    'flare.alert': '🔥 ⚠️ X-class Solar Flare Alert!\n\nA {class} solar flare has been detected\n\nPossible effects:\n• HF radio blackouts\n• Degraded GPS accuracy\n• Satellite communication interference\n\nStay tuned for updates',
+    'radiation.impact.S1': 'Minor HF radio degradation in polar regions',
+    'radiation.impact.S2': 'Occasional polar HF outages; slightly higher radiation for high-latitude flights',
+    'radiation.impact.S3': 'Polar HF degradation and navigation errors; elevated radiation on polar flights, astronauts should avoid EVAs',
+    'radiation.impact.S4': 'Polar HF blackouts for days; satellite memory errors; polar routes should be diverted',
+    'radiation.impact.S5': 'Complete polar HF blackout; high radiation for high-latitude passengers; possible permanent satellite damage',
+    'radiation.alert': p => `☢️ ⚠️ Radiation Storm Alert: ${p.level}
+
+≥10 MeV proton flux: ${p.flux} pfu
+${p.previous === 0 ? 'Solar proton event has begun' : `Up from S${p.previous}`}
+
+Possible effects:
+${p.impact}
+
+You will be notified when it ends`,
+    'radiation.clear': '✅ Radiation storm over\n\n≥10 MeV proton flux is back down to {flux} pfu (below the S1 threshold of 10 pfu)\n\n📈 Peak: {peak}\n⏱️ Duration: about {hours} hours\n\nHF radio and polar routes can return to normal',
+
+    // ═══ 天氣 ═══
+    'weather.code.0': 'Clear',
+    'weather.code.1': 'Mostly clear',
+    'weather.code.2': 'Partly cloudy',
+    'weather.code.3': 'Overcast',
+    'weather.code.45': 'Fog',
+    'weather.code.48': 'Fog',
+    'weather.code.51': 'Drizzle',
+    'weather.code.53': 'Drizzle',
+    'weather.code.55': 'Drizzle',
+    'weather.code.61': 'Light rain',
+    'weather.code.63': 'Rain',
+    'weather.code.65': 'Heavy rain',
+    'weather.code.71': 'Light snow',
+    'weather.code.73': 'Snow',
+    'weather.code.75': 'Heavy snow',
+    'weather.code.80': 'Showers',
+    'weather.code.81': 'Showers',
+    'weather.code.82': 'Violent showers',
+    'weather.code.95': 'Thunderstorm',
+    'weather.code.96': 'Thunderstorm with hail',
+    'weather.code.99': 'Severe thunderstorm',
+    'weather.code.unknown': 'Unknown',
+    'weather.message': p => `🌤️ Weather in ${p.place}
+━━━━━━━━━━━━━━━━
+
+${p.icon} ${p.description}
+
+🌡️ Temperature: ${p.temp}°C
+🤒 Feels like: ${p.feelsLike}°C
+💧 Humidity: ${p.humidity}%
+💨 Wind: ${p.windSpeed} m/s
+👁️ Visibility: ${p.visibility} km
+☁️ Cloud cover: ${p.cloudCover}%
+
+🌅 Sunrise: ${p.sunrise}
+🌇 Sunset: ${p.sunset}`,
+    'weather.unavailable': '❌ Weather data unavailable',
+
+    // ═══ 位置 ═══
+    'location.saved': '📍 Location saved\n{place}',
+    'location.geomagLat': '🧲 Geomagnetic latitude: {value}°',
+    'location.requiredKp': '🌌 Kp needed for aurora on the horizon: {kp}',
+    'location.extremeOnly': '9 (extreme storms only)',
+    'location.currentKp': 'Current Kp {kp}: {label}',
+    'location.customThreshold': '🔔 Your aurora alert uses a custom threshold Kp≥{kp}\nType "subscribe aurora" to switch to your location',
+    'location.auroraUpdated': '🔔 Aurora alerts now use this location (Kp≥{kp})',
+    'location.auroraHint': '💡 Type "subscribe aurora" to be alerted when aurora may be visible here',
+    'location.issUpdated': '🛰️ ISS pass alerts now use this location',
+    'location.hint': '💡 Type "weather" or "tonight" for weather and targets at this location',
+
+    // ═══ 選單 ═══
+    'menu.altText': 'Space Weather Command Center',
+    'menu.subtitle': 'Space Weather Command Center',
+    'menu.aurora': '🌌 Aurora',
+    'menu.solar': '☀️ Solar',
+    'menu.iss': '🚀 ISS',
+    'menu.report': '📊 Report',
+    'menu.subscribe': '🔔 Alerts',
+    'menu.launch': '🛸 Launches',
+    'menu.moon': '🌙 Moon',
+    'menu.meteor': '☄️ Meteors',
+    'menu.quick': '💡 Quick commands',
+    'menu.quickCommands': [
+        '• aurora / solar / iss / cme',
+        '• weather / weather Tokyo',
+        '• ISS passes / ISS passes Tokyo',
+        '• tonight / forecast',
+        '• launch / moon / meteor / golden hour',
+        '• subscribe / unsubscribe',
+        '• language zh / language ja'
+    ],
+    'subMenu.altText': 'Alert settings',
+    'subMenu.title': '🔔 Alerts',
+    'subMenu.prompt': 'Choose the notifications you want:',
+    'subMenu.daily': '📅 Daily report',
+    'subMenu.aurora': '🌌 Aurora (your location)',
+    'subMenu.flare': '🔥 X-class flares',
+    'subMenu.cme': '🌋 Earth-directed CMEs',
+    'subMenu.radiation': '☢️ Radiation storms (S1+)',
+    'subMenu.iss': '🛰️ ISS passes',
+    'subMenu.meteor': '☄️ Meteor shower peaks',
+    'subMenu.launch': '🚀 Launch countdowns',
+    'subMenu.subscribe': 'Subscribe',
+    'subMenu.mine': '📋 My subscriptions',
+    'subMenu.cancelAll': '❌ Cancel all',
+    'subMenu.unsubscribe': 'Cancel',
+    'subMenu.settings': 'Set up',
+    'options.daily': '📅 Pick a time for your daily report\n\n💡 You can also type "subscribe daily 07:15 weekdays" to choose days and time zone',
+    'options.daily.current': '\n\nCurrent times: {times}\nTap "❌" to remove a time',
+    'options.daily.pick': '🕐 Other time',
+    'options.aurora': '🌌 Pick a Kp threshold for aurora alerts\n\n"My location" uses your shared location to work out the Kp needed',
+    'options.aurora.location': '📍 My location',
+    'options.radiation': '☢️ Pick the minimum level for radiation alerts\n\nS1 minor → S5 extreme; higher levels mean fewer alerts',
+    'options.iss': '🛰️ Pick the minimum elevation for ISS pass alerts\n\nHigher passes are easier to see and alert less often',
+    'options.launch': '🚀 Pick which launches to follow\n\n💡 You can also type "subscribe launch rocket: Falcon 9" for a specific rocket',
+    'options.launch.all': '🚀 All launches',
+    'options.flare': '🔥 X-class flare alerts',
+    'options.cme': '🌋 Earth-directed CME alerts',
+    'options.meteor': '☄️ Meteor shower peak reminders',
+    'options.unsubscribe': '❌ Unsubscribe',
+    'postback.expired': '⚠️ This button has expired. Type "subscribe" to open the menu again',
+
+    // ═══ 訂閱 ═══
+    'subscription.created': 'Subscribed',
+    'subscription.updated': 'Subscription updated',
+    'subscription.unsaved': 'Subscribed (not saved)',
+    'subscription.failed': 'Subscription failed',
+    'subscription.name.daily': 'Daily space weather report',
+    'subscription.name.aurora.location': 'Aurora alert (your location)',
+    'subscription.name.aurora.kp': 'Aurora alert (Kp≥{kp})',
+    'subscription.name.flare': 'X-class flare alert',
+    'subscription.name.cme': 'Earth-directed CME alert',
+    'subscription.name.radiation': 'Radiation storm alert ({level}+)',
+    'subscription.name.iss': 'ISS pass alert (elevation≥{elevation}°)',
+    'subscription.name.meteor': 'Meteor shower peak reminder',
+    'subscription.name.launch': 'Launch reminder ({description})',
+    'subscribe.daily': '✅ {result}\n\n📅 You will get the space weather report {schedule}\n⏭️ Next: {next}\n\n💡 Set up to {max} times, e.g. "subscribe daily 7:15 weekdays" or "subscribe daily 9pm sat sun"\nType "unsubscribe daily 07:15" to remove one',
+    'subscribe.daily.step': '⏰ Daily report times go in 15-minute steps ({time} is not available)\n\nTry "subscribe daily 7:15" or "subscribe daily 9:30pm"',
+    'subscribe.daily.limit': '⚠️ You can set up to {max} daily report times\n\nRemove one first, e.g. "unsubscribe daily 07:15"',
+    'subscribe.aurora': '✅ {result}\n\nYou will be alerted when Kp ≥ {kp}',
+    'subscribe.aurora.byLocation': p => `\n📍 Based on your shared location${p.place ? ` (${p.place})` : ''}`,
+    'subscribe.aurora.shareLocation': '\n\n📍 Share your LINE location to set the threshold automatically and include local visibility',
+    'subscribe.aurora.hint': '\n💡 Type "subscribe aurora 3" to set a custom Kp threshold',
+    'subscribe.flare': '✅ {result}\n\nYou will be alerted when an X-class solar flare occurs',
+    'subscribe.cme': '✅ {result}\n\nYou will be alerted when an Earth-directed CME is detected',
+    'subscribe.radiation': '✅ {result}\n\nYou will be alerted when a proton event reaches {level} or higher and keeps escalating\nAn all-clear follows once flux drops below the S1 threshold\n\n💡 Type "subscribe radiation S3" to change the threshold (S1-S5)',
+    'subscribe.iss.needLocation': '📍 ISS pass alerts need your location\n\nTap "+" → "Location" to share where you are,\nthen type "subscribe ISS" to subscribe',
+    'subscribe.iss': '✅ {result}\n\n📍 {place}\nWhen the ISS makes a visible pass reaching ≥ {elevation}°,\nyou will get its direction and elevation about {lead} minutes before it appears\n\n💡 Type "subscribe ISS 40" to change the minimum elevation (10-80°)',
+    'subscribe.meteor': '✅ {result}\n\n📍 {place}\nYou will be notified {days} days before each meteor shower peak with\nthe active period, expected hourly rate, best time and moonlight\n\n💡 Share your location for local radiant altitudes',
+    'subscribe.launch': '✅ {result}\n\n🚀 {description}\nYou will be notified at T-24 hours, T-1 hour and liftoff,\nand when a launch slips, is scrubbed or holds',
+    'subscribe.launch.next': '\n\n📅 Next: {name}\n   {date}',
+    'subscribe.launch.noMatch': '\n\n⚠️ No scheduled launches currently match "{arg}"',
+    'subscribe.launch.hint': '\n\n💡 Type "subscribe launch SpaceX" or "subscribe launch rocket: Falcon 9" for specific launches\nType "unsubscribe launch" to stop',
+    'unsubscribe.type': '✅ Cancelled {name}',
+    'unsubscribe.type.none': 'You are not subscribed to {name}\n\nType "my subscriptions" to see your list',
+    'subscription.type.daily': 'daily reports',
+    'subscription.type.aurora': 'aurora alerts',
+    'subscription.type.flare': 'flare alerts',
+    'subscription.type.cme': 'CME alerts',
+    'subscription.type.radiation': 'radiation alerts',
+    'subscription.type.iss': 'ISS pass alerts',
+    'subscription.type.meteor': 'meteor shower reminders',
+    'subscription.type.launch': 'launch reminders',
+    'unsubscribe.daily': '✅ Daily report at {time} cancelled',
+    'unsubscribe.daily.all': '✅ All daily reports cancelled',
+    'unsubscribe.daily.none': 'No daily report at {time}\n\nType "my subscriptions" to see your times',
+    'unsubscribe.all': '✅ All subscriptions cancelled\n\nType "subscribe" to subscribe again',
+    'unsubscribe.confirm.all': '⚠️ Cancel all your subscriptions?\n\nYou will no longer receive any notifications',
+    'unsubscribe.confirm.type': '⚠️ Cancel {name}?',
+    'unsubscribe.confirm.daily': '⚠️ Cancel the {time} daily report?',
+    'unsubscribe.confirm.dailyAll': '⚠️ Cancel all daily reports?',
+    'unsubscribe.confirm.yes': 'Yes, cancel',
+    'unsubscribe.confirm.no': 'Keep',
+    'mySubscriptions.empty': '📋 You have no subscriptions\n\nType "subscribe" to see the options',
+    'mySubscriptions.title': '📋 Your subscriptions',
+    'mySubscriptions.hint': 'Tap a button below or type e.g. "unsubscribe aurora" to cancel one\nType "unsubscribe all" to stop all notifications',
+
+    // ═══ 每日報告排程 ═══
+    'schedule.every': 'every day at',
+    'schedule.weekdays': 'weekdays at',
+    'schedule.weekends': 'weekends at',
+    'schedule.weekdayNames': ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+    'schedule.separator': '/',
+    'schedule.timeZone': ' ({timeZone})',
+    'schedule.occurrence': '{weekday} {month}/{day}, {time}',
+
+    // ═══ API ═══
+    'api.invalidCoordinates': 'Please provide a valid lat (-90~90) and lon (-180~180)',
+    'api.invalidTimeZone': 'Invalid time zone: {tz}',
+    'api.invalidDateTime': 'Invalid date, use YYYY-MM-DD or ISO 8601',
+    'api.invalidDate': 'Invalid date, use YYYY-MM-DD',
+    'api.invalidType': 'Invalid type',
+    'api.ovationUnavailable': 'Failed to fetch OVATION data',
+    'api.issUnavailable': 'Failed to fetch ISS data',
+    'api.issTleOutdated': 'ISS orbital data is more than {days} days old; predictions are paused',
+    'api.weatherUnavailable': 'Failed to fetch weather data',
+    'api.forecastUnavailable': 'Weather forecast unavailable',
+    'api.storageUnavailable': 'Storage not ready',
+
+    // ═══ 網頁儀表板（public/index.html，經 /api/i18n 提供）═══
+    'web.title': '🛰️ ORBITAL COMMAND - Space Weather Command Center v2.0',
+    'web.sidebar.sub': 'v4.0 Space Weather',
+    'web.nav.monitor': 'Monitoring',
+    'web.nav.dashboard': 'Live Dashboard',
+    'web.nav.aurora': 'Aurora Forecast',
+    'web.nav.solar': 'Solar Activity',
+    'web.nav.astro': 'Astronomy Tools',
+    'web.nav.golden': 'Golden Hour',
+    'web.nav.moon': 'Moon Phase Simulator',
+    'web.nav.tonight': 'What\'s Up Tonight',
+    'web.nav.trackers': 'Trackers',
+    'web.nav.iss': 'ISS Passes',
+    'web.nav.aurora-live': 'Aurora Live',
+    'web.nav.education': 'Learn',
+    'web.nav.sun-edu': 'Solar Structure',
+    'web.nav.quiz': 'Space Quiz',
+    'web.nav.admin': 'Administration',
+    'web.nav.subscribers': 'Subscribers',
+    'web.nav.push': 'Push Messages',
+    'web.nav.settings': 'Settings',
+    'web.header.subtitle': 'Space Weather Command Center v2.0',
+    'web.header.satellites': 'Satellites',
+    'web.header.streams': 'Data Streams',
+    'web.header.alert': 'Geomag Alert',
+    'web.header.uptime': 'Uptime',
+    'web.panel.aurora': 'Aurora Forecast',
+    'web.panel.flare': 'Solar Flares',
+    'web.panel.solarWind': 'Solar Wind',
+    'web.panel.iss': 'International Space Station',
+    'web.panel.radiation': 'Radiation & Comms',
+    'web.panel.ocean': 'Ocean Conditions',
+    'web.panel.weather': 'Surface Weather',
+    'web.page.aurora.title': '🌌 Aurora Forecast',
+    'web.page.aurora.subtitle': 'Live aurora monitoring and forecasts',
+    'web.page.solar.title': '☀️ Solar Activity',
+    'web.page.solar.subtitle': 'Flares, coronal mass ejections and solar wind',
+    'web.page.golden.title': '🌅 Golden Hour Calculator',
+    'web.page.golden.subtitle': 'Best times for photography',
+    'web.page.moon.title': '🌙 Moon Phase Simulator',
+    'web.page.moon.subtitle': 'Drag the timeline to see the phases change',
+    'web.page.tonight.title': '🔭 What\'s Up Tonight',
+    'web.page.tonight.subtitle': 'Targets ranked by planet positions, moonlight, sky darkness and clouds (uses the Golden Hour location)',
+    'web.page.iss.title': '🛰️ ISS Pass Forecast',
+    'web.page.iss.subtitle': 'Live position and visible passes over Taiwan',
+    'web.page.aurora-live.title': '📸 Aurora Observatory',
+    'web.page.aurora-live.subtitle': 'Live forecasts, solar imagery and webcams worldwide',
+    'web.page.sun-edu.title': '🧲 The Sun and Earth\'s Magnetic Field',
+    'web.page.sun-edu.subtitle': 'Interactive lesson',
+    'web.page.quiz.title': '🎲 Space Quiz',
+    'web.page.quiz.subtitle': 'Test your space knowledge!',
+    'web.page.subscribers.title': '👥 Subscribers',
+    'web.page.subscribers.subtitle': 'LINE bot subscribers',
+    'web.page.push.title': '📤 Push Messages',
+    'web.page.push.subtitle': 'Send LINE push messages',
+    'web.page.settings.title': '⚙️ Settings',
+    'web.page.settings.subtitle': 'Configuration',
+    'web.alert.loading': 'Monitoring... loading space weather data',
+    'web.alert.stable': 'Space weather is currently calm',
+    'web.alert.solarWind': 'Solar wind {speed} km/s',
+    'web.alert.iss': 'ISS operating normally',
+    'web.alert.partial': '⚠️ Some data is temporarily unavailable',
+    'web.alert.offline': '⚠️ Space weather data is temporarily unavailable ({reason}); values update automatically once the backend recovers',
+    'web.kp.label': 'Kp geomagnetic index',
+    'web.kp.unavailable': 'Data unavailable',
+    'web.kp.quiet': 'Quiet',
+    'web.kp.active': 'Active',
+    'web.kp.storm': 'Storm',
+    'web.kp.severe': 'Severe',
+    'web.common.loading': 'Loading...',
+    'web.common.lat': 'Latitude',
+    'web.common.lon': 'Longitude',
+    'web.common.date': 'Date',
+    'web.common.refresh': '🔄 Refresh',
+    'web.common.refreshed': 'Refreshed',
+    'web.region.iceland': '🇮🇸 Iceland',
+    'web.region.norway': '🇳🇴 Norway',
+    'web.region.finland': '🇫🇮 Finland',
+    'web.region.hokkaido': '🇯🇵 Hokkaido',
+    'web.region.canada': '🇨🇦 Canada',
+    'web.region.newZealand': '🇳🇿 New Zealand',
+    'web.region.antarctica': '🇦🇶 Antarctica',
+    'web.flare.x': 'X-class',
+    'web.flare.m': 'M-class',
+    'web.flare.c': 'C-class',
+    'web.flare.count': '{count} events',
+    'web.cme.title': '🌋 CME coronal mass ejection',
+    'web.cme.eta': 'Arrival',
+    'web.cme.none': 'None in the last 7 days',
+    'web.cme.arrived': 'Arrived',
+    'web.solarWind.speed': 'Speed',
+    'web.solarWind.density': 'Density',
+    'web.solarWind.bz': 'Magnetic field Bz',
+    'web.solarWind.xray': 'X-ray',
+    'web.globe.rotate': 'Auto-rotate',
+    'web.globe.terminator': 'Day/night terminator',
+    'web.globe.issOrbit': 'ISS orbit',
+    'web.globe.auroraOval': 'Aurora oval',
+    'web.globe.heatmap': 'Temperature map',
+    'web.stats.globalTemp': 'Global mean temp',
+    'web.stats.seaLevel': 'Sea level mm/yr',
+    'web.stats.arcticIce': 'Arctic ice',
+    'web.stats.storms': 'Active storms',
+    'web.stats.radiationStorm': 'Radiation storm',
+    'web.iss.tracking': 'Live tracking',
+    'web.iss.altitude': 'Altitude',
+    'web.iss.speed': 'Speed',
+    'web.iss.locating': '📍 Current position: calculating...',
+    'web.iss.altitudeKm': 'Altitude km',
+    'web.iss.over.japanTaiwan': 'Over Japan/Taiwan',
+    'web.iss.over.usa': 'Over the United States',
+    'web.iss.over.europe': 'Over Europe',
+    'web.iss.over.australia': 'Over Australia',
+    'web.iss.over.asia': 'Over Asia',
+    'web.iss.over.southAmerica': 'Over South America',
+    'web.iss.over.africa': 'Over Africa',
+    'web.iss.over.polar': 'Over the polar regions',
+    'web.iss.over.ocean': 'Over the ocean',
+    'web.tab.radiation': '☢️ Radiation',
+    'web.tab.radio': '📻 Radio',
+    'web.radiation.level': 'Space radiation level',
+    'web.radiation.proton': 'Proton flux >10MeV',
+    'web.radiation.electron': 'Electron flux >2MeV',
+    'web.radio.blackout': 'HF radio blackout',
+    'web.radio.hf': 'HF (3-30MHz)',
+    'web.radio.vhf': 'VHF',
+    'web.radio.gps': 'GPS navigation',
+    'web.radio.satcom': 'Satellite comms',
+    'web.radio.normal': 'Normal',
+    'web.ocean.waveHeight': 'Wave height',
+    'web.ocean.period': 'Period',
+    'web.ocean.seaTemp': 'Sea temp',
+    'web.ocean.tide': 'Tide',
+    'web.ocean.tides': ['Rising', 'High tide', 'Falling', 'Low tide'],
+    'web.weather.search': 'Search city...',
+    'web.weather.clear': 'Clear',
+    'web.weather.feelsLike': 'Feels like',
+    'web.weather.humidity': 'Humidity',
+    'web.weather.wind': 'Wind',
+    'web.weather.visibility': 'Visibility',
+    'web.weather.partlyCloudy': 'Partly cloudy',
+    'web.weather.cloudy': 'Cloudy',
+    'web.weather.fog': 'Fog',
+    'web.weather.drizzle': 'Drizzle',
+    'web.weather.rain': 'Rain',
+    'web.weather.snow': 'Snow',
+    'web.weather.thunderstorm': 'Thunderstorm',
+    'web.aurora.kpNow': 'Current Kp index',
+    'web.aurora.advice': 'Viewing tips',
+    'web.aurora.adviceQuiet': 'Aurora activity is quiet; try viewing from high latitudes.',
+    'web.aurora.adviceTime': 'Best time: 22:00 - 02:00',
+    'web.aurora.adviceDark': 'Get away from city lights',
+    'web.aurora.adviceView': 'Find an open view of the sky',
+    'web.solar.flares24h': 'Flares (24h)',
+    'web.solar.windSpeed': 'Solar wind km/s',
+    'web.solar.kpMax24h': '24h max Kp',
+    'web.golden.morning': '🌅 Morning golden hour',
+    'web.golden.morningDesc': 'Soft light around sunrise',
+    'web.golden.evening': '🌇 Evening golden hour',
+    'web.golden.eveningDesc': 'Warm light around sunset',
+    'web.golden.blue': '🔵 Blue hour',
+    'web.golden.riseSet': '🌅 Sunrise / 🌇 Sunset',
+    'web.golden.noon': '☀️ Solar noon / Day length',
+    'web.golden.civil': 'Civil twilight (-6°) dawn / dusk',
+    'web.golden.nautical': 'Nautical twilight (-12°) dawn / dusk',
+    'web.golden.astronomical': 'Astronomical twilight (-18°) dawn / dusk',
+    'web.golden.timeZone': 'Time zone',
+    'web.golden.location': 'Location',
+    'web.golden.useLocation': '📍 Use my location',
+    'web.golden.located': 'Location found',
+    'web.golden.locateFailed': 'Unable to get your location',
+    'web.golden.polarDay': 'Midnight sun',
+    'web.golden.polarNight': 'Polar night',
+    'web.golden.error': 'Unable to calculate sunrise and sunset',
+    'web.moon.new': '🌑New',
+    'web.moon.firstQuarter': '🌓First qtr',
+    'web.moon.full': '🌕Full',
+    'web.moon.lastQuarter': '🌗Last qtr',
+    'web.moon.illumination': 'Illumination: {percent}%',
+    'web.moon.phases': ['🌑 New moon', '🌒 Waxing crescent', '🌓 First quarter', '🌔 Waxing gibbous', '🌕 Full moon', '🌖 Waning gibbous', '🌗 Last quarter', '🌘 Waning crescent'],
+    'web.tonight.moon': 'Moon',
+    'web.tonight.conditions': 'Conditions',
+    'web.tonight.planets': 'Visible planets',
+    'web.tonight.targets': 'Recommended targets',
+    'web.tonight.polarDay': 'No night during the midnight sun',
+    'web.tonight.none': 'No good targets for the rest of tonight',
+    'web.tonight.window': '{start} - {end}, best at {peak}',
+    'web.tonight.where': ', {direction} at {altitude}°',
+    'web.tonight.direction': ', {direction}',
+    'web.tonight.magnitude': ', magnitude {magnitude}',
+    'web.tonight.rate': ', about {rate} per hour',
+    'web.tonight.error': 'Unable to load tonight\'s plan',
+    'web.auroraLive.north': 'Northern hemisphere aurora forecast',
+    'web.auroraLive.northAlt': 'Northern hemisphere',
+    'web.auroraLive.ovation': 'NOAA OVATION model, 30-minute forecast',
+    'web.auroraLive.south': 'Southern hemisphere aurora forecast',
+    'web.auroraLive.southAlt': 'Southern hemisphere',
+    'web.auroraLive.sun': 'Live solar imagery',
+    'web.auroraLive.sdo304Alt': 'Sun, SDO 304',
+    'web.auroraLive.sdo304': 'NASA SDO 304Å extreme ultraviolet',
+    'web.auroraLive.corona': 'Solar corona imagery',
+    'web.auroraLive.sdo193Alt': 'Sun, SDO 193',
+    'web.auroraLive.sdo193': 'NASA SDO 193Å corona',
+    'web.auroraLive.cams': 'Aurora webcams worldwide (click to open the stream)',
+    'web.auroraLive.manitoba': 'Manitoba, Canada',
+    'web.auroraLive.exploreOrg': 'Explore.org 24/7 live stream',
+    'web.auroraLive.youtube': 'YouTube aurora streams',
+    'web.auroraLive.youtubeDesc': 'Search live aurora worldwide',
+    'web.auroraLive.search': 'Search →',
+    'web.auroraLive.auroraMax': 'AuroraMAX Yellowknife',
+    'web.auroraLive.auroraMaxDesc': 'Official, Canadian Space Agency',
+    'web.auroraLive.open': 'Open →',
+    'web.auroraLive.iceland': 'Iceland, several sites',
+    'web.auroraLive.northernLightsCentre': 'Northern Lights Centre',
+    'web.auroraLive.yukon': 'Live conditions in Yukon',
+    'web.auroraLive.spaceWeatherLive': 'Live aurora activity data',
+    'web.auroraLive.bestTime': 'Best viewing times',
+    'web.auroraLive.taiwanTime': 'Taiwan time',
+    'web.auroraLive.guide': 'Viewing conditions guide',
+    'web.auroraLive.kpHigh': 'Active aurora, worth watching',
+    'web.auroraLive.kpMid': 'Faint aurora possible',
+    'web.auroraLive.kpLow': 'Aurora quiet',
+    'web.auroraLive.nightClear': '💡 Aurora is only visible at night under clear skies',
+    'web.sunEdu.sun': 'Structure of the Sun',
+    'web.sunEdu.corona': '🔥 Corona',
+    'web.sunEdu.coronaDesc': 'Outermost layer, at millions of degrees',
+    'web.sunEdu.chromosphere': '🌡️ Chromosphere',
+    'web.sunEdu.chromosphereDesc': 'Where flares happen',
+    'web.sunEdu.photosphere': '💡 Photosphere',
+    'web.sunEdu.photosphereDesc': 'Visible surface, about 5500°C',
+    'web.sunEdu.magnetosphere': '🛡️ Magnetosphere',
+    'web.sunEdu.magnetosphereDesc': 'Shields Earth from the solar wind',
+    'web.sunEdu.auroralOval': '🌌 Auroral oval',
+    'web.sunEdu.auroralOvalDesc': 'Where aurora forms',
+    'web.sunEdu.bz': '⚡ Bz component',
+    'web.sunEdu.bzDesc': 'When negative, the solar wind gets in more easily',
+    'web.sunEdu.earth': 'Earth\'s magnetic field',
+    'web.quiz.correct': 'Correct',
+    'web.quiz.wrong': 'Wrong',
+    'web.quiz.streak': 'Streak',
+    'web.quiz.q1': 'About how hot is the Sun\'s surface?',
+    'web.quiz.next': 'Next ▶',
+    'web.quiz.explainTitle': 'Did you know',
+    'web.quiz.explainHint': 'The explanation appears after you answer...',
+    'web.quiz.q1.options': ['3000°C', '5500°C', '8000°C', '15000°C'],
+    'web.quiz.q1.explain': 'The photosphere is about 5500°C, while the core reaches 15 million degrees!',
+    'web.quiz.q2': 'How long does the ISS take to orbit Earth once?',
+    'web.quiz.q2.options': ['45 minutes', '90 minutes', '120 minutes', '24 hours'],
+    'web.quiz.q2.explain': 'The ISS travels at about 7.7 km per second and circles Earth in about 90 minutes.',
+    'web.quiz.q3': 'What is the highest possible Kp index?',
+    'web.quiz.q3.options': ['5', '7', '9', '10'],
+    'web.quiz.q3.explain': 'Kp ranges from 0 to 9; Kp 9 means an extreme geomagnetic storm.',
+    'web.quiz.q4': 'What mainly causes aurora?',
+    'web.quiz.q4.options': ['Reflected moonlight', 'Solar wind hitting the atmosphere', 'Geothermal energy', 'Lightning'],
+    'web.quiz.q4.explain': 'Charged solar wind particles follow magnetic field lines into the atmosphere and make oxygen and nitrogen glow.',
+    'web.quiz.right': 'Correct!',
+    'web.quiz.missed': 'Wrong',
+    'web.subscribers.total': 'Total subscriptions',
+    'web.subscribers.active': 'Active users',
+    'web.subscribers.today': 'New today',
+    'web.push.test': 'Test push',
+    'web.push.userId': 'User ID',
+    'web.push.userIdPlaceholder': 'Enter a LINE user ID',
+    'web.push.type': 'Message type',
+    'web.push.type.weather': 'Space weather overview',
+    'web.push.type.aurora': 'Aurora forecast',
+    'web.push.type.solar': 'Solar wind data',
+    'web.push.type.iss': 'ISS position',
+    'web.push.sendTest': '📤 Send test',
+    'web.push.userIdHint': '💡 Find user IDs in the LINE bot console or the subscriber list',
+    'web.push.broadcast': 'Broadcast',
+    'web.push.audience': 'Audience',
+    'web.push.audience.all': '📢 All subscribers',
+    'web.push.audience.daily': '📅 Daily subscribers',
+    'web.push.audience.aurora': '🌌 Aurora subscribers',
+    'web.push.audience.weather': '☀️ Space weather subscribers',
+    'web.push.content': 'Message',
+    'web.push.contentPlaceholder': 'Enter the broadcast message...',
+    'web.push.broadcastWarning': '⚠️ The broadcast goes to subscribers of the selected type',
+    'web.push.sendBroadcast': '📢 Send broadcast',
+    'web.push.result': 'Result',
+    'web.push.waiting': 'Waiting...',
+    'web.push.userIdRequired': 'Enter a user ID',
+    'web.push.sending': '⏳ Sending...',
+    'web.push.sent': '✅ Sent!\nTime: {time}\nType: {type}\nUser: {user}',
+    'web.push.testSent': 'Test push sent',
+    'web.push.failed': '❌ Send failed\n{reason}',
+    'web.push.unknownError': 'Unknown error',
+    'web.push.failedToast': 'Send failed: {reason}',
+    'web.push.connectionError': '❌ Connection error\n{reason}',
+    'web.push.connectionFailed': 'Connection failed',
+    'web.push.contentRequired': 'Enter the broadcast message',
+    'web.push.confirm': 'Send this broadcast to "{audience}"?\n\nMessage: {message}',
+    'web.push.broadcasting': '⏳ Broadcasting...',
+    'web.push.broadcasted': '✅ Broadcast sent!\nTime: {time}\nAudience: {audience}\nDelivered: {sent}/{total}\nMessage: {message}',
+    'web.push.broadcastSent': 'Broadcast sent to {count} people',
+    'web.push.broadcastFailed': '❌ Broadcast failed\n{reason}',
+    'web.push.broadcastFailedToast': 'Broadcast failed: {reason}',
+    'web.settings.alerts': 'Alert settings',
+    'web.settings.kpThreshold': 'Kp alert threshold',
+    'web.settings.adminKey': '🔑 Admin API key (for push management)',
+    'web.settings.adminKeyPlaceholder': 'Enter the admin key',
+    'web.settings.adminKeyHint': '💡 Must match the ADMIN_API_KEY environment variable on Render',
+    'web.settings.save': '💾 Save settings',
+    'web.settings.saved': 'Settings saved',
+    'web.auroraOval.unavailable': 'Aurora view line is temporarily unavailable',
+    'web.api.error': 'API error',
+    'web.age.justNow': 'just now',
+    'web.age.minutes': '{count} min ago',
+    'web.age.hours': '{count} h ago',
+    'web.age.days': '{count} days ago',
+    'web.data.offline': ' (offline)',
+    'web.data.noaaUnavailable': 'NOAA data unavailable',
+    'web.city.kaohsiung': 'Kaohsiung',
+    'web.city.taipei': 'Taipei',
+    'web.city.tokyo': 'Tokyo',
+    'web.city.seoul': 'Seoul',
+    'web.city.newYork': 'New York',
+    'web.city.london': 'London',
+    'web.city.reykjavik': 'Reykjavik',
+    'web.city.tromso': 'Tromsø'
+};
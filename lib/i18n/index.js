@@ -0,0 +1,123 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 多語系訊息
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * LINE 回覆、推播、API 訊息與網頁儀表板的訊息目錄（繁體中文 / English / 日本語）。
+ *
+ *   鍵值以「功能.項目」命名，例如 moon.title、launch.status.Go
+ *   字串中的 {name} 以參數代入；需要依參數組句時值可以是函式 params => string
+ *   其他語言缺少的鍵退回繁體中文，繁體中文也沒有時回傳鍵值本身
+ */
+
+const catalogues = {
+    'zh-TW': require('./zh-TW'),
+    en: require('./en'),
+    ja: require('./ja')
+};
+
+const DEFAULT_LANGUAGE = 'zh-TW';
+
+// 語言代碼 → 顯示名稱與日期格式化使用的 locale
+const LANGUAGES = {
+    'zh-TW': { name: '繁體中文', locale: 'zh-TW' },
+    en: { name: 'English', locale: 'en-US' },
+    ja: { name: '日本語', locale: 'ja-JP' }
+};
+
+/**
+ * 語言標籤（LINE 個人檔案、Accept-Language、指令參數）→ 支援的語言代碼
+ * 中文一律使用繁體；不支援的語言回傳 null
+ */
+function normalizeLanguage(tag) {
+    if (!tag) return null;
+    const value = String(tag).trim().toLowerCase().replace('_', '-');
+    if (/^(zh|cn|tw|中文|繁體|繁中|國語)/.test(value)) return 'zh-TW';
+    if (/^(en|英文|英語)/.test(value)) return 'en';
+    if (/^(ja|jp|日文|日語|日本語|にほんご)/.test(value)) return 'ja';
+    return null;
+}
+
+// Accept-Language 標頭：依 q 值排序，取第一個支援的語言
+function fromAcceptLanguage(header) {
+    if (!header) return null;
+    const tags = String(header).split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+            return { tag, q: q ? parseFloat(q.slice(2)) : 1, index };
+        })
+        .filter(item => item.tag && item.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const item of tags) {
+        const lang = normalizeLanguage(item.tag);
+        if (lang) return lang;
+    }
+    return null;
+}
+
+function resolveLanguage(lang) {
+    return catalogues[lang] ? lang : DEFAULT_LANGUAGE;
+}
+
+function has(lang, key) {
+    return Object.prototype.hasOwnProperty.call(catalogues[resolveLanguage(lang)], key);
+}
+
+/**
+ * 取得訊息
+ * @param {string} lang 語言代碼
+ * @param {string} key 訊息鍵值
+ * @param {object} [params] 代入參數
+ * @returns {*} 通常為字串；清單類訊息（如方位名稱）為陣列
+ */
+function t(lang, key, params = {}) {
+    const catalogue = catalogues[resolveLanguage(lang)];
+    const value = key in catalogue ? catalogue[key] : catalogues[DEFAULT_LANGUAGE][key];
+    if (value === undefined) return key;
+    if (typeof value === 'function') return value(params);
+    if (typeof value !== 'string') return value;
+    return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined || params[name] === null ? match : String(params[name])));
+}
+
+// 日期格式化使用的 locale
+function locale(lang) {
+    return LANGUAGES[resolveLanguage(lang)].locale;
+}
+
+/**
+ * 綁定語言的 t()，格式化函式以 t('key', params) 使用
+ * 另帶 lang、locale 與 has(key)
+ */
+function translator(lang) {
+    const resolved = resolveLanguage(lang);
+    const fn = (key, params) => t(resolved, key, params);
+    fn.lang = resolved;
+    fn.locale = locale(resolved);
+    fn.has = key => has(resolved, key);
+    return fn;
+}
+
+/**
+ * 以 prefix 開頭的訊息（網頁儀表板經 /api/i18n 取得 web.* 鍵值）
+ * 缺少的鍵以繁體中文補齊；函式值無法傳給瀏覽器，不列入
+ * @returns {object} 鍵值 → 字串或陣列
+ */
+function messages(lang, prefix) {
+    const merged = { ...catalogues[DEFAULT_LANGUAGE], ...catalogues[resolveLanguage(lang)] };
+    return Object.fromEntries(Object.entries(merged)
+        .filter(([key, value]) => key.startsWith(prefix) && typeof value !== 'function'));
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    normalizeLanguage,
+    fromAcceptLanguage,
+    has,
+    t,
+    locale,
+    translator,
+    messages
+};
@@ -0,0 +1,957 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 訊息目錄：日本語
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 提示中的指令使用日文別名（見 lib/commands.js），中文指令同樣有效
+ */
+
+module.exports = {
+    // ═══ 共用 ═══
+    'score.excellent': '最高',
+    'score.good': '良好',
+    'score.fair': '普通',
+    'score.poor': '不良',
+    'compass.points': ['北', '北北東', '北東', '東北東', '東', '東南東', '南東', '南南東',
+        '南', '南南西', '南西', '西南西', '西', '西北西', '北西', '北北西'],
+    'place.default': '台北',
+    'command.suggest': '🤔 もしかして：{commands}',
+    'place.unknown': '❌ 地名「{city}」が見つかりません\n\n県市・郷鎮・都市名を入力してください。例：\n花蓮、玉里、合歡山、東京、Paris\nまたは LINE の位置情報を送信してください',
+
+    // ═══ 語言設定 ═══
+    'language.current': '🌐 現在の言語：{name}\n\n次のコマンドで切り替え：\n• language zh　繁體中文\n• language en　English\n• language ja　日本語',
+    'language.set': '✅ 日本語に切り替えました\n\n「menu」でコマンド一覧を表示',
+
+    // ═══ 時區 ═══
+    'timeZone.current': '🕐 現在のタイムゾーン：{timeZone}\n\n毎日レポートはこのタイムゾーンで配信します\n「タイムゾーン Asia/Tokyo」または「タイムゾーン 東京」で変更',
+    'timeZone.set': '✅ タイムゾーンを {timeZone} に設定しました\n現地時刻 {time}、毎日レポートはこのタイムゾーンで配信します',
+    'timeZone.invalid': '❌ タイムゾーン「{value}」を認識できません\n\nIANA 名（Asia/Tokyo、Europe/London など）または都市名を入力してください',
+    'language.unsupported': '❌ 対応していない言語「{value}」\n\n選択肢：zh（繁體中文）、en（English）、ja（日本語）',
+
+    // ═══ 歡迎訊息 ═══
+    'welcome': `🛰️ ORBITAL COMMAND へようこそ！
+
+宇宙天気指令センターがお届けします：
+
+🌌 リアルタイムのオーロラ予報
+☀️ 太陽活動の監視
+🚀 ISS の追跡
+⚠️ 宇宙天気アラート
+
+━━━━━━━━━━━━━━━━
+
+📱 はじめに：
+• 「aurora」でオーロラ予報
+• 「solar」で太陽活動
+• 「menu」でコマンド一覧
+• 「language zh」切換為繁體中文 / Type "language en" for English
+
+良い観測を！✨`,
+
+    // ═══ 火箭發射 ═══
+    'countdown.now': '打ち上げ時刻です',
+    'countdown.days': '{days} 日 {hours} 時間',
+    'countdown.hours': '{hours} 時間 {minutes} 分',
+    'countdown.minutes': '{minutes} 分',
+    'launch.status.Go': '🟢 打ち上げ決定',
+    'launch.status.TBC': '🟡 確認待ち',
+    'launch.status.TBD': '🟡 未定',
+    'launch.status.Hold': '🟠 カウントダウン停止',
+    'launch.status.In Flight': '🚀 飛行中',
+    'launch.status.Success': '✅ 打ち上げ成功',
+    'launch.status.Failure': '❌ 打ち上げ失敗',
+    'launch.status.Partial Failure': '⚠️ 一部失敗',
+    'launch.tentative': '（暫定）',
+    'launch.tbd': '未定',
+    'launch.title': '🛸 打ち上げ情報',
+    'launch.rocket': '🛰️ ロケット：{rocket}',
+    'launch.countdown': '⏳ カウントダウン：{countdown}',
+    'launch.net': '📅 NET：{date}',
+    'launch.webcast': '📺 中継：{url}',
+    'launch.bundled': '⚠️ 最新スケジュールを取得できないため参考データを表示しています',
+    'launch.netNote': '🕐 時刻は台湾時間（NET：これより早くはない）',
+    'launch.timeNote': '🕐 時刻は台湾時間',
+    'launch.hint': '💡 「打ち上げ一覧」で一覧、「打ち上げ通知」でカウントダウン通知',
+    'launch.none': '🛸 予定されている打ち上げはありません',
+    'launch.listTitle': '🛸 打ち上げ予定',
+    'launch.liveLinks': '🔗 最新の打ち上げ情報：',
+    'launch.listHint': '💡 「打ち上げ通知」または「打ち上げ通知 SpaceX」でカウントダウン通知',
+    'launch.filter.provider': '打ち上げ事業者「{name}」',
+    'launch.filter.rocket': 'ロケット「{name}」',
+    'launch.filter.all': 'すべての打ち上げ',
+    'launch.stage.T-24h': 'T-24 時間',
+    'launch.stage.T-1h': 'T-1 時間',
+    'launch.stage.liftoff': 'リフトオフ',
+    'launch.reminder.title': '⏰ 打ち上げリマインダー：{stage}',
+    'launch.reminder.liftoff': '🚀 リフトオフ！',
+    'launch.reminder.timeUp': '🚀 打ち上げ時刻です！',
+    'launch.change.scrub': '🛑 打ち上げ中止（スクラブ）',
+    'launch.change.net': '📅 打ち上げ時刻の変更',
+    'launch.change.hold': '🟠 カウントダウン停止',
+    'launch.change.resume': '🟢 カウントダウン再開',
+    'launch.change.previous': '変更前：{date}',
+    'launch.change.newNet': '新しい NET：{date}',
+
+    // ═══ 月相 ═══
+    'moon.phase.new': '新月',
+    'moon.phase.waxingCrescent': '三日月',
+    'moon.phase.firstQuarter': '上弦の月',
+    'moon.phase.waxingGibbous': '十三夜月',
+    'moon.phase.full': '満月',
+    'moon.phase.waningGibbous': '寝待月',
+    'moon.phase.lastQuarter': '下弦の月',
+    'moon.phase.waningCrescent': '有明月',
+    'moon.title': '🌙 今日の月',
+    'moon.waxing': '満ちていく',
+    'moon.waning': '欠けていく',
+    'moon.phaseLine': '{icon} {phase}（{trend}）',
+    'moon.illumination': '📊 輝面比：{value}%',
+    'moon.age': '📆 月齢：{value} 日',
+    'moon.distance': '📏 距離：{value} km',
+    'moon.rise': '🌄 月の出：{time}',
+    'moon.set': '🌃 月の入り：{time}',
+    'moon.noEvent': '本日なし',
+    'moon.next.new': '🌑 新月：{date}',
+    'moon.next.firstQuarter': '🌓 上弦：{date}',
+    'moon.next.full': '🌕 満月：{date}',
+    'moon.next.lastQuarter': '🌗 下弦：{date}',
+    'moon.viewing': '🔭 星空観測：{condition}',
+    'moon.viewing.good': '最高 ⭐',
+    'moon.viewing.fair': '普通',
+    'moon.viewing.bright': '月明かりが強い',
+    'moon.hint': '💡 新月の前後が星空観測に最適です。位置情報を送ると現地の月の出・月の入りを表示します',
+    'moonlight.good': '最高（月明かりの影響が少ない）',
+    'moonlight.fair': '普通（月明かりの影響あり）',
+    'moonlight.poor': '不良（月明かりが強い）',
+
+    // ═══ 黃金時刻 ═══
+    'sun.title': '🌅 ゴールデンアワー',
+    'sun.polarDay': '☀️ 白夜のため太陽は沈みません',
+    'sun.polarNight': '🌑 極夜のため太陽は昇りません',
+    'sun.riseSet': '🌅 日の出 {sunrise}　🌇 日の入り {sunset}',
+    'sun.dayLength': '☀️ 日照 {hours} 時間 {minutes} 分',
+    'sun.morning': '📸 朝',
+    'sun.evening': '📸 夕方',
+    'sun.blueHour': '🔵 ブルーアワー：{range}',
+    'sun.goldenHour': '🟠 ゴールデンアワー：{range}',
+    'sun.twilight': '🌗 薄明（朝 / 夕）',
+    'sun.civil': '常用：{dawn} / {dusk}',
+    'sun.nautical': '航海：{dawn} / {dusk}',
+    'sun.astronomical': '天文：{dawn} / {dusk}',
+    'sun.hint': '💡 天文薄明が終わると空は完全に暗くなり、星空撮影に最適です',
+
+    // ═══ 流星雨 ═══
+    'meteor.shower.QUA': 'しぶんぎ座流星群',
+    'meteor.shower.LYR': 'こと座流星群',
+    'meteor.shower.ETA': 'みずがめ座η流星群',
+    'meteor.shower.SDA': 'みずがめ座δ南流星群',
+    'meteor.shower.PER': 'ペルセウス座流星群',
+    'meteor.shower.DRA': 'りゅう座流星群',
+    'meteor.shower.ORI': 'オリオン座流星群',
+    'meteor.shower.STA': 'おうし座南流星群',
+    'meteor.shower.LEO': 'しし座流星群',
+    'meteor.shower.GEM': 'ふたご座流星群',
+    'meteor.shower.URS': 'こぐま座流星群',
+    'meteor.parent.QUA': '小惑星 2003 EH1',
+    'meteor.parent.LYR': 'サッチャー彗星',
+    'meteor.parent.ETA': 'ハレー彗星',
+    'meteor.parent.SDA': 'マックホルツ彗星',
+    'meteor.parent.PER': 'スイフト・タットル彗星',
+    'meteor.parent.DRA': 'ジャコビニ・ツィナー彗星',
+    'meteor.parent.ORI': 'ハレー彗星',
+    'meteor.parent.STA': 'エンケ彗星',
+    'meteor.parent.LEO': 'テンペル・タットル彗星',
+    'meteor.parent.GEM': '小惑星 3200 フェートン',
+    'meteor.parent.URS': 'タットル彗星',
+    'meteor.title': '☄️ 流星群予報',
+    'meteor.rate': '1 時間あたり約 {rate} 個（{time}、放射点 {direction} {altitude}°）',
+    'meteor.radiantDown': '放射点が昇っておらず見えにくい',
+    'meteor.peakIn': '{days} 日後に極大',
+    'meteor.peakTonight': '今夜極大',
+    'meteor.peakPassed': '極大から {days} 日経過',
+    'meteor.active': '🔥 活動中：{name}',
+    'meteor.period': '📅 {start} - {end}（{when}）',
+    'meteor.tonight': '🌃 今夜：{forecast}',
+    'meteor.upcoming': '📅 今後の流星群',
+    'meteor.upcomingShower': '⭐ {name}（ZHR {zhr}）',
+    'meteor.peakDate': '   📅 極大 {date}（{days} 日後）',
+    'meteor.moonlight': '   🌙 月明かり {value}%{condition}',
+    'meteor.condition': '、{condition}',
+    'meteor.currentMoon': '{icon} 現在の月：{phase}（輝面比 {value}%）',
+    'meteor.hint': '💡 位置情報を送ると現地の放射点高度を計算します。「流星群通知」で極大 2 日前に通知',
+    'meteor.reminder.title': '☄️ {name}がまもなく極大！',
+    'meteor.reminder.peak': '📅 極大：{date} の夜（{days} 日後）',
+    'meteor.reminder.period': '🗓️ 活動期間：{start} - {end}',
+    'meteor.reminder.rate': '💫 ZHR {zhr}、この場所では 1 時間あたり約 {rate} 個',
+    'meteor.reminder.best': '🕐 最適な時間：{time}（放射点 {direction} {altitude}°）',
+    'meteor.reminder.radiantNeverUp': '🕐 この場所では放射点が昇らず、流星はごくわずかです',
+    'meteor.reminder.moonlight': '🌙 月明かり：{value}%{condition}',
+    'meteor.reminder.parent': '☄️ 母天体：{parent}',
+    'meteor.reminder.tip': '💡 光害の少ない場所で寝転んで空全体を眺め、目を 20 分ほど暗さに慣らしましょう',
+
+    // ═══ ISS ═══
+    'iss.region.ocean': '海の上空',
+    'iss.region.japanTaiwan': '日本 / 台湾上空',
+    'iss.region.usa': 'アメリカ上空',
+    'iss.region.europe': 'ヨーロッパ上空',
+    'iss.region.australia': 'オーストラリア上空',
+    'iss.region.asia': 'アジア上空',
+    'iss.region.southAmerica': '南アメリカ上空',
+    'iss.region.africa': 'アフリカ上空',
+    'iss.region.polar': '極域上空',
+    'iss.unavailable': '🚀 ISS のデータを取得できません。しばらくしてから再度お試しください',
+    'iss.message': p => `🚀 国際宇宙ステーション (ISS) 現在位置
+━━━━━━━━━━━━━━━━
+
+📍 現在地：${p.location}
+
+🌐 座標
+緯度：${p.lat}°
+経度：${p.lon}°
+
+📡 軌道情報
+高度：${p.altitude} km
+速度：${p.velocity} km/h
+
+━━━━━━━━━━━━━━━━
+
+🔭 ISS 豆知識：
+• 約 90 分で地球を一周
+• 1 日に 16 回の日の出と日の入り
+• 現在 7 名の宇宙飛行士が滞在
+• 軌道傾斜角 51.6°
+
+━━━━━━━━━━━━━━━━
+
+🌙 観測のヒント：
+ISS は明るい星が素早く動いていくように見えます
+「ISS通過」で今後 3 日間の可視パスを表示
+
+💡 位置情報を送って「ISS通知」と入力すると、通過 10 分前に通知します`,
+    'iss.passes.title': '🛰️ ISS 通過予報',
+    'iss.passes.none': '今後 3 日間に見える ISS の通過はありません\n（仰角 10° 以上、ISS が日照中で空が暗いこと）',
+    'iss.passes.maxElevation': '📐 最大仰角 {elevation}°（{direction}）',
+    'iss.passes.magnitude': '✨ 明るさ {value} 等',
+    'iss.passes.tle': '📡 軌道データ：{date}',
+    'iss.passes.outdated': '⚠️ 軌道データが {days} 日以上更新されていないため、通過予報を停止しています（古いデータは誤差が大きすぎます）',
+    'iss.passes.hint': '💡 位置情報を送るか「ISS通過 東京」で現地の通過を表示',
+    'iss.alert.title': '🛰️ まもなく ISS が通過！',
+    'iss.alert.in': '⏰ 約 {minutes} 分後（{time}）',
+    'iss.alert.appear': '🧭 出現：{direction} 仰角 {elevation}°',
+    'iss.alert.peak': '📐 最高：{direction} 仰角 {elevation}°（{time}）',
+    'iss.alert.disappear': '🌑 消失：{direction}（{time}）',
+    'iss.alert.magnitude': '✨ 明るさ：{value} 等',
+    'iss.alert.tip': '💡 ISS は瞬かずに一定の速さで動く明るい星のように見えます',
+
+    // ═══ 今晚觀測 ═══
+    'planet.mercury': '水星',
+    'planet.venus': '金星',
+    'planet.mars': '火星',
+    'planet.jupiter': '木星',
+    'planet.saturn': '土星',
+    'deepSky.m31': 'アンドロメダ銀河 M31',
+    'deepSky.m42': 'オリオン大星雲 M42',
+    'deepSky.m45': 'プレアデス星団 M45',
+    'deepSky.m13': 'ヘルクレス座球状星団 M13',
+    'deepSky.m8': '干潟星雲 M8',
+    'deepSky.milkyWay': '天の川銀河中心',
+    'deepSky.m44': 'プレセペ星団 M44',
+    'deepSky.doubleCluster': 'ペルセウス座二重星団',
+    'deepSky.omegaCen': 'ケンタウルス座ω星団',
+    'deepSky.lmc': '大マゼラン雲',
+    'tonight.noNight': '夜なし',
+    'tonight.moonTarget': '月（{phase}）',
+    'tonight.auroraTarget': 'オーロラ（Kp {kp}）',
+    'tonight.title': '🔭 今夜の見どころ',
+    'tonight.polarDay': '☀️ 白夜のため観測できる夜がありません',
+    'tonight.sunsetSunrise': '🌇 日の入り {sunset}　🌅 日の出 {sunrise}',
+    'tonight.darkness': '🌌 天文薄明終了：{start} - {end}',
+    'tonight.moon': '{icon} {phase}（輝面比 {value}%）',
+    'tonight.cloud': '☁️ 雲量：{value}',
+    'tonight.conditions': '⭐ 観測条件：{label}（{score} 点）',
+    'tonight.noTargets': '😴 今夜の残り時間に適した観測対象はありません',
+    'tonight.targets': '🎯 おすすめの対象',
+    'tonight.target': '{index}. {icon} {name}（{score} 点）',
+    'tonight.window': '   🕐 {start} - {end}',
+    'tonight.peak': '   📈 最適 {time}{where}',
+    'tonight.where': '、{direction} {altitude}°',
+    'tonight.whereAurora': '、{direction}',
+    'tonight.hint': '💡 位置情報を送ると現地の観測プランを表示します',
+
+    // ═══ 觀星預報 ═══
+    'observing.title': '🔭 星空予報（今後 3 晩）',
+    'observing.night': '📅 {date} の夜',
+    'observing.polarDay': '☀️ 白夜のため観測できる夜がありません',
+    'observing.outOfRange': '❔ 予報範囲外',
+    'observing.average': '{icon} 一晩平均 {score} 点（{label}）',
+    'observing.best': '🏆 最適 {time}（{score} 点）',
+    'observing.clouds': '   ☁️ 下層 {low}% / 中層 {mid}% / 上層 {high}%',
+    'observing.humidity': '   💧 湿度 {humidity}%　🌬️ シーイング {seeing}',
+    'observing.moonUp': '   🌙 月が出ています（輝面比 {value}%）',
+    'observing.hour': '{hour}時',
+    'observing.legend': '🟢 ≥70 最高　🟡 ≥45 良好　🟠 ≥25 普通　🔴 不良',
+    'observing.hint': '💡 雲の層、湿度、視程、風とジェット気流、薄明、月明かりから算出しています',
+    'observing.unavailable': '❌ 星空予報を取得できません。しばらくしてから再度お試しください',
+
+    // ═══ 太空氣象報告 ═══
+    'kp.quiet': '静穏',
+    'kp.active': '活発',
+    'kp.storm': '磁気嵐',
+    'kp.severe': '激しい',
+    'reading.unavailable': 'データを取得できません',
+    'report.title': '🛰️ 宇宙天気レポート',
+    'report.aurora': '🌌 オーロラ予報',
+    'report.kp': '{emoji} Kp 指数：{kp} ({status})',
+    'report.gLevel': '📊 地磁気嵐：{level}',
+    'report.chances': '🌍 オーロラが見える確率',
+    'report.solar': '☀️ 太陽活動',
+    'report.flare': '🔥 フレア規模：{value}',
+    'report.solarWind': '💨 太陽風：{value} km/s',
+    'report.bz': '🧲 磁場 Bz：{value} nT',
+    'report.radiation': '☢️ 放射線嵐：{value}',
+    'report.iss': '🚀 国際宇宙ステーション',
+    'report.issComputing': '計算中',
+    'report.altitude': '📡 高度：{value} km',
+    'report.updated': '⏰ 更新時刻：{time}',
+    'report.hint': '💡 コマンドで詳細を表示：\n「aurora」「solar」「iss」「menu」',
+    'report.alert.strongStorm': '🔴 強い磁気嵐 {level}',
+    'report.alert.storm': '🟠 磁気嵐 {level}',
+    'report.alert.xFlare': '🔴 X クラス太陽フレア {flare}',
+    'report.alert.mFlare': '🟠 M クラス太陽フレア {flare}',
+    'report.alert.radiation': '☢️ 放射線嵐 {level}',
+
+    // ═══ 極光 ═══
+    'aurora.location.iceland': 'アイスランド レイキャビク',
+    'aurora.location.norway': 'ノルウェー トロムソ',
+    'aurora.location.finland': 'フィンランド ロヴァニエミ',
+    'aurora.location.canada': 'カナダ イエローナイフ',
+    'aurora.location.alaska': 'アラスカ フェアバンクス',
+    'aurora.location.hokkaido': '日本 北海道',
+    'aurora.location.scotland': 'スコットランド インヴァネス',
+    'aurora.location.newZealand': 'ニュージーランド インバーカーギル',
+    'aurora.short.iceland': 'アイスランド',
+    'aurora.short.norway': 'ノルウェー',
+    'aurora.short.finland': 'フィンランド',
+    'aurora.short.hokkaido': '北海道',
+    'aurora.chance': '{name}：{chance}',
+    'aurora.hemisphere.north': '北',
+    'aurora.hemisphere.south': '南',
+    'aurora.visibility.polarCap': '極冠内のため、オーロラは主に赤道側の空に現れます',
+    'aurora.visibility.overhead': '頭上にオーロラが現れる可能性があります',
+    'aurora.visibility.sky': '{direction}の空に見えます',
+    'aurora.visibility.horizon': '{direction}の地平線付近。暗い空と長時間露光が必要です',
+    'aurora.visibility.none': '現在は見えません',
+    'aurora.title': '🌌 オーロラ予報',
+    'aurora.kp': '{emoji} Kp 指数：{kp}',
+    'aurora.gLevel': '📊 地磁気嵐レベル：{level}',
+    'aurora.yourLocation': '📍 あなたの位置：{place}',
+    'aurora.yourChance': '🌌 見える確率：{visible}（頭上 {overhead}）',
+    'aurora.chances': '🌍 各地の見える確率：',
+    'aurora.model': '📡 NOAA OVATION モデル、予報時刻 {time}',
+    'aurora.modelUnavailable': '📡 OVATION モデルのデータを取得できません',
+    'aurora.kpGuide': '📖 Kp 指数の目安：\n0-2：静穏、北極圏のみ\n3-4：活発、北欧で見える\n5-6：磁気嵐、中緯度で見える\n7+：激しい、低緯度でも見える可能性',
+    'aurora.hint': '💡 「オーロラ通知」と入力して位置情報を送ると、現地でオーロラが見えそうなときに通知します',
+    'aurora.alert.title': '🌌 ⚠️ オーロラ警報！',
+    'aurora.alert.kp': 'Kp 指数が {kp} に達しました',
+    'aurora.alert.gLevel': '地磁気嵐レベル：{level}',
+    'aurora.alert.threshold': '🔔 あなたのしきい値：Kp ≥ {kp}（{source}）',
+    'aurora.alert.source.custom': 'カスタム',
+    'aurora.alert.source.location': '現在地から算出',
+    'aurora.alert.source.default': '既定',
+    'aurora.alert.geomagLat': '🧲 地磁気緯度：{value}°',
+    'aurora.alert.visibility': '👀 見え方：{label}',
+    'aurora.alert.shareLocation': '📍 LINE の位置情報を送ると、現地での見え方を推定します',
+    'aurora.alert.towards.north': '北',
+    'aurora.alert.towards.south': '南',
+    'aurora.alert.tips': '🔭 観測のコツ：\n• 現地の真夜中前後 2 時間がベスト\n• 光害を避け、{direction}の地平線を向く\n• スマホは夜景 / 長時間露光モードで',
+    'aurora.stormOver': '✅ 磁気嵐が終息しました\n\nKp 指数は {kp} まで低下（4 未満）\n\n📈 今回のピーク：Kp {peak}（{gLevel}）\n⏱️ 継続時間：約 {hours} 時間\n\n次に Kp がしきい値に達したら再度お知らせします',
+
+    // ═══ 太陽風 ═══
+    'solar.speed.normal': '🟢 通常',
+    'solar.speed.elevated': '🟡 やや高速',
+    'solar.speed.high': '🟠 高速',
+    'solar.speed.extreme': '🔴 超高速',
+    'solar.bz.north': '🟢 北向き（安定）',
+    'solar.bz.south': '🟡 南向き（活発）',
+    'solar.bz.strongSouth': '🔴 強い南向き（磁気嵐）',
+    'solar.message': p => `☀️ 太陽風リアルタイムデータ
+━━━━━━━━━━━━━━━━
+
+💨 速度：${p.speed} km/s
+   ${p.speedStatus}
+
+📊 密度：${p.density} p/cm³
+
+🌡️ 温度：${p.temperature}K
+
+━━━━━━━━━━━━━━━━
+
+🧲 惑星間磁場 (IMF)
+Bz：${p.bz} nT
+   ${p.bzStatus}
+Bt：${p.bt} nT
+
+━━━━━━━━━━━━━━━━
+
+🔥 太陽フレア
+現在の規模：${p.flare}
+X 線フラックス：${p.xrayFlux} W/m²
+
+☢️ 放射線嵐
+陽子フラックス：${p.protonFlux} pfu
+レベル：${p.sLevel}
+
+━━━━━━━━━━━━━━━━
+
+📖 解説：
+• 太陽風速度 > 500 km/s で地磁気嵐が起こりやすい
+• Bz が南向き（負）に強いほど地磁気活動が激しい
+• X クラスフレアは無線通信に影響することがあります
+
+💡 「フレア通知」で X クラスフレア発生時に通知`,
+
+    // ═══ CME ═══
+    'cme.none': '🌋 過去 7 日間に CME は検出されていません',
+    'cme.listTitle': '🌋 最近のコロナ質量放出（CME）',
+    'cme.speed': '💨 速度：{value} km/s',
+    'cme.type': '📐 タイプ：{value}',
+    'cme.source.enlil': 'WSA-Enlil',
+    'cme.source.eca': 'コーンモデル + ECA 経験モデル',
+    'cme.alert': p => `🌋 ⚠️ 地球方向 CME 警報！
+
+地球${p.glancing ? 'をかすめる可能性のある' : 'に向かう'}コロナ質量放出を検出しました
+
+🆔 ${p.id}
+📅 発生時刻：${p.time}
+💨 速度：${p.speed} km/s
+📐 半角：${p.halfAngle}°
+
+⏱️ 到達予想（台湾時間）
+${p.windowStart} ～ ${p.windowEnd}
+最有力：${p.arrival}
+
+🧲 予想 Kp：${p.kp}${p.gLevel ? `（最大 G${p.gLevel} 程度）` : ''}
+📊 根拠：${p.source}
+
+${p.auroraLikely ? '🌌 到達後にオーロラが現れる可能性があります。高緯度地域はご注目ください' : '💡 地磁気への影響は軽微と予想されます'}`,
+
+    // ═══ 閃焰、輻射警報 ═══
+    'flare.alert': '🔥 ⚠️ X クラス太陽フレア警報！\n\n{class} クラスの太陽フレアを検出しました\n\n想定される影響：\n• 短波無線通信の途絶\n• GPS 測位精度の低下\n• 衛星通信の障害\n\n今後の推移にご注意ください',
+    'radiation.impact.S1': '極域の短波無線がわずかに減衰',
+    'radiation.impact.S2': '極域の短波通信が時々途絶。高緯度を飛ぶ航空機の乗客の被ばくがやや増加',
+    'radiation.impact.S3': '極域の短波通信の減衰、航法誤差の増加。極域航路の被ばく増加、宇宙飛行士は船外活動を避ける',
+    'radiation.impact.S4': '極域の短波通信が数日途絶。衛星のメモリエラー。極域航路の迂回を推奨',
+    'radiation.impact.S5': '極域の短波が完全に途絶。高緯度航空機の乗客が高線量被ばく。衛星が恒久的に損傷する可能性',
+    'radiation.alert': p => `☢️ ⚠️ 放射線嵐警報：${p.level}
+
+≥10 MeV 陽子フラックス：${p.flux} pfu
+${p.previous === 0 ? '太陽プロトン現象が始まりました' : `S${p.previous} から上昇`}
+
+想定される影響：
+${p.impact}
+
+終息時に改めてお知らせします`,
+    'radiation.clear': '✅ 放射線嵐が終息しました\n\n≥10 MeV 陽子フラックスは {flux} pfu まで低下（S1 しきい値 10 pfu 未満）\n\n📈 今回のピーク：{peak}\n⏱️ 継続時間：約 {hours} 時間\n\n短波無線と極域航路は通常運用に戻れます',
+
+    // ═══ 天氣 ═══
+    'weather.code.0': '快晴',
+    'weather.code.1': '晴れ',
+    'weather.code.2': '晴れ時々曇り',
+    'weather.code.3': '曇り',
+    'weather.code.45': '霧',
+    'weather.code.48': '霧',
+    'weather.code.51': '霧雨',
+    'weather.code.53': '霧雨',
+    'weather.code.55': '霧雨',
+    'weather.code.61': '小雨',
+    'weather.code.63': '雨',
+    'weather.code.65': '大雨',
+    'weather.code.71': '小雪',
+    'weather.code.73': '雪',
+    'weather.code.75': '大雪',
+    'weather.code.80': 'にわか雨',
+    'weather.code.81': 'にわか雨',
+    'weather.code.82': '激しいにわか雨',
+    'weather.code.95': '雷雨',
+    'weather.code.96': 'ひょうを伴う雷雨',
+    'weather.code.99': '激しい雷雨',
+    'weather.code.unknown': '不明',
+    'weather.message': p => `🌤️ ${p.place} の天気
+━━━━━━━━━━━━━━━━
+
+${p.icon} ${p.description}
+
+🌡️ 気温：${p.temp}°C
+🤒 体感：${p.feelsLike}°C
+💧 湿度：${p.humidity}%
+💨 風速：${p.windSpeed} m/s
+👁️ 視程：${p.visibility} km
+☁️ 雲量：${p.cloudCover}%
+
+🌅 日の出：${p.sunrise}
+🌇 日の入り：${p.sunset}`,
+    'weather.unavailable': '❌ 天気データを取得できません',
+
+    // ═══ 位置 ═══
+    'location.saved': '📍 位置を保存しました\n{place}',
+    'location.geomagLat': '🧲 地磁気緯度：{value}°',
+    'location.requiredKp': '🌌 地平線にオーロラが見えるのに必要な Kp：{kp}',
+    'location.extremeOnly': '9（極端な磁気嵐のみ）',
+    'location.currentKp': '現在の Kp {kp}：{label}',
+    'location.customThreshold': '🔔 オーロラ警報はカスタムしきい値 Kp≥{kp} を使用中です\n「オーロラ通知」で現在地からの算出に切り替え',
+    'location.auroraUpdated': '🔔 オーロラ警報をこの位置で算出するよう更新しました（Kp≥{kp}）',
+    'location.auroraHint': '💡 「オーロラ通知」と入力すると、ここでオーロラが見えそうなときに通知します',
+    'location.issUpdated': '🛰️ ISS 通過通知はこの位置を使用します',
+    'location.hint': '💡 「天気」「今夜」でこの場所の天気と観測対象を表示',
+
+    // ═══ 選單 ═══
+    'menu.altText': '宇宙天気指令センター',
+    'menu.subtitle': '宇宙天気指令センター',
+    'menu.aurora': '🌌 オーロラ',
+    'menu.solar': '☀️ 太陽風',
+    'menu.iss': '🚀 ISS',
+    'menu.report': '📊 レポート',
+    'menu.subscribe': '🔔 通知',
+    'menu.launch': '🛸 打ち上げ',
+    'menu.moon': '🌙 月',
+    'menu.meteor': '☄️ 流星',
+    'menu.quick': '💡 クイックコマンド',
+    'menu.quickCommands': [
+        '• aurora / solar / iss / cme',
+        '• 天気 / 天気 東京',
+        '• ISS通過 / ISS通過 東京',
+        '• 今夜 / 星空予報',
+        '• 打ち上げ / 月 / 流星群 / ゴールデンアワー',
+        '• 通知設定 / 通知解除',
+        '• language zh / language en'
+    ],
+    'subMenu.altText': '通知設定',
+    'subMenu.title': '🔔 通知設定',
+    'subMenu.prompt': '受け取る通知を選んでください：',
+    'subMenu.daily': '📅 毎日のレポート',
+    'subMenu.aurora': '🌌 オーロラ警報（現在地）',
+    'subMenu.flare': '🔥 X クラスフレア警報',
+    'subMenu.cme': '🌋 地球方向 CME 警報',
+    'subMenu.radiation': '☢️ 放射線嵐警報 (S1+)',
+    'subMenu.iss': '🛰️ ISS 通過通知',
+    'subMenu.meteor': '☄️ 流星群極大通知',
+    'subMenu.launch': '🚀 打ち上げカウントダウン',
+    'subMenu.subscribe': '登録',
+    'subMenu.mine': '📋 登録中の通知',
+    'subMenu.cancelAll': '❌ すべて解除',
+    'subMenu.unsubscribe': '解除',
+    'subMenu.settings': '設定',
+    'options.daily': '📅 毎日レポートの配信時刻を選んでください\n\n💡「毎日レポート 07:15 平日」のように曜日やタイムゾーンも指定できます',
+    'options.daily.current': '\n\n現在の設定：{times}\n「❌」でその時刻を解除',
+    'options.daily.pick': '🕐 その他の時刻',
+    'options.aurora': '🌌 オーロラ警報の Kp しきい値を選んでください\n\n「現在地」は共有した位置から必要な Kp を計算します',
+    'options.aurora.location': '📍 現在地',
+    'options.radiation': '☢️ 放射線警報の最低レベルを選んでください\n\nS1 軽微 → S5 極端、高いほど通知は少なくなります',
+    'options.iss': '🛰️ ISS 通過通知の最低仰角を選んでください\n\n仰角が高いほど見やすく、通知は少なくなります',
+    'options.launch': '🚀 通知する打ち上げを選んでください\n\n💡「打ち上げ通知 ロケット Falcon 9」でロケットを指定できます',
+    'options.launch.all': '🚀 すべての打ち上げ',
+    'options.flare': '🔥 X クラスフレア警報',
+    'options.cme': '🌋 地球方向 CME 警報',
+    'options.meteor': '☄️ 流星群極大通知',
+    'options.unsubscribe': '❌ 解除',
+    'postback.expired': '⚠️ このボタンは無効になりました。「通知設定」でメニューを開き直してください',
+
+    // ═══ 訂閱 ═══
+    'subscription.created': '登録しました',
+    'subscription.updated': '登録を更新しました',
+    'subscription.unsaved': '登録しました（未保存）',
+    'subscription.failed': '登録に失敗しました',
+    'subscription.name.daily': '毎日の宇宙天気レポート',
+    'subscription.name.aurora.location': 'オーロラ警報（現在地）',
+    'subscription.name.aurora.kp': 'オーロラ警報 (Kp≥{kp})',
+    'subscription.name.flare': 'X クラス太陽フレア警報',
+    'subscription.name.cme': '地球方向 CME 警報',
+    'subscription.name.radiation': '放射線嵐警報 ({level}+)',
+    'subscription.name.iss': 'ISS 通過通知（仰角≥{elevation}°）',
+    'subscription.name.meteor': '流星群極大通知',
+    'subscription.name.launch': '打ち上げ通知（{description}）',
+    'subscribe.daily': '✅ {result}\n\n📅 {schedule} に宇宙天気レポートをお届けします\n⏭️ 次回：{next}\n\n💡 最大 {max} 件まで設定できます。例：「毎日レポート 7:15 平日」「毎日レポート 午後9時 土日曜」\n「毎日レポート解除 07:15」で個別に解除',
+    'subscribe.daily.step': '⏰ 毎日レポートの時刻は 15 分単位です（{time} は選べません）\n\n例：「毎日レポート 7:15」「毎日レポート 午後9時半」',
+    'subscribe.daily.limit': '⚠️ 毎日レポートは最大 {max} 件までです\n\n「毎日レポート解除 07:15」などで先に解除してください',
+    'subscribe.aurora': '✅ {result}\n\nKp 指数 ≥ {kp} のときにオーロラ警報をお届けします',
+    'subscribe.aurora.byLocation': p => `\n📍 送信された位置${p.place ? `（${p.place}）` : ''}から算出`,
+    'subscribe.aurora.shareLocation': '\n\n📍 LINE の位置情報を送ると、しきい値を自動算出し現地の見え方も表示します',
+    'subscribe.aurora.hint': '\n💡 「オーロラ通知 3」で Kp しきい値を指定できます',
+    'subscribe.flare': '✅ {result}\n\nX クラスの太陽フレアが発生したときに警報をお届けします',
+    'subscribe.cme': '✅ {result}\n\n地球方向の CME を検出したときに警報をお届けします',
+    'subscribe.radiation': '✅ {result}\n\n陽子現象が {level} 以上に達し、さらに上昇したときに警報をお届けします\nフラックスが S1 しきい値を下回ると終息をお知らせします\n\n💡 「放射線通知 S3」でしきい値を変更（S1-S5）',
+    'subscribe.iss.needLocation': '📍 ISS 通過通知には位置情報が必要です\n\n「+」→「位置情報」で現在地を送ってから、\n「ISS通知」と入力してください',
+    'subscribe.iss': '✅ {result}\n\n📍 {place}\nISS が見える通過で最大仰角 ≥ {elevation}° のとき、\n出現の約 {lead} 分前に方角と仰角をお知らせします\n\n💡 「ISS通知 40」で最低仰角を変更（10-80°）',
+    'subscribe.meteor': '✅ {result}\n\n📍 {place}\n各流星群の極大 {days} 日前に、\n活動期間、1 時間あたりの予想数、最適な時間、月明かりの影響をお知らせします\n\n💡 位置情報を送ると現地の放射点高度で計算します',
+    'subscribe.launch': '✅ {result}\n\n🚀 {description}\nT-24 時間、T-1 時間、リフトオフ時にお知らせし、\n延期・中止（スクラブ）・カウントダウン停止時にも通知します',
+    'subscribe.launch.next': '\n\n📅 次回：{name}\n   {date}',
+    'subscribe.launch.noMatch': '\n\n⚠️ 現在「{arg}」に一致する日時確定の打ち上げはありません',
+    'subscribe.launch.hint': '\n\n💡 「打ち上げ通知 SpaceX」や「打ち上げ通知 ロケット Falcon 9」で特定の打ち上げのみ通知\n「打ち上げ通知解除」で停止',
+    'unsubscribe.type': '✅ {name}を解除しました',
+    'unsubscribe.type.none': '{name}は登録されていません\n\n「購読一覧」で確認できます',
+    'subscription.type.daily': '毎日レポート',
+    'subscription.type.aurora': 'オーロラ警報',
+    'subscription.type.flare': 'フレア警報',
+    'subscription.type.cme': 'CME 警報',
+    'subscription.type.radiation': '放射線警報',
+    'subscription.type.iss': 'ISS 通過通知',
+    'subscription.type.meteor': '流星群通知',
+    'subscription.type.launch': '打ち上げ通知',
+    'unsubscribe.daily': '✅ {time} の毎日レポートを解除しました',
+    'unsubscribe.daily.all': '✅ 毎日レポートをすべて解除しました',
+    'unsubscribe.daily.none': '{time} の毎日レポートは登録されていません\n\n「購読一覧」で登録中の時刻を確認',
+    'unsubscribe.all': '✅ すべての通知を解除しました\n\n再登録は「通知設定」と入力してください',
+    'unsubscribe.confirm.all': '⚠️ すべての通知を解除しますか？\n\n解除後は通知が届かなくなります',
+    'unsubscribe.confirm.type': '⚠️ {name}を解除しますか？',
+    'unsubscribe.confirm.daily': '⚠️ {time} の毎日レポートを解除しますか？',
+    'unsubscribe.confirm.dailyAll': '⚠️ すべての毎日レポートを解除しますか？',
+    'unsubscribe.confirm.yes': '解除する',
+    'unsubscribe.confirm.no': '解除しない',
+    'mySubscriptions.empty': '📋 登録中の通知はありません\n\n「通知設定」で選択肢を表示',
+    'mySubscriptions.title': '📋 登録中の通知',
+    'mySubscriptions.hint': '下のボタンか「オーロラ通知解除」などで個別に解除\n「すべて解除」ですべての通知を停止',
+
+    // ═══ 每日報告排程 ═══
+    'schedule.every': '毎日',
+    'schedule.weekdays': '平日',
+    'schedule.weekends': '週末',
+    'schedule.weekdayNames': ['月', '火', '水', '木', '金', '土', '日'],
+    'schedule.separator': '・',
+    'schedule.timeZone': '（{timeZone}）',
+    'schedule.occurrence': '{month}/{day}（{weekday}）{time}',
+
+    // ═══ API ═══
+    'api.invalidCoordinates': '有効な lat（-90~90）と lon（-180~180）を指定してください',
+    'api.invalidTimeZone': '無効なタイムゾーン：{tz}',
+    'api.invalidDateTime': '無効な日付です。YYYY-MM-DD または ISO 8601 を使用してください',
+    'api.invalidDate': '無効な日付です。YYYY-MM-DD を使用してください',
+    'api.invalidType': '無効な種類です',
+    'api.ovationUnavailable': 'OVATION データの取得に失敗しました',
+    'api.issUnavailable': 'ISS データの取得に失敗しました',
+    'api.issTleOutdated': 'ISS の軌道データが {days} 日以上古いため、予報を停止しています',
+    'api.weatherUnavailable': '天気データの取得に失敗しました',
+    'api.forecastUnavailable': '天気予報を取得できません',
+    'api.storageUnavailable': 'データストレージの準備ができていません',
+
+    // ═══ 網頁儀表板（public/index.html，經 /api/i18n 提供）═══
+    'web.title': '🛰️ ORBITAL COMMAND - 宇宙天気指令センター v2.0',
+    'web.sidebar.sub': 'v4.0 宇宙天気',
+    'web.nav.monitor': 'モニタリング',
+    'web.nav.dashboard': 'リアルタイムダッシュボード',
+    'web.nav.aurora': 'オーロラ予報',
+    'web.nav.solar': '太陽活動',
+    'web.nav.astro': '天文ツール',
+    'web.nav.golden': 'ゴールデンアワー',
+    'web.nav.moon': '月相シミュレーター',
+    'web.nav.tonight': '今夜の見どころ',
+    'web.nav.trackers': 'トラッカー',
+    'web.nav.iss': 'ISS 通過予報',
+    'web.nav.aurora-live': 'オーロラライブ',
+    'web.nav.education': '学習',
+    'web.nav.sun-edu': '太陽の構造',
+    'web.nav.quiz': '宇宙クイズ',
+    'web.nav.admin': '管理',
+    'web.nav.subscribers': '購読者管理',
+    'web.nav.push': 'プッシュ配信',
+    'web.nav.settings': 'システム設定',
+    'web.header.subtitle': '宇宙天気指令センター v2.0',
+    'web.header.satellites': '衛星稼働',
+    'web.header.streams': 'データストリーム',
+    'web.header.alert': '地磁気警報',
+    'web.header.uptime': '稼働率',
+    'web.panel.aurora': 'オーロラ予報',
+    'web.panel.flare': '太陽フレア',
+    'web.panel.solarWind': '太陽風',
+    'web.panel.iss': '国際宇宙ステーション',
+    'web.panel.radiation': '放射線と通信',
+    'web.panel.ocean': '海況モニタリング',
+    'web.panel.weather': '地上の天気',
+    'web.page.aurora.title': '🌌 オーロラ予報',
+    'web.page.aurora.subtitle': 'オーロラ活動のリアルタイム監視と予測',
+    'web.page.solar.title': '☀️ 太陽活動モニター',
+    'web.page.solar.subtitle': '太陽フレア、コロナ質量放出、太陽風',
+    'web.page.golden.title': '🌅 ゴールデンアワー計算機',
+    'web.page.golden.subtitle': '撮影に最適な時間',
+    'web.page.moon.title': '🌙 月相シミュレーター',
+    'web.page.moon.subtitle': 'タイムラインをドラッグして月相の変化を確認',
+    'web.page.tonight.title': '🔭 今夜の見どころ',
+    'web.page.tonight.subtitle': '惑星の位置、月明かり、空の暗さ、雲量からおすすめの対象を表示（位置はゴールデンアワーの設定を使用）',
+    'web.page.iss.title': '🛰️ ISS 通過予報',
+    'web.page.iss.subtitle': '現在位置と台湾で見える時間',
+    'web.page.aurora-live.title': '📸 オーロラ観測センター',
+    'web.page.aurora-live.subtitle': 'リアルタイム予報、太陽画像、世界のライブカメラ',
+    'web.page.sun-edu.title': '🧲 太陽の構造と地磁気',
+    'web.page.sun-edu.subtitle': 'インタラクティブ教材',
+    'web.page.quiz.title': '🎲 宇宙クイズ',
+    'web.page.quiz.subtitle': '宇宙の知識を試そう！',
+    'web.page.subscribers.title': '👥 購読者管理',
+    'web.page.subscribers.subtitle': 'LINE BOT の購読者',
+    'web.page.push.title': '📤 プッシュ配信',
+    'web.page.push.subtitle': 'LINE プッシュメッセージを送信',
+    'web.page.settings.title': '⚙️ システム設定',
+    'web.page.settings.subtitle': '設定項目',
+    'web.alert.loading': '監視中... 宇宙天気データを読み込んでいます',
+    'web.alert.stable': '現在の宇宙天気は安定しています',
+    'web.alert.solarWind': '太陽風 {speed} km/s',
+    'web.alert.iss': 'ISS 正常運用中',
+    'web.alert.partial': '⚠️ 一部のデータを一時的に取得できません',
+    'web.alert.offline': '⚠️ 宇宙天気データを一時的に取得できません（{reason}）。バックエンドの復旧後に自動で更新されます',
+    'web.kp.label': 'Kp 地磁気指数',
+    'web.kp.unavailable': 'データを取得できません',
+    'web.kp.quiet': '静穏 Quiet',
+    'web.kp.active': '活発 Active',
+    'web.kp.storm': '磁気嵐 Storm',
+    'web.kp.severe': '激しい Severe',
+    'web.common.loading': '読み込み中...',
+    'web.common.lat': '緯度',
+    'web.common.lon': '経度',
+    'web.common.date': '日付',
+    'web.common.refresh': '🔄 更新',
+    'web.common.refreshed': '更新しました',
+    'web.region.iceland': '🇮🇸 アイスランド',
+    'web.region.norway': '🇳🇴 ノルウェー',
+    'web.region.finland': '🇫🇮 フィンランド',
+    'web.region.hokkaido': '🇯🇵 北海道',
+    'web.region.canada': '🇨🇦 カナダ',
+    'web.region.newZealand': '🇳🇿 ニュージーランド',
+    'web.region.antarctica': '🇦🇶 南極',
+    'web.flare.x': 'X クラス',
+    'web.flare.m': 'M クラス',
+    'web.flare.c': 'C クラス',
+    'web.flare.count': '{count} 回',
+    'web.cme.title': '🌋 CME コロナ質量放出',
+    'web.cme.eta': '到達時刻',
+    'web.cme.none': '7 日以内のイベントなし',
+    'web.cme.arrived': '到達済み',
+    'web.solarWind.speed': '速度',
+    'web.solarWind.density': '密度',
+    'web.solarWind.bz': '磁場 Bz',
+    'web.solarWind.xray': 'X 線',
+    'web.globe.rotate': '自動回転',
+    'web.globe.terminator': '昼夜境界線',
+    'web.globe.issOrbit': 'ISS 軌道',
+    'web.globe.auroraOval': 'オーロラ帯',
+    'web.globe.heatmap': '気温マップ',
+    'web.stats.globalTemp': '世界平均気温',
+    'web.stats.seaLevel': '海面 mm/年',
+    'web.stats.arcticIce': '北極の海氷',
+    'web.stats.storms': '活動中の嵐',
+    'web.stats.radiationStorm': '放射線嵐',
+    'web.iss.tracking': 'リアルタイム追跡中',
+    'web.iss.altitude': '高度',
+    'web.iss.speed': '速度',
+    'web.iss.locating': '📍 現在位置：計算中...',
+    'web.iss.altitudeKm': '高度 km',
+    'web.iss.over.japanTaiwan': '日本・台湾上空',
+    'web.iss.over.usa': 'アメリカ上空',
+    'web.iss.over.europe': 'ヨーロッパ上空',
+    'web.iss.over.australia': 'オーストラリア上空',
+    'web.iss.over.asia': 'アジア上空',
+    'web.iss.over.southAmerica': '南アメリカ上空',
+    'web.iss.over.africa': 'アフリカ上空',
+    'web.iss.over.polar': '極域上空',
+    'web.iss.over.ocean': '海洋上空',
+    'web.tab.radiation': '☢️ 放射線',
+    'web.tab.radio': '📻 無線',
+    'web.radiation.level': '宇宙放射線レベル',
+    'web.radiation.proton': '陽子フラックス >10MeV',
+    'web.radiation.electron': '電子フラックス >2MeV',
+    'web.radio.blackout': 'HF 無線通信障害',
+    'web.radio.hf': 'HF 短波 (3-30MHz)',
+    'web.radio.vhf': 'VHF 超短波',
+    'web.radio.gps': 'GPS 測位',
+    'web.radio.satcom': '衛星通信',
+    'web.radio.normal': '正常',
+    'web.ocean.waveHeight': '波高',
+    'web.ocean.period': '周期',
+    'web.ocean.seaTemp': '海水温',
+    'web.ocean.tide': '潮汐',
+    'web.ocean.tides': ['上げ潮', '満潮', '下げ潮', '干潮'],
+    'web.weather.search': '都市を検索...',
+    'web.weather.clear': '晴れ',
+    'web.weather.feelsLike': '体感',
+    'web.weather.humidity': '湿度',
+    'web.weather.wind': '風速',
+    'web.weather.visibility': '視程',
+    'web.weather.partlyCloudy': '晴れ時々曇り',
+    'web.weather.cloudy': '曇り',
+    'web.weather.fog': '霧',
+    'web.weather.drizzle': '霧雨',
+    'web.weather.rain': '雨',
+    'web.weather.snow': '雪',
+    'web.weather.thunderstorm': '雷雨',
+    'web.aurora.kpNow': '現在の Kp 指数',
+    'web.aurora.advice': '観測のヒント',
+    'web.aurora.adviceQuiet': 'オーロラ活動は静穏です。高緯度地域での観測がおすすめです。',
+    'web.aurora.adviceTime': '観測に最適な時間：22:00 - 02:00',
+    'web.aurora.adviceDark': '街明かりから離れる',
+    'web.aurora.adviceView': '視界の開けた場所を選ぶ',
+    'web.solar.flares24h': '24h フレア数',
+    'web.solar.windSpeed': '太陽風速度 km/s',
+    'web.solar.kpMax24h': '24h 最大 Kp',
+    'web.golden.morning': '🌅 朝のゴールデンアワー',
+    'web.golden.morningDesc': '日の出前後のやわらかな光',
+    'web.golden.evening': '🌇 夕方のゴールデンアワー',
+    'web.golden.eveningDesc': '日没前後の暖かな光',
+    'web.golden.blue': '🔵 ブルーアワー',
+    'web.golden.riseSet': '🌅 日の出 / 🌇 日の入り',
+    'web.golden.noon': '☀️ 南中 / 日照時間',
+    'web.golden.civil': '市民薄明（-6°）朝 / 夕',
+    'web.golden.nautical': '航海薄明（-12°）朝 / 夕',
+    'web.golden.astronomical': '天文薄明（-18°）朝 / 夕',
+    'web.golden.timeZone': '表示タイムゾーン',
+    'web.golden.location': '位置設定',
+    'web.golden.useLocation': '📍 現在地を使用',
+    'web.golden.located': '現在地を取得しました',
+    'web.golden.locateFailed': '現在地を取得できません',
+    'web.golden.polarDay': '白夜',
+    'web.golden.polarNight': '極夜',
+    'web.golden.error': '日の出・日の入りを計算できません',
+    'web.moon.new': '🌑新月',
+    'web.moon.firstQuarter': '🌓上弦',
+    'web.moon.full': '🌕満月',
+    'web.moon.lastQuarter': '🌗下弦',
+    'web.moon.illumination': '輝面比: {percent}%',
+    'web.moon.phases': ['🌑 新月', '🌒 三日月', '🌓 上弦の月', '🌔 十三夜', '🌕 満月', '🌖 寝待月', '🌗 下弦の月', '🌘 有明月'],
+    'web.tonight.moon': '月相',
+    'web.tonight.conditions': '観測条件',
+    'web.tonight.planets': '見える惑星',
+    'web.tonight.targets': 'おすすめの観測対象',
+    'web.tonight.polarDay': '白夜の期間は夜がありません',
+    'web.tonight.none': '今夜の残り時間におすすめの対象はありません',
+    'web.tonight.window': '{start} - {end}、見頃 {peak}',
+    'web.tonight.where': '、{direction} 高度 {altitude}°',
+    'web.tonight.direction': '、{direction}',
+    'web.tonight.magnitude': '、{magnitude} 等級',
+    'web.tonight.rate': '、1 時間あたり約 {rate} 個',
+    'web.tonight.error': '今夜の観測プランを取得できません',
+    'web.auroraLive.north': '北半球オーロラ予報',
+    'web.auroraLive.northAlt': '北半球',
+    'web.auroraLive.ovation': 'NOAA OVATION モデル 30 分予報',
+    'web.auroraLive.south': '南半球オーロラ予報',
+    'web.auroraLive.southAlt': '南半球',
+    'web.auroraLive.sun': '太陽のリアルタイム画像',
+    'web.auroraLive.sdo304Alt': '太陽 SDO 304',
+    'web.auroraLive.sdo304': 'NASA SDO 304Å 極端紫外線',
+    'web.auroraLive.corona': '太陽コロナ画像',
+    'web.auroraLive.sdo193Alt': '太陽 SDO 193',
+    'web.auroraLive.sdo193': 'NASA SDO 193Å コロナ',
+    'web.auroraLive.cams': '世界のオーロラカメラ（クリックでライブ配信を開く）',
+    'web.auroraLive.manitoba': 'カナダ マニトバ',
+    'web.auroraLive.exploreOrg': 'Explore.org 24 時間ライブ',
+    'web.auroraLive.youtube': 'YouTube オーロラライブ',
+    'web.auroraLive.youtubeDesc': '世界のオーロラライブを検索',
+    'web.auroraLive.search': '検索 →',
+    'web.auroraLive.auroraMax': 'AuroraMAX イエローナイフ',
+    'web.auroraLive.auroraMaxDesc': 'カナダ宇宙庁公式',
+    'web.auroraLive.open': '開く →',
+    'web.auroraLive.iceland': 'アイスランド 複数地点',
+    'web.auroraLive.northernLightsCentre': 'オーロラセンター',
+    'web.auroraLive.yukon': 'ユーコン準州のライブ状況',
+    'web.auroraLive.spaceWeatherLive': 'オーロラ活動のリアルタイムデータ',
+    'web.auroraLive.bestTime': '観測に最適な時間',
+    'web.auroraLive.taiwanTime': '台湾時間',
+    'web.auroraLive.guide': '観測条件ガイド',
+    'web.auroraLive.kpHigh': 'オーロラ活発、見る価値あり',
+    'web.auroraLive.kpMid': '淡いオーロラの可能性',
+    'web.auroraLive.kpLow': 'オーロラ静穏',
+    'web.auroraLive.nightClear': '💡 オーロラを見るには現地が夜間で晴れている必要があります',
+    'web.sunEdu.sun': '太陽の構造',
+    'web.sunEdu.corona': '🔥 コロナ',
+    'web.sunEdu.coronaDesc': '太陽の最外層、温度は数百万度',
+    'web.sunEdu.chromosphere': '🌡️ 彩層',
+    'web.sunEdu.chromosphereDesc': 'フレアが発生する場所',
+    'web.sunEdu.photosphere': '💡 光球',
+    'web.sunEdu.photosphereDesc': '太陽の表面、約 5500°C',
+    'web.sunEdu.magnetosphere': '🛡️ 磁気圏',
+    'web.sunEdu.magnetosphereDesc': '太陽風から地球を守る',
+    'web.sunEdu.auroralOval': '🌌 オーロラオーバル',
+    'web.sunEdu.auroralOvalDesc': 'オーロラが発生する領域',
+    'web.sunEdu.bz': '⚡ Bz 成分',
+    'web.sunEdu.bzDesc': '負のとき太陽風が入り込みやすい',
+    'web.sunEdu.earth': '地球の磁場',
+    'web.quiz.correct': '正解',
+    'web.quiz.wrong': '不正解',
+    'web.quiz.streak': '連続正解',
+    'web.quiz.q1': '太陽の表面温度はおよそ何度？',
+    'web.quiz.next': '次の問題 ▶',
+    'web.quiz.explainTitle': '解説',
+    'web.quiz.explainHint': '回答後に解説が表示されます...',
+    'web.quiz.q1.options': ['3000°C', '5500°C', '8000°C', '15000°C'],
+    'web.quiz.q1.explain': '光球の表面温度は約 5500°C、中心核は 1500 万度にも達します！',
+    'web.quiz.q2': 'ISS が地球を 1 周するのにかかる時間は？',
+    'web.quiz.q2.options': ['45 分', '90 分', '120 分', '24 時間'],
+    'web.quiz.q2.explain': 'ISS は秒速約 7.7 km で飛行し、約 90 分で地球を 1 周します。',
+    'web.quiz.q3': 'Kp 指数の最大値は？',
+    'web.quiz.q3.options': ['5', '7', '9', '10'],
+    'web.quiz.q3.explain': 'Kp 指数は 0〜9 で、Kp=9 は極端に強い磁気嵐を表します。',
+    'web.quiz.q4': 'オーロラの主な原因は？',
+    'web.quiz.q4.options': ['月光の反射', '太陽風と大気の衝突', '地熱エネルギー', '雷'],
+    'web.quiz.q4.explain': '太陽風の荷電粒子が磁力線に沿って大気に入り、酸素や窒素の原子と衝突して発光します。',
+    'web.quiz.right': '正解！',
+    'web.quiz.missed': '不正解',
+    'web.subscribers.total': '購読数合計',
+    'web.subscribers.active': 'アクティブユーザー',
+    'web.subscribers.today': '本日の新規',
+    'web.push.test': 'テスト配信',
+    'web.push.userId': 'ユーザー ID',
+    'web.push.userIdPlaceholder': 'LINE ユーザー ID を入力',
+    'web.push.type': '配信タイプ',
+    'web.push.type.weather': '宇宙天気の概要',
+    'web.push.type.aurora': 'オーロラ予報',
+    'web.push.type.solar': '太陽風データ',
+    'web.push.type.iss': 'ISS の位置',
+    'web.push.sendTest': '📤 テスト送信',
+    'web.push.userIdHint': '💡 ユーザー ID は LINE BOT 管理画面または購読者管理で確認できます',
+    'web.push.broadcast': '一斉配信',
+    'web.push.audience': '配信対象',
+    'web.push.audience.all': '📢 すべての購読者',
+    'web.push.audience.daily': '📅 毎日の購読者',
+    'web.push.audience.aurora': '🌌 オーロラの購読者',
+    'web.push.audience.weather': '☀️ 宇宙天気の購読者',
+    'web.push.content': '配信内容',
+    'web.push.contentPlaceholder': '配信メッセージを入力...',
+    'web.push.broadcastWarning': '⚠️ 選択したタイプの購読者に配信されます',
+    'web.push.sendBroadcast': '📢 一斉配信する',
+    'web.push.result': '配信結果',
+    'web.push.waiting': '操作待ち...',
+    'web.push.userIdRequired': 'ユーザー ID を入力してください',
+    'web.push.sending': '⏳ 送信中...',
+    'web.push.sent': '✅ 送信しました！\n時刻: {time}\nタイプ: {type}\nユーザー: {user}',
+    'web.push.testSent': 'テスト配信を送信しました',
+    'web.push.failed': '❌ 送信に失敗しました\n{reason}',
+    'web.push.unknownError': '不明なエラー',
+    'web.push.failedToast': '送信失敗: {reason}',
+    'web.push.connectionError': '❌ 接続エラー\n{reason}',
+    'web.push.connectionFailed': '接続に失敗しました',
+    'web.push.contentRequired': '配信内容を入力してください',
+    'web.push.confirm': '「{audience}」に一斉配信しますか？\n\n内容：{message}',
+    'web.push.broadcasting': '⏳ 一斉配信中...',
+    'web.push.broadcasted': '✅ 一斉配信しました！\n時刻: {time}\n対象: {audience}\n送信: {sent}/{total} 人\n内容: {message}',
+    'web.push.broadcastSent': '{count} 人に一斉配信しました',
+    'web.push.broadcastFailed': '❌ 一斉配信に失敗しました\n{reason}',
+    'web.push.broadcastFailedToast': '一斉配信失敗: {reason}',
+    'web.settings.alerts': '警報設定',
+    'web.settings.kpThreshold': 'Kp 警報しきい値',
+    'web.settings.adminKey': '🔑 Admin API Key（配信管理用）',
+    'web.settings.adminKeyPlaceholder': '管理キーを入力',
+    'web.settings.adminKeyHint': '💡 Render の環境変数 ADMIN_API_KEY と同じ値にしてください',
+    'web.settings.save': '💾 設定を保存',
+    'web.settings.saved': '設定を保存しました',
+    'web.auroraOval.unavailable': 'オーロラ可視ラインを一時的に取得できません',
+    'web.api.error': 'API エラー',
+    'web.age.justNow': 'たった今',
+    'web.age.minutes': '{count} 分前',
+    'web.age.hours': '{count} 時間前',
+    'web.age.days': '{count} 日前',
+    'web.data.offline': '（オフライン）',
+    'web.data.noaaUnavailable': 'NOAA データを取得できません',
+    'web.city.kaohsiung': '高雄',
+    'web.city.taipei': '台北',
+    'web.city.tokyo': '東京',
+    'web.city.seoul': 'ソウル',
+    'web.city.newYork': 'ニューヨーク',
+    'web.city.london': 'ロンドン',
+    'web.city.reykjavik': 'レイキャビク',
+    'web.city.tromso': 'トロムソ'
+};
@@ -0,0 +1,955 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 訊息目錄：繁體中文（預設語言）
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = {
+    // ═══ 共用 ═══
+    'score.excellent': '極佳',
+    'score.good': '良好',
+    'score.fair': '普通',
+    'score.poor': '不佳',
+    'compass.points': ['北', '北北東', '東北', '東北東', '東', '東南東', '東南', '南南東',
+        '南', '南南西', '西南', '西南西', '西', '西北西', '西北', '北北西'],
+    'place.default': '台北市',
+    'command.suggest': '🤔 你是不是要找：{commands}',
+    'place.unknown': '❌ 找不到地點「{city}」\n\n請輸入縣市、鄉鎮或城市名稱，例如：\n花蓮、玉里、花蓮縣富里鄉、合歡山、東京、Paris\n或直接分享 LINE 位置訊息',
+
+    // ═══ 語言設定 ═══
+    'language.current': '🌐 目前語言：{name}\n\n輸入以下指令切換：\n• language zh　繁體中文\n• language en　English\n• language ja　日本語',
+    'language.set': '✅ 已切換為繁體中文\n\n輸入「選單」查看可用指令',
+
+    // ═══ 時區 ═══
+    'timeZone.current': '🕐 目前時區：{timeZone}\n\n每日報告依此時區推播\n輸入「時區 Asia/Tokyo」或「時區 東京」變更',
+    'timeZone.set': '✅ 時區已設為 {timeZone}\n當地時間 {time}，每日報告將依此時區推播',
+    'timeZone.invalid': '❌ 無法辨識時區「{value}」\n\n請輸入 IANA 時區名稱（如 Asia/Tokyo、Europe/London）或城市名稱',
+    'language.unsupported': '❌ 不支援的語言「{value}」\n\n可選擇：zh（繁體中文）、en（English）、ja（日本語）',
+
+    // ═══ 歡迎訊息 ═══
+    'welcome': `🛰️ 歡迎加入 ORBITAL COMMAND！
+
+太空氣象指揮中心為您提供：
+
+🌌 即時極光預報
+☀️ 太陽活動監測
+🚀 ISS 太空站追蹤
+⚠️ 太空天氣警報
+
+━━━━━━━━━━━━━━━━
+
+📱 快速開始：
+• 輸入「極光」查看極光預報
+• 輸入「太陽風」查看太陽活動
+• 輸入「訂閱」設定定時通知
+• Type "language en" for English / 「language ja」で日本語
+
+祝您觀測愉快！✨`,
+
+    // ═══ 火箭發射 ═══
+    'countdown.now': '已到發射時間',
+    'countdown.days': '{days} 天 {hours} 小時',
+    'countdown.hours': '{hours} 小時 {minutes} 分',
+    'countdown.minutes': '{minutes} 分',
+    'launch.status.Go': '🟢 確定發射',
+    'launch.status.TBC': '🟡 待確認',
+    'launch.status.TBD': '🟡 待定',
+    'launch.status.Hold': '🟠 暫停倒數',
+    'launch.status.In Flight': '🚀 飛行中',
+    'launch.status.Success': '✅ 發射成功',
+    'launch.status.Failure': '❌ 發射失敗',
+    'launch.status.Partial Failure': '⚠️ 部分失敗',
+    'launch.tentative': '（暫定）',
+    'launch.tbd': '待定',
+    'launch.title': '🛸 太空發射資訊',
+    'launch.rocket': '🛰️ 火箭：{rocket}',
+    'launch.countdown': '⏳ 倒數：{countdown}',
+    'launch.net': '📅 NET：{date}',
+    'launch.webcast': '📺 直播：{url}',
+    'launch.bundled': '⚠️ 暫時無法取得即時排程，以上為參考資料',
+    'launch.netNote': '🕐 時間為台灣時間（NET：不早於）',
+    'launch.timeNote': '🕐 時間為台灣時間',
+    'launch.hint': '💡 輸入「發射列表」查看更多，「訂閱發射」接收倒數提醒',
+    'launch.none': '🛸 目前沒有已排定的發射任務',
+    'launch.listTitle': '🛸 太空發射計畫',
+    'launch.liveLinks': '🔗 即時發射資訊：',
+    'launch.listHint': '💡 輸入「訂閱發射」或「訂閱發射 SpaceX」接收倒數提醒',
+    'launch.filter.provider': '發射商「{name}」',
+    'launch.filter.rocket': '火箭「{name}」',
+    'launch.filter.all': '所有發射',
+    'launch.stage.T-24h': 'T-24 小時',
+    'launch.stage.T-1h': 'T-1 小時',
+    'launch.stage.liftoff': '升空',
+    'launch.reminder.title': '⏰ 發射提醒：{stage}',
+    'launch.reminder.liftoff': '🚀 升空！',
+    'launch.reminder.timeUp': '🚀 發射時間到！',
+    'launch.change.scrub': '🛑 發射取消（Scrub）',
+    'launch.change.net': '📅 發射時間變更',
+    'launch.change.hold': '🟠 暫停倒數',
+    'launch.change.resume': '🟢 恢復倒數',
+    'launch.change.previous': '原定：{date}',
+    'launch.change.newNet': '新 NET：{date}',
+
+    // ═══ 月相 ═══
+    'moon.phase.new': '新月',
+    'moon.phase.waxingCrescent': '眉月',
+    'moon.phase.firstQuarter': '上弦月',
+    'moon.phase.waxingGibbous': '盈凸月',
+    'moon.phase.full': '滿月',
+    'moon.phase.waningGibbous': '虧凸月',
+    'moon.phase.lastQuarter': '下弦月',
+    'moon.phase.waningCrescent': '殘月',
+    'moon.title': '🌙 今日月相',
+    'moon.waxing': '漸盈',
+    'moon.waning': '漸虧',
+    'moon.phaseLine': '{icon} {phase}（{trend}）',
+    'moon.illumination': '📊 亮面：{value}%',
+    'moon.age': '📆 月齡：{value} 天',
+    'moon.distance': '📏 距離：{value} km',
+    'moon.rise': '🌄 月出：{time}',
+    'moon.set': '🌃 月落：{time}',
+    'moon.noEvent': '今日無',
+    'moon.next.new': '🌑 新月：{date}',
+    'moon.next.firstQuarter': '🌓 上弦：{date}',
+    'moon.next.full': '🌕 滿月：{date}',
+    'moon.next.lastQuarter': '🌗 下弦：{date}',
+    'moon.viewing': '🔭 觀星條件：{condition}',
+    'moon.viewing.good': '極佳 ⭐',
+    'moon.viewing.fair': '一般',
+    'moon.viewing.bright': '月光明亮',
+    'moon.hint': '💡 新月前後最適合觀星，分享位置可查詢所在地月出月落',
+    'moonlight.good': '極佳（少月光干擾）',
+    'moonlight.fair': '一般（有月光干擾）',
+    'moonlight.poor': '不佳（月光明亮）',
+
+    // ═══ 黃金時刻 ═══
+    'sun.title': '🌅 黃金時刻',
+    'sun.polarDay': '☀️ 今日極晝，太陽不落',
+    'sun.polarNight': '🌑 今日極夜，太陽不升',
+    'sun.riseSet': '🌅 日出 {sunrise}　🌇 日落 {sunset}',
+    'sun.dayLength': '☀️ 日照 {hours} 小時 {minutes} 分',
+    'sun.morning': '📸 晨間',
+    'sun.evening': '📸 傍晚',
+    'sun.blueHour': '🔵 藍調時刻：{range}',
+    'sun.goldenHour': '🟠 黃金時刻：{range}',
+    'sun.twilight': '🌗 曙暮光（晨 / 昏）',
+    'sun.civil': '民用：{dawn} / {dusk}',
+    'sun.nautical': '航海：{dawn} / {dusk}',
+    'sun.astronomical': '天文：{dawn} / {dusk}',
+    'sun.hint': '💡 天文曙暮光結束後天空完全暗下，適合拍攝星空',
+
+    // ═══ 流星雨 ═══
+    'meteor.shower.QUA': '象限儀座流星雨',
+    'meteor.shower.LYR': '天琴座流星雨',
+    'meteor.shower.ETA': '寶瓶座η流星雨',
+    'meteor.shower.SDA': '寶瓶座δ南流星雨',
+    'meteor.shower.PER': '英仙座流星雨',
+    'meteor.shower.DRA': '天龍座流星雨',
+    'meteor.shower.ORI': '獵戶座流星雨',
+    'meteor.shower.STA': '金牛座南流星雨',
+    'meteor.shower.LEO': '獅子座流星雨',
+    'meteor.shower.GEM': '雙子座流星雨',
+    'meteor.shower.URS': '小熊座流星雨',
+    'meteor.parent.QUA': '小行星 2003 EH1',
+    'meteor.parent.LYR': '撒切爾彗星',
+    'meteor.parent.ETA': '哈雷彗星',
+    'meteor.parent.SDA': '乾達彗星',
+    'meteor.parent.PER': '斯威夫特-塔特爾彗星',
+    'meteor.parent.DRA': '賈科比尼-津納彗星',
+    'meteor.parent.ORI': '哈雷彗星',
+    'meteor.parent.STA': '恩克彗星',
+    'meteor.parent.LEO': '坦普爾-塔特爾彗星',
+    'meteor.parent.GEM': '小行星 3200 法厄同',
+    'meteor.parent.URS': '塔特爾彗星',
+    'meteor.title': '☄️ 流星雨預報',
+    'meteor.rate': '約 {rate} 顆/時（{time}，輻射點{direction}方 {altitude}°）',
+    'meteor.radiantDown': '輻射點未升起，難以看到',
+    'meteor.peakIn': '{days} 天後極大',
+    'meteor.peakTonight': '今晚極大',
+    'meteor.peakPassed': '極大期已過 {days} 天',
+    'meteor.active': '🔥 活躍中：{name}',
+    'meteor.period': '📅 {start} - {end}（{when}）',
+    'meteor.tonight': '🌃 今晚：{forecast}',
+    'meteor.upcoming': '📅 即將到來',
+    'meteor.upcomingShower': '⭐ {name}（ZHR {zhr}）',
+    'meteor.peakDate': '   📅 極大期 {date}（{days} 天後）',
+    'meteor.moonlight': '   🌙 月光 {value}%{condition}',
+    'meteor.condition': '，{condition}',
+    'meteor.currentMoon': '{icon} 當前月相：{phase}（亮面 {value}%）',
+    'meteor.hint': '💡 分享位置可依所在地計算輻射點高度，輸入「訂閱流星雨」在極大期前 2 天收到提醒',
+    'meteor.reminder.title': '☄️ {name}即將極大！',
+    'meteor.reminder.peak': '📅 極大期：{date} 晚上（{days} 天後）',
+    'meteor.reminder.period': '🗓️ 活動期間：{start} - {end}',
+    'meteor.reminder.rate': '💫 ZHR {zhr}，此地預估每小時 {rate} 顆',
+    'meteor.reminder.best': '🕐 最佳時間：{time}（輻射點{direction}方 {altitude}°）',
+    'meteor.reminder.radiantNeverUp': '🕐 輻射點在此地不會升起，流星數很少',
+    'meteor.reminder.moonlight': '🌙 月光：{value}%{condition}',
+    'meteor.reminder.parent': '☄️ 母體：{parent}',
+    'meteor.reminder.tip': '💡 找遠離光害的地方，躺下看整片天空，讓眼睛適應黑暗 20 分鐘',
+
+    // ═══ ISS ═══
+    'iss.region.ocean': '海洋上空',
+    'iss.region.japanTaiwan': '日本/台灣上空',
+    'iss.region.usa': '美國上空',
+    'iss.region.europe': '歐洲上空',
+    'iss.region.australia': '澳洲上空',
+    'iss.region.asia': '亞洲上空',
+    'iss.region.southAmerica': '南美洲上空',
+    'iss.region.africa': '非洲上空',
+    'iss.region.polar': '極區上空',
+    'iss.unavailable': '🚀 ISS 資料暫時無法取得，請稍後再試',
+    'iss.message': p => `🚀 國際太空站 (ISS) 即時位置
+━━━━━━━━━━━━━━━━
+
+📍 目前位置：${p.location}
+
+🌐 座標
+緯度：${p.lat}°
+經度：${p.lon}°
+
+📡 軌道資訊
+高度：${p.altitude} km
+速度：${p.velocity} km/h
+
+━━━━━━━━━━━━━━━━
+
+🔭 ISS 小知識：
+• 每 90 分鐘繞地球一圈
+• 每天可見 16 次日出日落
+• 目前有 7 名太空人駐站
+• 軌道傾角 51.6°
+
+━━━━━━━━━━━━━━━━
+
+🌙 觀測提示：
+ISS 過境時像一顆明亮的星星快速移動
+輸入「ISS過境」查詢未來 3 天可見過境
+
+💡 分享位置後輸入「訂閱ISS」，可在 ISS 過境前 10 分鐘收到通知`,
+    'iss.passes.title': '🛰️ ISS 過境預報',
+    'iss.passes.none': '未來 3 天沒有可見的 ISS 過境\n（需仰角 ≥ 10°、太空站受日照且天色已暗）',
+    'iss.passes.maxElevation': '📐 最高仰角 {elevation}°（{direction}）',
+    'iss.passes.magnitude': '✨ 亮度 {value} 等',
+    'iss.passes.tle': '📡 軌道資料：{date}',
+    'iss.passes.outdated': '⚠️ 軌道資料已超過 {days} 天未更新，暫停預報過境（舊資料的時間誤差過大）',
+    'iss.passes.hint': '💡 分享位置可查詢所在地過境，或輸入「ISS過境 東京」',
+    'iss.alert.title': '🛰️ ISS 即將過境！',
+    'iss.alert.in': '⏰ 約 {minutes} 分鐘後（{time}）',
+    'iss.alert.appear': '🧭 出現：{direction}方 仰角 {elevation}°',
+    'iss.alert.peak': '📐 最高：{direction}方 仰角 {elevation}°（{time}）',
+    'iss.alert.disappear': '🌑 消失：{direction}方（{time}）',
+    'iss.alert.magnitude': '✨ 亮度：{value} 等',
+    'iss.alert.tip': '💡 ISS 看起來像一顆不閃爍、穩定移動的亮星',
+
+    // ═══ 今晚觀測 ═══
+    'planet.mercury': '水星',
+    'planet.venus': '金星',
+    'planet.mars': '火星',
+    'planet.jupiter': '木星',
+    'planet.saturn': '土星',
+    'deepSky.m31': '仙女座星系 M31',
+    'deepSky.m42': '獵戶座大星雲 M42',
+    'deepSky.m45': '昴宿星團 M45',
+    'deepSky.m13': '武仙座球狀星團 M13',
+    'deepSky.m8': '礁湖星雲 M8',
+    'deepSky.milkyWay': '銀河中心',
+    'deepSky.m44': '蜂巢星團 M44',
+    'deepSky.doubleCluster': '英仙座雙星團',
+    'deepSky.omegaCen': '半人馬座ω球狀星團',
+    'deepSky.lmc': '大麥哲倫星系',
+    'tonight.noNight': '無夜晚',
+    'tonight.moonTarget': '月亮（{phase}）',
+    'tonight.auroraTarget': '極光（Kp {kp}）',
+    'tonight.title': '🔭 今晚能看什麼',
+    'tonight.polarDay': '☀️ 今日極晝，沒有夜晚可觀測',
+    'tonight.sunsetSunrise': '🌇 日落 {sunset}　🌅 日出 {sunrise}',
+    'tonight.darkness': '🌌 天文黑暗：{start} - {end}',
+    'tonight.moon': '{icon} {phase}（亮面 {value}%）',
+    'tonight.cloud': '☁️ 雲量：{value}',
+    'tonight.conditions': '⭐ 觀測條件：{label}（{score} 分）',
+    'tonight.noTargets': '😴 今晚剩餘時段沒有合適的觀測目標',
+    'tonight.targets': '🎯 推薦目標',
+    'tonight.target': '{index}. {icon} {name}（{score} 分）',
+    'tonight.window': '   🕐 {start} - {end}',
+    'tonight.peak': '   📈 最佳 {time}{where}',
+    'tonight.where': '，{direction}方 {altitude}°',
+    'tonight.whereAurora': '，{direction}',
+    'tonight.hint': '💡 分享位置可取得所在地的規劃',
+
+    // ═══ 觀星預報 ═══
+    'observing.title': '🔭 觀星預報（未來 3 晚）',
+    'observing.night': '📅 {date} 晚上',
+    'observing.polarDay': '☀️ 極晝，沒有夜晚可觀測',
+    'observing.outOfRange': '❔ 超出預報範圍',
+    'observing.average': '{icon} 整晚 {score} 分（{label}）',
+    'observing.best': '🏆 最佳 {time}（{score} 分）',
+    'observing.clouds': '   ☁️ 低 {low}% / 中 {mid}% / 高 {high}%',
+    'observing.humidity': '   💧 濕度 {humidity}%　🌬️ 視相{seeing}',
+    'observing.moonUp': '   🌙 月亮在天上（亮面 {value}%）',
+    'observing.hour': '{hour}時',
+    'observing.legend': '🟢 ≥70 極佳　🟡 ≥45 良好　🟠 ≥25 普通　🔴 不佳',
+    'observing.hint': '💡 分數綜合雲量分層、濕度、能見度、風與高空噴流、曙暮光與月光',
+    'observing.unavailable': '❌ 無法取得觀星預報，請稍後再試',
+
+    // ═══ 太空氣象報告 ═══
+    'kp.quiet': '平靜',
+    'kp.active': '活躍',
+    'kp.storm': '風暴',
+    'kp.severe': '劇烈',
+    'reading.unavailable': '資料暫時無法取得',
+    'report.title': '🛰️ 太空氣象報告',
+    'report.aurora': '🌌 極光預報',
+    'report.kp': '{emoji} Kp 指數：{kp} ({status})',
+    'report.gLevel': '📊 地磁警報：{level}',
+    'report.chances': '🌍 極光可見機率',
+    'report.solar': '☀️ 太陽活動',
+    'report.flare': '🔥 閃焰等級：{value}',
+    'report.solarWind': '💨 太陽風：{value} km/s',
+    'report.bz': '🧲 磁場 Bz：{value} nT',
+    'report.radiation': '☢️ 輻射等級：{value}',
+    'report.iss': '🚀 ISS 國際太空站',
+    'report.issComputing': '計算中',
+    'report.altitude': '📡 高度：{value} km',
+    'report.updated': '⏰ 更新時間：{time}',
+    'report.hint': '💡 輸入指令查看更多：\n「極光」「太陽風」「ISS」「訂閱」',
+    'report.alert.strongStorm': '🔴 強烈地磁風暴 {level}',
+    'report.alert.storm': '🟠 地磁風暴 {level}',
+    'report.alert.xFlare': '🔴 X 級太陽閃焰 {flare}',
+    'report.alert.mFlare': '🟠 M 級太陽閃焰 {flare}',
+    'report.alert.radiation': '☢️ 輻射風暴 {level}',
+
+    // ═══ 極光 ═══
+    'aurora.location.iceland': '冰島 雷克雅維克',
+    'aurora.location.norway': '挪威 特羅姆瑟',
+    'aurora.location.finland': '芬蘭 羅瓦涅米',
+    'aurora.location.canada': '加拿大 黃刀鎮',
+    'aurora.location.alaska': '阿拉斯加 費爾班克斯',
+    'aurora.location.hokkaido': '日本 北海道',
+    'aurora.location.scotland': '蘇格蘭 因佛尼斯',
+    'aurora.location.newZealand': '紐西蘭 因佛卡吉爾',
+    'aurora.short.iceland': '冰島',
+    'aurora.short.norway': '挪威',
+    'aurora.short.finland': '芬蘭',
+    'aurora.short.hokkaido': '北海道',
+    'aurora.chance': '{name}：{chance}',
+    'aurora.hemisphere.north': '北方',
+    'aurora.hemisphere.south': '南方',
+    'aurora.visibility.polarCap': '位於極冠區，極光多出現在赤道側天空',
+    'aurora.visibility.overhead': '極光可能出現在頭頂',
+    'aurora.visibility.sky': '{direction}天空可見',
+    'aurora.visibility.horizon': '{direction}地平線附近，需暗空與長曝光',
+    'aurora.visibility.none': '目前無法看到',
+    'aurora.title': '🌌 極光預報',
+    'aurora.kp': '{emoji} Kp 地磁指數：{kp}',
+    'aurora.gLevel': '📊 地磁警報等級：{level}',
+    'aurora.yourLocation': '📍 您的位置：{place}',
+    'aurora.yourChance': '🌌 可見機率：{visible}（頭頂 {overhead}）',
+    'aurora.chances': '🌍 各地可見機率：',
+    'aurora.model': '📡 NOAA OVATION 模型，預報時間 {time}',
+    'aurora.modelUnavailable': '📡 OVATION 模型資料暫時無法取得',
+    'aurora.kpGuide': '📖 Kp 指數說明：\n0-2：平靜，僅北極圈可見\n3-4：活躍，北歐可見\n5-6：風暴，中緯度可見\n7+：劇烈，低緯度可能可見',
+    'aurora.hint': '💡 輸入「訂閱極光」並分享位置，可在您所在地可能看到極光時收到通知',
+    'aurora.alert.title': '🌌 ⚠️ 極光警報！',
+    'aurora.alert.kp': 'Kp 指數已達 {kp}',
+    'aurora.alert.gLevel': '地磁警報等級：{level}',
+    'aurora.alert.threshold': '🔔 您的門檻：Kp ≥ {kp}（{source}）',
+    'aurora.alert.source.custom': '自訂',
+    'aurora.alert.source.location': '依所在地',
+    'aurora.alert.source.default': '預設',
+    'aurora.alert.geomagLat': '🧲 地磁緯度：{value}°',
+    'aurora.alert.visibility': '👀 可見性：{label}',
+    'aurora.alert.shareLocation': '📍 分享 LINE 位置訊息，即可收到您所在地的可見性估計',
+    'aurora.alert.towards.north': '北',
+    'aurora.alert.towards.south': '南',
+    'aurora.alert.tips': '🔭 觀測建議：\n• 當地午夜前後 2 小時最佳\n• 遠離光害、朝向{direction}方地平線\n• 手機請使用夜景 / 長曝光模式',
+    'aurora.stormOver': '✅ 地磁風暴結束\n\nKp 指數已回落至 {kp}（低於 4）\n\n📈 本次峰值：Kp {peak}（{gLevel}）\n⏱️ 持續時間：約 {hours} 小時\n\n下次 Kp 達到您的門檻時會再通知',
+
+    // ═══ 太陽風 ═══
+    'solar.speed.normal': '🟢 正常',
+    'solar.speed.elevated': '🟡 偏高',
+    'solar.speed.high': '🟠 高速',
+    'solar.speed.extreme': '🔴 極高速',
+    'solar.bz.north': '🟢 北向（穩定）',
+    'solar.bz.south': '🟡 南向（活躍）',
+    'solar.bz.strongSouth': '🔴 強南向（風暴）',
+    'solar.message': p => `☀️ 太陽風即時數據
+━━━━━━━━━━━━━━━━
+
+💨 風速：${p.speed} km/s
+   ${p.speedStatus}
+
+📊 密度：${p.density} p/cm³
+
+🌡️ 溫度：${p.temperature}K
+
+━━━━━━━━━━━━━━━━
+
+🧲 行星際磁場 (IMF)
+Bz：${p.bz} nT
+   ${p.bzStatus}
+Bt：${p.bt} nT
+
+━━━━━━━━━━━━━━━━
+
+🔥 太陽閃焰
+目前等級：${p.flare}
+X射線通量：${p.xrayFlux} W/m²
+
+☢️ 輻射風暴
+質子通量：${p.protonFlux} pfu
+等級：${p.sLevel}
+
+━━━━━━━━━━━━━━━━
+
+📖 說明：
+• 太陽風速 > 500 km/s 可能引發地磁風暴
+• Bz 南向（負值）越強，地磁活動越劇烈
+• X 級閃焰可能影響無線電通訊
+
+💡 輸入「訂閱閃焰」可在 X 級閃焰時收到通知`,
+
+    // ═══ CME ═══
+    'cme.none': '🌋 過去 7 天沒有偵測到 CME 事件',
+    'cme.listTitle': '🌋 近期 CME 日冕物質拋射事件',
+    'cme.speed': '💨 速度：{value} km/s',
+    'cme.type': '📐 類型：{value}',
+    'cme.source.enlil': 'WSA-Enlil',
+    'cme.source.eca': '錐體幾何 + ECA 經驗模型',
+    'cme.alert': p => `🌋 ⚠️ CME 地球方向警報！
+
+偵測到${p.glancing ? '可能擦過' : '朝向'}地球的日冕物質拋射
+
+🆔 ${p.id}
+📅 爆發時間：${p.time}
+💨 速度：${p.speed} km/s
+📐 半角寬度：${p.halfAngle}°
+
+⏱️ 預估抵達（台灣時間）
+${p.windowStart} ～ ${p.windowEnd}
+最可能：${p.arrival}
+
+🧲 預估 Kp：${p.kp}${p.gLevel ? `（最高約 G${p.gLevel}）` : ''}
+📊 依據：${p.source}
+
+${p.auroraLikely ? '🌌 抵達後可能出現極光，高緯度地區請留意' : '💡 預期地磁影響輕微'}`,
+
+    // ═══ 閃焰、輻射警報 ═══
+    'flare.alert': '🔥 ⚠️ X 級太陽閃焰警報！\n\n偵測到 {class} 級太陽閃焰\n\n可能影響：\n• 高頻無線電通訊中斷\n• GPS 定位精度下降\n• 衛星通訊干擾\n\n請密切關注後續發展',
+    'radiation.impact.S1': '極區 HF 無線電輕微衰減',
+    'radiation.impact.S2': '極區 HF 通訊偶有中斷；高緯度航班乘客輻射暴露略增',
+    'radiation.impact.S3': '極區 HF 通訊衰減、導航誤差增加；極區航班輻射暴露升高，太空人應避免出艙',
+    'radiation.impact.S4': '極區 HF 通訊中斷數日；衛星記憶體錯誤；極區航線建議改道',
+    'radiation.impact.S5': '極區 HF 完全中斷；高緯度航班乘客受高輻射；衛星可能永久損壞',
+    'radiation.alert': p => `☢️ ⚠️ 輻射風暴警報：${p.level}
+
+≥10 MeV 質子通量：${p.flux} pfu
+${p.previous === 0 ? '太陽質子事件開始' : `等級由 S${p.previous} 上升`}
+
+可能影響：
+${p.impact}
+
+解除時將另行通知`,
+    'radiation.clear': '✅ 輻射風暴解除\n\n≥10 MeV 質子通量已回落至 {flux} pfu（低於 S1 門檻 10 pfu）\n\n📈 本次峰值：{peak}\n⏱️ 持續時間：約 {hours} 小時\n\nHF 無線電與極區航線可恢復正常作業',
+
+    // ═══ 天氣 ═══
+    'weather.code.0': '晴天',
+    'weather.code.1': '晴時多雲',
+    'weather.code.2': '多雲',
+    'weather.code.3': '陰天',
+    'weather.code.45': '霧',
+    'weather.code.48': '霧',
+    'weather.code.51': '毛毛雨',
+    'weather.code.53': '毛毛雨',
+    'weather.code.55': '毛毛雨',
+    'weather.code.61': '小雨',
+    'weather.code.63': '中雨',
+    'weather.code.65': '大雨',
+    'weather.code.71': '小雪',
+    'weather.code.73': '中雪',
+    'weather.code.75': '大雪',
+    'weather.code.80': '陣雨',
+    'weather.code.81': '陣雨',
+    'weather.code.82': '暴雨',
+    'weather.code.95': '雷雨',
+    'weather.code.96': '雷雨伴冰雹',
+    'weather.code.99': '強雷雨',
+    'weather.code.unknown': '未知',
+    'weather.message': p => `🌤️ ${p.place} 天氣
+━━━━━━━━━━━━━━━━
+
+${p.icon} ${p.description}
+
+🌡️ 溫度：${p.temp}°C
+🤒 體感：${p.feelsLike}°C
+💧 濕度：${p.humidity}%
+💨 風速：${p.windSpeed} m/s
+👁️ 能見度：${p.visibility} km
+☁️ 雲量：${p.cloudCover}%
+
+🌅 日出：${p.sunrise}
+🌇 日落：${p.sunset}`,
+    'weather.unavailable': '❌ 無法取得天氣資料',
+
+    // ═══ 位置 ═══
+    'location.saved': '📍 已儲存您的位置\n{place}',
+    'location.geomagLat': '🧲 地磁緯度：{value}°',
+    'location.requiredKp': '🌌 地平線可見極光所需 Kp：{kp}',
+    'location.extremeOnly': '9（僅極端風暴）',
+    'location.currentKp': '目前 Kp {kp}：{label}',
+    'location.customThreshold': '🔔 您的極光警報使用自訂門檻 Kp≥{kp}\n輸入「訂閱極光警報」改為依所在地計算',
+    'location.auroraUpdated': '🔔 極光警報已改為依此位置計算（Kp≥{kp}）',
+    'location.auroraHint': '💡 輸入「訂閱極光警報」即可在此地可能看到極光時收到通知',
+    'location.issUpdated': '🛰️ ISS 過境提醒已改用此位置',
+    'location.hint': '💡 輸入「天氣」、「今晚」查看此地天氣與觀測目標',
+
+    // ═══ 選單 ═══
+    'menu.altText': '太空氣象指揮中心',
+    'menu.subtitle': '太空氣象指揮中心',
+    'menu.aurora': '🌌 極光',
+    'menu.solar': '☀️ 太陽風',
+    'menu.iss': '🚀 ISS',
+    'menu.report': '📊 完整報告',
+    'menu.subscribe': '🔔 訂閱',
+    'menu.launch': '🛸 發射',
+    'menu.moon': '🌙 月相',
+    'menu.meteor': '☄️ 流星',
+    'menu.quick': '💡 快速指令',
+    'menu.quickCommands': [
+        '• 極光 / 太陽風 / ISS / CME',
+        '• 天氣 台北 / 天氣 東京',
+        '• ISS過境 / ISS過境 東京',
+        '• 今晚 / 今晚 高雄 / 觀星預報',
+        '• 發射 / 月相 / 流星雨 / 黃金時刻',
+        '• 訂閱 / 取消訂閱',
+        '• language en / language ja'
+    ],
+    'subMenu.altText': '訂閱設定選單',
+    'subMenu.title': '🔔 訂閱設定',
+    'subMenu.prompt': '選擇要訂閱的通知類型：',
+    'subMenu.daily': '📅 每日報告',
+    'subMenu.aurora': '🌌 極光警報（依所在地）',
+    'subMenu.flare': '🔥 X級閃焰警報',
+    'subMenu.cme': '🌋 CME 地球方向警報',
+    'subMenu.radiation': '☢️ 輻射風暴警報 (S1+)',
+    'subMenu.iss': '🛰️ ISS 過境提醒',
+    'subMenu.meteor': '☄️ 流星雨極大期提醒',
+    'subMenu.launch': '🚀 火箭發射倒數提醒',
+    'subMenu.subscribe': '訂閱',
+    'subMenu.mine': '📋 查看我的訂閱',
+    'subMenu.cancelAll': '❌ 取消所有訂閱',
+    'subMenu.unsubscribe': '取消',
+    'subMenu.settings': '設定',
+    'options.daily': '📅 選擇每日報告的推播時間\n\n💡 也可輸入「訂閱每日報告 07:15 平日」指定星期與時區',
+    'options.daily.current': '\n\n目前設定：{times}\n點選「❌」可取消該時間',
+    'options.daily.pick': '🕐 其他時間',
+    'options.aurora': '🌌 選擇極光警報的 Kp 門檻\n\n「依所在地」會以您分享的位置計算可見所需的 Kp',
+    'options.aurora.location': '📍 依所在地',
+    'options.radiation': '☢️ 選擇輻射警報的最低等級\n\nS1 輕微 → S5 極端，等級越高通知越少',
+    'options.iss': '🛰️ 選擇 ISS 過境提醒的最低仰角\n\n仰角越高越容易看見，通知也越少',
+    'options.launch': '🚀 選擇要接收的發射提醒\n\n💡 也可輸入「訂閱發射 火箭 Falcon 9」指定火箭',
+    'options.launch.all': '🚀 全部發射',
+    'options.flare': '🔥 X 級閃焰警報',
+    'options.cme': '🌋 CME 地球方向警報',
+    'options.meteor': '☄️ 流星雨極大期提醒',
+    'options.unsubscribe': '❌ 取消訂閱',
+    'postback.expired': '⚠️ 這個按鈕已失效，請輸入「訂閱」重新開啟選單',
+
+    // ═══ 訂閱 ═══
+    'subscription.created': '訂閱成功',
+    'subscription.updated': '訂閱已更新',
+    'subscription.unsaved': '訂閱成功（未保存）',
+    'subscription.failed': '訂閱失敗',
+    'subscription.name.daily': '每日太空氣象報告',
+    'subscription.name.aurora.location': '極光警報（依所在地）',
+    'subscription.name.aurora.kp': '極光警報 (Kp≥{kp})',
+    'subscription.name.flare': 'X級太陽閃焰警報',
+    'subscription.name.cme': 'CME 地球方向警報',
+    'subscription.name.radiation': '輻射風暴警報 ({level}+)',
+    'subscription.name.iss': 'ISS 過境提醒（仰角≥{elevation}°）',
+    'subscription.name.meteor': '流星雨極大期提醒',
+    'subscription.name.launch': '發射提醒（{description}）',
+    'subscribe.daily': '✅ {result}\n\n📅 {schedule} 將收到太空氣象報告\n⏭️ 下一次：{next}\n\n💡 最多可設定 {max} 個時間，例如「訂閱每日報告 07:15 平日」、「訂閱每日報告 晚上九點 週六日」\n輸入「取消每日報告 07:15」取消單一時間',
+    'subscribe.daily.step': '⏰ 每日報告時間以 15 分鐘為單位（無法設定 {time}）\n\n例如「訂閱每日報告 07:15」或「訂閱每日報告 晚上九點半」',
+    'subscribe.daily.limit': '⚠️ 每日報告最多設定 {max} 個時間\n\n請先輸入「取消每日報告 07:15」等指令取消其中一個',
+    'subscribe.aurora': '✅ {result}\n\n當 Kp 指數 ≥ {kp} 時，您將收到極光警報',
+    'subscribe.aurora.byLocation': p => `\n📍 依您分享的位置${p.place ? `（${p.place}）` : ''}計算`,
+    'subscribe.aurora.shareLocation': '\n\n📍 分享 LINE 位置訊息，即可依所在地自動計算門檻並附上當地可見性',
+    'subscribe.aurora.hint': '\n💡 輸入「訂閱極光警報 3」可自訂 Kp 門檻',
+    'subscribe.flare': '✅ {result}\n\n當發生 X 級太陽閃焰時，您將收到警報',
+    'subscribe.cme': '✅ {result}\n\n當偵測到朝向地球的 CME 時，您將收到警報',
+    'subscribe.radiation': '✅ {result}\n\n當質子事件達到 {level} 以上並持續升級時，您將收到警報\n通量回落至 S1 門檻以下時會發送解除通知\n\n💡 可輸入「訂閱輻射警報 S3」調整門檻（S1-S5）',
+    'subscribe.iss.needLocation': '📍 ISS 過境提醒需要您的位置\n\n請先點選「+」→「位置資訊」分享所在地，\n再輸入「訂閱ISS」完成訂閱',
+    'subscribe.iss': '✅ {result}\n\n📍 {place}\nISS 可見過境且最高仰角 ≥ {elevation}° 時，\n將在出現前約 {lead} 分鐘通知您方向與仰角\n\n💡 可輸入「訂閱ISS 40」調整最低仰角（10-80°）',
+    'subscribe.meteor': '✅ {result}\n\n📍 {place}\n每場流星雨極大期前 {days} 天通知您：\n活動期間、預估每小時流星數、最佳觀測時間與月光影響\n\n💡 分享位置後會依所在地計算輻射點高度',
+    'subscribe.launch': '✅ {result}\n\n🚀 {description}\n將在 T-24 小時、T-1 小時與升空時通知您，\n發射延期、取消（Scrub）或暫停倒數時也會通知',
+    'subscribe.launch.next': '\n\n📅 下一次：{name}\n   {date}',
+    'subscribe.launch.noMatch': '\n\n⚠️ 目前清單中沒有符合「{arg}」且已排定時間的發射',
+    'subscribe.launch.hint': '\n\n💡 可輸入「訂閱發射 SpaceX」或「訂閱發射 火箭 Falcon 9」只接收特定發射\n輸入「取消發射提醒」停止通知',
+    'unsubscribe.type': '✅ 已取消{name}',
+    'unsubscribe.type.none': '您目前沒有訂閱{name}\n\n輸入「我的訂閱」查看訂閱清單',
+    'subscription.type.daily': '每日報告',
+    'subscription.type.aurora': '極光警報',
+    'subscription.type.flare': '閃焰警報',
+    'subscription.type.cme': 'CME 警報',
+    'subscription.type.radiation': '輻射警報',
+    'subscription.type.iss': 'ISS 過境提醒',
+    'subscription.type.meteor': '流星雨提醒',
+    'subscription.type.launch': '發射提醒',
+    'unsubscribe.daily': '✅ 已取消 {time} 的每日報告',
+    'unsubscribe.daily.all': '✅ 已取消所有每日報告',
+    'unsubscribe.daily.none': '找不到 {time} 的每日報告\n\n輸入「我的訂閱」查看已設定的時間',
+    'unsubscribe.all': '✅ 已取消所有訂閱\n\n如需重新訂閱，請輸入「訂閱」',
+    'unsubscribe.confirm.all': '⚠️ 確定要取消所有訂閱嗎？\n\n取消後將不再收到任何通知',
+    'unsubscribe.confirm.type': '⚠️ 確定要取消{name}嗎？',
+    'unsubscribe.confirm.daily': '⚠️ 確定要取消 {time} 的每日報告嗎？',
+    'unsubscribe.confirm.dailyAll': '⚠️ 確定要取消所有每日報告嗎？',
+    'unsubscribe.confirm.yes': '確定取消',
+    'unsubscribe.confirm.no': '保留訂閱',
+    'mySubscriptions.empty': '📋 您目前沒有任何訂閱\n\n輸入「訂閱」查看可用選項',
+    'mySubscriptions.title': '📋 您的訂閱清單',
+    'mySubscriptions.hint': '點選下方按鈕或輸入「取消極光警報」等可取消單項\n輸入「取消所有訂閱」可停止所有通知',
+
+    // ═══ 每日報告排程 ═══
+    'schedule.every': '每天',
+    'schedule.weekdays': '平日',
+    'schedule.weekends': '週末',
+    'schedule.weekdayNames': ['週一', '週二', '週三', '週四', '週五', '週六', '週日'],
+    'schedule.separator': '、',
+    'schedule.timeZone': '（{timeZone}）',
+    'schedule.occurrence': '{month}/{day}（{weekday}）{time}',
+
+    // ═══ API ═══
+    'api.invalidCoordinates': '請提供有效的 lat（-90~90）與 lon（-180~180）',
+    'api.invalidTimeZone': '無效的時區：{tz}',
+    'api.invalidDateTime': '無效的日期，請使用 YYYY-MM-DD 或 ISO 8601',
+    'api.invalidDate': '無效的日期，請使用 YYYY-MM-DD',
+    'api.invalidType': '無效的類型',
+    'api.ovationUnavailable': 'OVATION 數據取得失敗',
+    'api.issUnavailable': 'ISS 數據取得失敗',
+    'api.issTleOutdated': 'ISS 軌道資料超過 {days} 天未更新，暫停預報',
+    'api.weatherUnavailable': '天氣數據取得失敗',
+    'api.forecastUnavailable': '無法取得天氣預報',
+    'api.storageUnavailable': '資料儲存未就緒',
+
+    // ═══ 網頁儀表板（public/index.html，經 /api/i18n 提供）═══
+    'web.title': '🛰️ ORBITAL COMMAND - 太空氣象指揮中心 v2.0',
+    'web.sidebar.sub': 'v4.0 太空氣象',
+    'web.nav.monitor': '監控中心',
+    'web.nav.dashboard': '即時儀表板',
+    'web.nav.aurora': '極光預報',
+    'web.nav.solar': '太陽活動',
+    'web.nav.astro': '天文工具',
+    'web.nav.golden': '黃金時刻',
+    'web.nav.moon': '月相模擬器',
+    'web.nav.tonight': '今晚能看什麼',
+    'web.nav.trackers': '追蹤器',
+    'web.nav.iss': 'ISS 過境預報',
+    'web.nav.aurora-live': '極光直播',
+    'web.nav.education': '教育專區',
+    'web.nav.sun-edu': '太陽結構',
+    'web.nav.quiz': '太空知識問答',
+    'web.nav.admin': '系統管理',
+    'web.nav.subscribers': '訂閱者管理',
+    'web.nav.push': '推播管理',
+    'web.nav.settings': '系統設定',
+    'web.header.subtitle': '太空氣象指揮中心 v2.0',
+    'web.header.satellites': '衛星在線',
+    'web.header.streams': '數據串流',
+    'web.header.alert': '地磁警報',
+    'web.header.uptime': '系統運行',
+    'web.panel.aurora': '極光預報',
+    'web.panel.flare': '太陽閃焰',
+    'web.panel.solarWind': '太陽風',
+    'web.panel.iss': 'ISS 國際太空站',
+    'web.panel.radiation': '輻射與通訊',
+    'web.panel.ocean': '海況監測',
+    'web.panel.weather': '地面天氣',
+    'web.page.aurora.title': '🌌 極光預報',
+    'web.page.aurora.subtitle': '即時極光活動監測與預測',
+    'web.page.solar.title': '☀️ 太陽活動監測',
+    'web.page.solar.subtitle': '太陽閃焰、日冕物質拋射與太陽風',
+    'web.page.golden.title': '🌅 黃金時刻計算器',
+    'web.page.golden.subtitle': '攝影最佳時間',
+    'web.page.moon.title': '🌙 月相模擬器',
+    'web.page.moon.subtitle': '拖曳時間軸查看月相變化',
+    'web.page.tonight.title': '🔭 今晚能看什麼',
+    'web.page.tonight.subtitle': '依行星位置、月光、天空暗度與雲量推薦觀測目標（位置同黃金時刻設定）',
+    'web.page.iss.title': '🛰️ ISS 過境預報',
+    'web.page.iss.subtitle': '即時位置與台灣可見時間',
+    'web.page.aurora-live.title': '📸 極光觀測中心',
+    'web.page.aurora-live.subtitle': '即時預報、太陽影像與全球攝影機',
+    'web.page.sun-edu.title': '🧲 太陽結構與地磁場',
+    'web.page.sun-edu.subtitle': '互動式教學',
+    'web.page.quiz.title': '🎲 太空知識問答',
+    'web.page.quiz.subtitle': '測試你的太空知識！',
+    'web.page.subscribers.title': '👥 訂閱者管理',
+    'web.page.subscribers.subtitle': 'LINE BOT 訂閱者',
+    'web.page.push.title': '📤 推播管理',
+    'web.page.push.subtitle': '發送 LINE 推播訊息',
+    'web.page.settings.title': '⚙️ 系統設定',
+    'web.page.settings.subtitle': '配置參數',
+    'web.alert.loading': '系統監測中... 正在載入太空氣象資料',
+    'web.alert.stable': '目前太空天氣狀況穩定',
+    'web.alert.solarWind': '太陽風 {speed} km/s',
+    'web.alert.iss': 'ISS 正常運行中',
+    'web.alert.partial': '⚠️ 部分資料暫時無法取得',
+    'web.alert.offline': '⚠️ 太空氣象資料暫時無法取得（{reason}），數值將於後端恢復後自動更新',
+    'web.kp.label': 'Kp 地磁指數',
+    'web.kp.unavailable': '資料無法取得',
+    'web.kp.quiet': '平靜 Quiet',
+    'web.kp.active': '活躍 Active',
+    'web.kp.storm': '風暴 Storm',
+    'web.kp.severe': '劇烈 Severe',
+    'web.common.loading': '載入中...',
+    'web.common.lat': '緯度',
+    'web.common.lon': '經度',
+    'web.common.date': '日期',
+    'web.common.refresh': '🔄 重新整理',
+    'web.common.refreshed': '已更新',
+    'web.region.iceland': '🇮🇸 冰島',
+    'web.region.norway': '🇳🇴 挪威',
+    'web.region.finland': '🇫🇮 芬蘭',
+    'web.region.hokkaido': '🇯🇵 北海道',
+    'web.region.canada': '🇨🇦 加拿大',
+    'web.region.newZealand': '🇳🇿 紐西蘭',
+    'web.region.antarctica': '🇦🇶 南極',
+    'web.flare.x': 'X級',
+    'web.flare.m': 'M級',
+    'web.flare.c': 'C級',
+    'web.flare.count': '{count} 次',
+    'web.cme.title': '🌋 CME 日冕拋射',
+    'web.cme.eta': '抵達時間',
+    'web.cme.none': '7 天內無事件',
+    'web.cme.arrived': '已抵達',
+    'web.solarWind.speed': '風速',
+    'web.solarWind.density': '密度',
+    'web.solarWind.bz': '磁場 Bz',
+    'web.solarWind.xray': 'X射線',
+    'web.globe.rotate': '自動旋轉',
+    'web.globe.terminator': '日夜分界',
+    'web.globe.issOrbit': 'ISS軌道',
+    'web.globe.auroraOval': '極光帶',
+    'web.globe.heatmap': '溫度圖',
+    'web.stats.globalTemp': '全球均溫',
+    'web.stats.seaLevel': '海平面 mm/年',
+    'web.stats.arcticIce': '北極冰層',
+    'web.stats.storms': '活躍風暴',
+    'web.stats.radiationStorm': '輻射風暴',
+    'web.iss.tracking': '實時追蹤中',
+    'web.iss.altitude': '高度',
+    'web.iss.speed': '速度',
+    'web.iss.locating': '📍 目前位置：計算中...',
+    'web.iss.altitudeKm': '高度 km',
+    'web.iss.over.japanTaiwan': '日本/台灣 上空',
+    'web.iss.over.usa': '美國 上空',
+    'web.iss.over.europe': '歐洲 上空',
+    'web.iss.over.australia': '澳洲 上空',
+    'web.iss.over.asia': '亞洲 上空',
+    'web.iss.over.southAmerica': '南美洲 上空',
+    'web.iss.over.africa': '非洲 上空',
+    'web.iss.over.polar': '極區 上空',
+    'web.iss.over.ocean': '海洋 上空',
+    'web.tab.radiation': '☢️ 輻射',
+    'web.tab.radio': '📻 無線電',
+    'web.radiation.level': '太空輻射等級',
+    'web.radiation.proton': '質子通量 >10MeV',
+    'web.radiation.electron': '電子通量 >2MeV',
+    'web.radio.blackout': 'HF 無線電中斷',
+    'web.radio.hf': 'HF 高頻 (3-30MHz)',
+    'web.radio.vhf': 'VHF 甚高頻',
+    'web.radio.gps': 'GPS 導航',
+    'web.radio.satcom': '衛星通訊',
+    'web.radio.normal': '正常',
+    'web.ocean.waveHeight': '浪高',
+    'web.ocean.period': '週期',
+    'web.ocean.seaTemp': '海溫',
+    'web.ocean.tide': '潮汐',
+    'web.ocean.tides': ['漲潮', '滿潮', '退潮', '乾潮'],
+    'web.weather.search': '搜尋城市...',
+    'web.weather.clear': '晴天',
+    'web.weather.feelsLike': '體感',
+    'web.weather.humidity': '濕度',
+    'web.weather.wind': '風速',
+    'web.weather.visibility': '能見度',
+    'web.weather.partlyCloudy': '晴時多雲',
+    'web.weather.cloudy': '多雲',
+    'web.weather.fog': '霧',
+    'web.weather.drizzle': '毛毛雨',
+    'web.weather.rain': '雨',
+    'web.weather.snow': '雪',
+    'web.weather.thunderstorm': '雷雨',
+    'web.aurora.kpNow': '當前 Kp 指數',
+    'web.aurora.advice': '觀測建議',
+    'web.aurora.adviceQuiet': '目前極光活動平靜，建議在高緯度地區觀測。',
+    'web.aurora.adviceTime': '最佳觀測時間：22:00 - 02:00',
+    'web.aurora.adviceDark': '遠離城市光害',
+    'web.aurora.adviceView': '選擇視野開闊處',
+    'web.solar.flares24h': '24h 閃焰數',
+    'web.solar.windSpeed': '太陽風速 km/s',
+    'web.solar.kpMax24h': '24h 最高 Kp',
+    'web.golden.morning': '🌅 晨間黃金時刻',
+    'web.golden.morningDesc': '日出前後的柔和光線',
+    'web.golden.evening': '🌇 傍晚黃金時刻',
+    'web.golden.eveningDesc': '日落前後的溫暖光線',
+    'web.golden.blue': '🔵 藍調時刻',
+    'web.golden.riseSet': '🌅 日出 / 🌇 日落',
+    'web.golden.noon': '☀️ 正午 / 日照長度',
+    'web.golden.civil': '民用曙暮光（-6°）晨 / 昏',
+    'web.golden.nautical': '航海曙暮光（-12°）晨 / 昏',
+    'web.golden.astronomical': '天文曙暮光（-18°）晨 / 昏',
+    'web.golden.timeZone': '顯示時區',
+    'web.golden.location': '位置設定',
+    'web.golden.useLocation': '📍 使用目前位置',
+    'web.golden.located': '已取得位置',
+    'web.golden.locateFailed': '無法取得位置',
+    'web.golden.polarDay': '極晝',
+    'web.golden.polarNight': '極夜',
+    'web.golden.error': '無法計算日出日落時間',
+    'web.moon.new': '🌑新月',
+    'web.moon.firstQuarter': '🌓上弦',
+    'web.moon.full': '🌕滿月',
+    'web.moon.lastQuarter': '🌗下弦',
+    'web.moon.illumination': '照明度: {percent}%',
+    'web.moon.phases': ['🌑 新月', '🌒 蛾眉月', '🌓 上弦月', '🌔 盈凸月', '🌕 滿月', '🌖 虧凸月', '🌗 下弦月', '🌘 殘月'],
+    'web.tonight.moon': '月相',
+    'web.tonight.conditions': '觀測條件',
+    'web.tonight.planets': '可見行星數',
+    'web.tonight.targets': '推薦觀測目標',
+    'web.tonight.polarDay': '極晝期間沒有夜晚',
+    'web.tonight.none': '今晚剩餘時段沒有合適的觀測目標',
+    'web.tonight.window': '{start} - {end}，最佳 {peak}',
+    'web.tonight.where': '，{direction}方 {altitude}°',
+    'web.tonight.direction': '，{direction}',
+    'web.tonight.magnitude': '，亮度 {magnitude} 等',
+    'web.tonight.rate': '，每小時約 {rate} 顆',
+    'web.tonight.error': '無法取得今晚觀測規劃',
+    'web.auroraLive.north': '北半球極光預報',
+    'web.auroraLive.northAlt': '北半球',
+    'web.auroraLive.ovation': 'NOAA OVATION 模型 30分鐘預報',
+    'web.auroraLive.south': '南半球極光預報',
+    'web.auroraLive.southAlt': '南半球',
+    'web.auroraLive.sun': '太陽即時影像',
+    'web.auroraLive.sdo304Alt': '太陽SDO 304',
+    'web.auroraLive.sdo304': 'NASA SDO 304Å 極紫外線',
+    'web.auroraLive.corona': '太陽日冕影像',
+    'web.auroraLive.sdo193Alt': '太陽SDO 193',
+    'web.auroraLive.sdo193': 'NASA SDO 193Å 日冕',
+    'web.auroraLive.cams': '全球極光攝影機 (點擊開啟直播)',
+    'web.auroraLive.manitoba': '加拿大 曼尼托巴',
+    'web.auroraLive.exploreOrg': 'Explore.org 24/7 直播',
+    'web.auroraLive.youtube': 'YouTube 極光直播',
+    'web.auroraLive.youtubeDesc': '搜尋全球即時極光',
+    'web.auroraLive.search': '搜尋 →',
+    'web.auroraLive.auroraMax': 'AuroraMAX 黃刀鎮',
+    'web.auroraLive.auroraMaxDesc': '加拿大太空署官方',
+    'web.auroraLive.open': '開啟 →',
+    'web.auroraLive.iceland': '冰島 多地點',
+    'web.auroraLive.northernLightsCentre': '北極光中心',
+    'web.auroraLive.yukon': '育空地區即時狀況',
+    'web.auroraLive.spaceWeatherLive': '極光活動即時數據',
+    'web.auroraLive.bestTime': '最佳觀測時間',
+    'web.auroraLive.taiwanTime': '台灣時間',
+    'web.auroraLive.guide': '觀測條件指南',
+    'web.auroraLive.kpHigh': '極光活躍，值得觀看',
+    'web.auroraLive.kpMid': '可能有微弱極光',
+    'web.auroraLive.kpLow': '極光平靜',
+    'web.auroraLive.nightClear': '💡 當地需為夜間且天氣晴朗才能看到極光',
+    'web.sunEdu.sun': '太陽結構',
+    'web.sunEdu.corona': '🔥 日冕',
+    'web.sunEdu.coronaDesc': '太陽最外層，溫度達百萬度',
+    'web.sunEdu.chromosphere': '🌡️ 色球層',
+    'web.sunEdu.chromosphereDesc': '閃焰發生地',
+    'web.sunEdu.photosphere': '💡 光球層',
+    'web.sunEdu.photosphereDesc': '太陽表面，約 5500°C',
+    'web.sunEdu.magnetosphere': '🛡️ 磁層',
+    'web.sunEdu.magnetosphereDesc': '保護地球免受太陽風侵害',
+    'web.sunEdu.auroralOval': '🌌 極光橢圓區',
+    'web.sunEdu.auroralOvalDesc': '極光產生區域',
+    'web.sunEdu.bz': '⚡ Bz 分量',
+    'web.sunEdu.bzDesc': '負值時太陽風更易進入',
+    'web.sunEdu.earth': '地球磁場',
+    'web.quiz.correct': '答對',
+    'web.quiz.wrong': '答錯',
+    'web.quiz.streak': '連續答對',
+    'web.quiz.q1': '太陽表面溫度約為多少度？',
+    'web.quiz.next': '下一題 ▶',
+    'web.quiz.explainTitle': '知識補充',
+    'web.quiz.explainHint': '答題後顯示說明...',
+    'web.quiz.q1.options': ['3000°C', '5500°C', '8000°C', '15000°C'],
+    'web.quiz.q1.explain': '太陽光球層表面溫度約 5500°C，核心則高達 1500 萬度！',
+    'web.quiz.q2': 'ISS 繞地球一圈需要多長時間？',
+    'web.quiz.q2.options': ['45 分鐘', '90 分鐘', '120 分鐘', '24 小時'],
+    'web.quiz.q2.explain': 'ISS 以每秒約 7.7 公里運行，約 90 分鐘繞地球一圈。',
+    'web.quiz.q3': 'Kp 指數最高可達多少？',
+    'web.quiz.q3.options': ['5', '7', '9', '10'],
+    'web.quiz.q3.explain': 'Kp 指數範圍 0-9，Kp=9 代表極端強烈磁暴。',
+    'web.quiz.q4': '極光主要由什麼造成？',
+    'web.quiz.q4.options': ['月光反射', '太陽風與大氣碰撞', '地熱能量', '雷電'],
+    'web.quiz.q4.explain': '極光是太陽風帶電粒子沿磁力線進入大氣層，與氧氮原子碰撞發光產生的。',
+    'web.quiz.right': '答對了！',
+    'web.quiz.missed': '答錯了',
+    'web.subscribers.total': '總訂閱數',
+    'web.subscribers.active': '活躍用戶',
+    'web.subscribers.today': '今日新增',
+    'web.push.test': '測試推播',
+    'web.push.userId': '用戶 ID',
+    'web.push.userIdPlaceholder': '輸入 LINE User ID',
+    'web.push.type': '推播類型',
+    'web.push.type.weather': '太空氣象總覽',
+    'web.push.type.aurora': '極光預報',
+    'web.push.type.solar': '太陽風數據',
+    'web.push.type.iss': 'ISS 位置',
+    'web.push.sendTest': '📤 發送測試',
+    'web.push.userIdHint': '💡 用戶 ID 可從 LINE BOT 後台或訂閱者管理取得',
+    'web.push.broadcast': '廣播推播',
+    'web.push.audience': '廣播對象',
+    'web.push.audience.all': '📢 全部訂閱者',
+    'web.push.audience.daily': '📅 每日訂閱',
+    'web.push.audience.aurora': '🌌 極光訂閱',
+    'web.push.audience.weather': '☀️ 太空氣象訂閱',
+    'web.push.content': '廣播內容',
+    'web.push.contentPlaceholder': '輸入廣播訊息...',
+    'web.push.broadcastWarning': '⚠️ 廣播會發送給選定類型的訂閱者',
+    'web.push.sendBroadcast': '📢 發送廣播',
+    'web.push.result': '推播結果',
+    'web.push.waiting': '等待操作...',
+    'web.push.userIdRequired': '請輸入用戶 ID',
+    'web.push.sending': '⏳ 發送中...',
+    'web.push.sent': '✅ 發送成功！\n時間: {time}\n類型: {type}\n用戶: {user}',
+    'web.push.testSent': '測試推播已發送',
+    'web.push.failed': '❌ 發送失敗\n{reason}',
+    'web.push.unknownError': '未知錯誤',
+    'web.push.failedToast': '發送失敗: {reason}',
+    'web.push.connectionError': '❌ 連線錯誤\n{reason}',
+    'web.push.connectionFailed': '連線失敗',
+    'web.push.contentRequired': '請輸入廣播內容',
+    'web.push.confirm': '確定要發送廣播給「{audience}」嗎？\n\n內容：{message}',
+    'web.push.broadcasting': '⏳ 廣播發送中...',
+    'web.push.broadcasted': '✅ 廣播成功！\n時間: {time}\n對象: {audience}\n發送: {sent}/{total} 人\n內容: {message}',
+    'web.push.broadcastSent': '廣播已發送給 {count} 人',
+    'web.push.broadcastFailed': '❌ 廣播失敗\n{reason}',
+    'web.push.broadcastFailedToast': '廣播失敗: {reason}',
+    'web.settings.alerts': '警報設定',
+    'web.settings.kpThreshold': 'Kp 警報閾值',
+    'web.settings.adminKey': '🔑 Admin API Key (推播管理用)',
+    'web.settings.adminKeyPlaceholder': '輸入管理密鑰',
+    'web.settings.adminKeyHint': '💡 此密鑰需與 Render 環境變數 ADMIN_API_KEY 相同',
+    'web.settings.save': '💾 儲存設定',
+    'web.settings.saved': '設定已儲存',
+    'web.auroraOval.unavailable': '極光可見線暫時無法取得',
+    'web.api.error': 'API 錯誤',
+    'web.age.justNow': '剛剛',
+    'web.age.minutes': '{count} 分鐘前',
+    'web.age.hours': '{count} 小時前',
+    'web.age.days': '{count} 天前',
+    'web.data.offline': '（離線）',
+    'web.data.noaaUnavailable': 'NOAA 資料無法取得',
+    'web.city.kaohsiung': '高雄',
+    'web.city.taipei': '台北',
+    'web.city.tokyo': '東京',
+    'web.city.seoul': '首爾',
+    'web.city.newYork': '紐約',
+    'web.city.london': '倫敦',
+    'web.city.reykjavik': '雷克雅維克',
+    'web.city.tromso': '特羅姆瑟'
+};
@@ -0,0 +1,272 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ISS 過境預報
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 解析 TLE（兩行軌道根數），以 SGP4 推算軌道，
+ * 找出觀測者可見的過境：升起 / 最高點 / 落下時間、仰角、方位角、
+ * 亮度，並判斷太空站是否受日照、觀測者是否處於黑暗中。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const satellite = require('satellite.js');
+const sun = require('./sun');
+const { azimuthToCompass } = require('./horizon');
+
+const EARTH_RADIUS_KM = 6378.137;
+
+// 離線備援 / 測試用 TLE
+const FIXTURE_TLE_PATH = path.join(__dirname, 'fixtures', 'iss.tle');
+
+const SEARCH_STEP_SECONDS = 20;      // 粗掃步長
+const VISIBILITY_STEP_SECONDS = 10;  // 可見性取樣步長
+
+// 觀測者需處於航海曙暮光以後（太陽低於地平線 6°）才看得到 ISS
+const DARK_SUN_ALTITUDE = -6;
+
+// ISS 標準星等（距離 1000 km、相位角 90°）
+const ISS_STANDARD_MAGNITUDE = -1.8;
+
+// TLE 超過此天數即不預報：ISS 常進行軌道提升，舊 TLE 的時間誤差逐日擴大
+const MAX_TLE_AGE_DAYS = 3;
+
+const rad = Math.PI / 180;
+
+/**
+ * 解析 TLE 文字（可含名稱行），回傳第一組軌道根數
+ * @returns {{ name, line1, line2, epoch: Date }} 或 null
+ */
+function parseTLE(text) {
+    if (!text) return null;
+    const lines = String(text).split(/\r?\n/).map(l => l.trimEnd()).filter(Boolean);
+    const i = lines.findIndex(l => l.startsWith('1 '));
+    if (i < 0 || !lines[i + 1] || !lines[i + 1].startsWith('2 ')) return null;
+
+    const line1 = lines[i];
+    const line2 = lines[i + 1];
+    const satrec = satellite.twoline2satrec(line1, line2);
+    if (satrec.error) return null;
+
+    return {
+        name: i > 0 ? lines[i - 1].trim() : 'ISS (ZARYA)',
+        line1,
+        line2,
+        epoch: satrecEpoch(satrec)
+    };
+}
+
+function satrecEpoch(satrec) {
+    return new Date((satrec.jdsatepoch - 2440587.5) * 86400000);
+}
+
+// TLE 在指定時刻的資料年齡（天）
+function tleAgeDays(tle, date = new Date()) {
+    const epoch = tle.epoch || satrecEpoch(satellite.twoline2satrec(tle.line1, tle.line2));
+    return (date.getTime() - epoch.getTime()) / 86400000;
+}
+
+function loadFixtureTLE() {
+    return parseTLE(fs.readFileSync(FIXTURE_TLE_PATH, 'utf8'));
+}
+
+function createObserver(lat, lon, altitudeMeters = 0) {
+    return {
+        lat,
+        lon,
+        geodetic: {
+            latitude: lat * rad,
+            longitude: lon * rad,
+            height: altitudeMeters / 1000
+        }
+    };
+}
+
+// 指定時刻的衛星狀態（位置、仰角、方位角、距離）
+function lookAt(satrec, observer, date) {
+    const pv = satellite.propagate(satrec, date);
+    if (!pv || !pv.position) return null;
+
+    const gmst = satellite.gstime(date);
+    const ecf = satellite.eciToEcf(pv.position, gmst);
+    const look = satellite.ecfToLookAngles(observer.geodetic, ecf);
+
+    return {
+        date,
+        eci: pv.position,
+        gmst,
+        elevation: look.elevation / rad,
+        azimuth: ((look.azimuth / rad) + 360) % 360,
+        range: look.rangeSat
+    };
+}
+
+// 衛星是否受日照（圓柱形地影模型）
+function isSunlit(eci, sunVector) {
+    const dot = eci.x * sunVector.x + eci.y * sunVector.y + eci.z * sunVector.z;
+    if (dot > 0) return true;
+    const perpX = eci.x - dot * sunVector.x;
+    const perpY = eci.y - dot * sunVector.y;
+    const perpZ = eci.z - dot * sunVector.z;
+    return Math.sqrt(perpX * perpX + perpY * perpY + perpZ * perpZ) > EARTH_RADIUS_KM;
+}
+
+// 視星等：依距離與相位角（漫反射球體）修正標準星等
+function estimateMagnitude(state, observer, sunVector) {
+    const obsEci = satellite.ecfToEci(satellite.geodeticToEcf(observer.geodetic), state.gmst);
+    const toObs = { x: obsEci.x - state.eci.x, y: obsEci.y - state.eci.y, z: obsEci.z - state.eci.z };
+    const toObsLen = Math.sqrt(toObs.x ** 2 + toObs.y ** 2 + toObs.z ** 2);
+    const cosPhase = (toObs.x * sunVector.x + toObs.y * sunVector.y + toObs.z * sunVector.z) / toObsLen;
+    const phase = Math.acos(Math.max(-1, Math.min(1, cosPhase)));
+
+    const phaseFunction = (Math.sin(phase) + (Math.PI - phase) * Math.cos(phase)) / Math.PI;
+    if (phaseFunction <= 0) return null;
+    // 標準星等定義於相位角 90°（phaseFunction = 1/π）
+    const magnitude = ISS_STANDARD_MAGNITUDE + 5 * Math.log10(state.range / 1000)
+        - 2.5 * Math.log10(phaseFunction * Math.PI);
+    return Math.round(magnitude * 10) / 10;
+}
+
+// 二分法找仰角穿越地平線的時刻（精度約 1 秒）；SGP4 失效時回傳 null
+function refineCrossing(satrec, observer, before, after) {
+    let lo = before.getTime(), hi = after.getTime();
+    const first = lookAt(satrec, observer, before);
+    if (!first) return null;
+    const loAbove = first.elevation > 0;
+    while (hi - lo > 1000) {
+        const mid = (lo + hi) / 2;
+        const state = lookAt(satrec, observer, new Date(mid));
+        if (!state) return null;
+        if ((state.elevation > 0) === loAbove) lo = mid;
+        else hi = mid;
+    }
+    return new Date(Math.round((lo + hi) / 2));
+}
+
+// 三分搜尋找最高點；SGP4 失效時回傳 null
+function refineCulmination(satrec, observer, start, end) {
+    let lo = start.getTime(), hi = end.getTime();
+    while (hi - lo > 1000) {
+        const m1 = lo + (hi - lo) / 3;
+        const m2 = hi - (hi - lo) / 3;
+        const s1 = lookAt(satrec, observer, new Date(m1));
+        const s2 = lookAt(satrec, observer, new Date(m2));
+        if (!s1 || !s2) return null;
+        if (s1.elevation < s2.elevation) lo = m1;
+        else hi = m2;
+    }
+    return lookAt(satrec, observer, new Date(Math.round((lo + hi) / 2)));
+}
+
+function describePoint(state) {
+    return {
+        time: state.date.toISOString(),
+        elevation: Math.round(state.elevation * 10) / 10,
+        azimuth: Math.round(state.azimuth),
+        direction: azimuthToCompass(state.azimuth)
+    };
+}
+
+// 分析單次過境：逐段取樣判斷日照與觀測者黑暗，並估算最亮星等；SGP4 失效時回傳 null
+function analyzePass(satrec, observer, rise, set) {
+    const culmination = refineCulmination(satrec, observer, rise, set);
+    const riseState = lookAt(satrec, observer, rise);
+    const setState = lookAt(satrec, observer, set);
+    if (!culmination || !riseState || !setState) return null;
+
+    let visibleStart = null, visibleEnd = null, visiblePeak = null, brightest = null;
+
+    for (let t = rise.getTime(); t <= set.getTime(); t += VISIBILITY_STEP_SECONDS * 1000) {
+        const date = new Date(t);
+        const state = lookAt(satrec, observer, date);
+        if (!state) continue;
+
+        const sunVector = sun.sunPosition(date).vector;
+        const sunlit = isSunlit(state.eci, sunVector);
+        const observerDark = sun.sunHorizontal(date, observer.lat, observer.lon).altitude <= DARK_SUN_ALTITUDE;
+        if (!(sunlit && observerDark)) continue;
+
+        if (!visibleStart) visibleStart = state;
+        visibleEnd = state;
+        if (!visiblePeak || state.elevation > visiblePeak.elevation) visiblePeak = state;
+        const magnitude = estimateMagnitude(state, observer, sunVector);
+        if (magnitude !== null && (brightest === null || magnitude < brightest)) brightest = magnitude;
+    }
+
+    return {
+        rise: describePoint(riseState),
+        culmination: describePoint(culmination),
+        set: describePoint(setState),
+        maxElevation: Math.round(culmination.elevation * 10) / 10,
+        duration: Math.round((set - rise) / 1000),
+        sunlit: isSunlit(culmination.eci, sun.sunPosition(culmination.date).vector),
+        observerDark: sun.sunHorizontal(culmination.date, observer.lat, observer.lon).altitude <= DARK_SUN_ALTITUDE,
+        visible: visibleStart !== null,
+        visibleStart: visibleStart ? describePoint(visibleStart) : null,
+        visibleEnd: visibleEnd ? describePoint(visibleEnd) : null,
+        // 可見段的最高仰角（進入地影前可能尚未到達最高點）
+        maxVisibleElevation: visiblePeak ? Math.round(visiblePeak.elevation * 10) / 10 : null,
+        visiblePeak: visiblePeak ? describePoint(visiblePeak) : null,
+        magnitude: brightest
+    };
+}
+
+/**
+ * 預測過境
+ * @param {{ line1, line2, epoch? }} tle
+ * @param {{ lat, lon, altitude? }} location  altitude 單位為公尺
+ * @param {{ start?: Date, days?: number, minElevation?: number, visibleOnly?: boolean, maxAgeDays?: number }} options
+ * @returns {Array|null} 依時間排序的過境清單；TLE 比 start 舊超過 maxAgeDays 時回傳 null
+ */
+function predictPasses(tle, location, options = {}) {
+    const {
+        start = new Date(),
+        days = 3,
+        minElevation = 10,
+        visibleOnly = true,
+        maxAgeDays = MAX_TLE_AGE_DAYS
+    } = options;
+
+    if (tleAgeDays(tle, start) > maxAgeDays) return null;
+
+    const satrec = satellite.twoline2satrec(tle.line1, tle.line2);
+    const observer = createObserver(location.lat, location.lon, location.altitude || 0);
+    const end = start.getTime() + days * 86400000;
+    const passes = [];
+
+    let prev = lookAt(satrec, observer, start);
+    if (!prev) return passes;
+    let riseTime = prev.elevation > 0 ? start : null;
+
+    for (let t = start.getTime() + SEARCH_STEP_SECONDS * 1000; t <= end; t += SEARCH_STEP_SECONDS * 1000) {
+        const state = lookAt(satrec, observer, new Date(t));
+        if (!state) break; // SGP4 失效（TLE 過舊或已墜毀）
+
+        if (prev.elevation <= 0 && state.elevation > 0) {
+            riseTime = refineCrossing(satrec, observer, prev.date, state.date);
+            if (!riseTime) break;
+        } else if (prev.elevation > 0 && state.elevation <= 0 && riseTime) {
+            const setTime = refineCrossing(satrec, observer, prev.date, state.date);
+            const pass = setTime && analyzePass(satrec, observer, riseTime, setTime);
+            if (!pass) break;
+            const peak = visibleOnly ? pass.maxVisibleElevation : pass.maxElevation;
+            if (peak !== null && peak >= minElevation) {
+                passes.push(pass);
+            }
+            riseTime = null;
+        }
+        prev = state;
+    }
+
+    return passes;
+}
+
+module.exports = {
+    FIXTURE_TLE_PATH,
+    DARK_SUN_ALTITUDE,
+    MAX_TLE_AGE_DAYS,
+    parseTLE,
+    tleAgeDays,
+    loadFixtureTLE,
+    predictPasses
+};
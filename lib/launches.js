@@ -0,0 +1,265 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 火箭發射排程
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 解析 Launch Library 2（The Space Devs）格式的發射清單，
+ * 整理為任務、火箭、發射台、NET（不早於）時間、狀態與直播連結；
+ * 來源無法取得時改用內建的參考清單。
+ */
+
+const timezone = require('./timezone');
+
+// Launch Library 2 狀態代碼 → 顯示文字
+const STATUS_LABELS = {
+    Go: '🟢 確定發射',
+    TBC: '🟡 待確認',
+    TBD: '🟡 待定',
+    Hold: '🟠 暫停倒數',
+    'In Flight': '🚀 飛行中',
+    Success: '✅ 發射成功',
+    Failure: '❌ 發射失敗',
+    'Partial Failure': '⚠️ 部分失敗'
+};
+
+// 內建參考清單（無確切 NET），僅在發射資料來源無法連線時使用
+const FALLBACK_LAUNCHES = [
+    {
+        id: 'fallback-starlink',
+        name: 'Starlink Group 衛星發射',
+        mission: 'Starlink',
+        details: 'SpaceX 星鏈衛星，幾乎每週發射',
+        provider: 'SpaceX',
+        rocket: 'Falcon 9',
+        dateLocal: '每週都有發射',
+        status: '🟢 持續進行'
+    },
+    {
+        id: 'fallback-starship',
+        name: 'Starship 試飛',
+        mission: 'Starship Flight Test',
+        details: '星艦軌道測試，預計多次試飛',
+        provider: 'SpaceX',
+        rocket: 'Starship',
+        dateLocal: '持續測試中',
+        status: '🟡 待定'
+    },
+    {
+        id: 'fallback-change7',
+        name: '嫦娥七號',
+        mission: 'Chang\'e 7',
+        details: '中國月球南極探測',
+        provider: 'CNSA',
+        rocket: '長征五號',
+        dateLocal: '2026 年',
+        status: '🟡 計畫中'
+    }
+].map(launch => ({
+    net: null,
+    netPrecision: null,
+    providerAbbrev: null,
+    windowStart: null,
+    windowEnd: null,
+    statusCode: null,
+    pad: null,
+    location: null,
+    webcast: null,
+    webcastLive: false,
+    image: null,
+    lastUpdated: null,
+    ...launch
+}));
+
+// NET 精度（LL2 2.2.0 起提供）：月份 / 季度等粗略時間不顯示時分
+// locale、tentative（暫定標示）供其他語言的訊息使用
+function formatNet(net, precision, timeZone = timezone.DEFAULT_TIME_ZONE, locale = 'zh-TW', tentative = '（暫定）') {
+    const date = new Date(net);
+    const options = { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' };
+    switch (precision) {
+        case 'SEC':
+        case 'MIN':
+        case 'HR':
+        case undefined:
+        case null:
+            return date.toLocaleString(locale, { ...options, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+        case 'DAY':
+            return date.toLocaleDateString(locale, options);
+        default:
+            return date.toLocaleDateString(locale, { timeZone, year: 'numeric', month: 'long' }) + tentative;
+    }
+}
+
+// 直播連結：優先取優先度最高（數字最小）的影片
+function pickWebcast(vidURLs) {
+    if (!Array.isArray(vidURLs) || vidURLs.length === 0) return null;
+    const sorted = [...vidURLs].sort((a, b) => (a.priority ?? 99) - (b.priority ?? 99));
+    return sorted[0].url || null;
+}
+
+/**
+ * 單筆 LL2 發射資料 → 內部格式
+ */
+function normalizeLaunch(raw, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    const statusCode = raw.status?.abbrev || null;
+    const precision = raw.net_precision?.abbrev || null;
+    const rocket = raw.rocket?.configuration;
+
+    return {
+        id: raw.id,
+        name: raw.name,
+        mission: raw.mission?.name || raw.name,
+        details: raw.mission?.description || '',
+        missionType: raw.mission?.type || null,
+        orbit: raw.mission?.orbit?.abbrev || null,
+        provider: raw.launch_service_provider?.name || '未知',
+        providerAbbrev: raw.launch_service_provider?.abbrev || null,
+        rocket: rocket?.full_name || rocket?.name || '未知',
+        net: raw.net ? new Date(raw.net).toISOString() : null,
+        netPrecision: precision,
+        windowStart: raw.window_start || null,
+        windowEnd: raw.window_end || null,
+        dateLocal: raw.net ? formatNet(raw.net, precision, timeZone) : '待定',
+        statusCode,
+        status: STATUS_LABELS[statusCode] || `🟡 ${raw.status?.name || '未知'}`,
+        pad: raw.pad?.name || null,
+        location: raw.pad?.location?.name || null,
+        webcast: pickWebcast(raw.vidURLs),
+        webcastLive: !!raw.webcast_live,
+        image: raw.image || null,
+        lastUpdated: raw.last_updated || null
+    };
+}
+
+/**
+ * 解析 LL2 清單回應（{ results: [...] }），依 NET 排序
+ * @returns {Array|null} 格式不符時回傳 null
+ */
+function parseLaunchFeed(json, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    if (!json || !Array.isArray(json.results)) return null;
+    return json.results
+        .filter(raw => raw && raw.id && raw.name)
+        .map(raw => normalizeLaunch(raw, timeZone))
+        .sort((a, b) => (a.net ? Date.parse(a.net) : Infinity) - (b.net ? Date.parse(b.net) : Infinity));
+}
+
+/**
+ * 尚未發射（或仍在飛行中）的任務
+ * @param {number} graceMinutes NET 已過但仍保留的分鐘數（延遲或剛升空）
+ */
+function upcomingOnly(launches, now = new Date(), graceMinutes = 60) {
+    const cutoff = now.getTime() - graceMinutes * 60000;
+    return launches.filter(l => {
+        if (['Success', 'Failure', 'Partial Failure'].includes(l.statusCode)) return false;
+        return !l.net || Date.parse(l.net) >= cutoff || l.statusCode === 'In Flight' || l.statusCode === 'Hold';
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 發射提醒
+// ═══════════════════════════════════════════════════════════════════════════
+
+const HOUR = 60 * 60 * 1000;
+
+// 提醒階段：自 NET 前 before 毫秒起，到下一階段開始前都可補發
+const REMINDER_STAGES = [
+    { key: 'T-24h', label: 'T-24 小時', before: 24 * HOUR },
+    { key: 'T-1h', label: 'T-1 小時', before: HOUR },
+    { key: 'liftoff', label: '升空', before: 0 }
+];
+
+// NET 已過仍視為「剛升空」的時間；超過即不再補發升空通知
+const LIFTOFF_GRACE = 30 * 60 * 1000;
+
+// NET 變動小於此值（LL2 常見的分鐘級微調）不通知
+const NET_CHANGE_THRESHOLD = 5 * 60 * 1000;
+
+// 倒數暫停或日期未定時不發送倒數提醒
+const PAUSED_STATUSES = ['Hold', 'TBD'];
+
+// NET 精確到小時以內才能倒數（月份、季度等粗略時間不提醒）
+function hasPreciseNet(launch) {
+    return !!launch.net && ['SEC', 'MIN', 'HR', null, undefined].includes(launch.netPrecision);
+}
+
+// 比對用：轉小寫並去除空白與符號（Falcon 9 = falcon9）
+function compact(value) {
+    return String(value || '').toLowerCase().replace(/[\s\-_.|]/g, '');
+}
+
+/**
+ * 訂閱篩選：{} 為全部發射，{ provider } 依發射商，{ rocket } 依火箭
+ * 發射商可比對全名或 LL2 縮寫（如 SpX）
+ */
+function matchesFilter(launch, filter = {}) {
+    if (filter.provider) {
+        const keyword = compact(filter.provider);
+        return compact(launch.provider).includes(keyword) || compact(launch.providerAbbrev) === keyword;
+    }
+    if (filter.rocket) {
+        return compact(launch.rocket).includes(compact(filter.rocket));
+    }
+    return true;
+}
+
+/**
+ * 目前應發送的提醒階段
+ * @returns {object|null} REMINDER_STAGES 其中一項
+ */
+function dueStage(launch, now = new Date()) {
+    if (!hasPreciseNet(launch) || PAUSED_STATUSES.includes(launch.statusCode)) return null;
+
+    const netAt = Date.parse(launch.net);
+    const t = now.getTime();
+    for (let i = 0; i < REMINDER_STAGES.length; i++) {
+        const from = netAt - REMINDER_STAGES[i].before;
+        const until = i + 1 < REMINDER_STAGES.length
+            ? netAt - REMINDER_STAGES[i + 1].before
+            : netAt + LIFTOFF_GRACE;
+        if (t >= from && t < until) return REMINDER_STAGES[i];
+    }
+    return null;
+}
+
+// NET（新值）下已經開始的階段；NET 變動時以變更通知取代這些提醒
+function elapsedStages(launch, now = new Date()) {
+    if (!launch.net) return [];
+    const netAt = Date.parse(launch.net);
+    return REMINDER_STAGES
+        .filter(stage => now.getTime() >= netAt - stage.before)
+        .map(stage => stage.key);
+}
+
+/**
+ * 與上次紀錄比較，判斷發射是否有需要通知的變動
+ * @param {{ net, statusCode }} previous 上次紀錄
+ * @returns {'scrub'|'net'|'hold'|'resume'|null}
+ *          scrub：最後一小時內（或 NET 已過）延後；net：NET 提前或延後；
+ *          hold：暫停倒數；resume：暫停後恢復
+ */
+function detectChange(previous, launch, now = new Date()) {
+    const oldAt = previous.net ? Date.parse(previous.net) : null;
+    const newAt = launch.net ? Date.parse(launch.net) : null;
+
+    if (oldAt !== null && newAt !== null && Math.abs(newAt - oldAt) >= NET_CHANGE_THRESHOLD) {
+        return newAt > oldAt && now.getTime() >= oldAt - HOUR ? 'scrub' : 'net';
+    }
+    if (launch.statusCode === 'Hold' && previous.statusCode !== 'Hold') return 'hold';
+    if (previous.statusCode === 'Hold' && launch.statusCode && launch.statusCode !== 'Hold') return 'resume';
+    return null;
+}
+
+module.exports = {
+    STATUS_LABELS,
+    FALLBACK_LAUNCHES,
+    REMINDER_STAGES,
+    LIFTOFF_GRACE,
+    formatNet,
+    normalizeLaunch,
+    parseLaunchFeed,
+    upcomingOnly,
+    hasPreciseNet,
+    matchesFilter,
+    dueStage,
+    elapsedStages,
+    detectChange
+};
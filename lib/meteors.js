@@ -0,0 +1,214 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 流星雨星表與可見流星數估計
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 主要流星雨的活動期間、極大期、輻射點與 ZHR（參考 IMO 年度流星雨表），
+ * 依觀測者所見輻射點高度與月光造成的極限星等下降，
+ * 估計實際每小時可見流星數（HR = ZHR × sin(輻射點高度) ÷ r^(6.5 − 極限星等)）。
+ */
+
+const sun = require('./sun');
+const moon = require('./moon');
+const planets = require('./planets');
+const timezone = require('./timezone');
+const { azimuthToCompass } = require('./horizon');
+
+const SAMPLE_MINUTES = 10;
+
+// 暗空極限星等；ZHR 以此為基準
+const DARK_SKY_LIMITING_MAGNITUDE = 6.5;
+
+// 日期為 MM-DD（UT），radiant 為極大期輻射點赤經赤緯（度），
+// r 為族群指數，slope 為離極大期每天 ZHR 下降的對數（log10）
+const SHOWERS = [
+    { key: 'QUA', name: '象限儀座流星雨', english: 'Quadrantids', start: '12-28', peak: '01-03', end: '01-12', zhr: 80, radiant: { ra: 230, dec: 49 }, velocity: 41, r: 2.1, slope: 0.8, parent: '小行星 2003 EH1' },
+    { key: 'LYR', name: '天琴座流星雨', english: 'Lyrids', start: '04-14', peak: '04-22', end: '04-30', zhr: 18, radiant: { ra: 271, dec: 34 }, velocity: 49, r: 2.1, slope: 0.3, parent: '撒切爾彗星' },
+    { key: 'ETA', name: '寶瓶座η流星雨', english: 'Eta Aquariids', start: '04-19', peak: '05-06', end: '05-28', zhr: 50, radiant: { ra: 338, dec: -1 }, velocity: 66, r: 2.4, slope: 0.08, parent: '哈雷彗星' },
+    { key: 'SDA', name: '寶瓶座δ南流星雨', english: 'Southern Delta Aquariids', start: '07-12', peak: '07-30', end: '08-23', zhr: 25, radiant: { ra: 340, dec: -16 }, velocity: 41, r: 2.5, slope: 0.05, parent: '乾達彗星' },
+    { key: 'PER', name: '英仙座流星雨', english: 'Perseids', start: '07-17', peak: '08-12', end: '08-24', zhr: 100, radiant: { ra: 48, dec: 58 }, velocity: 59, r: 2.2, slope: 0.15, parent: '斯威夫特-塔特爾彗星' },
+    { key: 'DRA', name: '天龍座流星雨', english: 'Draconids', start: '10-06', peak: '10-08', end: '10-10', zhr: 10, radiant: { ra: 262, dec: 54 }, velocity: 20, r: 2.6, slope: 0.6, parent: '賈科比尼-津納彗星' },
+    { key: 'ORI', name: '獵戶座流星雨', english: 'Orionids', start: '10-02', peak: '10-21', end: '11-07', zhr: 20, radiant: { ra: 95, dec: 16 }, velocity: 66, r: 2.5, slope: 0.1, parent: '哈雷彗星' },
+    { key: 'STA', name: '金牛座南流星雨', english: 'Southern Taurids', start: '09-10', peak: '11-05', end: '11-20', zhr: 5, radiant: { ra: 52, dec: 15 }, velocity: 27, r: 2.3, slope: 0.03, parent: '恩克彗星' },
+    { key: 'LEO', name: '獅子座流星雨', english: 'Leonids', start: '11-06', peak: '11-17', end: '11-30', zhr: 15, radiant: { ra: 152, dec: 22 }, velocity: 71, r: 2.5, slope: 0.3, parent: '坦普爾-塔特爾彗星' },
+    { key: 'GEM', name: '雙子座流星雨', english: 'Geminids', start: '12-04', peak: '12-14', end: '12-20', zhr: 150, radiant: { ra: 112, dec: 33 }, velocity: 35, r: 2.6, slope: 0.4, parent: '小行星 3200 法厄同' },
+    { key: 'URS', name: '小熊座流星雨', english: 'Ursids', start: '12-17', peak: '12-22', end: '12-26', zhr: 10, radiant: { ra: 217, dec: 76 }, velocity: 33, r: 3.0, slope: 0.6, parent: '塔特爾彗星' }
+];
+
+function daysBetween(fromYmd, toYmd) {
+    return Math.round((Date.parse(toYmd) - Date.parse(fromYmd)) / 86400000);
+}
+
+/**
+ * 當地日期 today 所屬（或下一次）的活動期間
+ * 開始月份晚於極大期者（如象限儀座 12 月底開始）屬於前一年
+ * @returns {{ start, peak, end }} 皆為 'YYYY-MM-DD'
+ */
+function showerOccurrence(shower, today) {
+    const year = parseInt(today.slice(0, 4));
+    for (const y of [year - 1, year, year + 1]) {
+        const occurrence = {
+            start: `${shower.start > shower.peak ? y - 1 : y}-${shower.start}`,
+            peak: `${y}-${shower.peak}`,
+            end: `${shower.end < shower.peak ? y + 1 : y}-${shower.end}`
+        };
+        if (occurrence.end >= today) return occurrence;
+    }
+    return null;
+}
+
+// 活動強度（極大期為 1，依 slope 遞減；活動期間外為 0）
+function activityFactor(shower, occurrence, ymd) {
+    if (ymd < occurrence.start || ymd > occurrence.end) return 0;
+    return Math.pow(10, -shower.slope * Math.abs(daysBetween(occurrence.peak, ymd)));
+}
+
+// 月光造成的極限星等下降：滿月高掛時約 2 等
+function moonDimming(moonAltitude, moonFraction) {
+    if (moonAltitude <= 0) return 0;
+    return 2 * moonFraction * (0.5 + 0.5 * Math.sin(moonAltitude * Math.PI / 180));
+}
+
+/**
+ * 極限星等：暮光與月光都會讓暗流星消失
+ * @param {number} moonFraction 月亮亮面比例 0-1
+ */
+function limitingMagnitude(sunAltitude, moonAltitude, moonFraction) {
+    const twilight = sunAltitude > sun.SUN_ALTITUDES.astronomical ? 0.5 : 0;
+    return DARK_SKY_LIMITING_MAGNITUDE - twilight - moonDimming(moonAltitude, moonFraction);
+}
+
+// 每小時可見流星數
+function hourlyRate(shower, activity, radiantAltitude, lm) {
+    if (radiantAltitude <= 0 || activity <= 0) return 0;
+    return shower.zhr * activity * Math.sin(radiantAltitude * Math.PI / 180)
+        / Math.pow(shower.r, DARK_SKY_LIMITING_MAGNITUDE - lm);
+}
+
+// 觀測條件：依最佳時刻月光造成的流星數折減（good / fair / poor）
+function viewingConditionKey(moonFactor) {
+    if (moonFactor >= 0.7) return 'good';
+    if (moonFactor >= 0.4) return 'fair';
+    return 'poor';
+}
+
+const VIEWING_CONDITIONS = {
+    good: '極佳（少月光干擾）',
+    fair: '一般（有月光干擾）',
+    poor: '不佳（月光明亮）'
+};
+
+/**
+ * 指定夜晚（當地日期 ymd 傍晚開始）的可見流星數預估
+ * 取航海曙暮光以後每 10 分鐘的輻射點高度與極限星等，找出流星數最多的時刻
+ */
+function forecastNight(shower, occurrence, ymd, lat, lon, timeZone) {
+    const night = sun.nightAfter(ymd, lat, lon, timeZone);
+    const activity = activityFactor(shower, occurrence, ymd);
+    const forecast = {
+        date: ymd,
+        activity: Math.round(activity * 100) / 100,
+        bestTime: null,
+        radiantAltitude: null,
+        direction: null,
+        limitingMagnitude: null,
+        expectedRate: 0,
+        moonIllumination: null,
+        moonUp: false,
+        condition: null,
+        conditionKey: null
+    };
+    if (night.polar === 'day') return forecast;
+
+    const midnight = new Date((night.sunset.getTime() + night.sunrise.getTime()) / 2);
+    const moonFraction = moon.illumination(midnight).fraction;
+    forecast.moonIllumination = Math.round(moonFraction * 100);
+
+    let best = null;
+    for (let t = night.sunset.getTime(); t < night.sunrise.getTime(); t += SAMPLE_MINUTES * 60000) {
+        const time = new Date(t);
+        const sunAltitude = sun.sunHorizontal(time, lat, lon).altitude;
+        if (sunAltitude > sun.SUN_ALTITUDES.nautical) continue;
+
+        const radiant = planets.equatorialToHorizontal(time, shower.radiant.ra, shower.radiant.dec, lat, lon);
+        const moonAltitude = moon.moonAltitude(time, lat, lon);
+        const lm = limitingMagnitude(sunAltitude, moonAltitude, moonFraction);
+        const rate = hourlyRate(shower, activity, radiant.altitude, lm);
+        if (!best || rate > best.rate) {
+            best = { time, rate, radiant, lm, moonAltitude };
+        }
+    }
+    if (!best) return forecast;
+
+    const conditionKey = viewingConditionKey(Math.pow(shower.r, -moonDimming(best.moonAltitude, moonFraction)));
+    return {
+        ...forecast,
+        bestTime: best.rate > 0 ? best.time.toISOString() : null,
+        radiantAltitude: Math.round(best.radiant.altitude),
+        direction: azimuthToCompass(best.radiant.azimuth),
+        limitingMagnitude: Math.round(best.lm * 10) / 10,
+        expectedRate: Math.round(best.rate),
+        moonUp: best.moonAltitude > 0,
+        condition: VIEWING_CONDITIONS[conditionKey],
+        conditionKey
+    };
+}
+
+/**
+ * 流星雨總覽
+ * @param {{ lat, lon, timeZone?, now?: Date }} options
+ * @returns {{ location, showers, active, activeShowers, upcoming }}
+ *          每場流星雨含活動期間、距極大期天數（已過為負）、極大期當晚與今晚的可見流星數預估
+ */
+function getMeteorShowers(options) {
+    const { lat, lon, timeZone = timezone.DEFAULT_TIME_ZONE, now = new Date() } = options;
+    const today = timezone.zonedDateString(now, timeZone);
+    const tonight = sun.nightWindow(now, lat, lon, timeZone).date;
+
+    const showers = SHOWERS.map(shower => {
+        const occurrence = showerOccurrence(shower, today);
+        const active = occurrence.start <= tonight && tonight <= occurrence.end;
+        return {
+            key: shower.key,
+            name: shower.name,
+            english: shower.english,
+            parent: shower.parent,
+            zhr: shower.zhr,
+            // 舊版欄位：每小時流星數即 ZHR
+            rate: shower.zhr,
+            velocity: shower.velocity,
+            populationIndex: shower.r,
+            radiant: shower.radiant,
+            start: occurrence.start,
+            peak: occurrence.peak,
+            end: occurrence.end,
+            daysUntil: daysBetween(today, occurrence.peak),
+            active,
+            peakNight: forecastNight(shower, occurrence, occurrence.peak, lat, lon, timeZone),
+            tonight: active ? forecastNight(shower, occurrence, tonight, lat, lon, timeZone) : null
+        };
+    }).sort((a, b) => a.peak.localeCompare(b.peak));
+
+    const activeShowers = showers
+        .filter(s => s.active)
+        .sort((a, b) => b.tonight.expectedRate - a.tonight.expectedRate);
+
+    return {
+        location: { lat, lon, timeZone },
+        showers,
+        active: activeShowers[0] || null,
+        activeShowers,
+        upcoming: showers.filter(s => s.daysUntil > 0).slice(0, 3)
+    };
+}
+
+module.exports = {
+    SHOWERS,
+    DARK_SKY_LIMITING_MAGNITUDE,
+    showerOccurrence,
+    activityFactor,
+    limitingMagnitude,
+    hourlyRate,
+    forecastNight,
+    getMeteorShowers
+};
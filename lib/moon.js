@@ -0,0 +1,248 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 月球星曆
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 以 Montenbruck & Pfleger 低精度月球理論（黃經誤差約 1′）計算月球位置，
+ * 推得亮面比例、月齡、主要月相（朔、上弦、望、下弦）時刻與月出月落。
+ */
+
+const sun = require('./sun');
+const horizon = require('./horizon');
+const timezone = require('./timezone');
+
+const rad = Math.PI / 180;
+const ARCSEC = 3600 * 180 / Math.PI;
+const SYNODIC_MONTH = 29.530588853;
+const AU_KM = 149597870.7;
+const EARTH_RADIUS_KM = 6378.14;
+
+// 主要月相對應的日月黃經差
+const PRINCIPAL_PHASES = [
+    { key: 'new', name: '新月', icon: '🌑', elongation: 0 },
+    { key: 'firstQuarter', name: '上弦月', icon: '🌓', elongation: 90 },
+    { key: 'full', name: '滿月', icon: '🌕', elongation: 180 },
+    { key: 'lastQuarter', name: '下弦月', icon: '🌗', elongation: 270 }
+];
+
+const PHASE_NAMES = [
+    { key: 'new', name: '新月', icon: '🌑', english: 'New Moon' },
+    { key: 'waxingCrescent', name: '眉月', icon: '🌒', english: 'Waxing Crescent' },
+    { key: 'firstQuarter', name: '上弦月', icon: '🌓', english: 'First Quarter' },
+    { key: 'waxingGibbous', name: '盈凸月', icon: '🌔', english: 'Waxing Gibbous' },
+    { key: 'full', name: '滿月', icon: '🌕', english: 'Full Moon' },
+    { key: 'waningGibbous', name: '虧凸月', icon: '🌖', english: 'Waning Gibbous' },
+    { key: 'lastQuarter', name: '下弦月', icon: '🌗', english: 'Last Quarter' },
+    { key: 'waningCrescent', name: '殘月', icon: '🌘', english: 'Waning Crescent' }
+];
+
+// 距主要月相 ±12°（約 1 天）內使用主要月相名稱
+const PRINCIPAL_PHASE_WINDOW = 12;
+
+function frac(x) {
+    return x - Math.floor(x);
+}
+
+function normalizeDegrees(deg) {
+    return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * 月球地心座標
+ * @returns {{ longitude, latitude, ra, dec, distance }} 角度為度，distance 為 km
+ */
+function moonPosition(date) {
+    const T = (sun.julianDate(date) - 2451545.0) / 36525;
+
+    const L0 = frac(0.606433 + 1336.855225 * T);
+    const l = 2 * Math.PI * frac(0.374897 + 1325.552410 * T);
+    const ls = 2 * Math.PI * frac(0.993133 + 99.997361 * T);
+    const D = 2 * Math.PI * frac(0.827361 + 1236.853086 * T);
+    const F = 2 * Math.PI * frac(0.259086 + 1342.227825 * T);
+
+    const dL = 22640 * Math.sin(l) - 4586 * Math.sin(l - 2 * D) + 2370 * Math.sin(2 * D)
+        + 769 * Math.sin(2 * l) - 668 * Math.sin(ls) - 412 * Math.sin(2 * F)
+        - 212 * Math.sin(2 * l - 2 * D) - 206 * Math.sin(l + ls - 2 * D)
+        + 192 * Math.sin(l + 2 * D) - 165 * Math.sin(ls - 2 * D) - 125 * Math.sin(D)
+        - 110 * Math.sin(l + ls) + 148 * Math.sin(l - ls) - 55 * Math.sin(2 * F - 2 * D);
+
+    const S = F + (dL + 412 * Math.sin(2 * F) + 541 * Math.sin(ls)) / ARCSEC;
+    const h = F - 2 * D;
+    const N = -526 * Math.sin(h) + 44 * Math.sin(l + h) - 31 * Math.sin(-l + h)
+        - 23 * Math.sin(ls + h) + 11 * Math.sin(-ls + h) - 25 * Math.sin(-2 * l + F)
+        + 21 * Math.sin(-l + F);
+
+    const lambda = 2 * Math.PI * frac(L0 + dL / 1296000);
+    const beta = (18520 * Math.sin(S) + N) / ARCSEC;
+
+    // 距離（Meeus 主要週期項）
+    const distance = 385000.56 - 20905.355 * Math.cos(l) - 3699.111 * Math.cos(2 * D - l)
+        - 2955.968 * Math.cos(2 * D) - 569.925 * Math.cos(2 * l) + 48.888 * Math.cos(ls)
+        - 3.149 * Math.cos(2 * F) + 246.158 * Math.cos(2 * D - 2 * l)
+        - 152.138 * Math.cos(2 * D - ls - l) - 170.733 * Math.cos(2 * D + l)
+        - 204.586 * Math.cos(2 * D - ls) - 129.620 * Math.cos(ls - l);
+
+    // 黃道 → 赤道
+    const eps = (23.43929111 - 0.0130042 * T) * rad;
+    const x = Math.cos(beta) * Math.cos(lambda);
+    const y = Math.cos(eps) * Math.cos(beta) * Math.sin(lambda) - Math.sin(eps) * Math.sin(beta);
+    const z = Math.sin(eps) * Math.cos(beta) * Math.sin(lambda) + Math.cos(eps) * Math.sin(beta);
+
+    return {
+        longitude: normalizeDegrees(lambda / rad),
+        latitude: beta / rad,
+        ra: normalizeDegrees(Math.atan2(y, x) / rad),
+        dec: Math.asin(z) / rad,
+        distance
+    };
+}
+
+// 日月黃經差（0-360，0 = 朔，180 = 望）
+function elongation(date) {
+    return normalizeDegrees(moonPosition(date).longitude - sun.sunPosition(date).longitude);
+}
+
+/**
+ * 亮面比例與盈虧
+ * @returns {{ fraction, phaseAngle, elongation, waxing }}
+ */
+function illumination(date) {
+    const moon = moonPosition(date);
+    const sunPos = sun.sunPosition(date);
+    const cosPsi = Math.cos(moon.latitude * rad) * Math.cos((moon.longitude - sunPos.longitude) * rad);
+    const psi = Math.acos(Math.max(-1, Math.min(1, cosPsi)));
+    const R = sunPos.distance * AU_KM;
+    // 相位角：由月球看日地的夾角
+    const phaseAngle = Math.atan2(R * Math.sin(psi), moon.distance - R * Math.cos(psi));
+    const elong = normalizeDegrees(moon.longitude - sunPos.longitude);
+
+    return {
+        fraction: (1 + Math.cos(phaseAngle)) / 2,
+        phaseAngle: phaseAngle / rad,
+        elongation: elong,
+        waxing: elong < 180
+    };
+}
+
+// 找出黃經差到達 target 的時刻（從 from 往後或往前搜尋）
+function findPhaseTime(target, from, direction = 1) {
+    const diff = date => {
+        const d = normalizeDegrees(elongation(date) - target);
+        return d > 180 ? d - 360 : d;
+    };
+
+    // 月亮每天約前進 12.2°，先以平均速率估計，再以割線法收斂
+    let current = diff(from);
+    let offsetDays = direction > 0
+        ? normalizeDegrees(-current) / 12.19
+        : -normalizeDegrees(current) / 12.19;
+    let t = new Date(from.getTime() + offsetDays * 86400000);
+
+    for (let i = 0; i < 20; i++) {
+        const d = diff(t);
+        if (Math.abs(d) < 0.0005) break;
+        t = new Date(t.getTime() - (d / 12.19) * 86400000);
+    }
+    return t;
+}
+
+function phaseName(elong) {
+    for (const p of PRINCIPAL_PHASES) {
+        const d = Math.abs(normalizeDegrees(elong - p.elongation + 180) - 180);
+        if (d <= PRINCIPAL_PHASE_WINDOW) {
+            return PHASE_NAMES[p.elongation / 45];
+        }
+    }
+    return PHASE_NAMES[Math.floor(elong / 90) * 2 + 1];
+}
+
+// 地平座標（含月球視差修正）
+function moonAltitude(date, lat, lon) {
+    const moon = moonPosition(date);
+    const hourAngle = (sun.greenwichSiderealTime(date) + lon - moon.ra) * rad;
+    const phi = lat * rad;
+    const delta = moon.dec * rad;
+
+    const sinAlt = Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(hourAngle);
+    const geocentric = Math.asin(Math.max(-1, Math.min(1, sinAlt)));
+    const parallax = Math.asin(EARTH_RADIUS_KM / moon.distance);
+    return (geocentric - parallax * Math.cos(geocentric)) / rad;
+}
+
+// 月出月落高度角：大氣折射 34′ 與月球半徑約 15.5′
+const MOON_HORIZON_ALTITUDE = -(34 + 15.5) / 60;
+
+/**
+ * 指定當地日期的月出月落
+ * @returns {{ rise: Date|null, set: Date|null }}
+ */
+function moonRiseSet(ymd, lat, lon, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    const start = timezone.zonedDayStart(ymd, timeZone);
+    const end = new Date(start.getTime() + 86400000);
+    const crossings = horizon.findCrossings(
+        date => moonAltitude(date, lat, lon), start, end, MOON_HORIZON_ALTITUDE, 10
+    );
+
+    const rise = crossings.find(c => c.rising);
+    const set = crossings.find(c => !c.rising);
+    return {
+        rise: rise ? rise.time : null,
+        set: set ? set.time : null
+    };
+}
+
+/**
+ * 完整月相資訊
+ * @param {Date} date
+ * @param {{ lat, lon, timeZone }} [location] 提供時計算月出月落與目前高度
+ */
+function getMoonInfo(date = new Date(), location = null) {
+    const illum = illumination(date);
+    const name = phaseName(illum.elongation);
+    const lastNew = findPhaseTime(0, date, -1);
+
+    const nextPhases = {};
+    for (const p of PRINCIPAL_PHASES) {
+        nextPhases[p.key] = findPhaseTime(p.elongation, date, 1).toISOString();
+    }
+
+    const info = {
+        phase: name.name,
+        phaseKey: name.key,
+        icon: name.icon,
+        english: name.english,
+        illumination: Math.round(illum.fraction * 1000) / 10,
+        fraction: illum.fraction,
+        waxing: illum.waxing,
+        elongation: Math.round(illum.elongation * 10) / 10,
+        age: Math.round(((date - lastNew) / 86400000) * 10) / 10,
+        distance: Math.round(moonPosition(date).distance),
+        lastNewMoon: lastNew.toISOString(),
+        nextPhases,
+        // 亮面 25% 以下月光干擾小，適合觀星
+        isGoodForViewing: illum.fraction <= 0.25
+    };
+
+    if (location) {
+        const timeZone = location.timeZone || timezone.DEFAULT_TIME_ZONE;
+        const ymd = timezone.zonedDateString(date, timeZone);
+        const riseSet = moonRiseSet(ymd, location.lat, location.lon, timeZone);
+        info.location = { lat: location.lat, lon: location.lon, timeZone, date: ymd };
+        info.moonrise = riseSet.rise ? riseSet.rise.toISOString() : null;
+        info.moonset = riseSet.set ? riseSet.set.toISOString() : null;
+        info.altitude = Math.round(moonAltitude(date, location.lat, location.lon) * 10) / 10;
+    }
+
+    return info;
+}
+
+module.exports = {
+    SYNODIC_MONTH,
+    PRINCIPAL_PHASES,
+    moonPosition,
+    illumination,
+    findPhaseTime,
+    moonAltitude,
+    moonRiseSet,
+    getMoonInfo
+};
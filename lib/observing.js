@@ -0,0 +1,218 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 觀星預報
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 以 Open-Meteo 逐時預報的低 / 中 / 高雲量、濕度、地面與高空風速、能見度，
+ * 搭配太陽高度（曙暮光）與月光，計算未來 72 小時每小時 0-100 的觀星分數，
+ * 並整理為接下來三個夜晚的摘要。
+ */
+
+const sun = require('./sun');
+const moon = require('./moon');
+const timezone = require('./timezone');
+
+const FORECAST_HOURS = 72;
+const FORECAST_NIGHTS = 3;
+
+// Open-Meteo 逐時變數（風速單位 m/s，時間為 Unix 秒）
+const HOURLY_VARIABLES = [
+    'cloud_cover',
+    'cloud_cover_low',
+    'cloud_cover_mid',
+    'cloud_cover_high',
+    'relative_humidity_2m',
+    'wind_speed_10m',
+    'wind_speed_250hPa',
+    'visibility'
+];
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// 缺值視為 null，計算時略過該項
+function valueAt(series, i) {
+    const value = Array.isArray(series) ? series[i] : null;
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * 解析 Open-Meteo 逐時預報（timeformat=unixtime）
+ * @returns {Array|null} [{ time, cloudCover, cloudLow, cloudMid, cloudHigh, humidity, windSpeed, jetStream, visibility }]
+ */
+function parseHourlyForecast(json) {
+    const hourly = json?.hourly;
+    if (!hourly || !Array.isArray(hourly.time)) return null;
+
+    return hourly.time.map((t, i) => ({
+        time: new Date(t * 1000).toISOString(),
+        cloudCover: valueAt(hourly.cloud_cover, i),
+        cloudLow: valueAt(hourly.cloud_cover_low, i),
+        cloudMid: valueAt(hourly.cloud_cover_mid, i),
+        cloudHigh: valueAt(hourly.cloud_cover_high, i),
+        humidity: valueAt(hourly.relative_humidity_2m, i),
+        windSpeed: valueAt(hourly.wind_speed_10m, i),
+        jetStream: valueAt(hourly.wind_speed_250hPa, i),
+        visibility: valueAt(hourly.visibility, i)
+    }));
+}
+
+// 天空暗度：白天 0、民用曙暮光 0.1、航海 0.4、天文 0.8、全黑 1
+function darknessFactor(sunAltitude) {
+    if (sunAltitude > sun.SUN_ALTITUDES.civil) return sunAltitude > 0 ? 0 : 0.1;
+    if (sunAltitude > sun.SUN_ALTITUDES.nautical) return 0.4;
+    if (sunAltitude > sun.SUN_ALTITUDES.astronomical) return 0.8;
+    return 1;
+}
+
+// 月光：滿月高掛時暗度減半
+function moonlightFactor(moonAltitude, moonFraction) {
+    if (moonAltitude <= 0) return 1;
+    return 1 - 0.5 * moonFraction * (0.5 + 0.5 * Math.sin(moonAltitude * Math.PI / 180));
+}
+
+/**
+ * 晴朗程度：低雲完全遮蔽，中雲次之，高雲（卷雲）仍可看到亮星
+ * 各層視為獨立重疊；沒有分層資料時改用總雲量
+ */
+function clearSkyFactor(hour) {
+    if (hour.cloudLow === null && hour.cloudMid === null && hour.cloudHigh === null) {
+        return hour.cloudCover === null ? 1 : 1 - clamp(hour.cloudCover, 0, 100) / 100;
+    }
+    const low = clamp(hour.cloudLow ?? 0, 0, 100) / 100;
+    const mid = clamp(hour.cloudMid ?? 0, 0, 100) / 100;
+    const high = clamp(hour.cloudHigh ?? 0, 0, 100) / 100;
+    return (1 - low) * (1 - 0.8 * mid) * (1 - 0.5 * high);
+}
+
+// 透明度：濕度高易起霧、結露，能見度低代表霾或沙塵
+function transparencyFactor(hour) {
+    let factor = 1;
+    if (hour.humidity !== null) factor *= 1 - 0.5 * clamp((hour.humidity - 70) / 30, 0, 1);
+    if (hour.visibility !== null) factor *= 0.6 + 0.4 * clamp(hour.visibility / 20000, 0, 1);
+    return factor;
+}
+
+/**
+ * 視相（大氣穩定度）：地面風使望遠鏡晃動，高空噴流造成星點閃爍
+ * @returns {{ value: number, label: string }} value 0-1
+ */
+function seeingEstimate(hour) {
+    const surface = hour.windSpeed === null ? 0 : clamp((hour.windSpeed - 3) / 9, 0, 1);
+    const jet = hour.jetStream === null ? 0 : clamp((hour.jetStream - 20) / 40, 0, 1);
+    const value = 1 - 0.4 * surface - 0.6 * jet;
+    return {
+        value: Math.round(value * 100) / 100,
+        label: value >= 0.8 ? '極佳' : value >= 0.6 ? '良好' : value >= 0.4 ? '普通' : '不佳'
+    };
+}
+
+function scoreLabel(score) {
+    return score >= 70 ? '極佳' : score >= 45 ? '良好' : score >= 25 ? '普通' : '不佳';
+}
+
+/**
+ * 單一小時的觀星分數
+ * 分數 = 100 × 暗度 × 月光 × 晴朗程度 × 透明度 × (0.7 + 0.3 × 視相)
+ */
+function scoreHour(hour, lat, lon) {
+    const time = new Date(hour.time);
+    const sunAltitude = sun.sunHorizontal(time, lat, lon).altitude;
+    const moonAltitude = moon.moonAltitude(time, lat, lon);
+    const moonFraction = moon.illumination(time).fraction;
+
+    const darkness = darknessFactor(sunAltitude) * moonlightFactor(moonAltitude, moonFraction);
+    const clear = clearSkyFactor(hour);
+    const transparency = transparencyFactor(hour);
+    const seeing = seeingEstimate(hour);
+    const score = Math.round(100 * darkness * clear * transparency * (0.7 + 0.3 * seeing.value));
+
+    return {
+        ...hour,
+        score,
+        label: scoreLabel(score),
+        sunAltitude: Math.round(sunAltitude * 10) / 10,
+        moonAltitude: Math.round(moonAltitude * 10) / 10,
+        moonIllumination: Math.round(moonFraction * 100),
+        darkness: Math.round(darkness * 100) / 100,
+        clearSky: Math.round(clear * 100) / 100,
+        transparency: Math.round(transparency * 100) / 100,
+        seeing
+    };
+}
+
+/**
+ * 夜晚摘要：日落至日出間的小時，平均分數只計航海曙暮光結束後
+ * darkHours 為預報涵蓋的暗夜小時數（第三晚可能只涵蓋一部分）
+ */
+function summarizeNight(night, hours) {
+    const summary = {
+        date: night.date,
+        sunset: night.sunset ? night.sunset.toISOString() : null,
+        sunrise: night.sunrise ? night.sunrise.toISOString() : null,
+        polar: night.polar || null,
+        darkHours: 0,
+        averageScore: 0,
+        label: scoreLabel(0),
+        best: null
+    };
+    if (night.polar === 'day') return summary;
+
+    const from = night.sunset.getTime();
+    const until = night.sunrise.getTime();
+    const nightHours = hours.filter(h => {
+        const t = Date.parse(h.time);
+        return t >= from && t <= until;
+    });
+
+    const dark = nightHours.filter(h => h.sunAltitude <= sun.SUN_ALTITUDES.nautical);
+    summary.darkHours = dark.length;
+    if (dark.length > 0) {
+        summary.averageScore = Math.round(dark.reduce((sum, h) => sum + h.score, 0) / dark.length);
+        summary.label = scoreLabel(summary.averageScore);
+    }
+    for (const h of nightHours) {
+        if (!summary.best || h.score > summary.best.score) summary.best = { time: h.time, score: h.score };
+    }
+    return summary;
+}
+
+/**
+ * 觀星預報
+ * @param {{ lat, lon, timeZone?, now?: Date, hourly: Array }} options hourly 為 parseHourlyForecast 的結果
+ * @returns {{ location, hours, nights }}
+ */
+function forecastObserving(options) {
+    const { lat, lon, timeZone = timezone.DEFAULT_TIME_ZONE, now = new Date(), hourly } = options;
+
+    // 從目前所在的小時起取 72 小時
+    const start = now.getTime() - 60 * 60 * 1000;
+    const hours = hourly
+        .filter(h => Date.parse(h.time) > start)
+        .slice(0, FORECAST_HOURS)
+        .map(h => scoreHour(h, lat, lon));
+
+    const tonight = sun.nightWindow(now, lat, lon, timeZone).date;
+    const nights = [];
+    for (let i = 0; i < FORECAST_NIGHTS; i++) {
+        const ymd = timezone.shiftDate(tonight, i, timeZone);
+        nights.push(summarizeNight(sun.nightAfter(ymd, lat, lon, timeZone), hours));
+    }
+
+    return {
+        location: { lat, lon, timeZone },
+        hours,
+        nights
+    };
+}
+
+module.exports = {
+    FORECAST_HOURS,
+    HOURLY_VARIABLES,
+    parseHourlyForecast,
+    clearSkyFactor,
+    seeingEstimate,
+    scoreHour,
+    forecastObserving
+};
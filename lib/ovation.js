@@ -0,0 +1,138 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * NOAA OVATION 極光機率模型
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 解析 SWPC /json/ovation_aurora_latest.json（1° × 1° 網格，
+ * 每格為頭頂出現極光的機率 0-100%），提供單點機率查詢與可見線（view-line）。
+ */
+
+const GRID_LON = 360;   // 經度 0-359
+const GRID_LAT = 181;   // 緯度 -90 至 90
+
+// 極光發光高度約 100-250 km，距離約 5° 內的極光可在地平線上看到
+const VIEW_DISTANCE_DEG = 5;
+
+// 可見線：機率達此值的最赤道側網格，再往赤道方向延伸 VIEW_DISTANCE_DEG
+const VIEW_LINE_THRESHOLD = 10;
+
+const rad = Math.PI / 180;
+
+function normalizeLon(lon) {
+    return ((lon % 360) + 360) % 360;
+}
+
+function cellValue(grid, lonIdx, latIdx) {
+    const i = ((lonIdx % GRID_LON) + GRID_LON) % GRID_LON;
+    const j = Math.max(0, Math.min(GRID_LAT - 1, latIdx));
+    return grid.values[i * GRID_LAT + j];
+}
+
+/**
+ * 解析 OVATION JSON
+ * @returns {{ observationTime, forecastTime, values: Float32Array }} 或 null
+ */
+function parseOvationGrid(json) {
+    if (!json || !Array.isArray(json.coordinates) || json.coordinates.length === 0) return null;
+
+    const values = new Float32Array(GRID_LON * GRID_LAT);
+    for (const point of json.coordinates) {
+        const [lon, lat, value] = point;
+        const i = Math.round(normalizeLon(lon)) % GRID_LON;
+        const j = Math.round(lat) + 90;
+        if (j < 0 || j >= GRID_LAT) continue;
+        values[i * GRID_LAT + j] = Number(value) || 0;
+    }
+
+    return {
+        observationTime: json['Observation Time'] || null,
+        forecastTime: json['Forecast Time'] || null,
+        values
+    };
+}
+
+// 頭頂極光機率（雙線性內插）
+function overheadProbability(grid, lat, lon) {
+    const x = normalizeLon(lon);
+    const y = Math.max(-90, Math.min(90, lat)) + 90;
+    const i0 = Math.floor(x), j0 = Math.floor(y);
+    const fx = x - i0, fy = y - j0;
+
+    const v00 = cellValue(grid, i0, j0);
+    const v10 = cellValue(grid, i0 + 1, j0);
+    const v01 = cellValue(grid, i0, j0 + 1);
+    const v11 = cellValue(grid, i0 + 1, j0 + 1);
+
+    return (v00 * (1 - fx) + v10 * fx) * (1 - fy) + (v01 * (1 - fx) + v11 * fx) * fy;
+}
+
+// 兩點大圓距離（度）
+function angularDistance(lat1, lon1, lat2, lon2) {
+    const cosD = Math.sin(lat1 * rad) * Math.sin(lat2 * rad) +
+        Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.cos((lon2 - lon1) * rad);
+    return Math.acos(Math.max(-1, Math.min(1, cosD))) / rad;
+}
+
+/**
+ * 某地的極光機率
+ * overhead：頭頂機率；visible：視距內（含地平線附近）最高機率
+ */
+function probabilityAt(grid, lat, lon) {
+    let visible = 0;
+    const latMin = Math.max(-90, Math.floor(lat - VIEW_DISTANCE_DEG));
+    const latMax = Math.min(90, Math.ceil(lat + VIEW_DISTANCE_DEG));
+
+    for (let cellLat = latMin; cellLat <= latMax; cellLat++) {
+        // 高緯度經度收斂，需掃描較寬的經度範圍
+        const cosLat = Math.max(Math.cos(cellLat * rad), 0.05);
+        const lonSpan = Math.min(180, Math.ceil(VIEW_DISTANCE_DEG / cosLat));
+        for (let d = -lonSpan; d <= lonSpan; d++) {
+            const cellLon = Math.round(lon) + d;
+            if (angularDistance(lat, lon, cellLat, cellLon) > VIEW_DISTANCE_DEG) continue;
+            visible = Math.max(visible, cellValue(grid, cellLon, cellLat + 90));
+        }
+    }
+
+    return {
+        overhead: Math.round(overheadProbability(grid, lat, lon)),
+        visible: Math.round(visible)
+    };
+}
+
+/**
+ * 可見線：每個經度上可在地平線看到極光的最赤道側緯度
+ * @param {'north'|'south'} hemisphere
+ * @returns {Array<{ lon, lat }>} 無極光的經度會略過
+ */
+function viewLine(grid, hemisphere = 'north', step = 2) {
+    const line = [];
+    const north = hemisphere !== 'south';
+
+    for (let lonIdx = 0; lonIdx < GRID_LON; lonIdx += step) {
+        let boundary = null;
+        // 從赤道往極區掃描，找到第一個達門檻的網格
+        for (let k = 0; k <= 90; k++) {
+            const lat = north ? k : -k;
+            if (cellValue(grid, lonIdx, lat + 90) >= VIEW_LINE_THRESHOLD) {
+                boundary = lat;
+                break;
+            }
+        }
+        if (boundary === null) continue;
+
+        const viewLat = north
+            ? Math.max(0, boundary - VIEW_DISTANCE_DEG)
+            : Math.min(0, boundary + VIEW_DISTANCE_DEG);
+        line.push({ lon: lonIdx > 180 ? lonIdx - 360 : lonIdx, lat: viewLat });
+    }
+
+    return line;
+}
+
+module.exports = {
+    VIEW_DISTANCE_DEG,
+    VIEW_LINE_THRESHOLD,
+    parseOvationGrid,
+    probabilityAt,
+    viewLine
+};
@@ -0,0 +1,134 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 行星位置
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * JPL「行星近似位置」克卜勒軌道根數（1800-2050 年，誤差約數角分），
+ * 計算肉眼可見五大行星的地心赤道座標、距離、亮度與觀測者所見高度角。
+ */
+
+const sun = require('./sun');
+
+const rad = Math.PI / 180;
+const OBLIQUITY = 23.43928 * rad;
+
+// [a (AU), e, I, L, 近日點經度 ϖ, 升交點經度 Ω] 及每世紀變化率
+const ELEMENTS = {
+    mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+    venus: [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+    earth: [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+        [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]],
+    mars: [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+    jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+    saturn: [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]]
+};
+
+// 視星等：V(1,0) + 5 log(rΔ) + 相位角修正（i 為度）
+const MAGNITUDE = {
+    mercury: i => -0.42 + 0.0380 * i - 0.000273 * i * i + 0.000002 * i * i * i,
+    venus: i => -4.40 + 0.0009 * i + 0.000239 * i * i - 0.00000065 * i * i * i,
+    mars: i => -1.52 + 0.016 * i,
+    jupiter: i => -9.40 + 0.005 * i,
+    saturn: i => -8.88 + 0.044 * i
+};
+
+const PLANETS = [
+    { key: 'mercury', name: '水星', icon: '☿️' },
+    { key: 'venus', name: '金星', icon: '✨' },
+    { key: 'mars', name: '火星', icon: '🔴' },
+    { key: 'jupiter', name: '木星', icon: '🪐' },
+    { key: 'saturn', name: '土星', icon: '🪐' }
+];
+
+function normalizeDegrees(deg) {
+    return ((deg % 360) + 360) % 360;
+}
+
+// 日心黃道座標（AU）
+function heliocentric(key, date) {
+    const T = (sun.julianDate(date) - 2451545.0) / 36525;
+    const [base, rate] = ELEMENTS[key];
+    const [a, e, I, L, peri, node] = base.map((v, i) => v + rate[i] * T);
+
+    const M = normalizeDegrees(L - peri) * rad;
+    const omega = (peri - node) * rad;
+    const Omega = node * rad;
+    const inc = I * rad;
+
+    // 克卜勒方程式
+    let E = M + e * Math.sin(M);
+    for (let k = 0; k < 8; k++) {
+        E -= (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    }
+
+    const xp = a * (Math.cos(E) - e);
+    const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    const cw = Math.cos(omega), sw = Math.sin(omega);
+    const cO = Math.cos(Omega), sO = Math.sin(Omega);
+    const cI = Math.cos(inc), sI = Math.sin(inc);
+
+    return {
+        x: (cw * cO - sw * sO * cI) * xp + (-sw * cO - cw * sO * cI) * yp,
+        y: (cw * sO + sw * cO * cI) * xp + (-sw * sO + cw * cO * cI) * yp,
+        z: (sw * sI) * xp + (cw * sI) * yp
+    };
+}
+
+/**
+ * 行星地心位置
+ * @returns {{ ra, dec, distance, sunDistance, elongation, magnitude }}
+ */
+function planetPosition(key, date) {
+    const p = heliocentric(key, date);
+    const earth = heliocentric('earth', date);
+    const gx = p.x - earth.x, gy = p.y - earth.y, gz = p.z - earth.z;
+
+    // 黃道 → 赤道
+    const ex = gx;
+    const ey = gy * Math.cos(OBLIQUITY) - gz * Math.sin(OBLIQUITY);
+    const ez = gy * Math.sin(OBLIQUITY) + gz * Math.cos(OBLIQUITY);
+
+    const distance = Math.sqrt(gx * gx + gy * gy + gz * gz);
+    const r = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z);
+    const R = Math.sqrt(earth.x * earth.x + earth.y * earth.y + earth.z * earth.z);
+
+    const phaseAngle = Math.acos(Math.max(-1, Math.min(1, (r * r + distance * distance - R * R) / (2 * r * distance)))) / rad;
+    const elongation = Math.acos(Math.max(-1, Math.min(1, (R * R + distance * distance - r * r) / (2 * R * distance)))) / rad;
+
+    return {
+        ra: normalizeDegrees(Math.atan2(ey, ex) / rad),
+        dec: Math.asin(ez / distance) / rad,
+        distance,
+        sunDistance: r,
+        elongation,
+        magnitude: MAGNITUDE[key](phaseAngle) + 5 * Math.log10(r * distance)
+    };
+}
+
+// 赤道座標 → 觀測者地平座標（度）
+function equatorialToHorizontal(date, ra, dec, lat, lon) {
+    const hourAngle = (sun.greenwichSiderealTime(date) + lon - ra) * rad;
+    const phi = lat * rad;
+    const delta = dec * rad;
+
+    const sinAlt = Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(hourAngle);
+    const altitude = Math.asin(Math.max(-1, Math.min(1, sinAlt)));
+    const azimuth = Math.atan2(
+        -Math.sin(hourAngle),
+        Math.tan(delta) * Math.cos(phi) - Math.sin(phi) * Math.cos(hourAngle)
+    );
+
+    return { altitude: altitude / rad, azimuth: normalizeDegrees(azimuth / rad) };
+}
+
+module.exports = {
+    PLANETS,
+    planetPosition,
+    equatorialToHorizontal
+};
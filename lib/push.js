@@ -0,0 +1,186 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LINE 推播傳送策略
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 推播佇列使用的錯誤分類、重試間隔、速率限制與並行上限，
+ * 以及將相同內容的收件者合併為 multicast 的分組。
+ * 佇列的儲存與實際傳送在 server.js。
+ *
+ *   分類結果 outcome：
+ *     sent        已送達（含重試金鑰已被接受的 409）
+ *     retry       暫時性錯誤（429 速率限制、5xx、網路錯誤），稍後重試
+ *     deactivate  用戶已封鎖或 ID 無效，停用該用戶的訂閱
+ *                 （multicast 附 invalidIndexes：收件者清單中無效 ID 的位置）
+ *     fail        不會因重試而成功（訊息格式錯誤、Token 無效、每月額度用完、404 找不到）
+ */
+
+// LINE Messaging API 各傳送方式的速率上限：rate 每秒請求數、burst 可連續送出的請求數
+// broadcast / narrowcast 為每小時 60 次
+const LINE_RATE_LIMITS = {
+    push: { rate: 2000, burst: 2000 },
+    multicast: { rate: 200, burst: 200 },
+    broadcast: { rate: 60 / 3600, burst: 60 },
+    narrowcast: { rate: 60 / 3600, burst: 60 }
+};
+// multicast 每次最多的收件者數
+const MULTICAST_LIMIT = 500;
+
+const MAX_ATTEMPTS = 6;                      // 含第一次傳送
+const RETRY_BASE_DELAY = 30 * 1000;          // 第一次重試 30 秒後，之後每次加倍
+const RETRY_MAX_DELAY = 60 * 60 * 1000;      // 最長 1 小時
+const RETRY_JITTER = 0.2;                    // ±20%，避免大量重試同時發生
+
+/**
+ * 分類 LINE 推播回應
+ * @param {number|null} status HTTP 狀態碼；網路錯誤為 null
+ * @param {object} [body] 錯誤回應 { message, details: [{ message, property }] }
+ * @returns {{ outcome: string, reason: string }}
+ */
+function classifyPushResponse(status, body = {}) {
+    const message = String(body?.message || '');
+    const details = Array.isArray(body?.details) ? body.details : [];
+
+    if (status === null || status === undefined) return { outcome: 'retry', reason: 'network' };
+    if (status >= 200 && status < 300) return { outcome: 'sent', reason: '' };
+    // 同一重試金鑰已被接受：先前的請求其實已送達
+    if (status === 409) return { outcome: 'sent', reason: 'duplicate' };
+
+    if (status === 429) {
+        return /monthly limit/i.test(message)
+            ? { outcome: 'fail', reason: 'quota' }
+            : { outcome: 'retry', reason: 'rateLimited' };
+    }
+    if (status >= 500) return { outcome: 'retry', reason: 'server' };
+
+    if (status === 400) {
+        // multicast 收件者中有無效 ID：property 為 to[索引]
+        const invalidIndexes = details
+            .map(d => String(d.property || '').match(/^to\[(\d+)\]$/))
+            .filter(Boolean)
+            .map(match => parseInt(match[1]));
+        if (invalidIndexes.length > 0) return { outcome: 'deactivate', reason: 'invalidUser', invalidIndexes };
+        // 收件者 ID 不存在（或不屬於此 Provider）
+        if (details.some(d => d.property === 'to') || /failed to send messages/i.test(message)) {
+            return { outcome: 'deactivate', reason: 'invalidUser' };
+        }
+        return { outcome: 'fail', reason: 'badRequest' };
+    }
+    if (status === 401) return { outcome: 'fail', reason: 'unauthorized' };
+    if (status === 403) {
+        return /friend|block/i.test(message)
+            ? { outcome: 'deactivate', reason: 'blocked' }
+            : { outcome: 'fail', reason: 'forbidden' };
+    }
+    // 404 可能是端點或請求錯誤，不能據此判斷用戶無效
+    if (status === 404) return { outcome: 'fail', reason: 'notFound' };
+    return { outcome: 'fail', reason: `http${status}` };
+}
+
+// Retry-After 標頭（秒數或 HTTP 日期）→ 毫秒；無法解析回傳 null
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+/**
+ * 第 attempt 次失敗後的等待時間（指數退避 + 抖動）
+ * 伺服器指定 Retry-After 時不短於該值
+ */
+function retryDelay(attempt, retryAfter = null, random = Math.random) {
+    const base = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** Math.max(0, attempt - 1));
+    const jittered = Math.round(base * (1 - RETRY_JITTER + 2 * RETRY_JITTER * random()));
+    return Math.max(jittered, retryAfter || 0);
+}
+
+/**
+ * Token bucket 速率限制：每秒補充 rate 個，最多累積 burst 個
+ * take() 取得一個 token，不足時等待補充
+ */
+function createTokenBucket({ rate, burst = rate, now = Date.now }) {
+    let tokens = burst;
+    let updatedAt = now();
+    let queue = Promise.resolve();
+
+    function refill() {
+        const current = now();
+        tokens = Math.min(burst, tokens + (current - updatedAt) * rate / 1000);
+        updatedAt = current;
+    }
+
+    async function acquire() {
+        refill();
+        if (tokens < 1) {
+            await new Promise(resolve => setTimeout(resolve, Math.ceil((1 - tokens) * 1000 / rate)));
+            refill();
+        }
+        tokens -= 1;
+    }
+
+    return {
+        // 依呼叫順序取得，避免後到的請求搶先
+        take() {
+            const turn = queue.then(acquire);
+            queue = turn.catch(() => {});
+            return turn;
+        },
+        available() {
+            refill();
+            return Math.floor(tokens);
+        }
+    };
+}
+
+/**
+ * 依訊息內容分組：內容相同的收件者可合併為一次 multicast
+ * @param {Array<{ userId: string, messages: Array }>} deliveries
+ * @returns {Array<{ messages: Array, userIds: string[] }>} 依第一次出現的順序，同組內用戶不重複
+ */
+function groupByContent(deliveries) {
+    const groups = new Map();
+    for (const { userId, messages } of deliveries) {
+        const key = JSON.stringify(messages);
+        if (!groups.has(key)) groups.set(key, { messages, userIds: new Set() });
+        groups.get(key).userIds.add(userId);
+    }
+    return [...groups.values()].map(group => ({ messages: group.messages, userIds: [...group.userIds] }));
+}
+
+// 切成每段最多 size 個
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+// 以最多 limit 個並行處理 items，回傳各項結果（順序與 items 相同）
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function lane() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+    return results;
+}
+
+module.exports = {
+    LINE_RATE_LIMITS,
+    MULTICAST_LIMIT,
+    MAX_ATTEMPTS,
+    classifyPushResponse,
+    parseRetryAfter,
+    retryDelay,
+    createTokenBucket,
+    groupByContent,
+    chunk,
+    runWithConcurrency
+};
@@ -0,0 +1,135 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LINE 每月推播額度
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 依 LINE 回報的用量與本站自行統計的送出則數計算本月額度狀態，
+ * 並在額度偏低時依推播優先級降級。額度查詢與用量記錄在 server.js。
+ *
+ *   則數以收件人計算：multicast 給 300 人算 300 則（一次請求中的多則訊息只算一次）
+ *   額度每月 1 日（日本時間）重置
+ *
+ *   等級 level：
+ *     ok         用量 < 70%：全部推播
+ *     low        用量 ≥ 70%：暫停廣播，每日報告依剩餘天數平均分配
+ *     critical   用量 ≥ 90%：只送系統訊息與嚴重警報
+ *     exhausted  額度用完：只送嚴重警報
+ *
+ *   優先級 priority（低 → 高）：broadcast、report、alert、system、severe
+ *   嚴重警報（NOAA 等級 3 以上）不受限制；管理員覆寫期間不降級
+ */
+
+const timezone = require('./timezone');
+
+const QUOTA_TIME_ZONE = 'Asia/Tokyo';
+const LOW_RATIO = 0.7;
+const CRITICAL_RATIO = 0.9;
+const REPORT_SHARE = 0.5;       // low 等級時每日報告最多使用每日平均剩餘額度的一半
+const SEVERE_SCALE = 3;         // NOAA G / S / R 等級 3（Strong）以上為嚴重警報
+
+const PRIORITY_RANK = { broadcast: 0, report: 1, alert: 2, system: 3, severe: 4 };
+const TYPE_PRIORITIES = {
+    broadcast: 'broadcast',
+    daily: 'report',
+    welcome: 'system',
+    test: 'system'
+};
+
+// 推播類型的預設優先級；未列出的類型（警報、提醒）為 alert
+function priorityOf(type) {
+    return TYPE_PRIORITIES[type] || 'alert';
+}
+
+// 警報的 NOAA 等級（G / S / R 的數字）→ 優先級
+function alertPriority(scale) {
+    return scale >= SEVERE_SCALE ? 'severe' : 'alert';
+}
+
+// 額度的月份與日期（日本時間）：{ month: 'YYYY-MM', date: 'YYYY-MM-DD' }
+function quotaPeriod(now = new Date()) {
+    const date = timezone.zonedDateString(now, QUOTA_TIME_ZONE);
+    return { month: date.slice(0, 7), date };
+}
+
+// 本月剩餘天數（含今天）
+function daysLeftInMonth(ymd) {
+    const [year, month, day] = ymd.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return daysInMonth - day + 1;
+}
+
+/**
+ * 計算額度狀態
+ * @param {object} input
+ * @param {number|null} input.limit 每月上限；null 為無上限或未知
+ * @param {number|null} [input.lineUsage] LINE 回報的本月用量；null 為未取得
+ * @param {number} [input.ownAtFetch] 取得 LINE 用量時本站的送出則數（之後送出的加到 LINE 用量上）
+ * @param {number} input.ownMonth 本站本月送出則數
+ * @param {number} [input.reportsToday] 今日已送出的每日報告則數
+ * @param {string|null} [input.overrideUntil] 管理員覆寫到期時間（ISO）
+ * @param {Date} [input.now]
+ */
+function summarize({ limit, lineUsage = null, ownAtFetch = 0, ownMonth, reportsToday = 0, overrideUntil = null, now = new Date() }) {
+    const { month, date } = quotaPeriod(now);
+    const used = lineUsage === null
+        ? ownMonth
+        : Math.max(ownMonth, lineUsage + Math.max(0, ownMonth - ownAtFetch));
+    const override = overrideUntil && Date.parse(overrideUntil) > now.getTime() ? overrideUntil : null;
+
+    if (!limit) {
+        return {
+            month, limit: null, used, remaining: null, ratio: null, level: 'ok',
+            lineUsage, ownUsage: ownMonth, reportsToday, reportAllowance: null, override
+        };
+    }
+
+    const remaining = Math.max(0, limit - used);
+    const ratio = used / limit;
+    const level = remaining <= 0 ? 'exhausted'
+        : ratio >= CRITICAL_RATIO ? 'critical'
+        : ratio >= LOW_RATIO ? 'low'
+        : 'ok';
+
+    return {
+        month, limit, used, remaining, ratio, level,
+        lineUsage, ownUsage: ownMonth, reportsToday,
+        reportAllowance: Math.floor(remaining * REPORT_SHARE / daysLeftInMonth(date)) + reportsToday,
+        override
+    };
+}
+
+/**
+ * 判斷是否送出
+ * @param {object} status summarize() 的結果
+ * @param {string} priority
+ * @param {number} count 本次收件人數（broadcast 未知時為 0）
+ * @param {number} [reserved] 同一批次中已決定送出、尚未計入用量的則數
+ * @returns {{ allowed: boolean, reason: string }}
+ */
+function evaluate(status, priority, count, reserved = 0) {
+    if (priority === 'severe') return { allowed: true, reason: 'severe' };
+    if (status.override) return { allowed: true, reason: 'override' };
+    if (status.level === 'ok') return { allowed: true, reason: '' };
+    if (status.level === 'exhausted') return { allowed: false, reason: 'exhausted' };
+    if (count + reserved > status.remaining) return { allowed: false, reason: 'insufficient' };
+
+    const rank = PRIORITY_RANK[priority] ?? PRIORITY_RANK.alert;
+    if (status.level === 'critical' && rank < PRIORITY_RANK.system) return { allowed: false, reason: 'critical' };
+    if (priority === 'broadcast') return { allowed: false, reason: 'broadcastBlocked' };
+    if (priority === 'report' && status.reportsToday + reserved + count > status.reportAllowance) {
+        return { allowed: false, reason: 'reportThrottled' };
+    }
+    return { allowed: true, reason: '' };
+}
+
+module.exports = {
+    LOW_RATIO,
+    CRITICAL_RATIO,
+    PRIORITY_RANK,
+    priorityOf,
+    alertPriority,
+    quotaPeriod,
+    daysLeftInMonth,
+    summarize,
+    evaluate
+};
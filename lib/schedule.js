@@ -0,0 +1,122 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 每日報告排程
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 每日報告的推播時間（15 分鐘為單位）、星期與時區。
+ * 排程器不比對「現在是否剛好 HH:MM」，而是計算最近一次排定時刻，
+ * 與上次推播比較：重新啟動或檢查延遲而錯過的推播，在補發時限內補送一次。
+ *
+ *   星期以 ISO 編號表示：1 = 週一 … 7 = 週日；未指定為每天
+ */
+
+const timezone = require('./timezone');
+
+const STEP_MINUTES = 15;
+const ALL_DAYS = [1, 2, 3, 4, 5, 6, 7];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const WEEKENDS = [6, 7];
+
+// 'HH:MM' → { hour, minute }；格式不符回傳 null
+function parseClock(time) {
+    const match = String(time || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hour = parseInt(match[1]);
+    const minute = parseInt(match[2]);
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute };
+}
+
+// 推播時間需落在 15 分鐘的整數倍
+function isValidTime(time) {
+    const clock = parseClock(time);
+    return !!clock && clock.minute % STEP_MINUTES === 0;
+}
+
+// 星期清單去重排序；空值或無效值視為每天
+function normalizeDays(days) {
+    const valid = [...new Set((Array.isArray(days) ? days : []).map(Number))]
+        .filter(d => Number.isInteger(d) && d >= 1 && d <= 7)
+        .sort((a, b) => a - b);
+    return valid.length > 0 ? valid : ALL_DAYS;
+}
+
+// 當地日期 'YYYY-MM-DD' 的 ISO 星期
+function isoWeekday(ymd) {
+    const day = new Date(`${ymd}T00:00:00Z`).getUTCDay();
+    return day === 0 ? 7 : day;
+}
+
+// 星期清單的類別：every（每天）/ weekdays（平日）/ weekends（週末）/ custom
+function daysKind(days) {
+    const list = normalizeDays(days).join(',');
+    if (list === ALL_DAYS.join(',')) return 'every';
+    if (list === WEEKDAYS.join(',')) return 'weekdays';
+    if (list === WEEKENDS.join(',')) return 'weekends';
+    return 'custom';
+}
+
+/**
+ * 排定時刻搜尋
+ * @param {object} schedule { time: 'HH:MM', days, timeZone }
+ * @param {Date} now
+ * @param {number} direction -1 最近一次（≤ now）、1 下一次（> now）
+ * @returns {Date|null}
+ */
+function findOccurrence(schedule, now, direction) {
+    const clock = parseClock(schedule.time);
+    if (!clock) return null;
+    const timeZone = schedule.timeZone || timezone.DEFAULT_TIME_ZONE;
+    const days = normalizeDays(schedule.days);
+    const today = timezone.zonedDateString(now, timeZone);
+
+    // 往前或往後找 8 天，必定涵蓋一週中的每一天
+    for (let i = 0; i <= 7; i++) {
+        const ymd = timezone.shiftDate(today, i * direction, timeZone);
+        if (!days.includes(isoWeekday(ymd))) continue;
+        const at = timezone.zonedDateTime(ymd, clock.hour, clock.minute, timeZone);
+        if (direction < 0 ? at <= now : at > now) return at;
+    }
+    return null;
+}
+
+function latestOccurrence(schedule, now = new Date()) {
+    return findOccurrence(schedule, now, -1);
+}
+
+function nextOccurrence(schedule, now = new Date()) {
+    return findOccurrence(schedule, now, 1);
+}
+
+/**
+ * 是否該推播：最近一次排定時刻晚於上次推播與訂閱時間，且未超過補發時限
+ * @param {object} schedule { time, days, timeZone }
+ * @param {object} record { lastPushAt, subscribedAt }（ISO 字串）
+ * @param {number} catchUpHours 補發時限；更早錯過的推播不再補送
+ * @returns {Date|null} 應推播的排定時刻
+ */
+function dueOccurrence(schedule, record, now = new Date(), catchUpHours = 6) {
+    const at = latestOccurrence(schedule, now);
+    if (!at || now - at > catchUpHours * 60 * 60 * 1000) return null;
+
+    const baseline = Math.max(
+        Date.parse(record.lastPushAt) || 0,
+        Date.parse(record.subscribedAt) || 0
+    );
+    return at.getTime() > baseline ? at : null;
+}
+
+module.exports = {
+    STEP_MINUTES,
+    ALL_DAYS,
+    WEEKDAYS,
+    WEEKENDS,
+    parseClock,
+    isValidTime,
+    normalizeDays,
+    isoWeekday,
+    daysKind,
+    latestOccurrence,
+    nextOccurrence,
+    dueOccurrence
+};
@@ -0,0 +1,130 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 儲存層 - 本機 JSON 檔案驅動
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 供自架部署與測試使用，不需 Google 憑證。
+ * 每個資料表存成 <dir>/<資料表>.json，寫入時先寫暫存檔再改名，避免中途當機造成檔案損毀。
+ * 值一律以字串保存，不在欄位中的鍵忽略，行為與 Google Sheets 驅動一致。
+ *
+ * 每次寫入都會重寫整個資料表，持續新增的紀錄表以 maxRows 限制筆數（超過時刪除最舊的記錄）。
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function normalize(record, headers) {
+    const result = {};
+    for (const header of headers) {
+        const value = record[header];
+        result[header] = value === undefined || value === null ? '' : String(value);
+    }
+    return result;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dir 資料目錄
+ * @param {Object<string, number>} [options.maxRows] 資料表名稱 → 保留的最多筆數
+ */
+function createFileStore({ dir, maxRows = {} }) {
+    const tables = new Map();      // 資料表名稱 → { headers, rows }
+    const writeQueues = new Map(); // 資料表名稱 → 寫入中的 Promise（同一檔案依序寫入）
+
+    function filePath(table) {
+        return path.join(dir, `${table.replace(/[\\/:*?"<>|]/g, '_')}.json`);
+    }
+
+    async function load(table) {
+        if (tables.has(table)) return tables.get(table);
+
+        let data = { headers: [], rows: [] };
+        try {
+            data = JSON.parse(await fs.readFile(filePath(table), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        tables.set(table, data);
+        return data;
+    }
+
+    function getTable(table) {
+        const data = tables.get(table);
+        if (!data) throw new Error(`找不到資料表：${table}`);
+        return data;
+    }
+
+    function persist(table) {
+        const previous = writeQueues.get(table) || Promise.resolve();
+        const next = previous.then(async () => {
+            const target = filePath(table);
+            const tmp = `${target}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(tables.get(table)));
+            await fs.rename(tmp, target);
+        });
+        writeQueues.set(table, next.catch(() => {}));
+        return next;
+    }
+
+    return {
+        name: 'file',
+
+        async init() {
+            await fs.mkdir(dir, { recursive: true });
+            console.log('✅ 本機檔案儲存已就緒:', dir);
+        },
+
+        async ensureTable(table, headers) {
+            const data = await load(table);
+            const missing = headers.filter(h => !data.headers.includes(h));
+            if (missing.length === 0 && data.headers.length > 0) return;
+
+            data.headers = [...data.headers, ...missing];
+            data.rows = data.rows.map(row => normalize(row, data.headers));
+            await persist(table);
+        },
+
+        async list(table) {
+            return getTable(table).rows.map(row => ({ ...row }));
+        },
+
+        async insert(table, record) {
+            await this.insertMany(table, [record]);
+        },
+
+        async insertMany(table, records) {
+            if (records.length === 0) return;
+            const data = getTable(table);
+            data.rows.push(...records.map(record => normalize(record, data.headers)));
+            const limit = maxRows[table];
+            if (limit && data.rows.length > limit) data.rows.splice(0, data.rows.length - limit);
+            await persist(table);
+        },
+
+        async update(table, predicate, patch) {
+            const data = getTable(table);
+            let count = 0;
+
+            data.rows = data.rows.map(row => {
+                if (!predicate({ ...row })) return row;
+                count++;
+                const values = typeof patch === 'function' ? patch({ ...row }) : patch;
+                return normalize({ ...row, ...values }, data.headers);
+            });
+            if (count > 0) await persist(table);
+            return count;
+        },
+
+        async remove(table, predicate) {
+            const data = getTable(table);
+            const before = data.rows.length;
+
+            data.rows = data.rows.filter(row => !predicate({ ...row }));
+            const count = before - data.rows.length;
+            if (count > 0) await persist(table);
+            return count;
+        }
+    };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,42 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 儲存層
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 所有驅動提供相同介面，資料以「資料表 → 記錄陣列」方式存取：
+ *
+ *   name                              驅動名稱
+ *   init()                            連線 / 建立目錄
+ *   ensureTable(table, headers)       建立資料表或補上缺少的欄位
+ *   list(table)                       取得所有記錄（值皆為字串，缺少的欄位為 ''）
+ *   insert(table, record)             新增一筆記錄（不在欄位中的鍵忽略）
+ *   insertMany(table, records)        一次新增多筆記錄
+ *   update(table, predicate, patch)   更新符合條件的記錄，回傳筆數（不在欄位中的鍵忽略）
+ *                                     patch 可為函式 record → patch，各記錄分別更新
+ *   remove(table, predicate)          刪除符合條件的記錄，回傳筆數
+ *
+ * 驅動：
+ *   sheets  Google Sheets（需服務帳戶憑證）
+ *   file    本機 JSON 檔案（自架部署、測試用；可用 maxRows 限制紀錄表筆數）
+ *
+ * 共用的行為測試在 test/storage.test.js。
+ */
+
+const { createSheetsStore } = require('./sheets');
+const { createFileStore } = require('./file');
+
+function createStore({ driver, sheets, file }) {
+    const sheetsConfigured = !!(sheets?.sheetId && sheets?.email && sheets?.privateKey);
+    const selected = driver || (sheetsConfigured ? 'sheets' : 'file');
+
+    if (selected === 'sheets') {
+        if (!sheetsConfigured) throw new Error('Google Sheets 憑證未設定');
+        return createSheetsStore(sheets);
+    }
+    if (selected === 'file') {
+        return createFileStore(file);
+    }
+    throw new Error(`未知的儲存驅動：${selected}`);
+}
+
+module.exports = { createStore, createSheetsStore, createFileStore };
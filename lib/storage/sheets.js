@@ -0,0 +1,156 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 儲存層 - Google Sheets 驅動
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 每個資料表對應一個工作表，第一列為欄位名稱。
+ * 所有讀出的值皆為字串（與試算表儲存格一致），空白儲存格為 ''。
+ * 寫入時只保留工作表既有欄位的鍵，其餘忽略（與本機檔案驅動一致）。
+ * update / remove 每次呼叫讀取一次、寫入一次，不論符合的列數（避免逐列呼叫觸及寫入配額）。
+ */
+
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { JWT } = require('google-auth-library');
+
+function createSheetsStore({ sheetId, email, privateKey }) {
+    let doc = null;
+
+    function getSheet(table) {
+        const sheet = doc?.sheetsByTitle[table];
+        if (!sheet) throw new Error(`找不到工作表：${table}`);
+        return sheet;
+    }
+
+    // 工作表欄位（尚未載入時先讀取標題列）
+    async function headersOf(sheet) {
+        try {
+            return sheet.headerValues;
+        } catch (error) {
+            await sheet.loadHeaderRow();
+            return sheet.headerValues;
+        }
+    }
+
+    // 只保留工作表欄位中的鍵
+    function pickColumns(record, headers) {
+        return Object.fromEntries(Object.entries(record).filter(([key]) => headers.includes(key)));
+    }
+
+    function toRecord(row, headers) {
+        const record = {};
+        for (const header of headers) {
+            const value = row.get(header);
+            record[header] = value === undefined || value === null ? '' : String(value);
+        }
+        return record;
+    }
+
+    return {
+        name: 'google-sheets',
+
+        async init() {
+            const auth = new JWT({
+                email,
+                key: privateKey,
+                scopes: ['https://www.googleapis.com/auth/spreadsheets']
+            });
+
+            doc = new GoogleSpreadsheet(sheetId, auth);
+            await doc.loadInfo();
+            console.log('✅ Google Sheets 已連線:', doc.title);
+        },
+
+        async ensureTable(table, headers) {
+            let sheet = doc.sheetsByTitle[table];
+            if (!sheet) {
+                await doc.addSheet({ title: table, headerValues: headers });
+                console.log('📄 建立工作表:', table);
+                return;
+            }
+
+            // 既有工作表補上新版本增加的欄位
+            try {
+                await sheet.loadHeaderRow();
+                const missing = headers.filter(h => !sheet.headerValues.includes(h));
+                if (missing.length > 0) {
+                    const merged = [...sheet.headerValues, ...missing];
+                    if (merged.length > sheet.columnCount) {
+                        await sheet.resize({ rowCount: sheet.rowCount, columnCount: merged.length });
+                    }
+                    await sheet.setHeaderRow(merged);
+                    console.log('📄 工作表新增欄位:', table, missing.join(', '));
+                }
+            } catch (error) {
+                console.error('工作表欄位檢查失敗:', table, error.message);
+            }
+        },
+
+        async list(table) {
+            const sheet = getSheet(table);
+            const rows = await sheet.getRows();
+            return rows.map(row => toRecord(row, sheet.headerValues));
+        },
+
+        async insert(table, record) {
+            const sheet = getSheet(table);
+            await sheet.addRow(pickColumns(record, await headersOf(sheet)));
+        },
+
+        async insertMany(table, records) {
+            if (records.length === 0) return;
+            const sheet = getSheet(table);
+            const headers = await headersOf(sheet);
+            await sheet.addRows(records.map(record => pickColumns(record, headers)));
+        },
+
+        // 符合條件的列一次寫回（values:batchUpdate），不逐列呼叫 row.save()
+        async update(table, predicate, patch) {
+            const sheet = getSheet(table);
+            const rows = await sheet.getRows();
+            const data = [];
+
+            for (const row of rows) {
+                const record = toRecord(row, sheet.headerValues);
+                if (!predicate(record)) continue;
+                const values = pickColumns(typeof patch === 'function' ? patch(record) : patch, sheet.headerValues);
+                data.push({
+                    range: row.a1Range,
+                    values: [sheet.headerValues.map(header => header in values ? values[header] : record[header])]
+                });
+            }
+
+            if (data.length > 0) {
+                await doc.sheetsApi.post('/values:batchUpdate', { valueInputOption: 'USER_ENTERED', data });
+            }
+            return data.length;
+        },
+
+        // 符合條件的列一次刪除（batchUpdate），不逐列呼叫 row.delete()
+        async remove(table, predicate) {
+            const sheet = getSheet(table);
+            const rows = await sheet.getRows();
+            const rowNumbers = rows
+                .filter(row => predicate(toRecord(row, sheet.headerValues)))
+                .map(row => row.rowNumber);
+
+            // 相鄰的列合併為一個範圍；由下往上刪除，避免列號位移
+            const ranges = [];
+            for (const rowNumber of rowNumbers) {
+                const last = ranges[ranges.length - 1];
+                if (last && last.endIndex === rowNumber - 1) last.endIndex = rowNumber;
+                else ranges.push({ startIndex: rowNumber - 1, endIndex: rowNumber });
+            }
+
+            if (ranges.length > 0) {
+                await doc.sheetsApi.post(':batchUpdate', {
+                    requests: ranges.reverse().map(range => ({
+                        deleteDimension: { range: { sheetId: sheet.sheetId, dimension: 'ROWS', ...range } }
+                    }))
+                });
+            }
+            return rowNumbers.length;
+        }
+    };
+}
+
+module.exports = { createSheetsStore };
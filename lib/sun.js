@@ -0,0 +1,197 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 太陽位置計算
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 天文年曆低精度公式（1950-2050 年誤差約 0.01°），
+ * 提供太陽赤道座標、地心方向向量與觀測者所見高度角，
+ * 以及日出日落、黃金時刻、藍調時刻、三種曙暮光時間與夜晚時段。
+ */
+
+const horizon = require('./horizon');
+const timezone = require('./timezone');
+
+const rad = Math.PI / 180;
+
+// Date → 儒略日
+function julianDate(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+// 格林威治平恆星時（度）
+function greenwichSiderealTime(date) {
+    const d = julianDate(date) - 2451545.0;
+    return ((280.46061837 + 360.98564736629 * d) % 360 + 360) % 360;
+}
+
+/**
+ * 太陽赤道座標
+ * @returns {{ ra, dec, longitude, distance, vector }} ra / dec / longitude（黃經）為度，
+ *          distance 為 AU，vector 為地心慣性座標系的單位向量
+ */
+function sunPosition(date) {
+    const n = julianDate(date) - 2451545.0;
+    const L = (280.460 + 0.9856474 * n) % 360;
+    const g = ((357.528 + 0.9856003 * n) % 360) * rad;
+    const lambda = (L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * rad;
+    const epsilon = (23.439 - 0.0000004 * n) * rad;
+
+    const x = Math.cos(lambda);
+    const y = Math.cos(epsilon) * Math.sin(lambda);
+    const z = Math.sin(epsilon) * Math.sin(lambda);
+
+    return {
+        ra: ((Math.atan2(y, x) / rad) + 360) % 360,
+        dec: Math.asin(z) / rad,
+        longitude: ((lambda / rad) % 360 + 360) % 360,
+        distance: 1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g),
+        vector: { x, y, z }
+    };
+}
+
+/**
+ * 觀測者所見太陽高度角與方位角（度，未計大氣折射）
+ */
+function sunHorizontal(date, lat, lon) {
+    const { ra, dec } = sunPosition(date);
+    const hourAngle = (greenwichSiderealTime(date) + lon - ra) * rad;
+    const phi = lat * rad;
+    const delta = dec * rad;
+
+    const sinAlt = Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(hourAngle);
+    const altitude = Math.asin(Math.max(-1, Math.min(1, sinAlt)));
+    const azimuth = Math.atan2(
+        -Math.sin(hourAngle),
+        Math.tan(delta) * Math.cos(phi) - Math.sin(phi) * Math.cos(hourAngle)
+    );
+
+    return {
+        altitude: altitude / rad,
+        azimuth: ((azimuth / rad) + 360) % 360
+    };
+}
+
+// 各事件的太陽高度角（度）
+const SUN_ALTITUDES = {
+    sunrise: -0.833,        // 大氣折射 34′ + 太陽半徑 16′
+    goldenHigh: 6,          // 黃金時刻：太陽高度 -4° 至 6°
+    goldenLow: -4,
+    civil: -6,              // 藍調時刻：-6° 至 -4°
+    nautical: -12,
+    astronomical: -18
+};
+
+function sunAltitudeAt(lat, lon) {
+    return date => sunHorizontal(date, lat, lon).altitude;
+}
+
+/**
+ * 指定當地日期的太陽事件時間
+ * @param {string} ymd  當地日期 YYYY-MM-DD
+ * @returns 各事件為 Date 或 null（極晝 / 極夜當天不會發生）
+ */
+function sunTimes(ymd, lat, lon, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    const start = timezone.zonedDayStart(ymd, timeZone);
+    const end = new Date(start.getTime() + 86400000);
+    const altitudeAt = sunAltitudeAt(lat, lon);
+
+    const events = altitude => {
+        const crossings = horizon.findCrossings(altitudeAt, start, end, altitude, 10);
+        const rising = crossings.find(c => c.rising);
+        const setting = crossings.find(c => !c.rising);
+        return { rising: rising ? rising.time : null, setting: setting ? setting.time : null };
+    };
+
+    const rise = events(SUN_ALTITUDES.sunrise);
+    const goldenHigh = events(SUN_ALTITUDES.goldenHigh);
+    const goldenLow = events(SUN_ALTITUDES.goldenLow);
+    const civil = events(SUN_ALTITUDES.civil);
+    const nautical = events(SUN_ALTITUDES.nautical);
+    const astronomical = events(SUN_ALTITUDES.astronomical);
+
+    // 太陽過中天：每 10 分鐘取樣找最高點，再以三分搜尋精修
+    let noon = start.getTime(), best = -Infinity;
+    for (let t = start.getTime(); t < end.getTime(); t += 600000) {
+        const alt = altitudeAt(new Date(t));
+        if (alt > best) { best = alt; noon = t; }
+    }
+    let lo = noon - 600000, hi = noon + 600000;
+    while (hi - lo > 10000) {
+        const m1 = lo + (hi - lo) / 3, m2 = hi - (hi - lo) / 3;
+        if (altitudeAt(new Date(m1)) < altitudeAt(new Date(m2))) lo = m1;
+        else hi = m2;
+    }
+    const solarNoon = new Date(Math.round((lo + hi) / 2));
+    const noonAltitude = altitudeAt(solarNoon);
+
+    let polar = null;
+    if (!rise.rising && !rise.setting) {
+        polar = noonAltitude > SUN_ALTITUDES.sunrise ? 'day' : 'night';
+    }
+
+    return {
+        date: ymd,
+        timeZone,
+        sunrise: rise.rising,
+        sunset: rise.setting,
+        solarNoon,
+        noonAltitude,
+        dayLength: rise.rising && rise.setting ? Math.round((rise.setting - rise.rising) / 60000) : (polar === 'day' ? 1440 : 0),
+        polar,
+        civil: { dawn: civil.rising, dusk: civil.setting },
+        nautical: { dawn: nautical.rising, dusk: nautical.setting },
+        astronomical: { dawn: astronomical.rising, dusk: astronomical.setting },
+        goldenHour: {
+            morning: { start: goldenLow.rising, end: goldenHigh.rising },
+            evening: { start: goldenHigh.setting, end: goldenLow.setting }
+        },
+        blueHour: {
+            morning: { start: civil.rising, end: goldenLow.rising },
+            evening: { start: goldenLow.setting, end: civil.setting }
+        }
+    };
+}
+
+/**
+ * 當地日期 ymd 傍晚開始的夜晚：當天日落到隔天日出
+ * @returns {{ date, sunset, sunrise, astronomicalDusk, astronomicalDawn, polar }}
+ *          極晝時 sunset / sunrise 為 null；極夜時以當地正午至隔天正午為範圍
+ */
+function nightAfter(ymd, lat, lon, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    const evening = sunTimes(ymd, lat, lon, timeZone);
+    const morning = sunTimes(timezone.shiftDate(ymd, 1, timeZone), lat, lon, timeZone);
+    if (evening.polar === 'day') {
+        return { date: ymd, polar: 'day', sunset: null, sunrise: null, astronomicalDusk: null, astronomicalDawn: null };
+    }
+
+    const sunset = evening.sunset || new Date(timezone.zonedDayStart(ymd, timeZone).getTime() + 12 * 3600000);
+    const sunrise = morning.sunrise || new Date(sunset.getTime() + 86400000);
+
+    return {
+        date: ymd,
+        polar: evening.polar,
+        sunset,
+        sunrise,
+        astronomicalDusk: evening.astronomical.dusk,
+        astronomicalDawn: morning.astronomical.dawn
+    };
+}
+
+// 「今晚」：日出前查詢時視為前一晚
+function nightWindow(now, lat, lon, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    const ymd = timezone.zonedDateString(now, timeZone);
+    const today = sunTimes(ymd, lat, lon, timeZone);
+    const nightDate = today.sunrise && now < today.sunrise ? timezone.shiftDate(ymd, -1, timeZone) : ymd;
+    return nightAfter(nightDate, lat, lon, timeZone);
+}
+
+module.exports = {
+    SUN_ALTITUDES,
+    julianDate,
+    greenwichSiderealTime,
+    sunPosition,
+    sunHorizontal,
+    sunTimes,
+    nightAfter,
+    nightWindow
+};
@@ -0,0 +1,85 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 時區工具
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 以 Intl API 換算 IANA 時區的當地日期與午夜時刻，
+ * 供日出日落、月出月落等「以當地日期為單位」的計算使用。
+ */
+
+const DEFAULT_TIME_ZONE = 'Asia/Taipei';
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function zonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const get = type => parseInt(parts.find(p => p.type === type).value);
+    return {
+        year: get('year'), month: get('month'), day: get('day'),
+        hour: get('hour'), minute: get('minute'), second: get('second')
+    };
+}
+
+// 該時刻在指定時區的 UTC 偏移（分鐘，東正西負）
+function timeZoneOffsetMinutes(date, timeZone) {
+    const p = zonedParts(date, timeZone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// 指定時區的當地日期 'YYYY-MM-DD'
+function zonedDateString(date, timeZone = DEFAULT_TIME_ZONE) {
+    const p = zonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// 當地日期 'YYYY-MM-DD' 的午夜（回傳 UTC 時刻）
+function zonedDayStart(ymd, timeZone = DEFAULT_TIME_ZONE) {
+    const [year, month, day] = ymd.split('-').map(Number);
+    const guess = new Date(Date.UTC(year, month - 1, day));
+    // 先以 UTC 午夜的偏移估算，再以估算結果的偏移修正（處理日光節約切換）
+    const first = new Date(guess.getTime() - timeZoneOffsetMinutes(guess, timeZone) * 60000);
+    return new Date(guess.getTime() - timeZoneOffsetMinutes(first, timeZone) * 60000);
+}
+
+// 當地日期與時刻（時、分）→ UTC 時刻；日光節約跳過的時刻順延（紐約 3/8 02:30 → 03:30 EDT）
+function zonedDateTime(ymd, hour, minute, timeZone = DEFAULT_TIME_ZONE) {
+    const [year, month, day] = ymd.split('-').map(Number);
+    const guess = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    const firstOffset = timeZoneOffsetMinutes(guess, timeZone);
+    const secondOffset = timeZoneOffsetMinutes(new Date(guess.getTime() - firstOffset * 60000), timeZone);
+    const result = new Date(guess.getTime() - secondOffset * 60000);
+
+    // 換算回當地不是該時刻：位於跳過的區間，以切換前（較小）的偏移換算，落在切換後同樣的分鐘數
+    const local = zonedParts(result, timeZone);
+    if (local.hour === hour && local.minute === minute) return result;
+    return new Date(guess.getTime() - Math.min(firstOffset, secondOffset) * 60000);
+}
+
+// 當地日期加減天數（以當地正午換算，避開日光節約切換）
+function shiftDate(ymd, days, timeZone = DEFAULT_TIME_ZONE) {
+    const noon = zonedDayStart(ymd, timeZone).getTime() + 12 * 3600000;
+    return zonedDateString(new Date(noon + days * 86400000), timeZone);
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    timeZoneOffsetMinutes,
+    zonedDateString,
+    zonedDayStart,
+    zonedDateTime,
+    shiftDate
+};
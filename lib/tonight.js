@@ -0,0 +1,289 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 今晚觀測規劃
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 以日落至日出為「今晚」，每 10 分鐘取樣太陽、月亮與各目標的高度角，
+ * 綜合天空暗度、月光干擾、雲量、活躍流星雨與 Kp 指數，
+ * 為行星、月亮、深空天體、流星雨與極光評分，並找出最佳觀測時段。
+ */
+
+const sun = require('./sun');
+const moon = require('./moon');
+const planets = require('./planets');
+const aurora = require('./aurora');
+const meteors = require('./meteors');
+const timezone = require('./timezone');
+const { azimuthToCompass } = require('./horizon');
+
+const SAMPLE_MINUTES = 10;
+
+// 目標最低高度角：行星 / 月亮貼近地平線仍可辨識，深空天體需避開地平線附近的大氣消光
+const MIN_PLANET_ALTITUDE = 10;
+const MIN_DEEP_SKY_ALTITUDE = 25;
+
+// 肉眼 / 雙筒可見的代表性深空天體（J2000 赤經赤緯，base 為基礎分數）
+const DEEP_SKY = [
+    { key: 'm31', name: '仙女座星系 M31', icon: '🌌', ra: 10.685, dec: 41.269, base: 70 },
+    { key: 'm42', name: '獵戶座大星雲 M42', icon: '☁️', ra: 83.822, dec: -5.391, base: 75 },
+    { key: 'm45', name: '昴宿星團 M45', icon: '✨', ra: 56.75, dec: 24.117, base: 80 },
+    { key: 'm13', name: '武仙座球狀星團 M13', icon: '🔆', ra: 250.42, dec: 36.46, base: 55 },
+    { key: 'm8', name: '礁湖星雲 M8', icon: '☁️', ra: 270.9, dec: -24.38, base: 55 },
+    { key: 'milkyWay', name: '銀河中心', icon: '🌠', ra: 266.4, dec: -29.0, base: 85 },
+    { key: 'm44', name: '蜂巢星團 M44', icon: '🐝', ra: 130.1, dec: 19.67, base: 55 },
+    { key: 'doubleCluster', name: '英仙座雙星團', icon: '✨', ra: 34.75, dec: 57.13, base: 50 },
+    { key: 'omegaCen', name: '半人馬座ω球狀星團', icon: '🔆', ra: 201.7, dec: -47.48, base: 60 },
+    { key: 'lmc', name: '大麥哲倫星系', icon: '🌌', ra: 80.89, dec: -69.76, base: 70 }
+];
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// 天空暗度（依太陽高度角）
+function darknessLevel(sunAltitude) {
+    if (sunAltitude <= sun.SUN_ALTITUDES.astronomical) return 'astronomical';
+    if (sunAltitude <= sun.SUN_ALTITUDES.nautical) return 'nautical';
+    if (sunAltitude <= sun.SUN_ALTITUDES.civil) return 'civil';
+    return 'twilight';
+}
+
+// 取樣中符合條件的連續時段，取包含分數最高點的一段
+function bestWindow(samples, scoreAt) {
+    let best = null, current = null;
+    samples.forEach((s, i) => {
+        const score = scoreAt(s, i);
+        if (score > 0) {
+            if (!current) current = { startIndex: i, peakIndex: i, peakScore: score };
+            current.endIndex = i;
+            if (score > current.peakScore) { current.peakScore = score; current.peakIndex = i; }
+            if (!best || current.peakScore > best.peakScore) best = current;
+        } else {
+            current = null;
+        }
+    });
+    return best;
+}
+
+function describeWindow(samples, window, altitudes, azimuths) {
+    const peak = window.peakIndex;
+    return {
+        start: samples[window.startIndex].time.toISOString(),
+        end: new Date(samples[window.endIndex].time.getTime() + SAMPLE_MINUTES * 60000).toISOString(),
+        peakTime: samples[peak].time.toISOString(),
+        peakAltitude: altitudes ? Math.round(altitudes[peak]) : null,
+        direction: azimuths ? azimuthToCompass(azimuths[peak]) : null
+    };
+}
+
+// 高度角加權：越接近天頂大氣消光越少，最佳時刻即為中天
+function altitudeFactor(altitude) {
+    return 0.5 + 0.5 * Math.sin(altitude * Math.PI / 180);
+}
+
+/**
+ * 今晚觀測規劃
+ * @param {{ lat, lon, timeZone?, now?: Date, cloudCover?: number|null,
+ *           meteorShower?: object|null, kp?: number|null }} options  meteorShower 為 lib/meteors.js 的活躍流星雨
+ * @returns {{ date, location, night, moon, weather, conditions, targets, planetsVisible }}
+ */
+function planTonight(options) {
+    const {
+        lat,
+        lon,
+        timeZone = timezone.DEFAULT_TIME_ZONE,
+        now = new Date(),
+        cloudCover = null,
+        meteorShower = null,
+        kp = null
+    } = options;
+
+    const night = sun.nightWindow(now, lat, lon, timeZone);
+    const cloudFactor = cloudCover === null || cloudCover === undefined ? 1 : 1 - 0.9 * clamp(cloudCover, 0, 100) / 100;
+    const result = {
+        date: night.date,
+        location: { lat, lon, timeZone },
+        night: {
+            sunset: night.sunset ? night.sunset.toISOString() : null,
+            sunrise: night.sunrise ? night.sunrise.toISOString() : null,
+            astronomicalDusk: night.astronomicalDusk ? night.astronomicalDusk.toISOString() : null,
+            astronomicalDawn: night.astronomicalDawn ? night.astronomicalDawn.toISOString() : null,
+            polar: night.polar,
+            darkHours: 0
+        },
+        moon: null,
+        weather: { cloudCover, cloudFactor: Math.round(cloudFactor * 100) / 100 },
+        conditions: { score: 0, label: '無夜晚' },
+        targets: [],
+        planetsVisible: 0
+    };
+    if (night.polar === 'day') return result;
+
+    // 已開始的夜晚只規劃剩餘時段（對齊取樣間隔）
+    const step = SAMPLE_MINUTES * 60000;
+    const from = Math.ceil(Math.max(night.sunset.getTime(), now.getTime()) / step) * step;
+    const samples = [];
+    for (let t = from; t < night.sunrise.getTime(); t += step) {
+        const time = new Date(t);
+        const sunAltitude = sun.sunHorizontal(time, lat, lon).altitude;
+        samples.push({
+            time,
+            sunAltitude,
+            darkness: darknessLevel(sunAltitude),
+            moonAltitude: moon.moonAltitude(time, lat, lon)
+        });
+    }
+    if (samples.length === 0) return result;
+
+    const midnight = samples[Math.floor(samples.length / 2)].time;
+    const moonIllum = moon.illumination(midnight);
+    const moonInfo = moon.getMoonInfo(midnight);
+    const darkSamples = samples.filter(s => s.darkness === 'astronomical');
+    const moonUpDark = darkSamples.filter(s => s.moonAltitude > 0).length;
+
+    result.night.darkHours = Math.round(darkSamples.length * SAMPLE_MINUTES / 6) / 10;
+    result.moon = {
+        phase: moonInfo.phase,
+        phaseKey: moonInfo.phaseKey,
+        icon: moonInfo.icon,
+        illumination: moonInfo.illumination,
+        // 天文黑暗期間月亮在地平線上的比例
+        upDuringDark: darkSamples.length ? Math.round(moonUpDark / darkSamples.length * 100) : 0
+    };
+
+    // 月光干擾：月亮在地平線上時依亮面比例降低暗天體分數
+    const moonPenalty = s => s.moonAltitude > 0 ? 1 - 0.8 * moonIllum.fraction : 1;
+    const targets = [];
+
+    // 🪐 行星（取夜半位置，一夜間移動可忽略）
+    for (const planet of planets.PLANETS) {
+        const pos = planets.planetPosition(planet.key, midnight);
+        const horizontal = samples.map(s => planets.equatorialToHorizontal(s.time, pos.ra, pos.dec, lat, lon));
+        const altitudes = horizontal.map(h => h.altitude);
+        const brightness = clamp(60 - 10 * pos.magnitude, 20, 100);
+        const window = bestWindow(samples, (s, i) =>
+            altitudes[i] >= MIN_PLANET_ALTITUDE && s.sunAltitude <= sun.SUN_ALTITUDES.civil
+                ? brightness * altitudeFactor(altitudes[i]) : 0);
+        if (!window) continue;
+
+        targets.push({
+            type: 'planet',
+            key: planet.key,
+            name: planet.name,
+            icon: planet.icon,
+            magnitude: Math.round(pos.magnitude * 10) / 10,
+            score: Math.round(window.peakScore * cloudFactor),
+            ...describeWindow(samples, window, altitudes, horizontal.map(h => h.azimuth))
+        });
+    }
+    result.planetsVisible = targets.length;
+
+    // 🌙 月亮（上弦、下弦前後的明暗界線最適合觀察坑洞）
+    if (moonIllum.fraction >= 0.05) {
+        const moonBase = moonIllum.fraction >= 0.2 && moonIllum.fraction <= 0.8 ? 60 : 50;
+        const window = bestWindow(samples, s =>
+            s.moonAltitude >= MIN_PLANET_ALTITUDE && s.sunAltitude <= sun.SUN_ALTITUDES.civil
+                ? moonBase * altitudeFactor(s.moonAltitude) : 0);
+        if (window) {
+            const azimuths = samples.map(s => {
+                const pos = moon.moonPosition(s.time);
+                return planets.equatorialToHorizontal(s.time, pos.ra, pos.dec, lat, lon).azimuth;
+            });
+            targets.push({
+                type: 'moon',
+                key: 'moon',
+                name: `月亮（${moonInfo.phase}）`,
+                icon: moonInfo.icon,
+                score: Math.round(window.peakScore * cloudFactor),
+                ...describeWindow(samples, window, samples.map(s => s.moonAltitude), azimuths)
+            });
+        }
+    }
+
+    // 🌌 深空天體：需天文黑暗
+    for (const dso of DEEP_SKY) {
+        const horizontal = samples.map(s => planets.equatorialToHorizontal(s.time, dso.ra, dso.dec, lat, lon));
+        const altitudes = horizontal.map(h => h.altitude);
+        const window = bestWindow(samples, (s, i) =>
+            altitudes[i] >= MIN_DEEP_SKY_ALTITUDE && s.darkness === 'astronomical'
+                ? dso.base * altitudeFactor(altitudes[i]) * moonPenalty(s) : 0);
+        if (!window) continue;
+
+        targets.push({
+            type: 'deepSky',
+            key: dso.key,
+            name: dso.name,
+            icon: dso.icon,
+            score: Math.round(window.peakScore * cloudFactor),
+            ...describeWindow(samples, window, altitudes, horizontal.map(h => h.azimuth))
+        });
+    }
+
+    // ☄️ 流星雨：依輻射點高度與月光估計每小時可見流星數
+    const shower = meteorShower && meteors.SHOWERS.find(s => s.key === meteorShower.key);
+    if (shower) {
+        const activity = meteorShower.tonight ? meteorShower.tonight.activity : 1;
+        const horizontal = samples.map(s => planets.equatorialToHorizontal(s.time, shower.radiant.ra, shower.radiant.dec, lat, lon));
+        const rates = samples.map((s, i) => s.sunAltitude <= sun.SUN_ALTITUDES.nautical
+            ? meteors.hourlyRate(shower, activity, horizontal[i].altitude,
+                meteors.limitingMagnitude(s.sunAltitude, s.moonAltitude, moonIllum.fraction))
+            : 0);
+        const window = bestWindow(samples, (s, i) =>
+            rates[i] >= 1 && horizontal[i].altitude >= MIN_PLANET_ALTITUDE ? clamp(20 + rates[i], 0, 100) : 0);
+        if (window) {
+            targets.push({
+                type: 'meteor',
+                key: shower.key,
+                name: shower.name,
+                icon: '☄️',
+                rate: Math.round(rates[window.peakIndex]),
+                score: Math.round(window.peakScore * cloudFactor),
+                ...describeWindow(samples, window, horizontal.map(h => h.altitude), horizontal.map(h => h.azimuth))
+            });
+        }
+    }
+
+    // 🌈 極光：依目前 Kp 與地磁緯度
+    if (kp !== null && kp !== undefined) {
+        const visibility = aurora.estimateVisibility(kp, lat, lon);
+        const auroraBase = { high: 95, medium: 75, low: 40 }[visibility.level];
+        if (auroraBase) {
+            const window = bestWindow(samples, s =>
+                s.sunAltitude <= sun.SUN_ALTITUDES.nautical ? auroraBase * (s.darkness === 'astronomical' ? 1 : 0.7) : 0);
+            if (window) {
+                targets.push({
+                    type: 'aurora',
+                    key: 'aurora',
+                    name: `極光（Kp ${kp}）`,
+                    icon: '🌈',
+                    kp,
+                    label: visibility.label,
+                    visibility: visibility.key,
+                    hemisphere: visibility.hemisphere,
+                    score: Math.round(window.peakScore * cloudFactor),
+                    ...describeWindow(samples, window, null, null),
+                    direction: visibility.direction || null
+                });
+            }
+        }
+    }
+
+    targets.sort((a, b) => b.score - a.score);
+    result.targets = targets;
+
+    // 整晚觀測條件：雲量 × 月光 × 是否有天文黑暗
+    const moonFactor = 1 - 0.5 * moonIllum.fraction * (darkSamples.length ? moonUpDark / darkSamples.length : 1);
+    const darkFactor = darkSamples.length ? 1 : 0.6;
+    const score = Math.round(100 * cloudFactor * moonFactor * darkFactor);
+    result.conditions = {
+        score,
+        label: score >= 70 ? '極佳' : score >= 45 ? '良好' : score >= 25 ? '普通' : '不佳'
+    };
+
+    return result;
+}
+
+module.exports = {
+    DEEP_SKY,
+    planTonight
+};
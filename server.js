@@ -12,7 +12,7 @@
  * │   ├── 定時推播（可自訂時間）
  * │   ├── 極光警報訂閱
  * │   └── CME/閃焰警報
- * ├── Google Sheets 歷史記錄
+ * ├── 歷史記錄（Google Sheets 或本機 JSON 檔案）
  * │   ├── 太陽風紀錄
  * │   ├── Kp 指數紀錄
  * │   ├── 太陽閃焰
@@ -21,7 +21,7 @@
  * │   ├── 輻射紀錄
  * │   └── 訂閱設定
  * ├── 警報系統
- * │   ├── Kp >= 5 極光警報
+ * │   ├── 極光警報（自訂 Kp 門檻 / 依所在地地磁緯度）
  * │   ├── X 級閃焰警報
  * │   ├── CME 地球方向警報
  * │   └── 高輻射警報
@@ -42,8 +42,26 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const crypto = require('crypto');
-const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { JWT } = require('google-auth-library');
+const { createStore } = require('./lib/storage');
+const aurora = require('./lib/aurora');
+const ovation = require('./lib/ovation');
+const issPass = require('./lib/iss');
+const launchFeed = require('./lib/launches');
+const moon = require('./lib/moon');
+const sun = require('./lib/sun');
+const meteors = require('./lib/meteors');
+const timezone = require('./lib/timezone');
+const tonight = require('./lib/tonight');
+const geocode = require('./lib/geocode');
+const observing = require('./lib/observing');
+const horizon = require('./lib/horizon');
+const schedule = require('./lib/schedule');
+const push = require('./lib/push');
+const quota = require('./lib/quota');
+const alerts = require('./lib/alerts');
+const cmeAssessment = require('./lib/cme');
+const i18n = require('./lib/i18n');
+const commands = require('./lib/commands');
 
 const app = express();
 
@@ -58,6 +76,14 @@ app.use(express.json({
 }));
 app.use(express.static('public'));
 
+// API 回應語言：?lang= 優先，其次 Accept-Language，預設繁體中文
+app.use('/api', (req, res, next) => {
+    req.lang = i18n.normalizeLanguage(req.query.lang)
+        || i18n.fromAcceptLanguage(req.headers['accept-language'])
+        || i18n.DEFAULT_LANGUAGE;
+    next();
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 // 環境變數
 // ═══════════════════════════════════════════════════════════════════════════
@@ -68,9 +94,20 @@ const GOOGLE_SHEET_ID = process.env.GOOGLE_SHEET_ID;
 const GOOGLE_SERVICE_ACCOUNT_EMAIL = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
 const GOOGLE_PRIVATE_KEY = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
 
+// 資料儲存：sheets / file（未指定時，有 Google 憑證用 sheets，否則用本機檔案）
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
 // LINE BOT
 const LINE_CHANNEL_ACCESS_TOKEN = process.env.LINE_CHANNEL_ACCESS_TOKEN;
 const LINE_CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET;
+// Messaging API 位址（可指向本機測試伺服器）
+const LINE_API_BASE = (process.env.LINE_API_BASE || 'https://api.line.me').replace(/\/+$/, '');
+// 推播並行上限與每秒請求數上限（未設定時依 LINE 各 API 的速率上限）
+const PUSH_CONCURRENCY = parseInt(process.env.PUSH_CONCURRENCY) || 5;
+const PUSH_RATE_PER_SECOND = parseInt(process.env.PUSH_RATE_PER_SECOND) || null;
+// 每月推播上限（無法向 LINE 查詢額度時使用）
+const LINE_MONTHLY_QUOTA = parseInt(process.env.LINE_MONTHLY_QUOTA) || null;
 
 // NASA API
 const NASA_API_KEY = process.env.NASA_API_KEY || 'DEMO_KEY';
@@ -78,72 +115,140 @@ const NASA_API_KEY = process.env.NASA_API_KEY || 'DEMO_KEY';
 // 管理 API 密鑰（保護廣播端點）
 const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
 
+// ISS TLE 來源（CelesTrak GP 資料，TLE 格式）
+const ISS_TLE_URL = process.env.ISS_TLE_URL || 'https://celestrak.org/NORAD/elements/gp.php?CATNR=25544&FORMAT=TLE';
+
+// 發射排程來源（Launch Library 2 相容的 JSON，可指向本機測試伺服器）
+const LAUNCH_FEED_URL = process.env.LAUNCH_FEED_URL || 'https://ll.thespacedevs.com/2.2.0/launch/upcoming/?limit=20&mode=detailed';
+
+// 地名查詢（Open-Meteo Geocoding API 相容端點）
+const GEOCODING_URL = process.env.GEOCODING_URL || 'https://geocoding-api.open-meteo.com/v1/search';
+
 // ═══════════════════════════════════════════════════════════════════════════
 // 全域變數
 // ═══════════════════════════════════════════════════════════════════════════
-let doc = null;
+let store = null;
 let cachedSpaceWeather = null;
 let cacheTime = 0;
 const CACHE_DURATION = 60 * 1000; // 1 分鐘快取
+const SPACE_WEATHER_READINGS = ['solarWind', 'magneticField', 'kp', 'xray', 'proton', 'electron'];
+let cachedOvation = null;
+let ovationCacheTime = 0;
+const OVATION_CACHE_DURATION = 5 * 60 * 1000; // OVATION 約每 5 分鐘更新
+let cachedISSTle = null;
+let issTleCacheTime = 0;
+const ISS_TLE_CACHE_DURATION = 6 * 60 * 60 * 1000; // TLE 每天更新數次
+let cachedLaunches = null;
+let launchCacheTime = 0;
+const LAUNCH_CACHE_DURATION = 30 * 60 * 1000; // LL2 免費方案每小時 15 次請求
+const LAUNCH_NEAR_CACHE_DURATION = 5 * 60 * 1000; // 兩小時內有發射時縮短，以便偵測升空與取消
+let cachedEnlil = null;
+let enlilCacheTime = 0;
+const ENLIL_CACHE_DURATION = 30 * 60 * 1000; // 模擬數小時一次；DEMO_KEY 每小時 30 次請求
 
 // 定時任務
 const scheduledTasks = new Map();
 
-// 上次警報時間（避免重複發送）
-let lastAlerts = {
-    kp: 0,
-    flare: 0,
-    cme: 0,
-    radiation: 0
-};
+// 警報狀態（各災害的狀態與本次事件峰值，啟動後由「系統設定」載入）
+let alertStates = null;
+
+// 已警報（或已過抵達時間窗）的 CME 活動 ID（啟動後由「系統設定」載入，避免重複警報）
+let alertedCMEs = null;
+// 判定不朝向地球的 CME：活動 ID → 評估依據；有新的模擬或修正分析時重新評估
+let missedCMEs = null;
+const ALERTED_CME_LIMIT = 200;
 
 // ═══════════════════════════════════════════════════════════════════════════
-// Google Sheets 初始化
+// 資料儲存初始化
 // ═══════════════════════════════════════════════════════════════════════════
-async function initGoogleSheets() {
-    if (!GOOGLE_SHEET_ID || !GOOGLE_SERVICE_ACCOUNT_EMAIL || !GOOGLE_PRIVATE_KEY) {
-        console.log('⚠️ Google Sheets 未設定，使用記憶體模式');
-        return;
-    }
 
+// 資料表結構（Google Sheets 為工作表，本機驅動為 JSON 檔）
+const TABLES = {
+    '太陽風紀錄': ['時間', '風速', '密度', 'Bz', 'Bt', '溫度'],
+    'Kp指數紀錄': ['時間', 'Kp', '等級', 'G等級'],
+    '太陽閃焰': ['時間', '等級', '類型', '通量', '來源'],
+    'CME事件': ['時間', '速度', '類型', '方向', '備註'],
+    'ISS位置': ['時間', '緯度', '經度', '高度', '速度', '位置描述'],
+    '輻射紀錄': ['時間', '質子通量', '電子通量', 'S等級'],
+    'LINE訂閱': ['用戶ID', '類型', '名稱', '訂閱時間', '推播時間', '狀態', '上次推播', '設定'],
+    '推播紀錄': ['時間', '用戶ID', '類型', '內容', '狀態', '收件數', '請求ID'],
+    '推播佇列': ['佇列ID', '建立時間', '方式', '用戶ID', '收件者', '類型', '訊息', '狀態', '嘗試次數', '下次嘗試', '錯誤', '完成時間'],
+    '推播用量': ['日期', '類型', '則數', '更新時間'],
+    '警報紀錄': ['時間', '災害', '事件', '原狀態', '新狀態', '數值', '等級', '峰值', '推播數'],
+    '系統設定': ['設定名稱', '設定值', '說明', '更新時間'],
+    '用戶設定': ['用戶ID', '緯度', '經度', '地點', '更新時間', '語言', '時區', '暱稱', '暱稱更新時間', '位置時區'],
+    '發射追蹤': ['發射ID', '名稱', 'NET', '狀態', '已推播', '更新時間']
+};
+
+// 本機檔案驅動每次寫入都重寫整個資料表，持續新增的紀錄表限制筆數（超過時刪除最舊的記錄）
+// 每 5 分鐘一筆的數據紀錄保留約 30 天；Google Sheets 保留完整紀錄
+const FILE_MAX_ROWS = {
+    '太陽風紀錄': 8640,
+    'Kp指數紀錄': 8640,
+    'ISS位置': 8640,
+    '輻射紀錄': 8640,
+    '推播紀錄': 20000,
+    '警報紀錄': 5000
+};
+
+async function initStorage() {
     try {
-        const auth = new JWT({
-            email: GOOGLE_SERVICE_ACCOUNT_EMAIL,
-            key: GOOGLE_PRIVATE_KEY,
-            scopes: ['https://www.googleapis.com/auth/spreadsheets']
+        store = createStore({
+            driver: STORAGE_DRIVER,
+            sheets: {
+                sheetId: GOOGLE_SHEET_ID,
+                email: GOOGLE_SERVICE_ACCOUNT_EMAIL,
+                privateKey: GOOGLE_PRIVATE_KEY
+            },
+            file: { dir: DATA_DIR, maxRows: FILE_MAX_ROWS }
         });
+        await store.init();
 
-        doc = new GoogleSpreadsheet(GOOGLE_SHEET_ID, auth);
-        await doc.loadInfo();
-        console.log('✅ Google Sheets 已連線:', doc.title);
+        // 確保資料表存在
+        for (const [table, headers] of Object.entries(TABLES)) {
+            await store.ensureTable(table, headers);
+        }
 
-        // 確保工作表存在
-        await ensureSheet('太陽風紀錄', ['時間', '風速', '密度', 'Bz', 'Bt', '溫度']);
-        await ensureSheet('Kp指數紀錄', ['時間', 'Kp', '等級', 'G等級']);
-        await ensureSheet('太陽閃焰', ['時間', '等級', '類型', '通量', '來源']);
-        await ensureSheet('CME事件', ['時間', '速度', '類型', '方向', '備註']);
-        await ensureSheet('ISS位置', ['時間', '緯度', '經度', '高度', '速度', '位置描述']);
-        await ensureSheet('輻射紀錄', ['時間', '質子通量', '電子通量', 'S等級']);
-        await ensureSheet('LINE訂閱', ['用戶ID', '類型', '名稱', '訂閱時間', '推播時間', '狀態', '上次推播']);
-        await ensureSheet('推播紀錄', ['時間', '用戶ID', '類型', '內容', '狀態']);
-        await ensureSheet('系統設定', ['設定名稱', '設定值', '說明', '更新時間']);
+        console.log(`📊 所有資料表已就緒（${store.name}）`);
+    } catch (error) {
+        console.error('❌ 資料儲存初始化失敗:', error.message);
+        store = null;
+    }
+}
 
-        console.log('📊 所有工作表已就緒');
+// 系統設定（鍵值存放於「系統設定」資料表，供需要跨重啟保存的狀態使用）
+// 未設定回傳 null；讀取失敗回傳 undefined（呼叫端可據此稍後重試）
+async function getSystemSetting(name) {
+    if (!store) return null;
 
+    try {
+        const rows = await store.list('系統設定');
+        const row = rows.find(r => r['設定名稱'] === name);
+        return row ? row['設定值'] : null;
     } catch (error) {
-        console.error('❌ Google Sheets 連線失敗:', error.message);
+        console.error('讀取設定失敗:', name, error.message);
+        return undefined;
     }
 }
 
-async function ensureSheet(title, headers) {
-    if (!doc) return null;
-    
-    let sheet = doc.sheetsByTitle[title];
-    if (!sheet) {
-        sheet = await doc.addSheet({ title, headerValues: headers });
-        console.log('📄 建立工作表:', title);
+async function setSystemSetting(name, value, description = '') {
+    if (!store) return false;
+
+    try {
+        const now = new Date().toISOString();
+        const updated = await store.update('系統設定', r => r['設定名稱'] === name, {
+            '設定值': value,
+            '更新時間': now
+        });
+
+        if (updated === 0) {
+            await store.insert('系統設定', { '設定名稱': name, '設定值': value, '說明': description, '更新時間': now });
+        }
+        return true;
+    } catch (error) {
+        console.error('寫入設定失敗:', name, error.message);
+        return false;
     }
-    return sheet;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -163,72 +268,641 @@ function validateLineSignature(body, signature) {
 // ═══════════════════════════════════════════════════════════════════════════
 // LINE 推播函數
 // ═══════════════════════════════════════════════════════════════════════════
-async function linePush(userId, messages) {
+// 字串 → 文字訊息；單一訊息物件（如 Flex Message）→ 陣列
+function toLineMessages(messages) {
+    if (Array.isArray(messages)) return messages;
+    if (messages && typeof messages === 'object' && messages.type) return [messages];
+    return [{ type: 'text', text: String(messages) }];
+}
+
+// ═══ 推播佇列 ═══
+// 推播先寫入「推播佇列」再由背景傳送：暫時性錯誤依指數退避重試，
+// 重新啟動後繼續傳送未完成的項目；傳送策略（錯誤分類、速率限制）見 lib/push.js
+// 待送項目在記憶體中排程（啟動時讀取一次資料表），每輪的狀態與推播紀錄合併寫入；
+// 寫入失敗時記憶體中的狀態照常前進，下一輪再寫入，不會因此重複傳送
+//   方式：push 單一用戶、multicast 最多 500 位用戶、broadcast 所有好友、narrowcast 指定受眾
+const OUTBOX_BATCH_SIZE = 100;                      // 每輪最多處理的項目數
+const OUTBOX_RETENTION = 7 * 24 * 60 * 60 * 1000;   // 已完成的項目保留 7 天
+const LINE_SEND_ENDPOINTS = {
+    push: '/v2/bot/message/push',
+    multicast: '/v2/bot/message/multicast',
+    broadcast: '/v2/bot/message/broadcast',
+    narrowcast: '/v2/bot/message/narrowcast'
+};
+// 每種傳送方式各自的速率限制
+const pushBuckets = Object.fromEntries(Object.entries(push.LINE_RATE_LIMITS).map(([method, limit]) => [
+    method,
+    push.createTokenBucket({
+        rate: Math.min(limit.rate, PUSH_RATE_PER_SECOND || Infinity),
+        burst: Math.min(limit.burst, PUSH_RATE_PER_SECOND || Infinity)
+    })
+]));
+const outboxWaiters = new Map();    // 佇列ID → resolve（wait 模式等待傳送結果）
+const outboxPending = new Map();    // 佇列ID → 待送項目
+const outboxUnsaved = new Map();    // 佇列ID → 尚未寫入資料表的欄位
+let outboxLogs = [];                // 尚未寫入的推播紀錄
+let outboxLoaded = false;
+let outboxRunning = false;
+let outboxDirty = false;
+let outboxTimer = null;
+
+/**
+ * 推播訊息（加入推播佇列）
+ * @param {string} userId
+ * @param {string|object|Array} messages 最多 5 則
+ * @param {object} [options]
+ * @param {string} [options.type] 推播類型（daily、aurora…），記錄於佇列與推播紀錄
+ * @param {string} [options.priority] 額度不足時的優先級（見 lib/quota.js），預設依類型
+ * @param {boolean} [options.wait] 等待第一次傳送結果；否則加入佇列即回傳 true
+ */
+async function linePush(userId, messages, { type = 'push', priority = quota.priorityOf(type), wait = false } = {}) {
+    if (!await checkPushQuota(await getQuotaStatus(), { method: 'push', userId, type, priority, count: 1, messages })) return false;
+    return await enqueueOutbox('push', { userId }, messages, { type, wait });
+}
+
+/**
+ * 批次推播：內容相同的收件者合併為 multicast（每次最多 500 位），只有一位時使用 push
+ * 警報依門檻、所在地或語言產生不同內容時，先逐一產生再交給這裡分組
+ * @param {Array<{ userId: string, messages: string|object|Array }>} deliveries
+ * @returns {Promise<{ recipients: number, requests: number, skipped: number }>} 收件者數、加入佇列的請求數與因額度略過的人數
+ */
+async function lineFanOut(deliveries, { type = 'push', priority = quota.priorityOf(type) } = {}) {
+    const groups = push.groupByContent(deliveries.map(d => ({
+        userId: d.userId,
+        messages: toLineMessages(d.messages).slice(0, 5)
+    })));
+    const status = groups.length > 0 ? await getQuotaStatus() : null;
+    let recipients = 0;
+    let requests = 0;
+    let skipped = 0;
+
+    for (const group of groups) {
+        const batches = group.userIds.length === 1 ? [group.userIds] : push.chunk(group.userIds, push.MULTICAST_LIMIT);
+        for (const userIds of batches) {
+            // 同一批次先前加入佇列的則數尚未計入用量，一併列入判斷
+            const allowed = await checkPushQuota(status, {
+                method: userIds.length === 1 ? 'push' : 'multicast',
+                userId: userIds.length === 1 ? userIds[0] : '',
+                type, priority, count: userIds.length, reserved: recipients, messages: group.messages
+            });
+            if (!allowed) {
+                skipped += userIds.length;
+                continue;
+            }
+            const queued = userIds.length === 1
+                ? await enqueueOutbox('push', { userId: userIds[0] }, group.messages, { type })
+                : await enqueueOutbox('multicast', { recipients: userIds }, group.messages, { type });
+            if (!queued) continue;
+            recipients += userIds.length;
+            requests++;
+        }
+    }
+    return { recipients, requests, skipped };
+}
+
+/**
+ * 傳送給所有好友（broadcast）或指定受眾（narrowcast）
+ * @param {object} [options.audience] narrowcast 的 { recipient, filter, limit }；未指定時使用 broadcast
+ * 收件人數未知，額度偏低時即暫停（管理員可覆寫）
+ */
+async function lineBroadcast(messages, { type = 'broadcast', priority = quota.priorityOf(type), audience = null, wait = false } = {}) {
+    const method = audience ? 'narrowcast' : 'broadcast';
+    if (!await checkPushQuota(await getQuotaStatus(), { method, type, priority, count: 0, messages })) return false;
+    return audience
+        ? await enqueueOutbox('narrowcast', { recipients: audience }, messages, { type, wait })
+        : await enqueueOutbox('broadcast', {}, messages, { type, wait });
+}
+
+async function enqueueOutbox(method, { userId = '', recipients = null }, messages, { type, wait = false }) {
     if (!LINE_CHANNEL_ACCESS_TOKEN) {
         console.log('⚠️ LINE Token 未設定，跳過推播');
         return false;
     }
 
+    const msgArray = toLineMessages(messages).slice(0, 5); // LINE 最多 5 則
+    const id = crypto.randomUUID();   // 同時作為 X-Line-Retry-Key，重試不會重複送達
+
+    // 資料儲存未就緒時直接傳送一次
+    if (!store) {
+        const result = await sendLineMessage(method, linePayload(method, userId, recipients, msgArray), id);
+        return result.outcome === 'sent';
+    }
+
     try {
-        const msgArray = Array.isArray(messages) ? messages : [{ type: 'text', text: messages }];
-        
-        const res = await fetch('https://api.line.me/v2/bot/message/push', {
+        const now = new Date().toISOString();
+        const row = {
+            '佇列ID': id,
+            '建立時間': now,
+            '方式': method,
+            '用戶ID': userId,
+            '收件者': recipients ? JSON.stringify(recipients) : '',
+            '類型': type,
+            '訊息': JSON.stringify(msgArray),
+            '狀態': '待送',
+            '嘗試次數': '0',
+            '下次嘗試': now,
+            '錯誤': '',
+            '完成時間': ''
+        };
+        await store.insert('推播佇列', row);
+        outboxPending.set(id, row);
+    } catch (error) {
+        console.error('推播佇列寫入失敗:', error.message);
+        return false;
+    }
+
+    const result = wait ? new Promise(resolve => outboxWaiters.set(id, resolve)) : true;
+    kickOutbox();
+    return result;
+}
+
+// 各方式的請求內容；narrowcast 的 recipients 為受眾設定
+function linePayload(method, userId, recipients, messages) {
+    switch (method) {
+        case 'push': return { to: userId, messages };
+        case 'multicast': return { to: recipients, messages };
+        case 'narrowcast': return { ...recipients, messages };
+        default: return { messages };
+    }
+}
+
+// 呼叫 LINE 傳送 API，回傳 lib/push.js 的分類結果、Retry-After 與請求 ID（narrowcast 查詢進度用）
+async function sendLineMessage(method, payload, retryKey) {
+    try {
+        const res = await fetch(`${LINE_API_BASE}${LINE_SEND_ENDPOINTS[method]}`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}`
+                'Authorization': `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}`,
+                'X-Line-Retry-Key': retryKey
             },
-            body: JSON.stringify({
-                to: userId,
-                messages: msgArray.slice(0, 5) // LINE 最多 5 則
-            })
+            body: JSON.stringify(payload)
         });
 
-        if (!res.ok) {
-            const error = await res.json();
-            console.error('LINE 推播失敗:', error);
-            return false;
+        const body = res.ok ? {} : await res.json().catch(() => ({}));
+        const result = push.classifyPushResponse(res.status, body);
+        if (result.outcome !== 'sent') {
+            console.error(`LINE ${method} 失敗:`, res.status, body.message || '', `(${result.reason})`);
         }
+        return {
+            ...result,
+            retryAfter: push.parseRetryAfter(res.headers.get('retry-after')),
+            // 重試金鑰重複（409）時，原請求的 ID 在 x-line-accepted-request-id
+            requestId: res.headers.get('x-line-accepted-request-id') || res.headers.get('x-line-request-id') || ''
+        };
+    } catch (error) {
+        console.error(`LINE ${method} 錯誤:`, error.message);
+        return { ...push.classifyPushResponse(null), retryAfter: null, requestId: '' };
+    }
+}
 
-        // 記錄推播
-        if (doc) {
-            const sheet = doc.sheetsByTitle['推播紀錄'];
-            if (sheet) {
-                await sheet.addRow({
-                    '時間': new Date().toISOString(),
-                    '用戶ID': userId.substring(0, 10) + '...',
-                    '類型': 'push',
-                    '內容': msgArray[0]?.text?.substring(0, 50) || 'FlexMessage',
-                    '狀態': '成功'
-                });
+// 有新項目時啟動佇列處理（處理中則在本輪結束後再檢查一次）
+function kickOutbox() {
+    outboxDirty = true;
+    if (!outboxRunning) setImmediate(processOutbox);
+}
+
+async function processOutbox() {
+    if (outboxRunning || !store) return;
+    outboxRunning = true;
+    clearTimeout(outboxTimer);
+    outboxTimer = null;
+
+    try {
+        // 啟動後第一輪：載入上次未完成的項目
+        if (!outboxLoaded) {
+            for (const row of await store.list('推播佇列')) {
+                if (row['狀態'] === '待送' && !outboxPending.has(row['佇列ID'])) outboxPending.set(row['佇列ID'], row);
             }
+            outboxLoaded = true;
         }
 
-        return true;
+        while (true) {
+            outboxDirty = false;
+            const now = Date.now();
+            const pending = [...outboxPending.values()];
+            const due = pending
+                .filter(row => Date.parse(row['下次嘗試']) <= now)
+                .sort((a, b) => a['建立時間'].localeCompare(b['建立時間']))
+                .slice(0, OUTBOX_BATCH_SIZE);
+
+            if (due.length > 0) {
+                const patches = await push.runWithConcurrency(due, PUSH_CONCURRENCY, deliverOutboxItem);
+                due.forEach((row, i) => applyOutboxPatch(row['佇列ID'], patches[i]));
+                await flushOutbox();
+                continue;
+            }
+            if (outboxDirty) continue;
+
+            // 等待最早的重試時間；有未寫入的狀態時 1 分鐘後再寫入
+            const retries = pending.map(row => Date.parse(row['下次嘗試'])).filter(Number.isFinite);
+            if (outboxUnsaved.size > 0 || outboxLogs.length > 0) retries.push(now + 60 * 1000);
+            const next = Math.min(...retries);
+            if (Number.isFinite(next)) {
+                outboxTimer = setTimeout(processOutbox, Math.max(1000, next - now));
+            }
+            break;
+        }
     } catch (error) {
-        console.error('LINE 推播錯誤:', error.message);
-        return false;
+        console.error('推播佇列處理錯誤:', error.message);
+        outboxTimer = setTimeout(processOutbox, 60 * 1000);
+    } finally {
+        outboxRunning = false;
+    }
+}
+
+// 佇列中的 JSON 欄位；無法解析時為 undefined
+function parseOutboxField(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// 傳送一個項目，回傳要更新的欄位（狀態不再是待送即離開佇列）
+async function deliverOutboxItem(row) {
+    const id = row['佇列ID'];
+    const method = row['方式'] || 'push';
+    const userId = row['用戶ID'];
+    const attempts = (parseInt(row['嘗試次數']) || 0) + 1;
+    // 各欄位分別解析；損毀的項目標示失敗，不再重送
+    const messages = parseOutboxField(row['訊息']);
+    const recipients = row['收件者'] ? parseOutboxField(row['收件者']) : null;
+    let result;
+
+    if (messages === undefined || recipients === undefined || (method === 'multicast' && !Array.isArray(recipients))) {
+        result = { outcome: 'fail', reason: 'invalidPayload' };
+    } else {
+        await pushBuckets[method].take();
+        result = await sendLineMessage(method, linePayload(method, userId, recipients, messages), id);
+    }
+
+    const now = new Date();
+    const count = method === 'multicast' ? recipients?.length ?? 0 : method === 'push' ? 1 : '';
+    const target = method === 'push' ? `${userId.substring(0, 10)}...` : `${method}${method === 'multicast' ? ` ${count} 位` : ''}`;
+    let patch;
+
+    if (result.outcome === 'sent') {
+        patch = { '狀態': '已送', '嘗試次數': String(attempts), '錯誤': '', '完成時間': now.toISOString() };
+        // broadcast / narrowcast 的收件人數由 LINE 統計：重新查詢用量（narrowcast 完成時另行記錄）
+        if (method === 'push' || method === 'multicast') {
+            recordPushUsage(row['類型'], count);
+        } else {
+            invalidateLineQuota();
+        }
+        outboxLogs.push(pushLogRecord(row, messages, method === 'narrowcast' ? '等待中' : '成功', { count, requestId: result.requestId }));
+    } else if (method === 'multicast' && result.invalidIndexes) {
+        // 移除無效的收件者，其餘用戶在下一輪立即重送
+        const invalid = result.invalidIndexes.map(i => recipients[i]).filter(Boolean);
+        const remaining = recipients.filter(u => !invalid.includes(u));
+        for (const invalidUser of invalid) await deactivateUnreachableUser(invalidUser, result.reason);
+        patch = remaining.length > 0
+            ? { '收件者': JSON.stringify(remaining), '嘗試次數': String(attempts), '錯誤': result.reason }
+            : { '狀態': '失敗', '嘗試次數': String(attempts), '錯誤': result.reason, '完成時間': now.toISOString() };
+    } else if (result.outcome === 'retry' && attempts < push.MAX_ATTEMPTS) {
+        const delay = push.retryDelay(attempts, result.retryAfter);
+        patch = {
+            '嘗試次數': String(attempts),
+            '下次嘗試': new Date(now.getTime() + delay).toISOString(),
+            '錯誤': result.reason
+        };
+        console.log(`🔁 [推播] ${target} ${result.reason}，${Math.round(delay / 1000)} 秒後重試（第 ${attempts} 次失敗）`);
+    } else {
+        patch = { '狀態': '失敗', '嘗試次數': String(attempts), '錯誤': result.reason, '完成時間': now.toISOString() };
+        outboxLogs.push(pushLogRecord(row, messages, `失敗：${result.reason}`, { count }));
+        if (result.outcome === 'deactivate' && method === 'push') await deactivateUnreachableUser(userId, result.reason);
+        if (result.reason === 'quota') invalidateLineQuota();
+    }
+
+    const waiter = outboxWaiters.get(id);
+    if (waiter) {
+        outboxWaiters.delete(id);
+        waiter(result.outcome === 'sent');
+    }
+    return patch;
+}
+
+// 更新記憶體中的項目，並記下待寫入資料表的欄位
+function applyOutboxPatch(id, patch) {
+    const row = outboxPending.get(id);
+    if (row) Object.assign(row, patch);
+    if (patch['狀態'] && patch['狀態'] !== '待送') outboxPending.delete(id);
+    outboxUnsaved.set(id, { ...outboxUnsaved.get(id), ...patch });
+}
+
+// 本輪的狀態與推播紀錄各一次寫入；失敗時保留，下一輪再寫
+async function flushOutbox() {
+    if (outboxUnsaved.size > 0) {
+        const saving = new Map(outboxUnsaved);
+        try {
+            await store.update('推播佇列', row => saving.has(row['佇列ID']), row => saving.get(row['佇列ID']));
+            for (const [id, patch] of saving) {
+                if (outboxUnsaved.get(id) === patch) outboxUnsaved.delete(id);
+            }
+        } catch (error) {
+            console.error('推播佇列更新失敗:', error.message);
+        }
+    }
+
+    if (outboxLogs.length > 0) {
+        const logs = outboxLogs;
+        outboxLogs = [];
+        try {
+            await store.insertMany('推播紀錄', logs);
+        } catch (error) {
+            console.error('推播紀錄寫入失敗:', error.message);
+            outboxLogs.unshift(...logs);
+        }
+    }
+}
+
+/**
+ * 推播紀錄：單一用戶只保留 ID 前 10 碼；multicast / broadcast / narrowcast 記錄方式與收件數
+ * narrowcast 以請求 ID 追蹤進度（checkNarrowcastProgress 更新狀態與收件數）
+ */
+async function logPush(row, messages, status, options) {
+    await store.insert('推播紀錄', pushLogRecord(row, messages, status, options));
+}
+
+function pushLogRecord(row, messages, status, { count = '', requestId = '' } = {}) {
+    const method = row['方式'] || 'push';
+    return {
+        '時間': new Date().toISOString(),
+        '用戶ID': method === 'push' ? row['用戶ID'].substring(0, 10) + '...' : method,
+        '類型': row['類型'],
+        '內容': messages?.[0]?.text?.substring(0, 50) || messages?.[0]?.altText?.substring(0, 50) || 'FlexMessage',
+        '狀態': status,
+        '收件數': String(count),
+        '請求ID': requestId || ''
+    };
+}
+
+// 用戶已封鎖或 ID 無效：停用所有訂閱，並放棄佇列中該用戶的其他推播
+async function deactivateUnreachableUser(userId, reason) {
+    const result = await removeSubscription(userId);
+    let dropped = 0;
+    for (const [id, row] of outboxPending) {
+        if (row['用戶ID'] !== userId) continue;
+        applyOutboxPatch(id, { '狀態': '失敗', '錯誤': reason, '完成時間': new Date().toISOString() });
+        dropped++;
+    }
+    console.log(`🚫 [推播] ${userId.substring(0, 10)}... 無法送達（${reason}），已停用 ${result.count || 0} 筆訂閱、放棄 ${dropped} 則推播`);
+}
+
+// 刪除保留期限以前已完成的項目
+async function pruneOutbox() {
+    if (!store) return;
+
+    try {
+        const cutoff = Date.now() - OUTBOX_RETENTION;
+        const removed = await store.remove('推播佇列',
+            row => row['狀態'] !== '待送' && Date.parse(row['完成時間']) < cutoff
+        );
+        if (removed > 0) console.log(`🧹 推播佇列清除 ${removed} 筆已完成項目`);
+    } catch (error) {
+        console.error('推播佇列清理失敗:', error.message);
+    }
+}
+
+// narrowcast 傳送進度 → 推播紀錄狀態
+const NARROWCAST_PHASES = { waiting: '等待中', sending: '傳送中', succeeded: '成功', failed: '失敗' };
+
+// 更新進行中的 narrowcast 紀錄（LINE 進度 API）
+async function checkNarrowcastProgress() {
+    if (!store || !LINE_CHANNEL_ACCESS_TOKEN) return;
+
+    try {
+        const rows = (await store.list('推播紀錄'))
+            .filter(row => row['用戶ID'] === 'narrowcast' && row['請求ID'] && ['等待中', '傳送中'].includes(row['狀態']));
+
+        for (const row of rows) {
+            const res = await fetch(`${LINE_API_BASE}/v2/bot/message/progress/narrowcast?requestId=${encodeURIComponent(row['請求ID'])}`, {
+                headers: { 'Authorization': `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}` }
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const progress = await res.json();
+
+            const phase = NARROWCAST_PHASES[progress.phase] || row['狀態'];
+            const counts = progress.targetCount !== undefined ? `（成功 ${progress.successCount || 0}，失敗 ${progress.failureCount || 0}）` : '';
+            await store.update('推播紀錄', r => r['請求ID'] === row['請求ID'], {
+                '狀態': phase === '成功' || phase === '失敗' ? `${phase}${counts}` : phase,
+                '收件數': progress.targetCount !== undefined ? String(progress.targetCount) : row['收件數']
+            });
+            if (phase === '成功' && progress.successCount) recordPushUsage(row['類型'], progress.successCount);
+            if (phase !== row['狀態']) console.log(`📣 narrowcast ${row['請求ID']}：${phase}${counts}`);
+        }
+    } catch (error) {
+        console.error('narrowcast 進度查詢失敗:', error.message);
+    }
+}
+
+// ═══ 推播額度 ═══
+// LINE 每月推播則數有上限：合併 LINE 回報的用量與本站記錄的送出則數（推播用量資料表），
+// 額度偏低時依優先級降級（規則見 lib/quota.js），管理員可暫時覆寫
+// 本站的送出則數累計於記憶體，啟動後讀取資料表一次，定期寫回
+const QUOTA_REFRESH_INTERVAL = 10 * 60 * 1000;      // LINE 用量每 10 分鐘查詢一次
+const PUSH_USAGE_FLUSH_INTERVAL = 60 * 1000;        // 送出則數每分鐘寫回
+const QUOTA_BLOCK_REASONS = {
+    exhausted: '本月額度已用完',
+    insufficient: '剩餘額度不足',
+    critical: '額度即將用完，僅發送系統訊息與嚴重警報',
+    broadcastBlocked: '額度偏低，暫停廣播',
+    reportThrottled: '額度偏低，今日每日報告已達分配量'
+};
+let lineQuota = null;       // { month, limit, usage, ownAtFetch, fetchedAt }
+let quotaOverride;          // 管理員覆寫到期時間（ISO），undefined 為尚未讀取
+let quotaStatus = null;     // 最近一次計算的額度狀態（/health 使用）
+const pushUsage = {
+    counts: new Map(),      // '日期|類型' → 則數
+    saved: new Set(),       // 資料表中已有的列
+    dirty: new Set(),       // 尚未寫回的列
+    loaded: false
+};
+
+// LINE 額度與本月用量；無上限方案的 limit 為 null
+async function fetchLineQuota() {
+    const headers = { 'Authorization': `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}` };
+    const [quotaRes, usageRes] = await Promise.all([
+        fetch(`${LINE_API_BASE}/v2/bot/message/quota`, { headers }),
+        fetch(`${LINE_API_BASE}/v2/bot/message/quota/consumption`, { headers })
+    ]);
+    if (!quotaRes.ok) throw new Error(`quota HTTP ${quotaRes.status}`);
+    if (!usageRes.ok) throw new Error(`consumption HTTP ${usageRes.status}`);
+
+    const limit = await quotaRes.json();
+    const usage = await usageRes.json();
+    return { limit: limit.type === 'limited' ? limit.value : null, usage: usage.totalUsage || 0 };
+}
+
+// 下次取得額度狀態時重新向 LINE 查詢
+function invalidateLineQuota() {
+    if (lineQuota) lineQuota.fetchedAt = null;
+}
+
+const pushUsageKey = row => `${row['日期']}|${row['類型']}`;
+
+// 讀取資料表中的則數，與讀取前已累計的則數合併；讀取失敗時下次再試
+async function loadPushUsage() {
+    if (pushUsage.loaded || !store) return;
+
+    for (const row of await store.list('推播用量')) {
+        const key = pushUsageKey(row);
+        pushUsage.counts.set(key, (pushUsage.counts.get(key) || 0) + (parseInt(row['則數']) || 0));
+        pushUsage.saved.add(key);
+    }
+    pushUsage.loaded = true;
+}
+
+// 本站本月送出則數與今日各類型則數
+async function summarizePushUsage(period) {
+    await loadPushUsage().catch(error => console.error('推播用量讀取失敗:', error.message));
+
+    const usage = { month: 0, today: {} };
+    for (const [key, count] of pushUsage.counts) {
+        const [date, type] = key.split('|');
+        if (!date.startsWith(period.month)) continue;
+        usage.month += count;
+        if (date === period.date) usage.today[type] = (usage.today[type] || 0) + count;
+    }
+    return usage;
+}
+
+// 累加送出則數（寫回見 flushPushUsage）
+function recordPushUsage(type, count) {
+    if (!count) return;
+    const key = `${quota.quotaPeriod().date}|${type}`;
+    pushUsage.counts.set(key, (pushUsage.counts.get(key) || 0) + count);
+    pushUsage.dirty.add(key);
+}
+
+// 變動的則數寫回資料表：既有的列一次更新，新的列一次新增；失敗時保留，下次再寫
+async function flushPushUsage() {
+    if (!store || pushUsage.dirty.size === 0) return;
+
+    const keys = [...pushUsage.dirty];
+    pushUsage.dirty.clear();
+    try {
+        // 須先讀取既有的列，避免重複新增
+        await loadPushUsage();
+        const now = new Date().toISOString();
+        const existing = new Set(keys.filter(key => pushUsage.saved.has(key)));
+        const created = keys.filter(key => !pushUsage.saved.has(key));
+
+        if (existing.size > 0) {
+            await store.update('推播用量', row => existing.has(pushUsageKey(row)), row => ({
+                '則數': String(pushUsage.counts.get(pushUsageKey(row))),
+                '更新時間': now
+            }));
+        }
+        if (created.length > 0) {
+            await store.insertMany('推播用量', created.map(key => {
+                const [date, type] = key.split('|');
+                return { '日期': date, '類型': type, '則數': String(pushUsage.counts.get(key)), '更新時間': now };
+            }));
+            created.forEach(key => pushUsage.saved.add(key));
+        }
+
+        // 只保留本月的則數
+        const { month } = quota.quotaPeriod();
+        for (const key of pushUsage.counts.keys()) {
+            if (!key.startsWith(month) && !pushUsage.dirty.has(key)) {
+                pushUsage.counts.delete(key);
+                pushUsage.saved.delete(key);
+            }
+        }
+    } catch (error) {
+        console.error('推播用量寫入失敗:', error.message);
+        keys.forEach(key => pushUsage.dirty.add(key));
+    }
+}
+
+// 讀取失敗時不快取，下次再試
+async function loadQuotaOverride() {
+    if (quotaOverride === undefined) {
+        const saved = await getSystemSetting('推播額度覆寫');
+        if (saved === undefined) return null;
+        quotaOverride = saved || null;
+    }
+    return quotaOverride;
+}
+
+// 寫入失敗時不變更，回傳 false
+async function setQuotaOverride(until) {
+    if (!await setSystemSetting('推播額度覆寫', until || '', '管理員暫時解除推播額度限制的到期時間')) return false;
+    quotaOverride = until;
+    await getQuotaStatus();
+    return true;
+}
+
+/**
+ * 目前的額度狀態（lib/quota.js summarize）
+ * LINE 用量超過查詢間隔、跨月或 refresh 時重新查詢；查詢失敗時沿用上次結果，
+ * 從未取得時以 LINE_MONTHLY_QUOTA 與本站統計估算
+ */
+async function getQuotaStatus({ refresh = false } = {}) {
+    const now = new Date();
+    const period = quota.quotaPeriod(now);
+    const usage = await summarizePushUsage(period);
+
+    const stale = !lineQuota || lineQuota.month !== period.month || !lineQuota.fetchedAt
+        || now - Date.parse(lineQuota.fetchedAt) > QUOTA_REFRESH_INTERVAL;
+    if (LINE_CHANNEL_ACCESS_TOKEN && (refresh || stale)) {
+        try {
+            const result = await fetchLineQuota();
+            lineQuota = { month: period.month, ...result, ownAtFetch: usage.month, fetchedAt: now.toISOString() };
+        } catch (error) {
+            console.error('LINE 額度查詢失敗:', error.message);
+            // 避免每次推播都重新查詢：沿用上次結果，下個查詢間隔再試
+            if (lineQuota) lineQuota.fetchedAt = now.toISOString();
+        }
+    }
+
+    const current = lineQuota?.month === period.month ? lineQuota : null;
+    const previousLevel = quotaStatus?.level;
+    quotaStatus = {
+        ...quota.summarize({
+            limit: current ? current.limit : LINE_MONTHLY_QUOTA,
+            lineUsage: current ? current.usage : null,
+            ownAtFetch: current ? current.ownAtFetch : 0,
+            ownMonth: usage.month,
+            reportsToday: usage.today.daily || 0,
+            overrideUntil: await loadQuotaOverride(),
+            now
+        }),
+        source: current ? 'line' : LINE_MONTHLY_QUOTA ? 'config' : 'none',
+        checkedAt: current?.fetchedAt || null
+    };
+
+    if (previousLevel && previousLevel !== quotaStatus.level) {
+        console.log(`💸 推播額度等級 ${previousLevel} → ${quotaStatus.level}（已用 ${quotaStatus.used}/${quotaStatus.limit}）`);
+    }
+    return quotaStatus;
+}
+
+// 依額度狀態判斷是否送出；略過時記錄於推播紀錄
+async function checkPushQuota(status, { method, userId = '', type, priority, count, reserved = 0, messages }) {
+    const decision = quota.evaluate(status, priority, count, reserved);
+    if (decision.allowed) return true;
+
+    const reason = QUOTA_BLOCK_REASONS[decision.reason] || decision.reason;
+    console.log(`💸 [額度] 略過 ${type} 推播 ${count || ''} 則：${reason}`);
+    if (store) {
+        try {
+            await logPush({ '方式': method, '用戶ID': userId, '類型': type }, toLineMessages(messages), `略過：${reason}`, { count: count || '' });
+        } catch (error) {
+            console.error('推播紀錄寫入失敗:', error.message);
+        }
     }
+    return false;
 }
 
 async function lineReply(replyToken, messages) {
     if (!LINE_CHANNEL_ACCESS_TOKEN) return false;
 
     try {
-        // 處理不同類型的訊息
-        let msgArray;
-        if (Array.isArray(messages)) {
-            // 已經是陣列
-            msgArray = messages;
-        } else if (typeof messages === 'object' && messages.type) {
-            // 單一訊息物件（如 Flex Message）
-            msgArray = [messages];
-        } else {
-            // 純文字
-            msgArray = [{ type: 'text', text: String(messages) }];
-        }
-        
-        const response = await fetch('https://api.line.me/v2/bot/message/reply', {
+        const msgArray = toLineMessages(messages);
+        const response = await fetch(`${LINE_API_BASE}/v2/bot/message/reply`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -253,24 +927,63 @@ async function lineReply(replyToken, messages) {
     }
 }
 
+// 用戶個人檔案（displayName、language 等）；未設定 Token、查詢失敗或逾時回傳 null
+const LINE_PROFILE_TIMEOUT_MS = 5000;
+
+async function fetchLineProfile(userId) {
+    if (!LINE_CHANNEL_ACCESS_TOKEN) return null;
+
+    try {
+        const res = await fetch(`${LINE_API_BASE}/v2/bot/profile/${encodeURIComponent(userId)}`, {
+            headers: { 'Authorization': `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}` },
+            signal: AbortSignal.timeout(LINE_PROFILE_TIMEOUT_MS)
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return await res.json();
+    } catch (error) {
+        console.error('❌ [LINE] 取得個人檔案失敗:', error.message);
+        return null;
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // NOAA SWPC API
 // ═══════════════════════════════════════════════════════════════════════════
 const NOAA_BASE = 'https://services.swpc.noaa.gov';
 
-// 即時太陽風
+// NOAA 數值欄位 → 數字；缺值（null、空字串、非數字）為 null，不以 0 代替
+function parseReading(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// NOAA JSON；HTTP 錯誤視為無法取得
+async function fetchNoaaJson(pathname) {
+    const res = await fetch(`${NOAA_BASE}${pathname}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+}
+
+// 最新一筆有數值的資料列（略過標題列；columns 中任一欄有值即可）
+function latestReading(data, columns) {
+    const rows = Array.isArray(data) ? data.filter(row => Array.isArray(row) && row[0] !== 'time_tag') : [];
+    for (let i = rows.length - 1; i >= 0; i--) {
+        if (columns.some(column => parseReading(rows[i][column]) !== null)) return rows[i];
+    }
+    return null;
+}
+
+// 即時太陽風（個別欄位缺值時為 null）
 async function fetchSolarWind() {
     try {
-        const res = await fetch(`${NOAA_BASE}/products/solar-wind/plasma-7-day.json`);
-        const data = await res.json();
-        const latest = data[data.length - 1];
+        const latest = latestReading(await fetchNoaaJson('/products/solar-wind/plasma-7-day.json'), [1, 2]);
         if (!latest) return null;
 
         return {
             time: latest[0],
-            density: parseFloat(latest[1]) || 0,
-            speed: parseFloat(latest[2]) || 0,
-            temperature: parseFloat(latest[3]) || 0
+            density: parseReading(latest[1]),
+            speed: parseReading(latest[2]),
+            temperature: parseReading(latest[3])
         };
     } catch (e) {
         console.error('太陽風 API 錯誤:', e.message);
@@ -281,17 +994,15 @@ async function fetchSolarWind() {
 // 磁場數據
 async function fetchMagneticField() {
     try {
-        const res = await fetch(`${NOAA_BASE}/products/solar-wind/mag-7-day.json`);
-        const data = await res.json();
-        const latest = data[data.length - 1];
+        const latest = latestReading(await fetchNoaaJson('/products/solar-wind/mag-7-day.json'), [3, 6]);
         if (!latest) return null;
 
         return {
             time: latest[0],
-            bx: parseFloat(latest[1]) || 0,
-            by: parseFloat(latest[2]) || 0,
-            bz: parseFloat(latest[3]) || 0,
-            bt: parseFloat(latest[6]) || 0
+            bx: parseReading(latest[1]),
+            by: parseReading(latest[2]),
+            bz: parseReading(latest[3]),
+            bt: parseReading(latest[6])
         };
     } catch (e) {
         console.error('磁場 API 錯誤:', e.message);
@@ -302,12 +1013,10 @@ async function fetchMagneticField() {
 // Kp 指數
 async function fetchKpIndex() {
     try {
-        const res = await fetch(`${NOAA_BASE}/products/noaa-planetary-k-index.json`);
-        const data = await res.json();
-        const latest = data.filter(row => row[0] !== 'time_tag').pop();
+        const latest = latestReading(await fetchNoaaJson('/products/noaa-planetary-k-index.json'), [1]);
         if (!latest) return null;
 
-        const kp = parseFloat(latest[1]) || 0;
+        const kp = parseReading(latest[1]);
         let gLevel = 'G0';
         if (kp >= 9) gLevel = 'G5';
         else if (kp >= 8) gLevel = 'G4';
@@ -327,15 +1036,32 @@ async function fetchKpIndex() {
     }
 }
 
+// OVATION 極光機率網格（約 1 MB，獨立快取；失敗時沿用上一份）
+async function fetchOvation() {
+    const now = Date.now();
+    if (cachedOvation && (now - ovationCacheTime) < OVATION_CACHE_DURATION) {
+        return cachedOvation;
+    }
+    try {
+        const grid = ovation.parseOvationGrid(await fetchNoaaJson('/json/ovation_aurora_latest.json'));
+        if (grid) {
+            cachedOvation = grid;
+            ovationCacheTime = now;
+        }
+        return cachedOvation;
+    } catch (e) {
+        console.error('OVATION API 錯誤:', e.message);
+        return cachedOvation;
+    }
+}
+
 // X射線通量
 async function fetchXrayFlux() {
     try {
-        const res = await fetch(`${NOAA_BASE}/products/goes-primary-xray.json`);
-        const data = await res.json();
-        const latest = data[data.length - 1];
+        const latest = latestReading(await fetchNoaaJson('/products/goes-primary-xray.json'), [1]);
         if (!latest) return null;
 
-        const flux = parseFloat(latest[1]) || 0;
+        const flux = parseReading(latest[1]);
         let flareClass = 'A';
         let flareLevel = 0;
         
@@ -360,12 +1086,10 @@ async function fetchXrayFlux() {
 // 質子通量
 async function fetchProtonFlux() {
     try {
-        const res = await fetch(`${NOAA_BASE}/products/goes-proton-flux.json`);
-        const data = await res.json();
-        const latest = data[data.length - 1];
+        const latest = latestReading(await fetchNoaaJson('/products/goes-proton-flux.json'), [1]);
         if (!latest) return null;
 
-        const flux = parseFloat(latest[1]) || 0;
+        const flux = parseReading(latest[1]);
         let sLevel = 'S0';
         if (flux >= 100000) sLevel = 'S5';
         else if (flux >= 10000) sLevel = 'S4';
@@ -383,14 +1107,12 @@ async function fetchProtonFlux() {
 // 電子通量
 async function fetchElectronFlux() {
     try {
-        const res = await fetch(`${NOAA_BASE}/products/goes-electron-flux.json`);
-        const data = await res.json();
-        const latest = data[data.length - 1];
+        const latest = latestReading(await fetchNoaaJson('/products/goes-electron-flux.json'), [1]);
         if (!latest) return null;
 
         return {
             time: latest[0],
-            flux: parseFloat(latest[1]) || 0
+            flux: parseReading(latest[1])
         };
     } catch (e) {
         console.error('電子 API 錯誤:', e.message);
@@ -401,15 +1123,15 @@ async function fetchElectronFlux() {
 // NOAA 閃焰事件
 async function fetchFlareEvents() {
     try {
-        const res = await fetch(`${NOAA_BASE}/products/goes-xray-flux-latest.json`);
-        const data = await res.json();
+        const data = await fetchNoaaJson('/products/goes-xray-flux-latest.json');
         
-        // 過濾 M 級以上
+        // 過濾 M 級以上（缺值的資料列略過）
         const events = [];
         let currentFlare = null;
         
         for (const row of data.slice(-200)) {
-            const flux = parseFloat(row[1]) || 0;
+            const flux = parseReading(row[1]);
+            if (flux === null) continue;
             if (flux >= 1e-5 && !currentFlare) {
                 currentFlare = { start: row[0], peakFlux: flux };
             } else if (currentFlare && flux > currentFlare.peakFlux) {
@@ -440,24 +1162,57 @@ async function fetchCME() {
         const startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
         
         const res = await fetch(`https://api.nasa.gov/DONKI/CME?startDate=${startDate}&endDate=${endDate}&api_key=${NASA_API_KEY}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const data = await res.json();
         
         if (!data || data.length === 0) return [];
 
-        return data.slice(-10).map(cme => ({
-            time: cme.startTime,
-            speed: cme.cmeAnalyses?.[0]?.speed || 0,
-            type: cme.cmeAnalyses?.[0]?.type || 'Unknown',
-            halfAngle: cme.cmeAnalyses?.[0]?.halfAngle || 0,
-            note: cme.note || '',
-            link: cme.link || ''
-        }));
+        return data.slice(-10).map(cme => {
+            // 優先採用 DONKI 標記為最準確的分析
+            const analysis = cme.cmeAnalyses?.find(a => a.isMostAccurate) || cme.cmeAnalyses?.[0];
+            return {
+                id: cme.activityID,
+                time: cme.startTime,
+                speed: analysis?.speed || 0,
+                type: analysis?.type || 'Unknown',
+                halfAngle: analysis?.halfAngle || 0,
+                analysisTime: analysis?.time21_5 || null,
+                latitude: analysis?.latitude ?? null,
+                longitude: analysis?.longitude ?? null,
+                enlilList: analysis?.enlilList || [],
+                note: cme.note || '',
+                link: cme.link || ''
+            };
+        });
     } catch (e) {
         console.error('CME API 錯誤:', e.message);
         return [];
     }
 }
 
+// NASA WSA-Enlil 模擬（CME 抵達時間與 Kp 預估；失敗時沿用上一份）
+async function fetchEnlilSimulations() {
+    const now = Date.now();
+    if (cachedEnlil && (now - enlilCacheTime) < ENLIL_CACHE_DURATION) {
+        return cachedEnlil;
+    }
+    try {
+        const endDate = new Date().toISOString().split('T')[0];
+        const startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+        const res = await fetch(`https://api.nasa.gov/DONKI/WSAEnlilSimulations?startDate=${startDate}&endDate=${endDate}&api_key=${NASA_API_KEY}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+
+        cachedEnlil = Array.isArray(data) ? data : [];
+        enlilCacheTime = now;
+        return cachedEnlil;
+    } catch (e) {
+        console.error('WSA-Enlil API 錯誤:', e.message);
+        return cachedEnlil || [];
+    }
+}
+
 // NASA 太陽閃焰
 async function fetchNASAFlares() {
     try {
@@ -465,6 +1220,7 @@ async function fetchNASAFlares() {
         const startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
         
         const res = await fetch(`https://api.nasa.gov/DONKI/FLR?startDate=${startDate}&endDate=${endDate}&api_key=${NASA_API_KEY}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const data = await res.json();
         
         if (!data || data.length === 0) return [];
@@ -493,16 +1249,16 @@ async function fetchISS() {
         const lat = data.latitude;
         const lon = data.longitude;
         
-        // 判斷位置
-        let location = '海洋上空';
-        if (lat > 20 && lat < 50 && lon > 120 && lon < 150) location = '日本/台灣上空';
-        else if (lat > 30 && lat < 50 && lon > -130 && lon < -60) location = '美國上空';
-        else if (lat > 35 && lat < 70 && lon > -10 && lon < 40) location = '歐洲上空';
-        else if (lat > -35 && lat < 0 && lon > 110 && lon < 155) location = '澳洲上空';
-        else if (lat > 0 && lat < 55 && lon > 60 && lon < 140) location = '亞洲上空';
-        else if (lat > -60 && lat < 15 && lon > -80 && lon < -35) location = '南美洲上空';
-        else if (lat > -35 && lat < 35 && lon > -20 && lon < 50) location = '非洲上空';
-        else if (Math.abs(lat) > 60) location = '極區上空';
+        // 判斷位置（region 為訊息目錄 iss.region.* 的鍵值）
+        let region = 'ocean';
+        if (lat > 20 && lat < 50 && lon > 120 && lon < 150) region = 'japanTaiwan';
+        else if (lat > 30 && lat < 50 && lon > -130 && lon < -60) region = 'usa';
+        else if (lat > 35 && lat < 70 && lon > -10 && lon < 40) region = 'europe';
+        else if (lat > -35 && lat < 0 && lon > 110 && lon < 155) region = 'australia';
+        else if (lat > 0 && lat < 55 && lon > 60 && lon < 140) region = 'asia';
+        else if (lat > -60 && lat < 15 && lon > -80 && lon < -35) region = 'southAmerica';
+        else if (lat > -35 && lat < 35 && lon > -20 && lon < 50) region = 'africa';
+        else if (Math.abs(lat) > 60) region = 'polar';
 
         return {
             lat: data.latitude,
@@ -510,7 +1266,8 @@ async function fetchISS() {
             altitude: data.altitude,
             velocity: data.velocity,
             visibility: data.visibility,
-            location
+            region,
+            location: i18n.t(i18n.DEFAULT_LANGUAGE, `iss.region.${region}`)
         };
     } catch (e) {
         console.error('ISS API 錯誤:', e.message);
@@ -518,6 +1275,35 @@ async function fetchISS() {
     }
 }
 
+// ISS TLE：線上取得 → 上次儲存的 TLE → 內建範例 TLE（2008 年的範例，過舊而不會用於預報）
+async function fetchISSTle() {
+    const now = Date.now();
+    if (cachedISSTle && (now - issTleCacheTime) < ISS_TLE_CACHE_DURATION) {
+        return cachedISSTle;
+    }
+
+    try {
+        const res = await fetch(ISS_TLE_URL);
+        const tle = issPass.parseTLE(await res.text());
+        if (!tle) throw new Error('TLE 格式錯誤');
+
+        cachedISSTle = { ...tle, source: 'online' };
+        issTleCacheTime = now;
+        await setSystemSetting('ISS_TLE', `${tle.name}\n${tle.line1}\n${tle.line2}`, 'ISS 最近一次取得的 TLE');
+        return cachedISSTle;
+    } catch (e) {
+        console.error('ISS TLE 錯誤:', e.message);
+    }
+
+    if (cachedISSTle) return cachedISSTle;
+
+    const saved = issPass.parseTLE(await getSystemSetting('ISS_TLE'));
+    cachedISSTle = saved ? { ...saved, source: 'saved' } : { ...issPass.loadFixtureTLE(), source: 'fixture' };
+    // 備援 TLE 只短暫快取，以便盡快改用線上資料
+    issTleCacheTime = now - ISS_TLE_CACHE_DURATION + 10 * 60 * 1000;
+    return cachedISSTle;
+}
+
 // 天氣
 async function fetchWeather(lat, lon) {
     try {
@@ -560,6 +1346,7 @@ async function fetchWeather(lat, lon) {
             windSpeed: data.current.wind_speed_10m,
             visibility: data.current.visibility,
             cloudCover: data.current.cloud_cover,
+            code,
             condition: weather.condition,
             icon: weather.icon,
             description: weather.desc,
@@ -573,448 +1360,1333 @@ async function fetchWeather(lat, lon) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// 火箭發射資訊 (靜態資料 + 官網連結)
+// 火箭發射排程（Launch Library 2）
 // ═══════════════════════════════════════════════════════════════════════════
 
-// 取得近期發射計畫 - 每月手動更新或導向官網
-function getUpcomingLaunches() {
-    const now = new Date();
-    
-    // 2025 年底 ~ 2026 年初 的已知發射計畫
-    // 這些是大致計畫，實際時間請查看官網
-    const launches = [
-        {
-            name: 'Starlink Group 衛星發射',
-            dateLocal: '每週都有發射',
-            details: 'SpaceX 星鏈衛星，幾乎每週發射',
-            provider: 'SpaceX',
-            status: '🟢 持續進行'
-        },
-        {
-            name: 'Starship Flight 8+',
-            dateLocal: '2025 年持續測試',
-            details: '星艦軌道測試，預計多次試飛',
-            provider: 'SpaceX',
-            status: '🟡 待定'
-        },
-        {
-            name: 'Crew-10 載人任務',
-            dateLocal: '2025 年 Q1',
-            details: 'NASA 國際太空站載人輪替',
-            provider: 'SpaceX',
-            status: '🟡 計畫中'
-        },
-        {
-            name: 'Artemis II 繞月',
-            dateLocal: '2025 年 9 月（暫定）',
-            details: 'NASA 重返月球載人飛行',
-            provider: 'NASA/SpaceX',
-            status: '🟡 計畫中'
-        },
-        {
-            name: '嫦娥七號',
-            dateLocal: '2026 年',
-            details: '中國月球南極探測',
-            provider: 'CNSA',
-            status: '🟡 計畫中'
-        }
-    ];
-    
-    return launches;
+// 發射清單：線上取得 → 上次成功的清單 → 內建參考清單
+async function fetchLaunchSchedule() {
+    const now = Date.now();
+    if (cachedLaunches && (now - launchCacheTime) < launchCacheDuration(now)) {
+        return cachedLaunches;
+    }
+
+    try {
+        const res = await fetch(LAUNCH_FEED_URL);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const launches = launchFeed.parseLaunchFeed(await res.json());
+        if (!launches) throw new Error('發射清單格式錯誤');
+
+        cachedLaunches = { launches, source: 'feed', fetchedAt: new Date().toISOString() };
+        launchCacheTime = now;
+        return cachedLaunches;
+    } catch (e) {
+        console.error('發射排程錯誤:', e.message);
+    }
+
+    // 保留上次成功的清單，只標記來源
+    if (cachedLaunches && cachedLaunches.source !== 'bundled') {
+        cachedLaunches = { ...cachedLaunches, source: 'cache' };
+    } else {
+        cachedLaunches = { launches: launchFeed.FALLBACK_LAUNCHES, source: 'bundled', fetchedAt: null };
+    }
+    // 備援資料只短暫快取，以便盡快改用線上資料
+    launchCacheTime = now - LAUNCH_CACHE_DURATION + 10 * 60 * 1000;
+    return cachedLaunches;
 }
 
-// 取得下一個重大發射
-function getNextMajorLaunch() {
-    const launches = getUpcomingLaunches();
-    return launches[0] || null;
+// 線上清單中兩小時內有發射時縮短快取
+function launchCacheDuration(now) {
+    if (cachedLaunches?.source !== 'feed') return LAUNCH_CACHE_DURATION;
+    const near = cachedLaunches.launches.some(l =>
+        l.net && Math.abs(Date.parse(l.net) - now) <= 2 * 60 * 60 * 1000
+    );
+    return near ? LAUNCH_NEAR_CACHE_DURATION : LAUNCH_CACHE_DURATION;
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// 月相計算
-// ═══════════════════════════════════════════════════════════════════════════
-function getMoonPhase(date = new Date()) {
-    // 計算月相 (0-29.53 天為一個週期)
-    const year = date.getFullYear();
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
-    
-    // 使用簡化的月相計算公式
-    let c, e, jd, b;
-    
-    if (month < 3) {
-        c = year - 1;
-        e = month + 12;
-    } else {
-        c = year;
-        e = month;
+// 近期發射計畫（已發射完成的任務不列入）
+async function getUpcomingLaunches() {
+    const schedule = await fetchLaunchSchedule();
+    return launchFeed.upcomingOnly(schedule.launches);
+}
+
+// 下一次發射：優先取有確切 NET 的任務
+async function getNextLaunch() {
+    const launches = await getUpcomingLaunches();
+    return launches.find(l => l.net && Date.parse(l.net) >= Date.now()) || launches[0] || null;
+}
+
+// 倒數文字：3 天 4 小時 / 5 小時 20 分
+function formatCountdown(net, now = Date.now(), lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const minutes = Math.round((Date.parse(net) - now) / 60000);
+    if (minutes <= 0) return t('countdown.now');
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return t('countdown.days', { days, hours });
+    if (hours > 0) return t('countdown.hours', { hours, minutes: minutes % 60 });
+    return t('countdown.minutes', { minutes });
+}
+
+// 發射時間與狀態依語言重新格式化（內建參考清單沒有 NET 與狀態代碼，沿用原文）
+function launchDate(launch, t) {
+    return launch.net
+        ? launchFeed.formatNet(launch.net, launch.netPrecision, timezone.DEFAULT_TIME_ZONE, t.locale, t('launch.tentative'))
+        : launch.dateLocal;
+}
+
+function launchStatus(launch, t) {
+    const key = `launch.status.${launch.statusCode}`;
+    return t.has(key) ? t(key) : launch.status;
+}
+
+function formatLaunchMessage(launch, source, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    let msg = `${t('launch.title')}
+━━━━━━━━━━━━━━━━
+
+🚀 ${launch.name}
+🏢 ${launch.provider}
+${t('launch.rocket', { rocket: launch.rocket })}
+📅 ${launchDate(launch, t)}`;
+
+    if (launchFeed.hasPreciseNet(launch)) {
+        msg += `\n${t('launch.countdown', { countdown: formatCountdown(launch.net, Date.now(), lang) })}`;
     }
-    
-    jd = Math.floor(365.25 * c) + Math.floor(30.6001 * (e + 1)) + day - 694039.09;
-    jd /= 29.53058867;
-    b = Math.floor(jd);
-    jd -= b;
-    const phase = Math.round(jd * 8);
-    
-    const phases = [
-        { name: '新月', icon: '🌑', english: 'New Moon', illumination: 0 },
-        { name: '眉月', icon: '🌒', english: 'Waxing Crescent', illumination: 12.5 },
-        { name: '上弦月', icon: '🌓', english: 'First Quarter', illumination: 25 },
-        { name: '盈凸月', icon: '🌔', english: 'Waxing Gibbous', illumination: 37.5 },
-        { name: '滿月', icon: '🌕', english: 'Full Moon', illumination: 50 },
-        { name: '虧凸月', icon: '🌖', english: 'Waning Gibbous', illumination: 62.5 },
-        { name: '下弦月', icon: '🌗', english: 'Last Quarter', illumination: 75 },
-        { name: '殘月', icon: '🌘', english: 'Waning Crescent', illumination: 87.5 }
-    ];
-    
-    const currentPhase = phases[phase % 8];
-    
-    // 計算下一個滿月
-    const daysUntilFull = ((4 - phase + 8) % 8) * 3.69;
-    const nextFullMoon = new Date(date.getTime() + daysUntilFull * 24 * 60 * 60 * 1000);
-    
-    // 計算下一個新月
-    const daysUntilNew = ((8 - phase) % 8) * 3.69;
-    const nextNewMoon = new Date(date.getTime() + daysUntilNew * 24 * 60 * 60 * 1000);
-    
-    return {
-        phase: currentPhase.name,
-        icon: currentPhase.icon,
-        english: currentPhase.english,
-        illumination: Math.round(50 - Math.abs(50 - (phase * 12.5))),
-        age: Math.round(jd * 29.53),
-        nextFullMoon: nextFullMoon.toLocaleDateString('zh-TW'),
-        nextNewMoon: nextNewMoon.toLocaleDateString('zh-TW'),
-        isGoodForViewing: phase >= 5 || phase <= 1 // 新月前後適合觀星
-    };
+    msg += `\n${launchStatus(launch, t)}`;
+    if (launch.pad) msg += `\n📍 ${launch.pad}${launch.location ? `\n   ${launch.location}` : ''}`;
+    if (launch.details) msg += `\n\n📝 ${launch.details}`;
+    if (launch.webcast) msg += `\n\n${t('launch.webcast', { url: launch.webcast })}`;
+
+    msg += `
+
+━━━━━━━━━━━━━━━━`;
+    msg += source === 'bundled'
+        ? `\n${t('launch.bundled')}\n🔗 nextspaceflight.com`
+        : `\n${t('launch.netNote')}`;
+    msg += `\n\n${t('launch.hint')}`;
+    return msg;
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// 流星雨預報
-// ═══════════════════════════════════════════════════════════════════════════
-function getMeteorShowers() {
-    const showers = [
-        { name: '象限儀座流星雨', english: 'Quadrantids', peak: '01-03', end: '01-04', rate: 120, parent: '小行星 2003 EH1' },
-        { name: '天琴座流星雨', english: 'Lyrids', peak: '04-22', end: '04-23', rate: 20, parent: '撒切爾彗星' },
-        { name: '寶瓶座η流星雨', english: 'Eta Aquariids', peak: '05-06', end: '05-07', rate: 50, parent: '哈雷彗星' },
-        { name: '寶瓶座δ南流星雨', english: 'Delta Aquariids', peak: '07-30', end: '07-31', rate: 25, parent: '乾達彗星' },
-        { name: '英仙座流星雨', english: 'Perseids', peak: '08-12', end: '08-13', rate: 100, parent: '斯威夫特-塔特爾彗星' },
-        { name: '天龍座流星雨', english: 'Draconids', peak: '10-08', end: '10-09', rate: 10, parent: '賈科比尼-津納彗星' },
-        { name: '獵戶座流星雨', english: 'Orionids', peak: '10-21', end: '10-22', rate: 20, parent: '哈雷彗星' },
-        { name: '金牛座南流星雨', english: 'S. Taurids', peak: '11-05', end: '11-06', rate: 5, parent: '恩克彗星' },
-        { name: '獅子座流星雨', english: 'Leonids', peak: '11-17', end: '11-18', rate: 15, parent: '坦普爾-塔特爾彗星' },
-        { name: '雙子座流星雨', english: 'Geminids', peak: '12-14', end: '12-15', rate: 150, parent: '小行星 3200 法厄同' },
-        { name: '小熊座流星雨', english: 'Ursids', peak: '12-22', end: '12-23', rate: 10, parent: '塔特爾彗星' }
-    ];
-    
-    const now = new Date();
-    const year = now.getFullYear();
-    const currentMonth = now.getMonth() + 1;
-    const currentDay = now.getDate();
-    const today = `${String(currentMonth).padStart(2, '0')}-${String(currentDay).padStart(2, '0')}`;
-    
-    // 找出最接近的流星雨
-    let upcoming = [];
-    let active = null;
-    
-    for (const shower of showers) {
-        const peakParts = shower.peak.split('-');
-        const peakMonth = parseInt(peakParts[0]);
-        const peakDay = parseInt(peakParts[1]);
-        
-        // 計算距離今天的天數
-        let peakDate = new Date(year, peakMonth - 1, peakDay);
-        if (peakDate < now) {
-            peakDate = new Date(year + 1, peakMonth - 1, peakDay);
-        }
-        
-        const daysUntil = Math.ceil((peakDate - now) / (1000 * 60 * 60 * 24));
-        
-        // 檢查是否正在活躍（極大期前後 3 天）
-        if (daysUntil >= -3 && daysUntil <= 3) {
-            active = { ...shower, daysUntil, peakDate: peakDate.toLocaleDateString('zh-TW') };
-        }
-        
-        if (daysUntil > 0) {
-            upcoming.push({ ...shower, daysUntil, peakDate: peakDate.toLocaleDateString('zh-TW') });
-        }
+function formatLaunchListMessage(launches, source, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    let msg = `${t('launch.listTitle')}\n━━━━━━━━━━━━━━━━\n\n`;
+
+    for (const launch of launches.slice(0, 8)) {
+        msg += `${launchStatus(launch, t)} ${launch.name}\n`;
+        msg += `   🏢 ${launch.provider}\n`;
+        msg += `   🛰️ ${launch.rocket}\n`;
+        msg += `   📅 ${launchDate(launch, t)}\n`;
+        if (launch.pad) msg += `   📍 ${launch.pad}\n`;
+        msg += '\n';
     }
-    
-    // 排序取最近 3 個
-    upcoming.sort((a, b) => a.daysUntil - b.daysUntil);
-    upcoming = upcoming.slice(0, 3);
-    
-    // 取得月相判斷觀測條件
-    const moon = getMoonPhase();
-    const viewingCondition = moon.isGoodForViewing ? '極佳（少月光干擾）' : '一般（有月光干擾）';
-    
-    return {
-        active,
-        upcoming,
-        viewingCondition,
-        moonPhase: moon.phase,
-        moonIcon: moon.icon
-    };
+
+    msg += '━━━━━━━━━━━━━━━━\n';
+    if (source === 'bundled') {
+        msg += `${t('launch.bundled')}\n`;
+    }
+    msg += `${t('launch.liveLinks')}\n`;
+    msg += '• nextspaceflight.com\n\n';
+    msg += t('launch.listHint');
+    return msg;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// 綜合太空氣象數據
+// 發射提醒（T-24 小時、T-1 小時、升空，以及延期 / 取消通知）
 // ═══════════════════════════════════════════════════════════════════════════
-async function getSpaceWeather(forceRefresh = false) {
-    const now = Date.now();
-    
-    // 使用快取
-    if (!forceRefresh && cachedSpaceWeather && (now - cacheTime) < CACHE_DURATION) {
-        return cachedSpaceWeather;
+
+// NET 在此時間內的發射才開始追蹤
+const LAUNCH_TRACK_HOURS = 48;
+
+// 追蹤紀錄在 NET 過後保留的天數
+const LAUNCH_TRACK_RETENTION_DAYS = 2;
+
+// 訂閱篩選說明
+function describeLaunchFilter(filter = {}, lang = i18n.DEFAULT_LANGUAGE) {
+    if (filter.provider) return i18n.t(lang, 'launch.filter.provider', { name: filter.provider });
+    if (filter.rocket) return i18n.t(lang, 'launch.filter.rocket', { name: filter.rocket });
+    return i18n.t(lang, 'launch.filter.all');
+}
+
+/**
+ * 「訂閱發射」參數 → 篩選條件
+ * 「火箭 Falcon 9」、「發射商 SpaceX」指定類型（英文為 rocket: / provider:，日文火箭為ロケット）；
+ * 只給名稱時，依目前清單判斷是發射商還是火箭（都不符合時視為發射商）
+ */
+function parseLaunchFilter(arg, launches) {
+    const explicit = arg.match(/^(火箭|ロケット|rocket:|發射商|公司|provider:)\s*(.+)$/i);
+    if (explicit) {
+        return /^(火箭|ロケット|rocket:)$/i.test(explicit[1]) ? { rocket: explicit[2].trim() } : { provider: explicit[2].trim() };
     }
+    if (!arg) return {};
+    if (launches.some(l => launchFeed.matchesFilter(l, { provider: arg }))) return { provider: arg };
+    if (launches.some(l => launchFeed.matchesFilter(l, { rocket: arg }))) return { rocket: arg };
+    return { provider: arg };
+}
 
-    try {
-        const [solarWind, magField, kp, xray, proton, electron, cme, nasaFlares, iss] = await Promise.all([
-            fetchSolarWind(),
-            fetchMagneticField(),
-            fetchKpIndex(),
-            fetchXrayFlux(),
-            fetchProtonFlux(),
-            fetchElectronFlux(),
-            fetchCME(),
-            fetchNASAFlares(),
-            fetchISS()
-        ]);
+function formatLaunchReminderMessage(launch, stage, now = new Date(), lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const liftedOff = ['In Flight', 'Success'].includes(launch.statusCode);
+    let msg;
+    if (stage.key === 'liftoff') {
+        msg = `${liftedOff ? t('launch.reminder.liftoff') : t('launch.reminder.timeUp')}
+━━━━━━━━━━━━━━━━
 
-        // 計算極光可見機率
-        const kpValue = kp?.kp || 2;
-        const auroraChances = {
-            iceland: Math.min(95, Math.round(kpValue * 15 + 40)),
-            norway: Math.min(90, Math.round(kpValue * 15 + 30)),
-            finland: Math.min(85, Math.round(kpValue * 15 + 20)),
-            canada: Math.min(80, Math.round(kpValue * 15 + 10)),
-            alaska: Math.min(75, Math.round(kpValue * 15 + 5)),
-            hokkaido: Math.max(5, Math.round(kpValue * 15 - 30)),
-            japan: Math.max(5, Math.round(kpValue * 15 - 30)),
-            scotland: Math.max(10, Math.round(kpValue * 15 - 20)),
-            newZealand: Math.max(5, Math.round(kpValue * 15 - 35))
-        };
+🛸 ${launch.name}
+🏢 ${launch.provider}
+${t('launch.rocket', { rocket: launch.rocket })}
+${t('launch.net', { date: launchDate(launch, t) })}
+${launchStatus(launch, t)}`;
+    } else {
+        msg = `${t('launch.reminder.title', { stage: t(`launch.stage.${stage.key}`) })}
+━━━━━━━━━━━━━━━━
 
-        // 計算警報等級
-        let alertLevel = 'normal';
-        let alertMessages = [];
+🛸 ${launch.name}
+🏢 ${launch.provider}
+${t('launch.rocket', { rocket: launch.rocket })}
+${t('launch.net', { date: launchDate(launch, t) })}
+${t('launch.countdown', { countdown: formatCountdown(launch.net, now.getTime(), lang) })}
+${launchStatus(launch, t)}`;
+    }
+    if (launch.pad) msg += `\n📍 ${launch.pad}`;
+    if (launch.webcast) msg += `\n\n${t('launch.webcast', { url: launch.webcast })}`;
+    msg += `\n\n${t('launch.timeNote')}`;
+    return msg;
+}
 
-        if (kpValue >= 7) {
-            alertLevel = 'severe';
-            alertMessages.push(`🔴 強烈地磁風暴 G${kp.gLevel.replace('G', '')}`);
-        } else if (kpValue >= 5) {
-            alertLevel = 'warning';
-            alertMessages.push(`🟠 地磁風暴 ${kp.gLevel}`);
-        }
+function formatLaunchChangeMessage(launch, previousNet, change, now = new Date(), lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    let msg = `${t(`launch.change.${change}`)}
+━━━━━━━━━━━━━━━━
 
-        if (xray?.flareClass === 'X') {
-            alertLevel = 'severe';
-            alertMessages.push(`🔴 X 級太陽閃焰 ${xray.fullClass}`);
-        } else if (xray?.flareClass === 'M') {
-            if (alertLevel === 'normal') alertLevel = 'warning';
-            alertMessages.push(`🟠 M 級太陽閃焰 ${xray.fullClass}`);
-        }
+🛸 ${launch.name}
+🏢 ${launch.provider}`;
 
-        if (proton?.sLevel && proton.sLevel !== 'S0') {
-            if (proton.sLevel >= 'S3') alertLevel = 'severe';
-            else if (alertLevel === 'normal') alertLevel = 'warning';
-            alertMessages.push(`☢️ 輻射風暴 ${proton.sLevel}`);
+    if (change === 'scrub' || change === 'net') {
+        msg += `\n\n${t('launch.change.previous', { date: launchFeed.formatNet(previousNet, 'MIN', timezone.DEFAULT_TIME_ZONE, t.locale) })}`;
+        msg += `\n${t('launch.change.newNet', { date: launchDate(launch, t) })}`;
+        if (launchFeed.hasPreciseNet(launch) && Date.parse(launch.net) > now.getTime()) {
+            msg += `\n${t('launch.countdown', { countdown: formatCountdown(launch.net, now.getTime(), lang) })}`;
         }
+    } else {
+        msg += `\n\n${t('launch.net', { date: launchDate(launch, t) })}`;
+    }
+    msg += `\n${launchStatus(launch, t)}`;
+    msg += `\n\n${t('launch.timeNote')}`;
+    return msg;
+}
 
-        const result = {
-            success: true,
-            timestamp: new Date().toISOString(),
-            alertLevel,
-            alertMessages,
-            solarWind: solarWind || { speed: 400, density: 4, temperature: 100000 },
-            magneticField: magField || { bz: 0, bt: 5, bx: 0, by: 0 },
-            kp: kp || { kp: 2, level: 'quiet', gLevel: 'G0' },
-            xray: xray || { flux: 1e-7, flareClass: 'B', fullClass: 'B1.0' },
-            proton: proton || { flux: 1, sLevel: 'S0' },
-            electron: electron || { flux: 10000 },
-            cme: cme || [],
-            flares: nasaFlares || [],
-            iss: iss,
-            aurora: auroraChances
-        };
+/**
+ * 依「發射追蹤」資料表的上次紀錄，發送倒數提醒與變更通知
+ * 每次發射、每個階段只推播一次；NET 變動後以變更通知取代已開始的階段
+ */
+async function checkLaunchReminders(now = new Date()) {
+    if (!store) return;
+    try {
+        const subscribers = await getSubscribersByType('launch');
+        if (subscribers.length === 0) return;
 
-        cachedSpaceWeather = result;
-        cacheTime = now;
+        const schedule = await fetchLaunchSchedule();
+        if (schedule.source === 'bundled') return;
 
-        return result;
+        const states = new Map((await store.list('發射追蹤')).map(row => [row['發射ID'], row]));
+        const trackUntil = now.getTime() + LAUNCH_TRACK_HOURS * 60 * 60 * 1000;
+
+        for (const launch of schedule.launches) {
+            const state = states.get(launch.id);
+            if (!state) {
+                if (!launchFeed.hasPreciseNet(launch)) continue;
+                const netAt = Date.parse(launch.net);
+                if (netAt > trackUntil || netAt + launchFeed.LIFTOFF_GRACE <= now.getTime()) continue;
+            }
+
+            try {
+                // 訊息依訂閱者語言產生
+                const messages = [];
+                let pushed = state?.['已推播'] ? state['已推播'].split(',') : [];
+
+                const change = state
+                    ? launchFeed.detectChange({ net: state['NET'] || null, statusCode: state['狀態'] || null }, launch, now)
+                    : null;
+                if (change) {
+                    messages.push(lang => formatLaunchChangeMessage(launch, state['NET'], change, now, lang));
+                    if (change === 'scrub' || change === 'net') pushed = launchFeed.elapsedStages(launch, now);
+                }
+
+                const due = launchFeed.dueStage(launch, now);
+                const stage = due && !pushed.includes(due.key) ? due : null;
+                if (stage) {
+                    messages.push(lang => formatLaunchReminderMessage(launch, stage, now, lang));
+                    pushed.push(stage.key);
+                }
+
+                if (messages.length > 0) {
+                    const recipients = subscribers.filter(user => launchFeed.matchesFilter(launch, user.settings));
+                    await lineFanOut(recipients.map(user => ({
+                        userId: user.userId,
+                        messages: messages.map(format => ({ type: 'text', text: format(user.language) }))
+                    })), { type: 'launch' });
+                    await markSubscriptionsPushed('launch', recipients.map(user => ({ userId: user.userId })));
+                    console.log(`🚀 已發送發射提醒（${launch.name}${stage ? ` ${stage.key}` : ''}${change ? ` ${change}` : ''}）: ${recipients.length} 人`);
+                }
+
+                const record = {
+                    '名稱': launch.name,
+                    'NET': launch.net || '',
+                    '狀態': launch.statusCode || '',
+                    '已推播': pushed.join(','),
+                    '更新時間': now.toISOString()
+                };
+                if (state) {
+                    await store.update('發射追蹤', row => row['發射ID'] === launch.id, record);
+                } else {
+                    await store.insert('發射追蹤', { '發射ID': launch.id, ...record });
+                }
+            } catch (error) {
+                console.error('發射提醒失敗:', launch.name, error.message);
+            }
+        }
+
+        // 清除已發射多日的紀錄
+        const expireBefore = now.getTime() - LAUNCH_TRACK_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        await store.remove('發射追蹤', row => !row['NET'] || Date.parse(row['NET']) < expireBefore);
     } catch (error) {
-        console.error('綜合數據錯誤:', error.message);
-        return {
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        };
+        console.error('發射提醒檢查失敗:', error.message);
     }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// LINE 訊息格式化
-// ═══════════════════════════════════════════════════════════════════════════
-function formatSpaceWeatherMessage(data) {
-    const now = new Date().toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
-    
-    const kpEmoji = data.kp.kp <= 2 ? '🟢' : data.kp.kp <= 4 ? '🟡' : data.kp.kp <= 6 ? '🟠' : '🔴';
-    const kpStatus = data.kp.kp <= 2 ? '平靜' : data.kp.kp <= 4 ? '活躍' : data.kp.kp <= 6 ? '風暴' : '劇烈';
+// 月相計算（lib/moon.js 星曆）
+// location 為 { lat, lon, timeZone } 時一併計算月出月落
+function getMoonPhase(date = new Date(), location = null) {
+    const info = moon.getMoonInfo(date, location);
+    const toDate = iso => new Date(iso).toLocaleDateString('zh-TW', { timeZone: location?.timeZone || timezone.DEFAULT_TIME_ZONE });
+
+    return {
+        ...info,
+        nextFullMoon: toDate(info.nextPhases.full),
+        nextNewMoon: toDate(info.nextPhases.new)
+    };
+}
 
-    let message = `🛰️ 太空氣象報告
+function formatMoonMessage(info, placeName, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const fmt = iso => iso
+        ? new Date(iso).toLocaleString(t.locale, { timeZone: info.location.timeZone, month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false })
+        : '--';
+    const fmtTime = iso => iso
+        ? new Date(iso).toLocaleTimeString(t.locale, { timeZone: info.location.timeZone, hour: '2-digit', minute: '2-digit', hour12: false })
+        : t('moon.noEvent');
+    const condition = info.isGoodForViewing ? 'good' : info.fraction <= 0.6 ? 'fair' : 'bright';
+
+    return `${t('moon.title')}
 ━━━━━━━━━━━━━━━━
 
-🌌 極光預報
-${kpEmoji} Kp 指數：${data.kp.kp.toFixed(1)} (${kpStatus})
-📊 地磁警報：${data.kp.gLevel}
+${t('moon.phaseLine', { icon: info.icon, phase: t(`moon.phase.${info.phaseKey}`), trend: t(info.waxing ? 'moon.waxing' : 'moon.waning') })}
+${lang === 'en' ? '' : `🔤 ${info.english}\n`}
+${t('moon.illumination', { value: info.illumination.toFixed(1) })}
+${t('moon.age', { value: info.age.toFixed(1) })}
+${t('moon.distance', { value: info.distance.toLocaleString(t.locale) })}
+
+📍 ${placeName || `${info.location.lat.toFixed(2)}°, ${info.location.lon.toFixed(2)}°`}
+${t('moon.rise', { time: fmtTime(info.moonrise) })}
+${t('moon.set', { time: fmtTime(info.moonset) })}
 
-🌍 極光可見機率
-🇮🇸 冰島：${data.aurora.iceland}%
-🇳🇴 挪威：${data.aurora.norway}%
-🇫🇮 芬蘭：${data.aurora.finland}%
-🇯🇵 北海道：${data.aurora.hokkaido}%
+${t('moon.next.new', { date: fmt(info.nextPhases.new) })}
+${t('moon.next.firstQuarter', { date: fmt(info.nextPhases.firstQuarter) })}
+${t('moon.next.full', { date: fmt(info.nextPhases.full) })}
+${t('moon.next.lastQuarter', { date: fmt(info.nextPhases.lastQuarter) })}
+
+${t('moon.viewing', { condition: t(`moon.viewing.${condition}`) })}
 
 ━━━━━━━━━━━━━━━━
+${t('moon.hint')}`;
+}
 
-☀️ 太陽活動
-🔥 閃焰等級：${data.xray.fullClass}
-💨 太陽風：${Math.round(data.solarWind.speed)} km/s
-🧲 磁場 Bz：${data.magneticField.bz.toFixed(1)} nT
-☢️ 輻射等級：${data.proton.sLevel}
+function formatSunTimesMessage(times, placeName, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const fmt = date => date
+        ? date.toLocaleTimeString(t.locale, { timeZone: times.timeZone, hour: '2-digit', minute: '2-digit', hour12: false })
+        : '--:--';
+    const range = r => `${fmt(r.start)} - ${fmt(r.end)}`;
 
+    let msg = `${t('sun.title')}
 ━━━━━━━━━━━━━━━━
 
-🚀 ISS 國際太空站
-📍 ${data.iss?.location || '計算中'}
-🌐 ${data.iss?.lat?.toFixed(2) || '--'}°, ${data.iss?.lon?.toFixed(2) || '--'}°
-📡 高度：${Math.round(data.iss?.altitude || 408)} km
+📍 ${placeName}
+📅 ${times.date}
+`;
+
+    if (times.polar) {
+        msg += `\n${t(times.polar === 'day' ? 'sun.polarDay' : 'sun.polarNight')}\n`;
+    } else {
+        msg += `
+${t('sun.riseSet', { sunrise: fmt(times.sunrise), sunset: fmt(times.sunset) })}
+${t('sun.dayLength', { hours: Math.floor(times.dayLength / 60), minutes: times.dayLength % 60 })}
+
+${t('sun.morning')}
+${t('sun.blueHour', { range: range(times.blueHour.morning) })}
+${t('sun.goldenHour', { range: range(times.goldenHour.morning) })}
+
+${t('sun.evening')}
+${t('sun.goldenHour', { range: range(times.goldenHour.evening) })}
+${t('sun.blueHour', { range: range(times.blueHour.evening) })}
+`;
+    }
+
+    msg += `
+${t('sun.twilight')}
+${t('sun.civil', { dawn: fmt(times.civil.dawn), dusk: fmt(times.civil.dusk) })}
+${t('sun.nautical', { dawn: fmt(times.nautical.dawn), dusk: fmt(times.nautical.dusk) })}
+${t('sun.astronomical', { dawn: fmt(times.astronomical.dawn), dusk: fmt(times.astronomical.dusk) })}
 
 ━━━━━━━━━━━━━━━━
+${t('sun.hint')}`;
+
+    return msg;
+}
 
-⏰ 更新時間：${now}
+// 今晚月光對觀星的影響（good / fair / poor，對應訊息目錄 moonlight.*）
+function moonViewingCondition(fraction) {
+    if (fraction <= 0.25) return 'good';
+    if (fraction <= 0.6) return 'fair';
+    return 'poor';
+}
 
-💡 輸入指令查看更多：
-「極光」「太陽風」「ISS」「訂閱」`;
+// 流星雨總覽（lib/meteors.js），附今晚月相；未指定地點時以台北計算
+function getMeteorShowers(location = null, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    const { lat, lon } = location || DEFAULT_PLACE;
+    const result = meteors.getMeteorShowers({ lat, lon, timeZone });
+    const currentMoon = getMoonPhase();
+    const viewingKey = moonViewingCondition(currentMoon.fraction);
 
-    return message;
+    return {
+        ...result,
+        viewingCondition: i18n.t(i18n.DEFAULT_LANGUAGE, `moonlight.${viewingKey}`),
+        viewingConditionKey: viewingKey,
+        moonPhase: currentMoon.phase,
+        moonPhaseKey: currentMoon.phaseKey,
+        moonIcon: currentMoon.icon,
+        moonIllumination: currentMoon.illumination
+    };
 }
 
-function formatAuroraMessage(data) {
-    const kpEmoji = data.kp.kp <= 2 ? '🟢' : data.kp.kp <= 4 ? '🟡' : data.kp.kp <= 6 ? '🟠' : '🔴';
-    
-    return `🌌 極光預報
-━━━━━━━━━━━━━━━━
+function formatMeteorDate(ymd) {
+    const [, month, day] = ymd.split('-').map(Number);
+    return `${month}/${day}`;
+}
 
-${kpEmoji} Kp 地磁指數：${data.kp.kp.toFixed(1)}
-📊 地磁警報等級：${data.kp.gLevel}
+// 月光對流星雨的影響，接在月光亮面之後
+function meteorCondition(forecast, t) {
+    return forecast.conditionKey ? t('meteor.condition', { condition: t(`moonlight.${forecast.conditionKey}`) }) : '';
+}
+
+function formatMeteorMessage(data, placeName, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const fmt = iso => iso
+        ? new Date(iso).toLocaleTimeString(t.locale, { timeZone: data.location.timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        : '--:--';
+    const forecastLine = f => f.expectedRate > 0
+        ? t('meteor.rate', { rate: f.expectedRate, time: fmt(f.bestTime), direction: localizeDirection(f.direction, t), altitude: f.radiantAltitude })
+        : t('meteor.radiantDown');
+    const moonlight = f => t('meteor.moonlight', { value: f.moonIllumination ?? '--', condition: meteorCondition(f, t) });
+
+    let msg = `${t('meteor.title')}
+━━━━━━━━━━━━━━━━
 
-🌍 各地可見機率：
+📍 ${placeName}
+`;
+
+    for (const shower of data.activeShowers) {
+        const when = shower.daysUntil > 0
+            ? t('meteor.peakIn', { days: shower.daysUntil })
+            : shower.daysUntil === 0 ? t('meteor.peakTonight') : t('meteor.peakPassed', { days: -shower.daysUntil });
+        msg += `
+${t('meteor.active', { name: t(`meteor.shower.${shower.key}`) })}
+${t('meteor.period', { start: formatMeteorDate(shower.start), end: formatMeteorDate(shower.end), when })}
+${t('meteor.tonight', { forecast: forecastLine(shower.tonight) })}
+`;
+    }
 
-🇮🇸 冰島 雷克雅維克：${data.aurora.iceland}%
-🇳🇴 挪威 特羅姆瑟：${data.aurora.norway}%
-🇫🇮 芬蘭 羅瓦涅米：${data.aurora.finland}%
-🇨🇦 加拿大 黃刀鎮：${data.aurora.canada}%
-🇺🇸 阿拉斯加：${data.aurora.alaska}%
-🇯🇵 日本 北海道：${data.aurora.hokkaido}%
-🏴󠁧󠁢󠁳󠁣󠁴󠁿 蘇格蘭：${data.aurora.scotland}%
-🇳🇿 紐西蘭：${data.aurora.newZealand}%
+    msg += `\n${t('meteor.upcoming')}\n`;
+    for (const shower of data.upcoming) {
+        const peak = shower.peakNight;
+        msg += `
+${t('meteor.upcomingShower', { name: t(`meteor.shower.${shower.key}`), zhr: shower.zhr })}
+${t('meteor.peakDate', { date: formatMeteorDate(shower.peak), days: shower.daysUntil })}
+   💫 ${forecastLine(peak)}
+${moonlight(peak)}
+`;
+    }
 
+    msg += `
 ━━━━━━━━━━━━━━━━
+${t('meteor.currentMoon', { icon: data.moonIcon, phase: t(`moon.phase.${data.moonPhaseKey}`), value: data.moonIllumination })}
+${t('meteor.hint')}`;
+
+    return msg;
+}
+
+// 流星雨提醒：極大期前 METEOR_REMINDER_DAYS 天的當地中午後推播，每場只推一次
+const METEOR_REMINDER_DAYS = 2;
+const METEOR_REMINDER_HOUR = 12;
 
-📖 Kp 指數說明：
-0-2：平靜，僅北極圈可見
-3-4：活躍，北歐可見
-5-6：風暴，中緯度可見
-7+：劇烈，低緯度可能可見
+function formatMeteorReminderMessage(shower, placeName, timeZone, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const peak = shower.peakNight;
+    const bestTime = peak.bestTime
+        ? new Date(peak.bestTime).toLocaleTimeString(t.locale, { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        : null;
 
-💡 輸入「訂閱極光」可在 Kp≥5 時收到通知`;
+    return `${t('meteor.reminder.title', { name: t(`meteor.shower.${shower.key}`) })}
+
+📍 ${placeName}
+${t('meteor.reminder.peak', { date: formatMeteorDate(shower.peak), days: shower.daysUntil })}
+${t('meteor.reminder.period', { start: formatMeteorDate(shower.start), end: formatMeteorDate(shower.end) })}
+
+${t('meteor.reminder.rate', { zhr: shower.zhr, rate: peak.expectedRate })}
+${bestTime
+        ? t('meteor.reminder.best', { time: bestTime, direction: localizeDirection(peak.direction, t), altitude: peak.radiantAltitude })
+        : t('meteor.reminder.radiantNeverUp')}
+${t('meteor.reminder.moonlight', { value: peak.moonIllumination ?? '--', condition: meteorCondition(peak, t) })}
+${t('meteor.reminder.parent', { parent: t(`meteor.parent.${shower.key}`) })}
+
+${t('meteor.reminder.tip')}`;
 }
 
-function formatSolarWindMessage(data) {
-    const speedStatus = data.solarWind.speed < 400 ? '🟢 正常' : 
-                        data.solarWind.speed < 500 ? '🟡 偏高' : 
-                        data.solarWind.speed < 600 ? '🟠 高速' : '🔴 極高速';
+async function checkMeteorReminders() {
+    const subscribers = await getSubscribersByType('meteor');
+    if (subscribers.length === 0) return;
+
+    const profiles = await getUserProfiles();
+    const now = new Date();
 
-    const bzStatus = data.magneticField.bz > 0 ? '🟢 北向（穩定）' : 
-                     data.magneticField.bz > -5 ? '🟡 南向（活躍）' : '🔴 強南向（風暴）';
+    // 同一場流星雨、同一地點與語言的提醒內容相同，合併為 multicast
+    const deliveries = [];
+    for (const user of subscribers) {
+        try {
+            const profile = profiles.get(user.userId);
+            const location = hasLocation(profile) ? profile : null;
+            // 依所在地（未分享位置時依用戶設定）的時區判斷日期與提醒時刻
+            const timeZone = location ? await profileTimeZone(profile) : (profile?.timeZone || timezone.DEFAULT_TIME_ZONE);
+            const today = timezone.zonedDateString(now, timeZone);
+            if (now - timezone.zonedDayStart(today, timeZone) < METEOR_REMINDER_HOUR * 60 * 60 * 1000) continue;
+
+            const data = getMeteorShowers(location, timeZone);
+            const lastPush = user.lastPushAt ? new Date(user.lastPushAt).getTime() : 0;
+
+            // 錯過提醒當天（如伺服器停機）時，極大期前一天仍會補發
+            const shower = data.showers.find(s => {
+                if (s.daysUntil < 1 || s.daysUntil > METEOR_REMINDER_DAYS) return false;
+                const remindFrom = timezone.zonedDayStart(timezone.shiftDate(s.peak, -METEOR_REMINDER_DAYS, timeZone), timeZone);
+                return lastPush < remindFrom.getTime();
+            });
+            if (!shower) continue;
 
-    return `☀️ 太陽風即時數據
-━━━━━━━━━━━━━━━━
+            const placeName = location ? (profile.place || `${profile.lat.toFixed(2)}°, ${profile.lon.toFixed(2)}°`) : i18n.t(user.language, 'place.default');
+            deliveries.push({ userId: user.userId, shower: shower.name, messages: formatMeteorReminderMessage(shower, placeName, timeZone, user.language) });
+        } catch (error) {
+            console.error('流星雨提醒失敗:', error.message);
+        }
+    }
+    if (deliveries.length === 0) return;
+
+    const result = await lineFanOut(deliveries, { type: 'meteor' });
+    await markSubscriptionsPushed('meteor', deliveries);
+    const showers = [...new Set(deliveries.map(d => d.shower))].join('、');
+    console.log(`☄️ 已發送流星雨提醒（${showers}）: ${result.recipients} 人，${result.requests} 次請求`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 極光機率（OVATION）
+// ═══════════════════════════════════════════════════════════════════════════
+const AURORA_LOCATIONS = [
+    { key: 'iceland', flag: '🇮🇸', name: '冰島 雷克雅維克', short: '冰島', lat: 64.15, lon: -21.94 },
+    { key: 'norway', flag: '🇳🇴', name: '挪威 特羅姆瑟', short: '挪威', lat: 69.65, lon: 18.96 },
+    { key: 'finland', flag: '🇫🇮', name: '芬蘭 羅瓦涅米', short: '芬蘭', lat: 66.50, lon: 25.73 },
+    { key: 'canada', flag: '🇨🇦', name: '加拿大 黃刀鎮', short: '加拿大', lat: 62.45, lon: -114.37 },
+    { key: 'alaska', flag: '🇺🇸', name: '阿拉斯加 費爾班克斯', short: '阿拉斯加', lat: 64.84, lon: -147.72 },
+    { key: 'hokkaido', flag: '🇯🇵', name: '日本 北海道', short: '北海道', lat: 44.35, lon: 142.46 },
+    { key: 'scotland', flag: '🏴󠁧󠁢󠁳󠁣󠁴󠁿', name: '蘇格蘭 因佛尼斯', short: '蘇格蘭', lat: 57.48, lon: -4.22 },
+    { key: 'newZealand', flag: '🇳🇿', name: '紐西蘭 因佛卡吉爾', short: '紐西蘭', lat: -46.41, lon: 168.35 }
+];
+
+// 各代表地點的可見機率（%），網格不可用時全部為 null
+function auroraLocationChances(grid) {
+    const chances = {};
+    for (const loc of AURORA_LOCATIONS) {
+        chances[loc.key] = grid ? ovation.probabilityAt(grid, loc.lat, loc.lon).visible : null;
+    }
+    return chances;
+}
+
+// 單一地點的極光機率
+async function getAuroraProbability(lat, lon) {
+    const grid = await fetchOvation();
+    if (!grid) return null;
+    return {
+        ...ovation.probabilityAt(grid, lat, lon),
+        forecastTime: grid.forecastTime
+    };
+}
 
-💨 風速：${Math.round(data.solarWind.speed)} km/s
-   ${speedStatus}
+function formatChance(value) {
+    return value === null || value === undefined ? '--' : `${value}%`;
+}
 
-📊 密度：${data.solarWind.density.toFixed(1)} p/cm³
+// 讀數無法取得（null）時顯示 --
+function formatReading(value, format) {
+    return Number.isFinite(value) ? format(value) : '--';
+}
 
-🌡️ 溫度：${(data.solarWind.temperature / 1000).toFixed(0)}K
+// Kp 指數的燈號（無資料時為白色）
+function kpEmoji(kp) {
+    if (!Number.isFinite(kp)) return '⚪';
+    return kp <= 2 ? '🟢' : kp <= 4 ? '🟡' : kp <= 6 ? '🟠' : '🔴';
+}
 
-━━━━━━━━━━━━━━━━
+// ═══════════════════════════════════════════════════════════════════════════
+// 地名查詢（離線地名表 + Open-Meteo Geocoding）
+// ═══════════════════════════════════════════════════════════════════════════
 
-🧲 行星際磁場 (IMF)
-Bz：${data.magneticField.bz.toFixed(1)} nT
-   ${bzStatus}
-Bt：${data.magneticField.bt.toFixed(1)} nT
+// 未指定地點時的預設位置
+const DEFAULT_PLACE = geocode.lookup('台北');
 
-━━━━━━━━━━━━━━━━
+const geocodeCache = new Map();
+const GEOCODE_CACHE_DURATION = 24 * 60 * 60 * 1000;
+const GEOCODE_CACHE_LIMIT = 500;
 
-🔥 太陽閃焰
-目前等級：${data.xray.fullClass}
-X射線通量：${data.xray.flux.toExponential(2)} W/m²
+/**
+ * 地名 → 座標：離線地名表（台灣鄉鎮、常用城市）→ 線上查詢；線上查詢失敗時以地名表比對地址
+ * @returns {object|null} { name, displayName, lat, lon, timeZone, source }；查無此地為 null
+ */
+async function geocodePlace(query) {
+    const offline = geocode.lookup(query);
+    if (offline) return offline;
 
-☢️ 輻射風暴
-質子通量：${data.proton.flux.toFixed(1)} pfu
-等級：${data.proton.sLevel}
+    const key = geocode.normalizeName(query);
+    const cached = geocodeCache.get(key);
+    if (cached && Date.now() - cached.time < GEOCODE_CACHE_DURATION) return cached.result;
 
-━━━━━━━━━━━━━━━━
+    let result = null;
+    try {
+        const res = await fetch(`${GEOCODING_URL}?name=${encodeURIComponent(query)}&count=5&language=zh&format=json`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const results = geocode.parseGeocodingResults(await res.json());
+        if (!results) throw new Error('地名查詢格式錯誤');
+        // 線上查無此地時不改用模糊比對，以免「成功大學」被當成成功鎮
+        result = results[0] || null;
+    } catch (e) {
+        console.error('地名查詢錯誤:', e.message);
+        // 連線失敗不快取，下次重新查詢；離線時以地名表比對地址
+        return geocode.search(query);
+    }
 
-📖 說明：
-• 太陽風速 > 500 km/s 可能引發地磁風暴
-• Bz 南向（負值）越強，地磁活動越劇烈
-• X 級閃焰可能影響無線電通訊
+    if (geocodeCache.size >= GEOCODE_CACHE_LIMIT) {
+        geocodeCache.delete(geocodeCache.keys().next().value);
+    }
+    geocodeCache.set(key, { result, time: Date.now() });
+    return result;
+}
 
-💡 輸入「訂閱閃焰」可在 X 級閃焰時收到通知`;
+// 座標 → 地名：附近的鄉鎮，找不到時以座標表示
+function describeCoordinates(lat, lon) {
+    const near = geocode.nearest(lat, lon);
+    return near ? near.displayName : `${lat.toFixed(2)}°, ${lon.toFixed(2)}°`;
 }
 
-function formatISSMessage(data) {
-    if (!data.iss) {
-        return '🚀 ISS 資料暫時無法取得，請稍後再試';
+const timeZoneCache = new Map();
+
+// 座標 → 時區：附近有地名表的鄉鎮時直接採用，否則向 Open-Meteo 查詢（timezone=auto）
+// 查詢失敗回傳 null（不快取，下次重新查詢）
+async function lookupTimeZone(lat, lon) {
+    const near = geocode.nearest(lat, lon);
+    if (near?.timeZone) return near.timeZone;
+
+    const key = `${lat.toFixed(2)},${lon.toFixed(2)}`;
+    if (timeZoneCache.has(key)) return timeZoneCache.get(key);
+
+    try {
+        const res = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&timezone=auto&forecast_days=1`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const zone = (await res.json()).timezone;
+        if (!timezone.isValidTimeZone(zone)) throw new Error(`未知的時區：${zone}`);
+
+        if (timeZoneCache.size >= GEOCODE_CACHE_LIMIT) {
+            timeZoneCache.delete(timeZoneCache.keys().next().value);
+        }
+        timeZoneCache.set(key, zone);
+        return zone;
+    } catch (e) {
+        console.error('時區查詢錯誤:', e.message);
+        return null;
     }
+}
 
-    return `🚀 國際太空站 (ISS) 即時位置
-━━━━━━━━━━━━━━━━
+// ═══════════════════════════════════════════════════════════════════════════
+// ISS 過境預報
+// ═══════════════════════════════════════════════════════════════════════════
+// TLE 超過 issPass.MAX_TLE_AGE_DAYS 天時不預報，passes 為 null、tle.outdated 為 true
+async function getISSPasses(lat, lon, options = {}) {
+    const tle = await fetchISSTle();
+    const passes = issPass.predictPasses(tle, { lat, lon }, options);
+    const ageDays = issPass.tleAgeDays(tle);
 
-📍 目前位置：${data.iss.location}
+    return {
+        tle: {
+            name: tle.name,
+            epoch: tle.epoch.toISOString(),
+            source: tle.source,
+            ageDays: Math.round(ageDays * 10) / 10,
+            outdated: passes === null
+        },
+        passes
+    };
+}
 
-🌐 座標
-緯度：${data.iss.lat.toFixed(4)}°
-經度：${data.iss.lon.toFixed(4)}°
+function formatPassTime(iso, locale = 'zh-TW', timeZone = timezone.DEFAULT_TIME_ZONE) {
+    return new Date(iso).toLocaleTimeString(locale, {
+        timeZone, hour12: false, hour: '2-digit', minute: '2-digit'
+    });
+}
 
-📡 軌道資訊
-高度：${Math.round(data.iss.altitude)} km
-速度：${Math.round(data.iss.velocity).toLocaleString()} km/h
+function formatISSPassesMessage(result, placeName, lang = i18n.DEFAULT_LANGUAGE, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    const t = i18n.translator(lang);
+    const { passes, tle } = result;
 
+    let msg = `${t('iss.passes.title')}
 ━━━━━━━━━━━━━━━━
 
-🔭 ISS 小知識：
-• 每 90 分鐘繞地球一圈
-• 每天可見 16 次日出日落
-• 目前有 7 名太空人駐站
-• 軌道傾角 51.6°
+📍 ${placeName}
+`;
+
+    if (!passes) {
+        msg += `\n${t('iss.passes.outdated', { days: issPass.MAX_TLE_AGE_DAYS })}\n`;
+    } else if (passes.length === 0) {
+        msg += `\n${t('iss.passes.none')}\n`;
+    } else {
+        for (const pass of passes.slice(0, 5)) {
+            const start = pass.visibleStart;
+            const end = pass.visibleEnd;
+            msg += `
+🗓️ ${new Date(start.time).toLocaleDateString(t.locale, { timeZone, month: 'numeric', day: 'numeric', weekday: 'short' })}
+⏰ ${formatPassTime(start.time, t.locale, timeZone)} - ${formatPassTime(end.time, t.locale, timeZone)}
+🧭 ${localizeDirection(start.direction, t)} → ${localizeDirection(end.direction, t)}
+${t('iss.passes.maxElevation', { elevation: pass.maxVisibleElevation, direction: localizeDirection(pass.visiblePeak.direction, t) })}
+${t('iss.passes.magnitude', { value: pass.magnitude !== null ? pass.magnitude.toFixed(1) : '--' })}
+`;
+        }
+    }
 
+    msg += `
 ━━━━━━━━━━━━━━━━
+${t('iss.passes.tle', { date: new Date(tle.epoch).toLocaleDateString(t.locale, { timeZone }) })}`;
+    msg += `\n\n${t('iss.passes.hint')}`;
+
+    return msg;
+}
 
-🌙 觀測提示：
-ISS 過境時像一顆明亮的星星快速移動
-可用 Spot The Station 查詢過境時間
+// 過境提醒：每位訂閱者的過境清單快取，位置或仰角改變時重新計算
+const ISS_ALERT_LEAD_MINUTES = 10;
+const ISS_ALERT_DEFAULT_ELEVATION = 20;
+const ISS_PASS_CACHE_DURATION = 3 * 60 * 60 * 1000;
+const issPassCache = new Map();
+
+async function getCachedUserPasses(userId, profile, minElevation) {
+    const key = `${profile.lat},${profile.lon},${minElevation}`;
+    const cached = issPassCache.get(userId);
+    if (cached && cached.key === key && (Date.now() - cached.computedAt) < ISS_PASS_CACHE_DURATION) {
+        return cached.passes;
+    }
 
-💡 輸入「訂閱ISS」可在 ISS 過境台灣時收到通知`;
+    // TLE 過舊時不提醒
+    const { passes } = await getISSPasses(profile.lat, profile.lon, { days: 1, minElevation });
+    issPassCache.set(userId, { key, computedAt: Date.now(), passes: passes || [] });
+    return passes || [];
 }
 
-function formatSubscriptionMenu() {
-    return {
-        type: 'flex',
-        altText: '訂閱設定選單',
-        contents: {
-            type: 'bubble',
+// 訂閱設定的最低仰角（未設定時為預設值）
+function issAlertElevation(settings) {
+    const value = parseFloat(settings?.minElevation);
+    return Number.isFinite(value) ? value : ISS_ALERT_DEFAULT_ELEVATION;
+}
+
+function formatISSPassAlertMessage(pass, placeName, lang = i18n.DEFAULT_LANGUAGE, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    const t = i18n.translator(lang);
+    const start = pass.visibleStart;
+    const minutes = Math.max(1, Math.round((new Date(start.time) - Date.now()) / 60000));
+
+    return `${t('iss.alert.title')}
+
+📍 ${placeName}
+${t('iss.alert.in', { minutes, time: formatPassTime(start.time, t.locale, timeZone) })}
+
+${t('iss.alert.appear', { direction: localizeDirection(start.direction, t), elevation: start.elevation })}
+${t('iss.alert.peak', { direction: localizeDirection(pass.visiblePeak.direction, t), elevation: pass.maxVisibleElevation, time: formatPassTime(pass.visiblePeak.time, t.locale, timeZone) })}
+${t('iss.alert.disappear', { direction: localizeDirection(pass.visibleEnd.direction, t), time: formatPassTime(pass.visibleEnd.time, t.locale, timeZone) })}
+${t('iss.alert.magnitude', { value: pass.magnitude !== null ? pass.magnitude.toFixed(1) : '--' })}
+
+${t('iss.alert.tip')}`;
+}
+
+// 每分鐘檢查：可見段開始前 ISS_ALERT_LEAD_MINUTES 分鐘內推播，每次過境只推一次
+async function checkISSPassAlerts() {
+    const subscribers = await getSubscribersByType('iss');
+    if (subscribers.length === 0) return;
+
+    const profiles = await getUserProfiles();
+    const now = Date.now();
+
+    for (const user of subscribers) {
+        const profile = profiles.get(user.userId);
+        if (!hasLocation(profile)) continue;
+
+        try {
+            const minElevation = issAlertElevation(user.settings);
+            const passes = await getCachedUserPasses(user.userId, profile, minElevation);
+            const lastPush = user.lastPushAt ? new Date(user.lastPushAt).getTime() : 0;
+
+            const pass = passes.find(p => {
+                const startAt = new Date(p.visibleStart.time).getTime();
+                return startAt > now &&
+                    startAt - now <= ISS_ALERT_LEAD_MINUTES * 60 * 1000 &&
+                    lastPush < startAt - (ISS_ALERT_LEAD_MINUTES + 1) * 60 * 1000;
+            });
+            if (!pass) continue;
+
+            const placeName = profile.place || `${profile.lat.toFixed(2)}°, ${profile.lon.toFixed(2)}°`;
+            const timeZone = await profileTimeZone(profile);
+            await linePush(user.userId, formatISSPassAlertMessage(pass, placeName, user.language, timeZone), { type: 'iss' });
+            await markSubscriptionsPushed('iss', [{ userId: user.userId }]);
+            console.log(`🛰️ 已發送 ISS 過境提醒: ${user.userId.substring(0, 10)}...`);
+        } catch (error) {
+            console.error('ISS 過境提醒失敗:', error.message);
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 綜合太空氣象數據
+// ═══════════════════════════════════════════════════════════════════════════
+
+// 警報列的文字（儀表板顯示）
+function formatAlertMessages(notices, lang = i18n.DEFAULT_LANGUAGE) {
+    return notices.map(notice => i18n.t(lang, notice.key, notice.params));
+}
+
+async function getSpaceWeather(forceRefresh = false) {
+    const now = Date.now();
+    
+    // 使用快取
+    if (!forceRefresh && cachedSpaceWeather && (now - cacheTime) < CACHE_DURATION) {
+        return cachedSpaceWeather;
+    }
+
+    try {
+        const [solarWind, magField, kp, xray, proton, electron, cme, nasaFlares, iss, ovationGrid] = await Promise.all([
+            fetchSolarWind(),
+            fetchMagneticField(),
+            fetchKpIndex(),
+            fetchXrayFlux(),
+            fetchProtonFlux(),
+            fetchElectronFlux(),
+            fetchCME(),
+            fetchNASAFlares(),
+            fetchISS(),
+            fetchOvation()
+        ]);
+
+        // 極光可見機率（OVATION 網格；無資料時為 null）
+        const kpValue = kp ? kp.kp : null;
+        const auroraChances = auroraLocationChances(ovationGrid);
+
+        // 計算警報等級；警報文字以訊息鍵值記錄，API 依請求語言產生
+        let alertLevel = 'normal';
+        const alertNotices = [];
+
+        if (kpValue >= 7) {
+            alertLevel = 'severe';
+            alertNotices.push({ key: 'report.alert.strongStorm', params: { level: kp.gLevel } });
+        } else if (kpValue >= 5) {
+            alertLevel = 'warning';
+            alertNotices.push({ key: 'report.alert.storm', params: { level: kp.gLevel } });
+        }
+
+        if (xray?.flareClass === 'X') {
+            alertLevel = 'severe';
+            alertNotices.push({ key: 'report.alert.xFlare', params: { flare: xray.fullClass } });
+        } else if (xray?.flareClass === 'M') {
+            if (alertLevel === 'normal') alertLevel = 'warning';
+            alertNotices.push({ key: 'report.alert.mFlare', params: { flare: xray.fullClass } });
+        }
+
+        if (proton?.sLevel && proton.sLevel !== 'S0') {
+            if (proton.sLevel >= 'S3') alertLevel = 'severe';
+            else if (alertLevel === 'normal') alertLevel = 'warning';
+            alertNotices.push({ key: 'report.alert.radiation', params: { level: proton.sLevel } });
+        }
+
+        // 取得失敗的項目為 null 並列於 unavailable，不以預設值代替
+        const readings = { solarWind, magneticField: magField, kp, xray, proton, electron };
+        const unavailable = SPACE_WEATHER_READINGS.filter(key => !readings[key]);
+
+        const result = {
+            success: true,
+            timestamp: new Date().toISOString(),
+            alertLevel,
+            alertNotices,
+            alertMessages: formatAlertMessages(alertNotices),
+            ...readings,
+            unavailable,
+            cme: cme || [],
+            flares: nasaFlares || [],
+            iss: iss,
+            aurora: auroraChances,
+            auroraModel: ovationGrid ? {
+                source: 'NOAA OVATION',
+                observationTime: ovationGrid.observationTime,
+                forecastTime: ovationGrid.forecastTime
+            } : null
+        };
+
+        cachedSpaceWeather = result;
+        cacheTime = now;
+
+        return result;
+    } catch (error) {
+        console.error('綜合數據錯誤:', error.message);
+        return {
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 今晚觀測規劃
+// ═══════════════════════════════════════════════════════════════════════════
+const TONIGHT_TARGET_LIMIT = 6;
+
+// 組合雲量、活躍流星雨與即時 Kp，交給 lib/tonight.js 規劃
+async function getTonightPlan(lat, lon, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    const [weather, spaceWeather] = await Promise.all([fetchWeather(lat, lon), getSpaceWeather()]);
+    const active = getMeteorShowers({ lat, lon }, timeZone).active;
+
+    return tonight.planTonight({
+        lat,
+        lon,
+        timeZone,
+        cloudCover: weather ? weather.cloudCover : null,
+        meteorShower: active,
+        // Kp 無法取得時為 null
+        kp: spaceWeather.kp ? spaceWeather.kp.kp : null
+    });
+}
+
+// 觀測目標名稱：行星、深空天體、流星雨依鍵值翻譯，月亮與極光附上月相 / Kp
+function tonightTargetName(target, plan, t) {
+    switch (target.type) {
+        case 'planet': return t(`planet.${target.key}`);
+        case 'deepSky': return t(`deepSky.${target.key}`);
+        case 'meteor': return t(`meteor.shower.${target.key}`);
+        case 'moon': return t('tonight.moonTarget', { phase: t(`moon.phase.${plan.moon.phaseKey}`) });
+        case 'aurora': return t('tonight.auroraTarget', { kp: target.kp });
+        default: return target.name;
+    }
+}
+
+// API 回應：目標名稱、方位、觀測條件與月相依請求語言
+function localizeTonightPlan(plan, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    return {
+        ...plan,
+        conditions: {
+            ...plan.conditions,
+            label: plan.night.polar === 'day' ? t('tonight.noNight') : scoreLabel(plan.conditions.score, t)
+        },
+        moon: plan.moon ? { ...plan.moon, phase: t(`moon.phase.${plan.moon.phaseKey}`) } : plan.moon,
+        targets: plan.targets.map(target => ({
+            ...target,
+            name: tonightTargetName(target, plan, t),
+            direction: target.hemisphere ? t(`aurora.hemisphere.${target.hemisphere}`) : localizeDirection(target.direction, t)
+        }))
+    };
+}
+
+function formatTonightMessage(plan, placeName, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const fmt = iso => iso
+        ? new Date(iso).toLocaleTimeString(t.locale, { timeZone: plan.location.timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        : '--:--';
+
+    let msg = `${t('tonight.title')}
+━━━━━━━━━━━━━━━━
+
+📍 ${placeName}
+📅 ${plan.date}
+`;
+
+    if (plan.night.polar === 'day') {
+        return msg + `\n${t('tonight.polarDay')}`;
+    }
+
+    const cloud = plan.weather.cloudCover === null ? '--' : `${plan.weather.cloudCover}%`;
+    msg += `
+${t('tonight.sunsetSunrise', { sunset: fmt(plan.night.sunset), sunrise: fmt(plan.night.sunrise) })}
+${t('tonight.darkness', { start: fmt(plan.night.astronomicalDusk), end: fmt(plan.night.astronomicalDawn) })}
+${plan.moon ? t('tonight.moon', { icon: plan.moon.icon, phase: t(`moon.phase.${plan.moon.phaseKey}`), value: plan.moon.illumination.toFixed(0) }) : ''}
+${t('tonight.cloud', { value: cloud })}
+${t('tonight.conditions', { label: scoreLabel(plan.conditions.score, t), score: plan.conditions.score })}
+`;
+
+    if (plan.targets.length === 0) {
+        msg += `\n${t('tonight.noTargets')}\n`;
+    } else {
+        msg += `\n${t('tonight.targets')}\n`;
+        plan.targets.slice(0, TONIGHT_TARGET_LIMIT).forEach((target, i) => {
+            const where = target.peakAltitude !== null
+                ? t('tonight.where', { direction: localizeDirection(target.direction, t), altitude: target.peakAltitude })
+                : target.hemisphere ? t('tonight.whereAurora', { direction: t(`aurora.hemisphere.${target.hemisphere}`) }) : '';
+            msg += `\n${t('tonight.target', { index: i + 1, icon: target.icon, name: tonightTargetName(target, plan, t), score: target.score })}\n`;
+            msg += `${t('tonight.window', { start: fmt(target.start), end: fmt(target.end) })}\n`;
+            msg += `${t('tonight.peak', { time: fmt(target.peakTime), where })}\n`;
+        });
+    }
+
+    msg += `
+━━━━━━━━━━━━━━━━
+${t('tonight.hint')}`;
+
+    return msg;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 觀星預報（Open-Meteo 逐時預報 × 曙暮光 × 月光）
+// ═══════════════════════════════════════════════════════════════════════════
+const observingCache = new Map();
+const OBSERVING_CACHE_DURATION = 30 * 60 * 1000; // Open-Meteo 約每小時更新
+const OBSERVING_CACHE_LIMIT = 200;
+
+// 逐時雲量分層、濕度、風速與能見度（依座標快取，約 1 km 內共用）
+async function fetchHourlyForecast(lat, lon) {
+    const key = `${lat.toFixed(2)},${lon.toFixed(2)}`;
+    const cached = observingCache.get(key);
+    if (cached && Date.now() - cached.time < OBSERVING_CACHE_DURATION) return cached.hourly;
+
+    try {
+        const res = await fetch(
+            `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&hourly=${observing.HOURLY_VARIABLES.join(',')}&forecast_days=4&wind_speed_unit=ms&timeformat=unixtime&timezone=GMT`
+        );
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const hourly = observing.parseHourlyForecast(await res.json());
+        if (!hourly) throw new Error('逐時預報格式錯誤');
+
+        if (observingCache.size >= OBSERVING_CACHE_LIMIT) {
+            observingCache.delete(observingCache.keys().next().value);
+        }
+        observingCache.set(key, { hourly, time: Date.now() });
+        return hourly;
+    } catch (e) {
+        console.error('逐時預報錯誤:', e.message);
+        return null;
+    }
+}
+
+// 未來 72 小時觀星預報；無法取得天氣預報時回傳 null
+async function getObservingForecast(lat, lon, timeZone = timezone.DEFAULT_TIME_ZONE) {
+    const hourly = await fetchHourlyForecast(lat, lon);
+    if (!hourly) return null;
+    return observing.forecastObserving({ lat, lon, timeZone, hourly });
+}
+
+function observingScoreIcon(score) {
+    return score >= 70 ? '🟢' : score >= 45 ? '🟡' : score >= 25 ? '🟠' : '🔴';
+}
+
+function formatObservingForecastMessage(forecast, placeName, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const { timeZone } = forecast.location;
+    const fmtHour = iso => new Date(iso).toLocaleTimeString(t.locale, { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    const fmtDate = ymd => new Date(`${ymd}T12:00:00Z`).toLocaleDateString(t.locale, { timeZone: 'UTC', month: 'numeric', day: 'numeric', weekday: 'short' });
+
+    let msg = `${t('observing.title')}
+━━━━━━━━━━━━━━━━
+
+📍 ${placeName}
+`;
+
+    for (const night of forecast.nights) {
+        msg += `\n${t('observing.night', { date: fmtDate(night.date) })}\n`;
+        if (night.polar === 'day') {
+            msg += `${t('observing.polarDay')}\n`;
+            continue;
+        }
+        if (night.darkHours === 0) {
+            msg += `${t('observing.outOfRange')}\n`;
+            continue;
+        }
+
+        msg += `${t('observing.average', { icon: observingScoreIcon(night.averageScore), score: night.averageScore, label: scoreLabel(night.averageScore, t) })}\n`;
+        const best = forecast.hours.find(h => h.time === night.best.time);
+        msg += `${t('observing.best', { time: fmtHour(best.time), score: best.score })}\n`;
+        msg += `${t('observing.clouds', { low: best.cloudLow ?? '--', mid: best.cloudMid ?? '--', high: best.cloudHigh ?? '--' })}\n`;
+        msg += `${t('observing.humidity', { humidity: best.humidity ?? '--', seeing: seeingLabel(best.seeing.value, t) })}\n`;
+        if (best.moonAltitude > 0) msg += `${t('observing.moonUp', { value: best.moonIllumination })}\n`;
+
+        // 暗夜時段每 2 小時一格
+        const hours = forecast.hours.filter(h =>
+            Date.parse(h.time) >= Date.parse(night.sunset) &&
+            Date.parse(h.time) <= Date.parse(night.sunrise) &&
+            h.sunAltitude <= sun.SUN_ALTITUDES.nautical
+        ).filter((h, i) => i % 2 === 0);
+        msg += `🕐 ${hours.map(h => `${t('observing.hour', { hour: fmtHour(h.time).slice(0, 2) })}${observingScoreIcon(h.score)}${h.score}`).join(' ')}\n`;
+    }
+
+    msg += `
+━━━━━━━━━━━━━━━━
+${t('observing.legend')}
+${t('observing.hint')}`;
+
+    return msg;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LINE 訊息格式化
+// ═══════════════════════════════════════════════════════════════════════════
+function formatSpaceWeatherMessage(data, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const now = new Date().toLocaleString(t.locale, { timeZone: 'Asia/Taipei' });
+    
+    const kp = data.kp?.kp;
+    const kpStatus = !Number.isFinite(kp) ? t('reading.unavailable')
+        : t(kp <= 2 ? 'kp.quiet' : kp <= 4 ? 'kp.active' : kp <= 6 ? 'kp.storm' : 'kp.severe');
+    const chance = key => t('aurora.chance', { name: t(`aurora.short.${key}`), chance: formatChance(data.aurora?.[key]) });
+
+    let message = `${t('report.title')}
+━━━━━━━━━━━━━━━━
+
+${t('report.aurora')}
+${t('report.kp', { emoji: kpEmoji(kp), kp: formatReading(kp, v => v.toFixed(1)), status: kpStatus })}
+${t('report.gLevel', { level: data.kp?.gLevel || '--' })}
+
+${t('report.chances')}
+🇮🇸 ${chance('iceland')}
+🇳🇴 ${chance('norway')}
+🇫🇮 ${chance('finland')}
+🇯🇵 ${chance('hokkaido')}
+
+━━━━━━━━━━━━━━━━
+
+${t('report.solar')}
+${t('report.flare', { value: data.xray?.fullClass || '--' })}
+${t('report.solarWind', { value: formatReading(data.solarWind?.speed, Math.round) })}
+${t('report.bz', { value: formatReading(data.magneticField?.bz, v => v.toFixed(1)) })}
+${t('report.radiation', { value: data.proton?.sLevel || '--' })}
+
+━━━━━━━━━━━━━━━━
+
+${t('report.iss')}
+📍 ${data.iss?.region ? t(`iss.region.${data.iss.region}`) : t('report.issComputing')}
+🌐 ${data.iss?.lat?.toFixed(2) || '--'}°, ${data.iss?.lon?.toFixed(2) || '--'}°
+${t('report.altitude', { value: formatReading(data.iss?.altitude, Math.round) })}
+
+━━━━━━━━━━━━━━━━
+
+${t('report.updated', { time: now })}
+
+${t('report.hint')}`;
+
+    return message;
+}
+
+// personal：使用者所在地 { place, lat, lon, probability }（可省略）
+function formatAuroraMessage(data, personal = null, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const kp = data.kp?.kp;
+
+    const locationLines = AURORA_LOCATIONS
+        .map(loc => `${loc.flag} ${t('aurora.chance', { name: t(`aurora.location.${loc.key}`), chance: formatChance(data.aurora?.[loc.key]) })}`)
+        .join('\n');
+
+    let personalSection = '';
+    if (personal) {
+        const visibility = Number.isFinite(kp) ? aurora.estimateVisibility(kp, personal.lat, personal.lon) : null;
+        personalSection = `
+${t('aurora.yourLocation', { place: personal.place || `${personal.lat.toFixed(2)}°, ${personal.lon.toFixed(2)}°` })}
+${t('aurora.yourChance', { visible: formatChance(personal.probability?.visible), overhead: formatChance(personal.probability?.overhead) })}
+👀 ${visibility ? auroraVisibilityLabel(visibility, t) : t('reading.unavailable')}
+
+━━━━━━━━━━━━━━━━
+`;
+    }
+
+    const modelNote = data.auroraModel
+        ? t('aurora.model', { time: new Date(data.auroraModel.forecastTime).toLocaleString(t.locale, { timeZone: 'Asia/Taipei' }) })
+        : t('aurora.modelUnavailable');
+
+    return `${t('aurora.title')}
+━━━━━━━━━━━━━━━━
+
+${t('aurora.kp', { emoji: kpEmoji(kp), kp: formatReading(kp, v => v.toFixed(1)) })}
+${t('aurora.gLevel', { level: data.kp?.gLevel || '--' })}
+
+━━━━━━━━━━━━━━━━
+${personalSection}
+${t('aurora.chances')}
+
+${locationLines}
+
+${modelNote}
+
+━━━━━━━━━━━━━━━━
+
+${t('aurora.kpGuide')}
+
+${t('aurora.hint')}`;
+}
+
+function formatAuroraAlertMessage(data, threshold, profile, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+
+    let msg = `${t('aurora.alert.title')}
+
+${t('aurora.alert.kp', { kp: data.kp.kp.toFixed(1) })}
+${t('aurora.alert.gLevel', { level: data.kp.gLevel })}
+${t('aurora.alert.threshold', { kp: threshold.kp, source: t(`aurora.alert.source.${threshold.source}`) })}
+`;
+
+    if (profile && Number.isFinite(profile.lat) && Number.isFinite(profile.lon)) {
+        const visibility = aurora.estimateVisibility(data.kp.kp, profile.lat, profile.lon);
+        msg += `
+📍 ${profile.place || `${profile.lat.toFixed(2)}°, ${profile.lon.toFixed(2)}°`}
+${t('aurora.alert.geomagLat', { value: visibility.geomagLat.toFixed(1) })}
+${t('aurora.alert.visibility', { label: auroraVisibilityLabel(visibility, t) })}
+`;
+    } else {
+        msg += `
+${t('aurora.alert.shareLocation')}
+`;
+    }
+
+    msg += `
+━━━━━━━━━━━━━━━━
+
+${t('aurora.alert.tips', { direction: t(`aurora.alert.towards.${profile && profile.lat < 0 ? 'south' : 'north'}`) })}`;
+
+    return msg;
+}
+
+function formatSolarWindMessage(data, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const wind = data.solarWind || {};
+    const field = data.magneticField || {};
+
+    const speedStatus = !Number.isFinite(wind.speed) ? null :
+                        wind.speed < 400 ? 'normal' :
+                        wind.speed < 500 ? 'elevated' :
+                        wind.speed < 600 ? 'high' : 'extreme';
+
+    const bzStatus = !Number.isFinite(field.bz) ? null :
+                     field.bz > 0 ? 'north' :
+                     field.bz > -5 ? 'south' : 'strongSouth';
+
+    return t('solar.message', {
+        speed: formatReading(wind.speed, Math.round),
+        speedStatus: speedStatus ? t(`solar.speed.${speedStatus}`) : t('reading.unavailable'),
+        density: formatReading(wind.density, v => v.toFixed(1)),
+        temperature: formatReading(wind.temperature, v => (v / 1000).toFixed(0)),
+        bz: formatReading(field.bz, v => v.toFixed(1)),
+        bzStatus: bzStatus ? t(`solar.bz.${bzStatus}`) : t('reading.unavailable'),
+        bt: formatReading(field.bt, v => v.toFixed(1)),
+        flare: data.xray?.fullClass || '--',
+        xrayFlux: formatReading(data.xray?.flux, v => v.toExponential(2)),
+        protonFlux: formatReading(data.proton?.flux, v => v.toFixed(1)),
+        sLevel: data.proton?.sLevel || '--'
+    });
+}
+
+function formatISSMessage(data, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    if (!data.iss) {
+        return t('iss.unavailable');
+    }
+
+    return t('iss.message', {
+        location: t(`iss.region.${data.iss.region}`),
+        lat: data.iss.lat.toFixed(4),
+        lon: data.iss.lon.toFixed(4),
+        altitude: Math.round(data.iss.altitude),
+        velocity: Math.round(data.iss.velocity).toLocaleString()
+    });
+}
+
+// 訂閱選單的項目：configurable 表示訂閱前先以 Quick Reply 選擇門檻或時間
+const SUBSCRIPTION_MENU_ITEMS = [
+    { type: 'daily', configurable: true },
+    { type: 'aurora', configurable: true },
+    { type: 'flare' },
+    { type: 'cme' },
+    { type: 'radiation', configurable: true },
+    { type: 'iss', configurable: true },
+    { type: 'meteor' },
+    { type: 'launch', configurable: true }
+];
+
+// Postback 動作；data 以 query string 編碼（action=subscribe&type=aurora&kp=4）
+function postbackAction(label, data, displayText = label) {
+    return {
+        type: 'postback',
+        label: label.slice(0, 20),
+        data: new URLSearchParams(data).toString(),
+        displayText
+    };
+}
+
+// 附上 Quick Reply 按鈕（LINE 上限 13 個）
+function withQuickReply(message, actions) {
+    const msg = typeof message === 'string' ? { type: 'text', text: message } : message;
+    if (!actions || actions.length === 0) return msg;
+    return { ...msg, quickReply: { items: actions.slice(0, 13).map(action => ({ type: 'action', action })) } };
+}
+
+/**
+ * 訂閱選單
+ * @param {string} lang
+ * @param {Array} subscriptions 用戶目前的訂閱（getSubscriptions），已訂閱的項目顯示「取消」
+ */
+function formatSubscriptionMenu(lang = i18n.DEFAULT_LANGUAGE, subscriptions = []) {
+    const t = i18n.translator(lang);
+    const active = new Set(subscriptions.map(sub => sub.type));
+
+    const rows = SUBSCRIPTION_MENU_ITEMS.map(item => {
+        const subscribed = active.has(item.type);
+        // 每日報告可設定多個時間，一律開啟時間選項；其他類型切換訂閱狀態
+        const button = item.type === 'daily'
+            ? postbackAction(t('subMenu.settings'), { action: 'options', type: 'daily' })
+            : postbackAction(subscribed ? t('subMenu.unsubscribe') : t('subMenu.subscribe'), { action: 'toggle', type: item.type });
+        return {
+            type: 'box',
+            layout: 'horizontal',
+            contents: [
+                { type: 'text', text: `${subscribed ? '✅ ' : ''}${t(`subMenu.${item.type}`)}`, flex: 5, size: 'md', wrap: true },
+                {
+                    type: 'button',
+                    action: button,
+                    style: subscribed && item.type !== 'daily' ? 'secondary' : 'primary',
+                    height: 'sm',
+                    flex: 2
+                }
+            ],
+            margin: 'lg',
+            alignItems: 'center'
+        };
+    });
+
+    return {
+        type: 'flex',
+        altText: t('subMenu.altText'),
+        contents: {
+            type: 'bubble',
             size: 'mega',
             header: {
                 type: 'box',
@@ -1022,7 +2694,7 @@ function formatSubscriptionMenu() {
                 contents: [
                     {
                         type: 'text',
-                        text: '🔔 訂閱設定',
+                        text: t('subMenu.title'),
                         weight: 'bold',
                         size: 'xl',
                         color: '#ffffff'
@@ -1037,98 +2709,23 @@ function formatSubscriptionMenu() {
                 contents: [
                     {
                         type: 'text',
-                        text: '選擇要訂閱的通知類型：',
+                        text: t('subMenu.prompt'),
                         size: 'sm',
                         color: '#666666',
                         margin: 'md'
                     },
                     { type: 'separator', margin: 'lg' },
-                    // 定時報告
-                    {
-                        type: 'box',
-                        layout: 'horizontal',
-                        contents: [
-                            { type: 'text', text: '📅 每日報告', flex: 4, size: 'md' },
-                            {
-                                type: 'button',
-                                action: { type: 'message', label: '08:00', text: '訂閱每日報告 08:00' },
-                                style: 'primary',
-                                height: 'sm',
-                                flex: 2
-                            },
-                            {
-                                type: 'button',
-                                action: { type: 'message', label: '20:00', text: '訂閱每日報告 20:00' },
-                                style: 'primary',
-                                height: 'sm',
-                                flex: 2,
-                                margin: 'sm'
-                            }
-                        ],
-                        margin: 'lg',
-                        alignItems: 'center'
-                    },
-                    // 極光警報
-                    {
-                        type: 'box',
-                        layout: 'horizontal',
-                        contents: [
-                            { type: 'text', text: '🌌 極光警報 (Kp≥5)', flex: 5, size: 'md' },
-                            {
-                                type: 'button',
-                                action: { type: 'message', label: '訂閱', text: '訂閱極光警報' },
-                                style: 'secondary',
-                                height: 'sm',
-                                flex: 2
-                            }
-                        ],
-                        margin: 'lg',
-                        alignItems: 'center'
-                    },
-                    // 閃焰警報
-                    {
-                        type: 'box',
-                        layout: 'horizontal',
-                        contents: [
-                            { type: 'text', text: '🔥 X級閃焰警報', flex: 5, size: 'md' },
-                            {
-                                type: 'button',
-                                action: { type: 'message', label: '訂閱', text: '訂閱閃焰警報' },
-                                style: 'secondary',
-                                height: 'sm',
-                                flex: 2
-                            }
-                        ],
-                        margin: 'lg',
-                        alignItems: 'center'
-                    },
-                    // CME 警報
-                    {
-                        type: 'box',
-                        layout: 'horizontal',
-                        contents: [
-                            { type: 'text', text: '🌋 CME 地球方向警報', flex: 5, size: 'md' },
-                            {
-                                type: 'button',
-                                action: { type: 'message', label: '訂閱', text: '訂閱CME警報' },
-                                style: 'secondary',
-                                height: 'sm',
-                                flex: 2
-                            }
-                        ],
-                        margin: 'lg',
-                        alignItems: 'center'
-                    },
+                    ...rows,
                     { type: 'separator', margin: 'xl' },
                     {
                         type: 'button',
-                        action: { type: 'message', label: '📋 查看我的訂閱', text: '我的訂閱' },
+                        action: postbackAction(t('subMenu.mine'), { action: 'mine' }),
                         style: 'link',
                         margin: 'lg'
                     },
                     {
                         type: 'button',
-                        action: { type: 'message', label: '❌ 取消所有訂閱', text: '取消所有訂閱' },
+                        action: postbackAction(t('subMenu.cancelAll'), { action: 'unsubscribe', type: 'all' }),
                         style: 'link',
                         color: '#ff6b6b'
                     }
@@ -1139,10 +2736,64 @@ function formatSubscriptionMenu() {
     };
 }
 
-function formatMainMenu() {
+// 可設定項目的 Quick Reply 選項（門檻、時間、發射商）
+async function formatSubscriptionOptions(type, subscriptions, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const subscribe = (label, extra = {}) => postbackAction(label, { action: 'subscribe', type, ...extra });
+    const current = subscriptions.filter(sub => sub.type === type);
+    const actions = [];
+    let text = t(`options.${type}`);
+
+    switch (type) {
+        case 'daily': {
+            for (const time of DAILY_REPORT_QUICK_TIMES) actions.push(subscribe(time, { time }));
+            actions.push({
+                type: 'datetimepicker',
+                label: t('options.daily.pick'),
+                data: new URLSearchParams({ action: 'dailyTime' }).toString(),
+                mode: 'time',
+                initial: '08:00'
+            });
+            if (current.length > 0) {
+                text += t('options.daily.current', { times: current.map(sub => sub.pushTime).join(t('schedule.separator')) });
+                for (const sub of current) {
+                    actions.push(postbackAction(`❌ ${sub.pushTime}`, { action: 'unsubscribe', type, time: sub.pushTime }));
+                }
+            }
+            return withQuickReply(text, actions);
+        }
+        case 'aurora':
+            actions.push(subscribe(t('options.aurora.location')));
+            for (const kp of [3, 4, 5, 6, 7]) actions.push(subscribe(`Kp ${kp}`, { kp }));
+            break;
+        case 'radiation':
+            for (const level of ['S1', 'S2', 'S3', 'S4', 'S5']) actions.push(subscribe(level, { level }));
+            break;
+        case 'iss':
+            for (const elevation of [10, 20, 30, 40, 60]) actions.push(subscribe(`${elevation}°`, { elevation }));
+            break;
+        case 'launch': {
+            actions.push(subscribe(t('options.launch.all')));
+            // 近期排程中的發射商
+            const providers = [...new Set((await getUpcomingLaunches()).map(l => l.provider).filter(Boolean))];
+            for (const provider of providers.slice(0, 8)) actions.push(subscribe(provider, { provider }));
+            break;
+        }
+        default:
+            actions.push(subscribe(t('subMenu.subscribe')));
+    }
+
+    if (current.length > 0) {
+        actions.push(postbackAction(t('options.unsubscribe'), { action: 'unsubscribe', type }));
+    }
+    return withQuickReply(text, actions);
+}
+
+function formatMainMenu(lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
     return {
         type: 'flex',
-        altText: '太空氣象指揮中心',
+        altText: t('menu.altText'),
         contents: {
             type: 'bubble',
             size: 'mega',
@@ -1159,7 +2810,7 @@ function formatMainMenu() {
                     },
                     {
                         type: 'text',
-                        text: '太空氣象指揮中心',
+                        text: t('menu.subtitle'),
                         size: 'sm',
                         color: '#aaaaaa',
                         margin: 'sm'
@@ -1179,14 +2830,14 @@ function formatMainMenu() {
                         contents: [
                             {
                                 type: 'button',
-                                action: { type: 'message', label: '🌌 極光', text: '極光' },
+                                action: { type: 'message', label: t('menu.aurora'), text: '極光' },
                                 style: 'primary',
                                 height: 'sm',
                                 flex: 1
                             },
                             {
                                 type: 'button',
-                                action: { type: 'message', label: '☀️ 太陽風', text: '太陽風' },
+                                action: { type: 'message', label: t('menu.solar'), text: '太陽風' },
                                 style: 'primary',
                                 height: 'sm',
                                 flex: 1,
@@ -1194,7 +2845,7 @@ function formatMainMenu() {
                             },
                             {
                                 type: 'button',
-                                action: { type: 'message', label: '🚀 ISS', text: 'ISS' },
+                                action: { type: 'message', label: t('menu.iss'), text: 'ISS' },
                                 style: 'primary',
                                 height: 'sm',
                                 flex: 1,
@@ -1210,14 +2861,14 @@ function formatMainMenu() {
                         contents: [
                             {
                                 type: 'button',
-                                action: { type: 'message', label: '📊 完整報告', text: '太空氣象' },
+                                action: { type: 'message', label: t('menu.report'), text: '太空氣象' },
                                 style: 'secondary',
                                 height: 'sm',
                                 flex: 1
                             },
                             {
                                 type: 'button',
-                                action: { type: 'message', label: '🔔 訂閱', text: '訂閱' },
+                                action: { type: 'message', label: t('menu.subscribe'), text: '訂閱' },
                                 style: 'secondary',
                                 height: 'sm',
                                 flex: 1,
@@ -1233,14 +2884,14 @@ function formatMainMenu() {
                         contents: [
                             {
                                 type: 'button',
-                                action: { type: 'message', label: '🛸 發射', text: 'spacex' },
+                                action: { type: 'message', label: t('menu.launch'), text: 'spacex' },
                                 style: 'secondary',
                                 height: 'sm',
                                 flex: 1
                             },
                             {
                                 type: 'button',
-                                action: { type: 'message', label: '🌙 月相', text: '月相' },
+                                action: { type: 'message', label: t('menu.moon'), text: '月相' },
                                 style: 'secondary',
                                 height: 'sm',
                                 flex: 1,
@@ -1248,7 +2899,7 @@ function formatMainMenu() {
                             },
                             {
                                 type: 'button',
-                                action: { type: 'message', label: '☄️ 流星', text: '流星雨' },
+                                action: { type: 'message', label: t('menu.meteor'), text: '流星雨' },
                                 style: 'secondary',
                                 height: 'sm',
                                 flex: 1,
@@ -1265,39 +2916,18 @@ function formatMainMenu() {
                         contents: [
                             {
                                 type: 'text',
-                                text: '💡 快速指令',
+                                text: t('menu.quick'),
                                 size: 'sm',
                                 color: '#888888',
                                 margin: 'md'
                             },
-                            {
-                                type: 'text',
-                                text: '• 極光 / 太陽風 / ISS / CME',
-                                size: 'xs',
-                                color: '#aaaaaa',
-                                margin: 'sm'
-                            },
-                            {
-                                type: 'text',
-                                text: '• 天氣 台北 / 天氣 東京',
-                                size: 'xs',
-                                color: '#aaaaaa',
-                                margin: 'sm'
-                            },
-                            {
+                            ...t('menu.quickCommands').map(line => ({
                                 type: 'text',
-                                text: '• 發射 / 月相 / 流星雨',
+                                text: line,
                                 size: 'xs',
                                 color: '#aaaaaa',
                                 margin: 'sm'
-                            },
-                            {
-                                type: 'text',
-                                text: '• 訂閱 / 取消訂閱',
-                                size: 'xs',
-                                color: '#aaaaaa',
-                                margin: 'sm'
-                            }
+                            }))
                         ]
                     }
                 ],
@@ -1305,122 +2935,470 @@ function formatMainMenu() {
                 backgroundColor: '#1a1a2e'
             }
         }
-    };
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 訂閱管理
+// ═══════════════════════════════════════════════════════════════════════════
+// 訂閱的個別參數（如輻射警報門檻）以 JSON 存放於「設定」欄
+function parseSubscriptionSettings(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return {};
+    }
+}
+
+// 每日報告可設定多個時間，以「類型 + 推播時間」識別；其他類型每位用戶各一筆
+function isSameSubscription(row, userId, type, pushTime) {
+    return row['用戶ID'] === userId && row['類型'] === type && (type !== 'daily' || row['推播時間'] === pushTime);
+}
+
+async function addSubscription(userId, type, name, pushTime = null, settings = null) {
+    if (!store) {
+        console.log('⚠️ 資料儲存未就緒，訂閱不會保存');
+        return { success: true, code: 'unsaved', message: '訂閱成功（未保存）' };
+    }
+
+    try {
+        // 已訂閱則更新現有訂閱
+        const patch = {
+            '名稱': name,
+            '推播時間': pushTime || '',
+            '狀態': '啟用'
+        };
+        if (settings) patch['設定'] = JSON.stringify(settings);
+
+        const updated = await store.update('LINE訂閱',
+            row => isSameSubscription(row, userId, type, pushTime) && row['狀態'] === '啟用',
+            patch
+        );
+        if (updated > 0) {
+            return { success: true, code: 'updated', message: '訂閱已更新' };
+        }
+
+        // 重新啟用已取消的訂閱：如同新訂閱，訂閱時間重設為現在（不補發停用前排定的推播），設定不沿用
+        const reactivated = await store.update('LINE訂閱',
+            row => isSameSubscription(row, userId, type, pushTime),
+            { ...patch, '訂閱時間': new Date().toISOString(), '設定': settings ? JSON.stringify(settings) : '' }
+        );
+        if (reactivated > 0) {
+            return { success: true, code: 'created', message: '訂閱成功' };
+        }
+
+        // 新增訂閱
+        await store.insert('LINE訂閱', {
+            '用戶ID': userId,
+            '類型': type,
+            '名稱': name,
+            '訂閱時間': new Date().toISOString(),
+            '推播時間': pushTime || '',
+            '狀態': '啟用',
+            '上次推播': '',
+            '設定': settings ? JSON.stringify(settings) : ''
+        });
+
+        return { success: true, code: 'created', message: '訂閱成功' };
+    } catch (error) {
+        console.error('訂閱失敗:', error.message);
+        return { success: false, code: 'failed', message: '訂閱失敗' };
+    }
+}
+
+// pushTime 只取消該時間的每日報告
+async function removeSubscription(userId, type = null, pushTime = null) {
+    if (!store) return { success: true, count: 0 };
+
+    try {
+        const count = await store.update('LINE訂閱',
+            row => row['用戶ID'] === userId && row['狀態'] === '啟用' &&
+                (!type || row['類型'] === type) && (!pushTime || row['推播時間'] === pushTime),
+            { '狀態': '停用' }
+        );
+
+        return { success: true, count, message: type ? '已取消訂閱' : '已取消所有訂閱' };
+    } catch (error) {
+        return { success: false, message: '取消失敗' };
+    }
+}
+
+async function getSubscriptions(userId) {
+    if (!store) return [];
+
+    try {
+        const rows = await store.list('LINE訂閱');
+
+        return rows
+            .filter(row => row['用戶ID'] === userId && row['狀態'] === '啟用')
+            .map(row => ({
+                type: row['類型'],
+                name: row['名稱'],
+                pushTime: row['推播時間'],
+                subscribedAt: row['訂閱時間'],
+                settings: parseSubscriptionSettings(row['設定'])
+            }));
+    } catch (error) {
+        return [];
+    }
+}
+
+// unique: false 時每筆訂閱各回傳一次（同一用戶的多個每日報告時間）
+async function getSubscribersByType(type, { unique = true } = {}) {
+    if (!store) return [];
+
+    try {
+        const rows = await store.list('LINE訂閱');
+        // 附上各訂閱者的語言，推播時依語言格式化
+        const languages = new Map((await store.list('用戶設定'))
+            .map(row => [row['用戶ID'], i18n.normalizeLanguage(row['語言'])]));
+
+        return rows
+            .filter(row => {
+                // 'all' 類型返回所有啟用的訂閱者（去重）
+                if (type === 'all') {
+                    return row['狀態'] === '啟用';
+                }
+                return row['類型'] === type && row['狀態'] === '啟用';
+            })
+            .map(row => ({
+                userId: row['用戶ID'],
+                pushTime: row['推播時間'],
+                subscribedAt: row['訂閱時間'],
+                lastPushAt: row['上次推播'],
+                settings: parseSubscriptionSettings(row['設定']),
+                language: languages.get(row['用戶ID']) || i18n.DEFAULT_LANGUAGE
+            }))
+            // 去除重複的用戶 ID
+            .filter((user, index, self) => 
+                !unique || index === self.findIndex(u => u.userId === user.userId)
+            );
+    } catch (error) {
+        return [];
+    }
+}
+
+// 記錄訂閱最後一次推播時間（用於個別冷卻與每日報告補發）
+// 記錄「上次推播」：所有收件者一次更新；收件者帶 pushTime 時只更新該時段（同一用戶可有多個每日報告時段）
+async function markSubscriptionsPushed(type, recipients) {
+    if (!store || recipients.length === 0) return;
+
+    const keys = new Set(recipients.map(({ userId, pushTime }) => pushTime ? `${userId}|${pushTime}` : userId));
+    try {
+        await store.update('LINE訂閱',
+            row => row['類型'] === type && (keys.has(row['用戶ID']) || keys.has(`${row['用戶ID']}|${row['推播時間']}`)),
+            { '上次推播': new Date().toISOString() }
+        );
+    } catch (error) {
+        console.error('更新推播時間失敗:', error.message);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 用戶設定（所在地等個人資料）
+// ═══════════════════════════════════════════════════════════════════════════
+function toUserProfile(row) {
+    return {
+        userId: row['用戶ID'],
+        lat: row['緯度'] === '' ? null : parseFloat(row['緯度']),
+        lon: row['經度'] === '' ? null : parseFloat(row['經度']),
+        place: row['地點'],
+        language: i18n.normalizeLanguage(row['語言']),
+        timeZone: row['時區'] || null,
+        placeTimeZone: row['位置時區'] || null,
+        displayName: row['暱稱'] || null,
+        displayNameAt: row['暱稱更新時間'] || null,
+        updatedAt: row['更新時間']
+    };
+}
+
+async function getUserProfile(userId) {
+    if (!store) return null;
+
+    try {
+        const rows = await store.list('用戶設定');
+        const row = rows.find(r => r['用戶ID'] === userId);
+        return row ? toUserProfile(row) : null;
+    } catch (error) {
+        console.error('讀取用戶設定失敗:', error.message);
+        return null;
+    }
+}
+
+// 一次取得所有用戶設定（警報批次處理用，避免逐一讀取）
+async function getUserProfiles() {
+    if (!store) return new Map();
+
+    try {
+        const rows = await store.list('用戶設定');
+        return new Map(rows.map(row => [row['用戶ID'], toUserProfile(row)]));
+    } catch (error) {
+        return new Map();
+    }
+}
+
+async function saveUserLocation(userId, lat, lon, place) {
+    if (!store) return false;
+
+    try {
+        const patch = {
+            '緯度': lat.toFixed(4),
+            '經度': lon.toFixed(4),
+            '地點': place || '',
+            // 所在地的時區（查詢失敗時留空，之後依座標重新查詢）
+            '位置時區': await lookupTimeZone(lat, lon) || '',
+            '更新時間': new Date().toISOString()
+        };
+        const updated = await store.update('用戶設定', row => row['用戶ID'] === userId, patch);
+        if (updated === 0) {
+            await store.insert('用戶設定', { '用戶ID': userId, ...patch });
+        }
+        return true;
+    } catch (error) {
+        console.error('儲存位置失敗:', error.message);
+        return false;
+    }
+}
+
+// 用戶時區（每日報告依此時區推播）
+async function saveUserTimeZone(userId, timeZone) {
+    if (!store) return false;
+
+    try {
+        const updated = await store.update('用戶設定', row => row['用戶ID'] === userId, { '時區': timeZone });
+        if (updated === 0) {
+            await store.insert('用戶設定', {
+                '用戶ID': userId,
+                '緯度': '',
+                '經度': '',
+                '地點': '',
+                '更新時間': new Date().toISOString(),
+                '時區': timeZone
+            });
+        }
+        return true;
+    } catch (error) {
+        console.error('儲存時區失敗:', error.message);
+        return false;
+    }
+}
+
+function hasLocation(profile) {
+    return !!profile && Number.isFinite(profile.lat) && Number.isFinite(profile.lon);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// 訂閱管理
+// 用戶語言
 // ═══════════════════════════════════════════════════════════════════════════
-async function addSubscription(userId, type, name, pushTime = null) {
-    if (!doc) {
-        console.log('⚠️ Google Sheets 未連線，使用記憶體模式');
-        return { success: true, message: '訂閱成功（記憶體模式）' };
-    }
+// 每則訊息都需要語言，快取於記憶體避免重複讀取用戶設定
+const userLanguages = new Map();
 
-    try {
-        const sheet = doc.sheetsByTitle['LINE訂閱'];
-        const rows = await sheet.getRows();
-        
-        // 檢查是否已訂閱
-        const existing = rows.find(row => 
-            row.get('用戶ID') === userId && 
-            row.get('類型') === type
-        );
+async function saveUserLanguage(userId, lang) {
+    userLanguages.set(userId, lang);
+    if (!store) return false;
 
-        if (existing) {
-            // 更新現有訂閱
-            existing.set('推播時間', pushTime || '');
-            existing.set('狀態', '啟用');
-            await existing.save();
-            return { success: true, message: '訂閱已更新' };
+    try {
+        const updated = await store.update('用戶設定', row => row['用戶ID'] === userId, { '語言': lang });
+        if (updated === 0) {
+            await store.insert('用戶設定', {
+                '用戶ID': userId,
+                '緯度': '',
+                '經度': '',
+                '地點': '',
+                '更新時間': new Date().toISOString(),
+                '語言': lang
+            });
         }
+        return true;
+    } catch (error) {
+        console.error('儲存語言失敗:', error.message);
+        return false;
+    }
+}
 
-        // 新增訂閱
-        await sheet.addRow({
-            '用戶ID': userId,
-            '類型': type,
-            '名稱': name,
-            '訂閱時間': new Date().toISOString(),
-            '推播時間': pushTime || '',
-            '狀態': '啟用',
-            '上次推播': ''
-        });
+// 用戶語言：「language」指令設定 > LINE 個人檔案語言 > 繁體中文
+async function getUserLanguage(userId) {
+    if (userLanguages.has(userId)) return userLanguages.get(userId);
 
-        return { success: true, message: '訂閱成功' };
-    } catch (error) {
-        console.error('訂閱失敗:', error.message);
-        return { success: false, message: '訂閱失敗' };
+    const profile = await getUserProfile(userId);
+    if (profile?.language) {
+        userLanguages.set(userId, profile.language);
+        return profile.language;
     }
+
+    const lineProfile = await fetchLineProfile(userId);
+    if (lineProfile?.displayName) await saveUserDisplayName(userId, lineProfile.displayName);
+    const detected = i18n.normalizeLanguage(lineProfile?.language);
+    if (detected) {
+        await saveUserLanguage(userId, detected);
+        return detected;
+    }
+    userLanguages.set(userId, i18n.DEFAULT_LANGUAGE);
+    return i18n.DEFAULT_LANGUAGE;
 }
 
-async function removeSubscription(userId, type = null) {
-    if (!doc) return { success: true };
+// ═══════════════════════════════════════════════════════════════════════════
+// LINE 顯示名稱（管理介面用）
+// ═══════════════════════════════════════════════════════════════════════════
+// 顯示名稱快取於用戶設定，過期才重新查詢個人檔案；查詢失敗也記錄查詢時間，同樣等過期才重試
+const DISPLAY_NAME_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// 同時查詢個人檔案的數量（每次查詢最長 LINE_PROFILE_TIMEOUT_MS）
+const DISPLAY_NAME_CONCURRENCY = 10;
 
-    try {
-        const sheet = doc.sheetsByTitle['LINE訂閱'];
-        const rows = await sheet.getRows();
+async function saveUserDisplayName(userId, displayName) {
+    return saveUserDisplayNames(new Map([[userId, displayName]]));
+}
 
-        for (const row of rows) {
-            if (row.get('用戶ID') === userId) {
-                if (!type || row.get('類型') === type) {
-                    row.set('狀態', '停用');
-                    await row.save();
-                }
-            }
-        }
+// 一次寫入多位用戶的顯示名稱（userId → 名稱）：既有列一次更新，沒有設定的用戶一次新增
+async function saveUserDisplayNames(displayNames) {
+    if (!store || displayNames.size === 0) return false;
+
+    try {
+        const now = new Date().toISOString();
+        const patchOf = userId => ({ '暱稱': displayNames.get(userId), '暱稱更新時間': now });
+        const updated = new Set();
+        await store.update('用戶設定', row => displayNames.has(row['用戶ID']), row => {
+            updated.add(row['用戶ID']);
+            return patchOf(row['用戶ID']);
+        });
 
-        return { success: true, message: type ? '已取消訂閱' : '已取消所有訂閱' };
+        const missing = [...displayNames.keys()].filter(userId => !updated.has(userId));
+        await store.insertMany('用戶設定', missing.map(userId => ({
+            '用戶ID': userId,
+            '緯度': '',
+            '經度': '',
+            '地點': '',
+            '更新時間': now,
+            ...patchOf(userId)
+        })));
+        return true;
     } catch (error) {
-        return { success: false, message: '取消失敗' };
+        console.error('儲存顯示名稱失敗:', error.message);
+        return false;
     }
 }
 
-async function getSubscriptions(userId) {
-    if (!doc) return [];
+/**
+ * 多位用戶的顯示名稱（userId → 名稱）
+ * 快取有效直接使用；過期或沒有時查詢 LINE（同時最多 DISPLAY_NAME_CONCURRENCY 筆），
+ * 查詢失敗（已封鎖等）沿用舊名稱；查詢結果一次寫回
+ * @param {string[]} userIds
+ * @param {Map} profiles getUserProfiles() 的結果
+ */
+async function getDisplayNames(userIds, profiles) {
+    const names = new Map();
+    const stale = [];
+
+    for (const userId of new Set(userIds)) {
+        const profile = profiles.get(userId);
+        const cachedAt = Date.parse(profile?.displayNameAt);
+        const fresh = Date.now() - cachedAt < DISPLAY_NAME_TTL;
+        if (fresh || !LINE_CHANNEL_ACCESS_TOKEN) {
+            if (profile?.displayName) names.set(userId, profile.displayName);
+        } else {
+            stale.push(userId);
+        }
+    }
 
-    try {
-        const sheet = doc.sheetsByTitle['LINE訂閱'];
-        const rows = await sheet.getRows();
+    const refreshed = new Map();
+    await push.runWithConcurrency(stale, DISPLAY_NAME_CONCURRENCY, async userId => {
+        const lineProfile = await fetchLineProfile(userId);
+        const displayName = lineProfile?.displayName || profiles.get(userId)?.displayName || '';
+        refreshed.set(userId, displayName);
+        if (displayName) names.set(userId, displayName);
+    });
+    await saveUserDisplayNames(refreshed);
+    return names;
+}
 
-        return rows
-            .filter(row => row.get('用戶ID') === userId && row.get('狀態') === '啟用')
-            .map(row => ({
-                type: row.get('類型'),
-                name: row.get('名稱'),
-                pushTime: row.get('推播時間'),
-                subscribedAt: row.get('訂閱時間')
-            }));
-    } catch (error) {
-        return [];
+// lib 以中文方位（北北東等）表示方向，依語言換成對應的方位名稱
+function localizeDirection(direction, t) {
+    const index = horizon.COMPASS_POINTS.indexOf(direction);
+    return index >= 0 ? t('compass.points')[index] : direction;
+}
+
+// 觀測分數等級（與 lib/observing.js、lib/tonight.js 相同門檻）
+function scoreLabel(score, t) {
+    return t(score >= 70 ? 'score.excellent' : score >= 45 ? 'score.good' : score >= 25 ? 'score.fair' : 'score.poor');
+}
+
+function seeingLabel(value, t) {
+    return t(value >= 0.8 ? 'score.excellent' : value >= 0.6 ? 'score.good' : value >= 0.4 ? 'score.fair' : 'score.poor');
+}
+
+function auroraVisibilityLabel(visibility, t) {
+    return t(`aurora.visibility.${visibility.key}`, { direction: t(`aurora.hemisphere.${visibility.hemisphere}`) });
+}
+
+// 訂閱名稱（「我的訂閱」顯示用），依類型與參數組成
+function subscriptionName(type, settings, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    switch (type) {
+        case 'aurora':
+            return settings?.kp !== undefined && settings.kp !== null && settings.kp !== ''
+                ? t('subscription.name.aurora.kp', { kp: settings.kp })
+                : t('subscription.name.aurora.location');
+        case 'radiation':
+            return t('subscription.name.radiation', { level: settings?.minLevel || 'S1' });
+        case 'iss':
+            return t('subscription.name.iss', { elevation: issAlertElevation(settings) });
+        case 'launch':
+            return t('subscription.name.launch', { description: describeLaunchFilter(settings, lang) });
+        default:
+            return t(`subscription.name.${type}`);
     }
 }
 
-async function getSubscribersByType(type) {
-    if (!doc) return [];
+// 極光警報門檻下限；與地磁事件的 watch 門檻相同，低於此值的讀數不會開始事件
+const AURORA_MIN_KP = alerts.HAZARDS.geomagnetic.levels.watch;
+
+// 查詢地點：指定城市 > 已分享的位置 > 台北；查無此地時回傳 null
+// name 為回覆中顯示的地名（含所屬縣市或國家），timeZone 為該地的時區（日期與時刻依此計算）
+async function resolvePlace(userId, city, lang = i18n.DEFAULT_LANGUAGE) {
+    if (city) {
+        const found = await geocodePlace(city);
+        if (!found) return null;
+        const timeZone = found.timeZone || await lookupTimeZone(found.lat, found.lon) || timezone.DEFAULT_TIME_ZONE;
+        return { lat: found.lat, lon: found.lon, name: found.displayName, timeZone };
+    }
+    const profile = await getUserProfile(userId);
+    if (hasLocation(profile)) {
+        return {
+            lat: profile.lat,
+            lon: profile.lon,
+            name: profile.place || describeCoordinates(profile.lat, profile.lon),
+            timeZone: await profileTimeZone(profile)
+        };
+    }
+    return { lat: DEFAULT_PLACE.lat, lon: DEFAULT_PLACE.lon, name: i18n.t(lang, 'place.default'), timeZone: DEFAULT_PLACE.timeZone };
+}
 
-    try {
-        const sheet = doc.sheetsByTitle['LINE訂閱'];
-        const rows = await sheet.getRows();
+// 已分享位置的時區：分享時查得的時區 > 依座標查詢 > 用戶設定的時區 > 台北
+async function profileTimeZone(profile) {
+    return profile.placeTimeZone
+        || await lookupTimeZone(profile.lat, profile.lon)
+        || profile.timeZone
+        || timezone.DEFAULT_TIME_ZONE;
+}
 
-        return rows
-            .filter(row => {
-                // 'all' 類型返回所有啟用的訂閱者（去重）
-                if (type === 'all') {
-                    return row.get('狀態') === '啟用';
-                }
-                return row.get('類型') === type && row.get('狀態') === '啟用';
-            })
-            .map(row => ({
-                userId: row.get('用戶ID'),
-                pushTime: row.get('推播時間')
-            }))
-            // 去除重複的用戶 ID
-            .filter((user, index, self) => 
-                index === self.findIndex(u => u.userId === user.userId)
-            );
-    } catch (error) {
-        return [];
+function formatUnknownCity(city, lang = i18n.DEFAULT_LANGUAGE) {
+    return i18n.t(lang, 'place.unknown', { city });
+}
+
+// 訂閱者的極光警報門檻：自訂 Kp 優先，其次依所在地計算，預設 Kp 5
+function auroraThreshold(settings, profile) {
+    if (settings?.kp !== undefined && settings.kp !== null && settings.kp !== '') {
+        // 舊訂閱可能存有低於下限的門檻
+        return { kp: Math.max(AURORA_MIN_KP, parseFloat(settings.kp)), source: 'custom' };
+    }
+    if (hasLocation(profile)) {
+        // 極光帶內的地點幾乎天天可見，以 Kp 3 作為「活躍」門檻
+        const visibility = aurora.estimateVisibility(0, profile.lat, profile.lon);
+        return { kp: Math.max(AURORA_MIN_KP, visibility.requiredKp), source: 'location' };
     }
+    return { kp: 5, source: 'default' };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1450,6 +3428,12 @@ app.post('/webhook', async (req, res) => {
             if (event.type === 'message' && event.message.type === 'text') {
                 console.log(`💬 [LINE] 用戶訊息: "${event.message.text}"`);
                 await handleTextMessage(event);
+            } else if (event.type === 'message' && event.message.type === 'location') {
+                console.log('📍 [LINE] 用戶分享位置');
+                await handleLocationMessage(event);
+            } else if (event.type === 'postback') {
+                console.log(`🔘 [LINE] Postback: "${event.postback.data}"`);
+                await handlePostback(event);
             } else if (event.type === 'follow') {
                 console.log('👋 [LINE] 新用戶加入');
                 await handleFollow(event);
@@ -1465,343 +3449,964 @@ app.post('/webhook', async (req, res) => {
     res.status(200).send('OK');
 });
 
-async function handleTextMessage(event) {
-    const text = event.message.text.trim().toLowerCase();
-    const userId = event.source.userId;
-    const replyToken = event.replyToken;
+// ═══════════════════════════════════════════════════════════════════════════
+// 文字指令
+// ═══════════════════════════════════════════════════════════════════════════
+// 意圖 → 處理函式；指令解析（同義詞、錯字容錯、參數擷取）見 lib/commands.js
+// ctx: { userId, replyToken, lang, t, params, text }，text 為使用者原文
+const commandHandlers = {
+    // 🌐 語言：「language」查看目前語言，「language en」切換
+    async language({ userId, replyToken, lang, t, params }) {
+        if (!params.text) {
+            return await lineReply(replyToken, t('language.current', { name: i18n.LANGUAGES[lang].name }));
+        }
+        const selected = i18n.normalizeLanguage(params.text);
+        if (!selected) {
+            return await lineReply(replyToken, t('language.unsupported', { value: params.text }));
+        }
+        await saveUserLanguage(userId, selected);
+        return await lineReply(replyToken, i18n.t(selected, 'language.set'));
+    },
+
+    // 🕐 時區：「時區」查看，「時區 Asia/Tokyo」或「時區 東京」設定
+    async timeZone({ userId, replyToken, t, params }) {
+        const profile = await getUserProfile(userId);
+        if (!params.text) {
+            return await lineReply(replyToken, t('timeZone.current', { timeZone: profile?.timeZone || timezone.DEFAULT_TIME_ZONE }));
+        }
+
+        let timeZone = commands.parseTimeZone(params.text);
+        if (!timeZone || !timezone.isValidTimeZone(timeZone)) {
+            const found = await geocodePlace(params.text);
+            timeZone = found?.timeZone || null;
+        }
+        if (!timeZone || !timezone.isValidTimeZone(timeZone)) {
+            return await lineReply(replyToken, t('timeZone.invalid', { value: params.text }));
+        }
+
+        await saveUserTimeZone(userId, timeZone);
+        const time = new Date().toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hour12: false });
+        return await lineReply(replyToken, t('timeZone.set', { timeZone, time }));
+    },
 
-    // ═══════════════════════════════════════════════════════════════
-    // 快速回應指令（不需要載入太空氣象數據）
-    // ═══════════════════════════════════════════════════════════════
-    
     // 🛸 火箭發射
-    if (text === 'spacex' || text === '發射' || text === '火箭') {
-        const launches = getUpcomingLaunches();
-        const next = launches[0];
-        
-        const msg = `🛸 太空發射資訊
-━━━━━━━━━━━━━━━━
+    async launchNext({ replyToken, lang, t }) {
+        const schedule = await fetchLaunchSchedule();
+        const next = await getNextLaunch();
+        if (!next) return await lineReply(replyToken, t('launch.none'));
+        return await lineReply(replyToken, formatLaunchMessage(next, schedule.source, lang));
+    },
+
+    async launchList({ replyToken, lang }) {
+        const schedule = await fetchLaunchSchedule();
+        const launches = await getUpcomingLaunches();
+        return await lineReply(replyToken, formatLaunchListMessage(launches, schedule.source, lang));
+    },
+
+    // 🌅 黃金時刻
+    async sunTimes({ userId, replyToken, lang, params }) {
+        const place = await resolvePlace(userId, params.city, lang);
+        if (!place) return await lineReply(replyToken, formatUnknownCity(params.city, lang));
+
+        // 以當地日期計算（例如紐約的「今天」）
+        const ymd = timezone.zonedDateString(new Date(), place.timeZone);
+        return await lineReply(replyToken, formatSunTimesMessage(sun.sunTimes(ymd, place.lat, place.lon, place.timeZone), place.name, lang));
+    },
+
+    // 🔭 今晚能看什麼
+    async tonight({ userId, replyToken, lang, params }) {
+        const place = await resolvePlace(userId, params.city, lang);
+        if (!place) return await lineReply(replyToken, formatUnknownCity(params.city, lang));
+
+        const plan = await getTonightPlan(place.lat, place.lon, place.timeZone);
+        return await lineReply(replyToken, formatTonightMessage(plan, place.name, lang));
+    },
+
+    // 🔭 觀星預報
+    async observing({ userId, replyToken, lang, t, params }) {
+        const place = await resolvePlace(userId, params.city, lang);
+        if (!place) return await lineReply(replyToken, formatUnknownCity(params.city, lang));
+
+        const forecast = await getObservingForecast(place.lat, place.lon, place.timeZone);
+        if (!forecast) return await lineReply(replyToken, t('observing.unavailable'));
+        return await lineReply(replyToken, formatObservingForecastMessage(forecast, place.name, lang));
+    },
 
-🚀 ${next.name}
-🏢 ${next.provider}
-📅 ${next.dateLocal}
-${next.status}
+    // 🌙 月相
+    async moon({ userId, replyToken, lang }) {
+        // 有分享位置則以該地計算月出月落，否則以台北為準
+        const place = await resolvePlace(userId, '', lang);
+        const info = getMoonPhase(new Date(), { lat: place.lat, lon: place.lon, timeZone: place.timeZone });
+        return await lineReply(replyToken, formatMoonMessage(info, place.name, lang));
+    },
 
-📝 ${next.details}
+    // ☄️ 流星雨
+    async meteor({ userId, replyToken, lang, params }) {
+        const place = await resolvePlace(userId, params.city, lang);
+        if (!place) return await lineReply(replyToken, formatUnknownCity(params.city, lang));
+
+        return await lineReply(replyToken, formatMeteorMessage(getMeteorShowers(place, place.timeZone), place.name, lang));
+    },
+
+    async subscriptionMenu({ userId, replyToken, lang }) {
+        return await lineReply(replyToken, formatSubscriptionMenu(lang, await getSubscriptions(userId)));
+    },
+
+    // 訂閱選單「設定」按鈕：以 Quick Reply 選擇門檻或時間（僅由 Postback 觸發）
+    async subscriptionOptions({ userId, replyToken, lang, params }) {
+        return await lineReply(replyToken, await formatSubscriptionOptions(params.type, await getSubscriptions(userId), lang));
+    },
+
+    async mainMenu({ replyToken, lang }) {
+        return await lineReply(replyToken, formatMainMenu(lang));
+    },
+
+    // ═══ 需要太空氣象數據的指令 ═══
+    async report({ replyToken, lang }) {
+        const spaceWeather = await getSpaceWeather();
+        await lineReply(replyToken, formatSpaceWeatherMessage(spaceWeather, lang));
+    },
+
+    async aurora({ userId, replyToken, lang }) {
+        const spaceWeather = await getSpaceWeather();
+        const profile = await getUserProfile(userId);
+        const personal = hasLocation(profile)
+            ? { ...profile, probability: await getAuroraProbability(profile.lat, profile.lon) }
+            : null;
+        await lineReply(replyToken, formatAuroraMessage(spaceWeather, personal, lang));
+    },
+
+    async solarWind({ replyToken, lang }) {
+        const spaceWeather = await getSpaceWeather();
+        await lineReply(replyToken, formatSolarWindMessage(spaceWeather, lang));
+    },
+
+    async issPasses({ userId, replyToken, lang, params }) {
+        const place = await resolvePlace(userId, params.city, lang);
+        if (!place) return await lineReply(replyToken, formatUnknownCity(params.city, lang));
+
+        const result = await getISSPasses(place.lat, place.lon, { days: 3 });
+        await lineReply(replyToken, formatISSPassesMessage(result, place.name, lang, place.timeZone));
+    },
+
+    async iss({ replyToken, lang }) {
+        const spaceWeather = await getSpaceWeather();
+        await lineReply(replyToken, formatISSMessage(spaceWeather, lang));
+    },
+
+    async cme({ replyToken, t }) {
+        const spaceWeather = await getSpaceWeather();
+        const cmeList = spaceWeather.cme || [];
+        if (cmeList.length === 0) {
+            return await lineReply(replyToken, t('cme.none'));
+        }
+        let msg = `${t('cme.listTitle')}\n━━━━━━━━━━━━━━━━\n\n`;
+        for (const cme of cmeList.slice(-5)) {
+            const time = new Date(cme.time).toLocaleString(t.locale, { timeZone: 'Asia/Taipei' });
+            msg += `📅 ${time}\n`;
+            msg += `${t('cme.speed', { value: Math.round(cme.speed) })}\n`;
+            msg += `${t('cme.type', { value: cme.type })}\n\n`;
+        }
+        await lineReply(replyToken, msg);
+    },
 
-━━━━━━━━━━━━━━━━
-🔗 即時資訊請查看：
-• spacex.com/launches
-• nextspaceflight.com
+    async weather({ userId, replyToken, lang, t, params }) {
+        // 未指定城市時使用分享的位置（未分享則為台北）
+        const place = await resolvePlace(userId, params.city, lang);
+        if (!place) return await lineReply(replyToken, formatUnknownCity(params.city, lang));
 
-💡 輸入「發射列表」查看更多`;
-        return await lineReply(replyToken, msg);
-    }
-    
-    if (text === '發射列表' || text === 'spacex列表') {
-        const launches = getUpcomingLaunches();
-        let msg = '🛸 太空發射計畫\n━━━━━━━━━━━━━━━━\n\n';
-        
-        for (const launch of launches) {
-            msg += `${launch.status} ${launch.name}\n`;
-            msg += `   🏢 ${launch.provider}\n`;
-            msg += `   📅 ${launch.dateLocal}\n\n`;
+        const weather = await fetchWeather(place.lat, place.lon);
+        if (!weather) return await lineReply(replyToken, t('weather.unavailable'));
+
+        const codeKey = `weather.code.${weather.code}`;
+        await lineReply(replyToken, t('weather.message', {
+            place: place.name,
+            icon: weather.icon,
+            description: t(i18n.has(i18n.DEFAULT_LANGUAGE, codeKey) ? codeKey : 'weather.code.unknown'),
+            temp: Math.round(weather.temp),
+            feelsLike: Math.round(weather.feelsLike),
+            humidity: weather.humidity,
+            windSpeed: (weather.windSpeed / 3.6).toFixed(1),
+            visibility: (weather.visibility / 1000).toFixed(0),
+            cloudCover: weather.cloudCover,
+            sunrise: weather.sunrise,
+            sunset: weather.sunset
+        }));
+    },
+
+    // ═══ 訂閱 ═══
+    async subscribeDaily({ userId, replyToken, lang, t, params }) {
+        // 「訂閱每日報告 07:15 平日」「訂閱每日報告 晚上九點 週六日 Asia/Tokyo」
+        // 時間以 15 分鐘為單位；同一時間再次訂閱會更新星期與時區
+        const time = params.time || '08:00';
+        if (!schedule.isValidTime(time)) {
+            return await lineReply(replyToken, t('subscribe.daily.step', { time }));
+        }
+        if (params.timeZone && !timezone.isValidTimeZone(params.timeZone)) {
+            return await lineReply(replyToken, t('timeZone.invalid', { value: params.timeZone }));
+        }
+
+        const existing = (await getSubscriptions(userId)).filter(sub => sub.type === 'daily');
+        const current = existing.find(sub => sub.pushTime === time);
+        if (!current && existing.length >= DAILY_REPORT_LIMIT) {
+            return await lineReply(replyToken, t('subscribe.daily.limit', { max: DAILY_REPORT_LIMIT }));
         }
-        
-        msg += '━━━━━━━━━━━━━━━━\n';
-        msg += '🔗 即時發射資訊：\n';
-        msg += '• nextspaceflight.com';
-        return await lineReply(replyToken, msg);
-    }
-    
-    // 🌙 月相
-    if (text === '月亮' || text === '月相' || text === 'moon') {
-        const moon = getMoonPhase();
-        const msg = `🌙 今日月相
-━━━━━━━━━━━━━━━━
 
-${moon.icon} ${moon.phase}
-🔤 ${moon.english}
+        // 只在指定星期或時區時更新設定；僅選時間（如快速回覆）保留該時間原有的設定
+        const changes = {};
+        if (params.days) changes.days = params.days;
+        if (params.timeZone) changes.timeZone = params.timeZone;
+        const supplied = Object.keys(changes).length > 0;
+        const settings = supplied ? { ...current?.settings, ...changes } : current?.settings;
+        const result = await addSubscription(userId, 'daily', subscriptionName('daily'), time, supplied ? settings : null);
+
+        const plan = dailySchedule(time, settings, await getUserProfile(userId));
+        const next = schedule.nextOccurrence(plan);
+        await lineReply(replyToken, t('subscribe.daily', {
+            result: t(`subscription.${result.code}`),
+            schedule: describeSchedule(plan, lang),
+            next: next ? formatOccurrence(next, plan.timeZone, lang) : '-',
+            max: DAILY_REPORT_LIMIT
+        }));
+    },
 
-📊 亮面：${moon.illumination}%
-📆 月齡：${moon.age} 天
+    async unsubscribeDaily({ userId, replyToken, t, params }) {
+        // 「取消每日報告 07:15」取消單一時間，不帶時間則取消全部
+        const result = await removeSubscription(userId, 'daily', params.time);
+        if (params.time && !result.count) {
+            return await lineReply(replyToken, t('unsubscribe.daily.none', { time: params.time }));
+        }
+        await lineReply(replyToken, params.time ? t('unsubscribe.daily', { time: params.time }) : t('unsubscribe.daily.all'));
+    },
+
+    async subscribeAurora({ userId, replyToken, t, params }) {
+        // 「訂閱極光警報 3」自訂門檻；不帶數字則依所在地（未分享位置時為 Kp 5）
+        const customKp = params.kp;
+        const profile = await getUserProfile(userId);
+        const threshold = auroraThreshold(customKp !== null ? { kp: customKp } : {}, profile);
+
+        const name = subscriptionName('aurora', threshold.source === 'location' ? {} : { kp: threshold.kp });
+        const result = await addSubscription(userId, 'aurora', name, null, customKp !== null ? { kp: customKp } : {});
+
+        let msg = t('subscribe.aurora', { result: t(`subscription.${result.code}`), kp: threshold.kp });
+        if (threshold.source === 'location') {
+            msg += t('subscribe.aurora.byLocation', { place: profile.place || `${profile.lat.toFixed(2)}°, ${profile.lon.toFixed(2)}°` });
+        } else if (!hasLocation(profile)) {
+            msg += t('subscribe.aurora.shareLocation');
+        }
+        msg += t('subscribe.aurora.hint');
+        await lineReply(replyToken, msg);
+    },
+
+    async subscribeFlare({ userId, replyToken, t }) {
+        const result = await addSubscription(userId, 'flare', subscriptionName('flare'));
+        await lineReply(replyToken, t('subscribe.flare', { result: t(`subscription.${result.code}`) }));
+    },
+
+    async subscribeCme({ userId, replyToken, t }) {
+        const result = await addSubscription(userId, 'cme', subscriptionName('cme'));
+        await lineReply(replyToken, t('subscribe.cme', { result: t(`subscription.${result.code}`) }));
+    },
+
+    async subscribeRadiation({ userId, replyToken, t, params }) {
+        // 可指定最低等級，例如「訂閱輻射警報 S2」，預設 S1
+        const minLevel = params.level || 'S1';
+        const result = await addSubscription(userId, 'radiation', subscriptionName('radiation', { minLevel }), null, { minLevel });
+        await lineReply(replyToken, t('subscribe.radiation', { result: t(`subscription.${result.code}`), level: minLevel }));
+    },
+
+    async subscribeIss({ userId, replyToken, t, params }) {
+        // 可指定最低仰角，例如「訂閱ISS 30」，預設 20°
+        const minElevation = params.elevation !== null
+            ? Math.min(80, Math.max(10, params.elevation))
+            : ISS_ALERT_DEFAULT_ELEVATION;
+        const profile = await getUserProfile(userId);
+        if (!hasLocation(profile)) {
+            return await lineReply(replyToken, t('subscribe.iss.needLocation'));
+        }
 
-🌕 下次滿月：${moon.nextFullMoon}
-🌑 下次新月：${moon.nextNewMoon}
+        const result = await addSubscription(userId, 'iss', subscriptionName('iss', { minElevation }), null, { minElevation });
+        await lineReply(replyToken, t('subscribe.iss', {
+            result: t(`subscription.${result.code}`),
+            place: profile.place || `${profile.lat.toFixed(2)}°, ${profile.lon.toFixed(2)}°`,
+            elevation: minElevation,
+            lead: ISS_ALERT_LEAD_MINUTES
+        }));
+    },
+
+    async subscribeMeteor({ userId, replyToken, lang, t }) {
+        const place = await resolvePlace(userId, '', lang);
+        const result = await addSubscription(userId, 'meteor', subscriptionName('meteor'), null, {});
+        await lineReply(replyToken, t('subscribe.meteor', {
+            result: t(`subscription.${result.code}`),
+            place: place.name,
+            days: METEOR_REMINDER_DAYS
+        }));
+    },
+
+    async subscribeLaunch({ userId, replyToken, lang, t, params }) {
+        // 「訂閱發射」全部；「訂閱發射 SpaceX」依發射商；「訂閱發射 火箭 Falcon 9」依火箭
+        // 參數保留原始大小寫，作為訂閱名稱顯示
+        const arg = params.text;
+        const launches = await getUpcomingLaunches();
+        const filter = parseLaunchFilter(arg, launches);
+        const result = await addSubscription(userId, 'launch', subscriptionName('launch', filter), null, filter);
+
+        const matching = launches.filter(l => launchFeed.hasPreciseNet(l) && launchFeed.matchesFilter(l, filter));
+        let msg = t('subscribe.launch', { result: t(`subscription.${result.code}`), description: describeLaunchFilter(filter, lang) });
+        if (matching.length > 0) {
+            msg += t('subscribe.launch.next', { name: matching[0].name, date: launchDate(matching[0], t) });
+        } else if (arg) {
+            msg += t('subscribe.launch.noMatch', { arg });
+        }
+        msg += t('subscribe.launch.hint');
+        await lineReply(replyToken, msg);
+    },
+
+    async unsubscribe({ userId, replyToken, t, params }) {
+        // 「取消極光警報」「取消發射提醒」等取消單一類型
+        const name = t(`subscription.type.${params.type}`);
+        const result = await removeSubscription(userId, params.type);
+        await lineReply(replyToken, result.count ? t('unsubscribe.type', { name }) : t('unsubscribe.type.none', { name }));
+    },
+
+    async mySubscriptions({ userId, replyToken, lang, t }) {
+        const subs = await getSubscriptions(userId);
+        if (subs.length === 0) {
+            return await lineReply(replyToken, t('mySubscriptions.empty'));
+        }
+        const profile = await getUserProfile(userId);
+        let msg = `${t('mySubscriptions.title')}\n━━━━━━━━━━━━━━━━\n\n`;
+        for (const sub of subs) {
+            msg += `✅ ${subscriptionName(sub.type, sub.settings, lang)}`;
+            if (sub.type === 'daily') msg += ` (${describeSchedule(dailySchedule(sub.pushTime, sub.settings, profile), lang)})`;
+            else if (sub.pushTime) msg += ` (${sub.pushTime})`;
+            msg += '\n';
+        }
+        msg += `\n${t('mySubscriptions.hint')}`;
 
-🔭 觀星條件：${moon.isGoodForViewing ? '極佳 ⭐' : '一般'}
+        // 每個類型一個取消按鈕，每日報告依時間分開
+        const actions = subs.map(sub => (sub.type === 'daily'
+            ? postbackAction(`❌ ${t('subscription.type.daily')} ${sub.pushTime}`, { action: 'unsubscribe', type: 'daily', time: sub.pushTime })
+            : postbackAction(`❌ ${t('subscription.type.' + sub.type)}`, { action: 'unsubscribe', type: sub.type })));
+        actions.push(postbackAction(t('subMenu.title'), { action: 'menu' }));
+        await lineReply(replyToken, withQuickReply(msg, actions));
+    },
 
-━━━━━━━━━━━━━━━━
-💡 新月前後最適合觀星`;
-        return await lineReply(replyToken, msg);
+    async unsubscribeAll({ userId, replyToken, t }) {
+        await removeSubscription(userId);
+        await lineReply(replyToken, t('unsubscribe.all'));
     }
-    
-    // ☄️ 流星雨
-    if (text === '流星' || text === '流星雨' || text === 'meteor') {
-        const meteors = getMeteorShowers();
-        let msg = '☄️ 流星雨預報\n━━━━━━━━━━━━━━━━\n\n';
-        
-        if (meteors.active) {
-            msg += `🔥 現正活躍！\n`;
-            msg += `⭐ ${meteors.active.name}\n`;
-            msg += `📅 極大期：${meteors.active.peakDate}\n`;
-            msg += `💫 每小時流星數：${meteors.active.rate} 顆\n`;
-            msg += `☄️ 母體：${meteors.active.parent}\n\n`;
-        }
-        
-        msg += `📅 即將到來：\n\n`;
-        for (const shower of meteors.upcoming) {
-            msg += `⭐ ${shower.name}\n`;
-            msg += `   📅 ${shower.peakDate}（${shower.daysUntil} 天後）\n`;
-            msg += `   💫 每小時 ${shower.rate} 顆\n\n`;
+};
+
+// 取消訂閱的確認：「如何取消訂閱？」等非完整指令先回覆按鈕，確定後以 postback 取消
+function formatUnsubscribeConfirm(command, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const { intent, params } = command;
+    let text;
+    let data;
+    if (intent === 'unsubscribeAll') {
+        text = t('unsubscribe.confirm.all');
+        data = { action: 'unsubscribe', type: 'all' };
+    } else if (intent === 'unsubscribeDaily') {
+        text = params.time ? t('unsubscribe.confirm.daily', { time: params.time }) : t('unsubscribe.confirm.dailyAll');
+        data = params.time ? { action: 'unsubscribe', type: 'daily', time: params.time } : { action: 'unsubscribe', type: 'daily' };
+    } else {
+        text = t('unsubscribe.confirm.type', { name: t(`subscription.type.${params.type}`) });
+        data = { action: 'unsubscribe', type: params.type };
+    }
+    return withQuickReply(text, [
+        postbackAction(t('unsubscribe.confirm.yes'), data),
+        postbackAction(t('unsubscribe.confirm.no'), { action: 'mine' })
+    ]);
+}
+
+async function handleTextMessage(event) {
+    const text = event.message.text.trim();
+    const userId = event.source.userId;
+    const replyToken = event.replyToken;
+    const lang = await getUserLanguage(userId);
+    const t = i18n.translator(lang);
+
+    const command = commands.parseCommand(text);
+    const handler = command.intent && commandHandlers[command.intent];
+    if (!handler) {
+        // 無法判斷時回覆主選單；有接近的指令則先提示
+        console.log(`🧭 [指令] 無法判斷: "${text}"`);
+        const menu = formatMainMenu(lang);
+        if (command.suggestions && command.suggestions.length > 0) {
+            const suggestions = command.suggestions.map(s => `「${s}」`).join(' ');
+            return await lineReply(replyToken, [{ type: 'text', text: t('command.suggest', { commands: suggestions }) }, menu]);
         }
-        
-        msg += `━━━━━━━━━━━━━━━━\n`;
-        msg += `${meteors.moonIcon} 當前月相：${meteors.moonPhase}\n`;
-        msg += `🔭 觀測條件：${meteors.viewingCondition}`;
-        
-        return await lineReply(replyToken, msg);
+        return await lineReply(replyToken, menu);
     }
-    
-    // 訂閱選單
-    if (text === '訂閱' || text === '設定' || text === '通知') {
-        return await lineReply(replyToken, formatSubscriptionMenu());
+
+    if (command.match !== 'exact') {
+        console.log(`🧭 [指令] "${text}" → ${command.intent}（${command.match}：${command.keyword}）`, command.params);
     }
-    
-    // 主選單
-    if (text === '選單' || text === '主選單' || text === 'menu' || text === '幫助' || text === 'help') {
-        return await lineReply(replyToken, formatMainMenu());
+    if (command.confirm) {
+        return await lineReply(replyToken, formatUnsubscribeConfirm(command, lang));
+    }
+    return await handler({ userId, replyToken, lang, t, params: command.params, text });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Postback（訂閱選單、Quick Reply、時間選擇器）
+// ═══════════════════════════════════════════════════════════════════════════
+const POSTBACK_SUBSCRIBE_INTENTS = {
+    daily: 'subscribeDaily',
+    aurora: 'subscribeAurora',
+    flare: 'subscribeFlare',
+    cme: 'subscribeCme',
+    radiation: 'subscribeRadiation',
+    iss: 'subscribeIss',
+    meteor: 'subscribeMeteor',
+    launch: 'subscribeLaunch'
+};
+
+/**
+ * Postback data → 文字指令的意圖與參數，沿用 commandHandlers
+ *   action=menu / mine
+ *   action=subscribe&type=aurora&kp=4（daily: time，radiation: level，iss: elevation，launch: provider）
+ *   action=unsubscribe&type=daily&time=08:00 / type=all
+ *   action=toggle&type=flare    已訂閱則取消；未訂閱時可設定的類型先開啟選項
+ *   action=options&type=iss
+ *   action=dailyTime            時間選擇器，時間在 postback.params.time
+ * 無法辨識時回傳 null
+ */
+function parsePostback(data, pickerParams = {}, activeTypes = new Set()) {
+    const query = new URLSearchParams(data || '');
+    const action = query.get('action');
+    const type = query.get('type');
+    const number = key => (query.has(key) && Number.isFinite(Number(query.get(key))) ? Number(query.get(key)) : null);
+    const isType = POSTBACK_SUBSCRIBE_INTENTS[type] !== undefined;
+
+    switch (action) {
+        case 'menu':
+            return { intent: 'subscriptionMenu', params: {} };
+        case 'mine':
+            return { intent: 'mySubscriptions', params: {} };
+        case 'options':
+            return isType ? { intent: 'subscriptionOptions', params: { type } } : null;
+        case 'dailyTime':
+            return pickerParams.time ? { intent: 'subscribeDaily', params: { time: pickerParams.time } } : null;
+        case 'subscribe':
+            if (!isType) return null;
+            return {
+                intent: POSTBACK_SUBSCRIBE_INTENTS[type],
+                params: {
+                    time: query.get('time'),
+                    kp: number('kp'),
+                    level: query.get('level'),
+                    elevation: number('elevation'),
+                    text: query.get('provider') || ''
+                }
+            };
+        case 'unsubscribe':
+            if (type === 'all') return { intent: 'unsubscribeAll', params: {} };
+            if (type === 'daily') return { intent: 'unsubscribeDaily', params: { time: query.get('time') } };
+            return isType ? { intent: 'unsubscribe', params: { type } } : null;
+        case 'toggle': {
+            if (!isType) return null;
+            if (activeTypes.has(type)) return { intent: 'unsubscribe', params: { type } };
+            const item = SUBSCRIPTION_MENU_ITEMS.find(i => i.type === type);
+            return item && item.configurable
+                ? { intent: 'subscriptionOptions', params: { type } }
+                : parsePostback(`action=subscribe&type=${type}`);
+        }
+        default:
+            return null;
     }
+}
+
+async function handlePostback(event) {
+    const userId = event.source.userId;
+    const replyToken = event.replyToken;
+    const lang = await getUserLanguage(userId);
+    const t = i18n.translator(lang);
+    const { data, params: pickerParams } = event.postback;
+
+    const activeTypes = new Set((await getSubscriptions(userId)).map(sub => sub.type));
+    const command = parsePostback(data, pickerParams, activeTypes);
+    if (!command) {
+        console.log(`🧭 [Postback] 無法辨識: "${data}"`);
+        return await lineReply(replyToken, t('postback.expired'));
+    }
+    return await commandHandlers[command.intent]({ userId, replyToken, lang, t, params: command.params, text: '' });
+}
+
+async function handleLocationMessage(event) {
+    const userId = event.source.userId;
+    const { latitude, longitude, title, address } = event.message;
+    const lang = await getUserLanguage(userId);
+    const t = i18n.translator(lang);
+    // 沒有標題與地址（直接在地圖上釘選）時，以最近的鄉鎮命名
+    const place = title || address || describeCoordinates(latitude, longitude);
+
+    await saveUserLocation(userId, latitude, longitude, place);
 
-    // ═══════════════════════════════════════════════════════════════
-    // 需要太空氣象數據的指令
-    // ═══════════════════════════════════════════════════════════════
     const spaceWeather = await getSpaceWeather();
+    // Kp 無法取得時仍計算地磁緯度與所需 Kp，目前 Kp 顯示為無資料
+    const kp = spaceWeather.kp ? spaceWeather.kp.kp : null;
+    const visibility = aurora.estimateVisibility(kp ?? 0, latitude, longitude);
+    const subs = await getSubscriptions(userId);
+    const auroraSub = subs.find(sub => sub.type === 'aurora');
+
+    let msg = `${t('location.saved', { place })}
+
+${t('location.geomagLat', { value: visibility.geomagLat.toFixed(1) })}
+${t('location.requiredKp', { kp: visibility.extremeOnly ? t('location.extremeOnly') : visibility.requiredKp })}
+
+${t('location.currentKp', { kp: formatReading(kp, v => v.toFixed(1)), label: kp === null ? t('reading.unavailable') : auroraVisibilityLabel(visibility, t) })}`;
+
+    if (auroraSub && auroraSub.settings?.kp !== undefined) {
+        msg += `\n\n${t('location.customThreshold', { kp: auroraSub.settings.kp })}`;
+    } else if (auroraSub) {
+        await addSubscription(userId, 'aurora', subscriptionName('aurora', {}), null, {});
+        // 警報實際採用的門檻（不低於 AURORA_MIN_KP）
+        const threshold = auroraThreshold({}, { lat: latitude, lon: longitude });
+        msg += `\n\n${t('location.auroraUpdated', { kp: threshold.kp })}`;
+    } else {
+        msg += `\n\n${t('location.auroraHint')}`;
+    }
 
-    // 指令判斷
-    if (text === '太空氣象' || text === '報告' || text === '完整報告') {
-        await lineReply(replyToken, formatSpaceWeatherMessage(spaceWeather));
+    if (subs.some(sub => sub.type === 'iss')) {
+        issPassCache.delete(userId);
+        msg += `\n${t('location.issUpdated')}`;
     }
-    else if (text === '極光' || text === 'aurora' || text === 'kp') {
-        await lineReply(replyToken, formatAuroraMessage(spaceWeather));
+    msg += `\n\n${t('location.hint')}`;
+
+    await lineReply(event.replyToken, msg);
+}
+
+async function handleFollow(event) {
+    const userId = event.source.userId;
+
+    // 依 LINE 個人檔案的語言設定歡迎訊息與之後的回覆語言
+    const lang = await getUserLanguage(userId);
+    await linePush(userId, i18n.t(lang, 'welcome'), { type: 'welcome' });
+}
+
+async function handleUnfollow(event) {
+    const userId = event.source.userId;
+    await removeSubscription(userId);
+    console.log('用戶取消追蹤:', userId.substring(0, 10) + '...');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 定時任務
+// ═══════════════════════════════════════════════════════════════════════════
+
+// 同一則推播依訂閱者語言格式化，每種語言只格式化一次
+function messagesByLanguage(format) {
+    const cache = new Map();
+    return (lang = i18n.DEFAULT_LANGUAGE) => {
+        if (!cache.has(lang)) cache.set(lang, format(lang));
+        return cache.get(lang);
+    };
+}
+
+// ═══ 每日報告 ═══
+const DAILY_REPORT_LIMIT = 4;           // 每位用戶最多設定的推播時間數
+const DAILY_REPORT_CATCH_UP_HOURS = 6;  // 錯過的推播在 6 小時內補發，更早的不再補送
+const DAILY_REPORT_QUICK_TIMES = ['07:00', '08:00', '12:00', '18:00', '20:00', '21:00'];  // 選項中的常用時間
+
+// 訂閱的排程：時區依序為訂閱時指定、用戶設定、台北
+function dailySchedule(pushTime, settings, profile) {
+    return {
+        time: pushTime,
+        days: settings?.days,
+        timeZone: settings?.timeZone || profile?.timeZone || timezone.DEFAULT_TIME_ZONE
+    };
+}
+
+// 排程說明：「平日 07:15」「週一、週三、週五 21:00（Asia/Tokyo）」
+function describeSchedule(plan, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const kind = schedule.daysKind(plan.days);
+    const days = kind === 'custom'
+        ? schedule.normalizeDays(plan.days).map(d => t('schedule.weekdayNames')[d - 1]).join(t('schedule.separator'))
+        : t(`schedule.${kind}`);
+    let text = `${days} ${plan.time}`;
+    if (plan.timeZone && plan.timeZone !== timezone.DEFAULT_TIME_ZONE) text += t('schedule.timeZone', { timeZone: plan.timeZone });
+    return text;
+}
+
+// 排定時刻的當地日期與時間：「10/20（週二）07:15」
+function formatOccurrence(date, timeZone, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const ymd = timezone.zonedDateString(date, timeZone);
+    const [, month, day] = ymd.split('-').map(Number);
+    const time = date.toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hour12: false });
+    return t('schedule.occurrence', { month, day, weekday: t('schedule.weekdayNames')[schedule.isoWeekday(ymd) - 1], time });
+}
+
+// 每日定時推播：每分鐘比對各訂閱最近一次排定時刻與「上次推播」，
+// 停機或檢查延遲而錯過的推播會在補發時限內補送
+async function dailyPush() {
+    const now = new Date();
+    const subscribers = await getSubscribersByType('daily', { unique: false });
+    if (subscribers.length === 0) return;
+
+    const profiles = await getUserProfiles();
+    const targets = subscribers.filter(user => {
+        const plan = dailySchedule(user.pushTime, user.settings, profiles.get(user.userId));
+        return schedule.dueOccurrence(plan, user, now, DAILY_REPORT_CATCH_UP_HOURS);
+    });
+
+    if (targets.length === 0) return;
+
+    console.log(`📤 執行每日報告推播，共 ${targets.length} 則`);
+
+    const spaceWeather = await getSpaceWeather(true);
+    const message = messagesByLanguage(lang => formatSpaceWeatherMessage(spaceWeather, lang));
+
+    // 因額度略過的報告同樣標記為已推播，不在補發時限內重複嘗試
+    const result = await lineFanOut(targets.map(user => ({ userId: user.userId, messages: message(user.language) })), { type: 'daily' });
+    if (result.skipped > 0) console.log(`💸 每日報告因額度略過 ${result.skipped} 則`);
+    await markSubscriptionsPushed('daily', targets.map(user => ({ userId: user.userId, pushTime: user.pushTime })));
+}
+
+// ═══ 警報狀態機 ═══
+// 地磁、閃焰、輻射各自的狀態保存在「系統設定」，轉換記錄於「警報紀錄」；規則見 lib/alerts.js
+// 只在升級時推播（依訂閱者的個別門檻），事件結束時發送一次摘要
+const FLARE_ALERT_SCALE = 3;        // 閃焰訂閱者只接收 X 級（R3）以上
+
+async function loadAlertStates() {
+    if (alertStates) return alertStates;
+
+    const saved = await getSystemSetting('警報狀態');
+    try {
+        alertStates = saved ? JSON.parse(saved) : {};
+    } catch (e) {
+        alertStates = {};
     }
-    else if (text === '太陽風' || text === 'solar' || text === '太陽') {
-        await lineReply(replyToken, formatSolarWindMessage(spaceWeather));
+    if (!alertStates.radiation) alertStates.radiation = await migrateRadiationState();
+    for (const hazard of Object.keys(alerts.HAZARDS)) {
+        alertStates[hazard] = alertStates[hazard] || alerts.initialState();
     }
-    else if (text === 'iss' || text === '太空站' || text === '國際太空站') {
-        await lineReply(replyToken, formatISSMessage(spaceWeather));
+    return alertStates;
+}
+
+// 舊版的輻射警報狀態（{ level, peak, startedAt, belowSince }）→ 狀態機，避免升級後重複通知進行中的事件
+async function migrateRadiationState() {
+    const saved = await getSystemSetting('輻射警報狀態');
+    let legacy;
+    try {
+        legacy = saved ? JSON.parse(saved) : null;
+    } catch (e) {
+        legacy = null;
     }
-    else if (text === 'cme' || text === '日冕拋射') {
-        const cmeList = spaceWeather.cme || [];
-        if (cmeList.length === 0) {
-            await lineReply(replyToken, '🌋 過去 7 天沒有偵測到 CME 事件');
-        } else {
-            let msg = '🌋 近期 CME 日冕物質拋射事件\n━━━━━━━━━━━━━━━━\n\n';
-            for (const cme of cmeList.slice(-5)) {
-                const time = new Date(cme.time).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
-                msg += `📅 ${time}\n`;
-                msg += `💨 速度：${Math.round(cme.speed)} km/s\n`;
-                msg += `📐 類型：${cme.type}\n\n`;
-            }
-            await lineReply(replyToken, msg);
-        }
-    }
-    else if (text.startsWith('天氣')) {
-        const city = text.replace('天氣', '').trim() || '台北';
-        const cities = {
-            '台北': { lat: 25.033, lon: 121.565 },
-            '台中': { lat: 24.147, lon: 120.673 },
-            '高雄': { lat: 22.627, lon: 120.301 },
-            '台南': { lat: 22.999, lon: 120.227 },
-            '東京': { lat: 35.676, lon: 139.650 },
-            '首爾': { lat: 37.566, lon: 126.978 },
-            '紐約': { lat: 40.712, lon: -74.006 },
-            '倫敦': { lat: 51.507, lon: -0.127 }
-        };
-        const coords = cities[city] || cities['台北'];
-        const weather = await fetchWeather(coords.lat, coords.lon);
-        
-        if (weather) {
-            const msg = `🌤️ ${city} 天氣
-━━━━━━━━━━━━━━━━
+    const peakScale = sLevelNumber(legacy?.peak);
+    if (!legacy?.startedAt || peakScale === 0) return null;
+
+    const peak = 10 ** peakScale;   // 峰值等級的通量門檻（S1 = 10 pfu）
+    const state = legacy.belowSince ? 'recovering' : alerts.levelOf('radiation', 10 ** sLevelNumber(legacy.level));
+    return {
+        ...alerts.initialState(),
+        state,
+        since: legacy.belowSince || legacy.startedAt,
+        startedAt: legacy.startedAt,
+        peak,
+        peakScale,
+        recoveringSince: legacy.belowSince || null
+    };
+}
+
+async function saveAlertStates() {
+    await setSystemSetting('警報狀態', JSON.stringify(alertStates), '各災害警報狀態（quiet / watch / warning / severe / recovering）與本次事件峰值');
+}
 
-${weather.icon} ${weather.description}
+// NOAA 產品的時間為 UTC，但不含時區（「2025-12-25 12:00:00.000」）
+function noaaTimestamp(value) {
+    const text = String(value || '').trim().replace(' ', 'T');
+    return /(Z|[+-]\d{2}:?\d{2})$/.test(text) ? text : `${text}Z`;
+}
 
-🌡️ 溫度：${Math.round(weather.temp)}°C
-🤒 體感：${Math.round(weather.feelsLike)}°C
-💧 濕度：${weather.humidity}%
-💨 風速：${(weather.windSpeed / 3.6).toFixed(1)} m/s
-👁️ 能見度：${(weather.visibility / 1000).toFixed(0)} km
-☁️ 雲量：${weather.cloudCover}%
+// 以最新讀數推進狀態，回傳本次事件（尚未記錄）
+async function advanceAlertState(hazard, reading) {
+    const states = await loadAlertStates();
+    const result = alerts.step(hazard, states[hazard], reading);
+    // 沒有事件時狀態不變（只有最新讀數），不寫入
+    if (result.events.length === 0) return [];
 
-🌅 日出：${weather.sunrise}
-🌇 日落：${weather.sunset}`;
-            await lineReply(replyToken, msg);
-        } else {
-            await lineReply(replyToken, '❌ 無法取得天氣資料');
-        }
-    }
-    else if (text.startsWith('訂閱每日報告')) {
-        const time = text.includes('08:00') ? '08:00' : text.includes('20:00') ? '20:00' : '08:00';
-        const result = await addSubscription(userId, 'daily', '每日太空氣象報告', time);
-        await lineReply(replyToken, `✅ ${result.message}\n\n每天 ${time} 將收到太空氣象報告`);
-    }
-    else if (text === '訂閱極光警報' || text === '訂閱極光') {
-        const result = await addSubscription(userId, 'aurora', '極光警報 (Kp≥5)');
-        await lineReply(replyToken, `✅ ${result.message}\n\n當 Kp 指數 ≥ 5 時，您將收到極光警報`);
-    }
-    else if (text === '訂閱閃焰警報' || text === '訂閱閃焰') {
-        const result = await addSubscription(userId, 'flare', 'X級太陽閃焰警報');
-        await lineReply(replyToken, `✅ ${result.message}\n\n當發生 X 級太陽閃焰時，您將收到警報`);
-    }
-    else if (text === '訂閱cme警報' || text === '訂閱cme') {
-        const result = await addSubscription(userId, 'cme', 'CME 地球方向警報');
-        await lineReply(replyToken, `✅ ${result.message}\n\n當偵測到朝向地球的 CME 時，您將收到警報`);
+    states[hazard] = result.state;
+    await saveAlertStates();
+    return result.events;
+}
+
+async function logAlertEvent(event, pushed) {
+    if (!store) return;
+
+    try {
+        await store.insert('警報紀錄', {
+            '時間': event.time,
+            '災害': event.hazard,
+            '事件': event.type,
+            '原狀態': event.from,
+            '新狀態': event.to,
+            '數值': String(event.value),
+            '等級': alerts.scaleLabel(event.hazard, event.scale),
+            '峰值': String(event.peak ?? ''),
+            '推播數': String(pushed)
+        });
+    } catch (error) {
+        console.error('警報紀錄寫入失敗:', error.message);
     }
-    else if (text === '我的訂閱' || text === '查看訂閱') {
-        const subs = await getSubscriptions(userId);
-        if (subs.length === 0) {
-            await lineReply(replyToken, '📋 您目前沒有任何訂閱\n\n輸入「訂閱」查看可用選項');
-        } else {
-            let msg = '📋 您的訂閱清單\n━━━━━━━━━━━━━━━━\n\n';
-            for (const sub of subs) {
-                msg += `✅ ${sub.name}`;
-                if (sub.pushTime) msg += ` (${sub.pushTime})`;
-                msg += '\n';
-            }
-            msg += '\n輸入「取消所有訂閱」可停止所有通知';
-            await lineReply(replyToken, msg);
+    console.log(`🚦 [${event.hazard}] ${event.type} ${event.from} → ${event.to}（${event.value}，${alerts.scaleLabel(event.hazard, event.scale)}）${pushed ? `，推播 ${pushed} 位` : ''}`);
+}
+
+// 警報檢查
+async function checkAlerts() {
+    const spaceWeather = await getSpaceWeather(true);
+
+    // 只在取得實際資料時判斷（無法取得的項目為 null）
+    if (spaceWeather.kp?.time) {
+        for (const event of await advanceAlertState('geomagnetic', { time: noaaTimestamp(spaceWeather.kp.time), value: spaceWeather.kp.kp })) {
+            await logAlertEvent(event, await notifyGeomagneticEvent(event, spaceWeather));
         }
     }
-    else if (text === '取消所有訂閱' || text === '取消訂閱') {
-        await removeSubscription(userId);
-        await lineReply(replyToken, '✅ 已取消所有訂閱\n\n如需重新訂閱，請輸入「訂閱」');
+
+    if (spaceWeather.xray?.time) {
+        for (const event of await advanceAlertState('flare', { time: noaaTimestamp(spaceWeather.xray.time), value: spaceWeather.xray.flux })) {
+            await logAlertEvent(event, await notifyFlareEvent(event, spaceWeather));
+        }
     }
-    else {
-        // 預設回覆主選單
-        await lineReply(replyToken, formatMainMenu());
+
+    // CME 地球方向警報
+    await checkCMEAlerts(spaceWeather);
+
+    // 輻射風暴（S 等級）警報
+    if (spaceWeather.proton?.time) {
+        for (const event of await advanceAlertState('radiation', { time: noaaTimestamp(spaceWeather.proton.time), value: spaceWeather.proton.flux })) {
+            await logAlertEvent(event, await notifyRadiationEvent(event));
+        }
     }
 }
 
-async function handleFollow(event) {
-    const userId = event.source.userId;
-    
-    const welcomeMsg = `🛰️ 歡迎加入 ORBITAL COMMAND！
+/**
+ * 地磁事件 → 極光訂閱者（各自的 Kp 門檻）
+ *   start / escalate：通知門檻 ≤ 目前 Kp 的訂閱者
+ *   peak：Kp 創新高但未升級，只通知門檻剛被超過的訂閱者
+ *   end：峰值達 G1 以上時，向曾收到警報（門檻 ≤ 峰值）的訂閱者發送風暴結束摘要
+ * @returns {Promise<number>} 推播人數
+ */
+async function notifyGeomagneticEvent(event, spaceWeather) {
+    const notifyPeak = event.type === 'peak';
+    if (!event.notify && !notifyPeak) return 0;
+    if (event.type === 'end' && event.summary.peakScale < 1) return 0;
+
+    const subscribers = await getSubscribersByType('aurora');
+    if (subscribers.length === 0) return 0;
+    const profiles = await getUserProfiles();
+    const deliveries = [];
 
-太空氣象指揮中心為您提供：
+    for (const user of subscribers) {
+        const profile = profiles.get(user.userId);
+        const threshold = auroraThreshold(user.settings, profile);
 
-🌌 即時極光預報
-☀️ 太陽活動監測
-🚀 ISS 太空站追蹤
-⚠️ 太空天氣警報
+        if (event.type === 'end') {
+            if (threshold.kp > event.summary.peak) continue;
+            deliveries.push({ userId: user.userId, messages: formatStormOverMessage(event, user.language) });
+            continue;
+        }
+        if (threshold.kp > event.value) continue;
+        if (notifyPeak && threshold.kp <= event.previousPeak) continue;
+        deliveries.push({ userId: user.userId, messages: formatAuroraAlertMessage(spaceWeather, threshold, profile, user.language) });
+    }
+    if (deliveries.length === 0) return 0;
 
-━━━━━━━━━━━━━━━━
+    // G3 以上為嚴重警報，額度不足時仍發送
+    const result = await lineFanOut(deliveries, {
+        type: 'aurora',
+        priority: event.type === 'end' ? 'alert' : quota.alertPriority(event.scale)
+    });
+    if (event.type !== 'end') await markSubscriptionsPushed('aurora', deliveries);
+    return result.recipients;
+}
+
+function formatStormOverMessage(event, lang = i18n.DEFAULT_LANGUAGE) {
+    return i18n.t(lang, 'aurora.stormOver', {
+        kp: event.value.toFixed(1),
+        peak: event.summary.peak.toFixed(1),
+        gLevel: alerts.scaleLabel('geomagnetic', event.summary.peakScale),
+        hours: event.summary.hours.toFixed(1)
+    });
+}
 
-📱 快速開始：
-• 輸入「極光」查看極光預報
-• 輸入「太陽風」查看太陽活動
-• 輸入「訂閱」設定定時通知
+// 閃焰事件：升級到 X 級（R3）以上時通知
+async function notifyFlareEvent(event, spaceWeather) {
+    if (!event.notify || event.type === 'end' || event.scale < FLARE_ALERT_SCALE) return 0;
 
-祝您觀測愉快！✨`;
+    const subscribers = await getSubscribersByType('flare');
+    if (subscribers.length === 0) return 0;
 
-    await linePush(userId, welcomeMsg);
+    const msg = messagesByLanguage(lang => i18n.t(lang, 'flare.alert', { class: spaceWeather.xray.fullClass }));
+    const result = await lineFanOut(subscribers.map(user => ({ userId: user.userId, messages: msg(user.language) })), {
+        type: 'flare',
+        priority: quota.alertPriority(event.scale)
+    });
+    return result.recipients;
 }
 
-async function handleUnfollow(event) {
-    const userId = event.source.userId;
-    await removeSubscription(userId);
-    console.log('用戶取消追蹤:', userId.substring(0, 10) + '...');
+function sLevelNumber(level) {
+    return parseInt(String(level || 'S0').replace(/^S/i, '')) || 0;
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// 定時任務
-// ═══════════════════════════════════════════════════════════════════════════
+// 輻射事件：升級時通知門檻 ≤ 目前 S 等級的訂閱者；結束時通知門檻 ≤ 峰值的訂閱者
+async function notifyRadiationEvent(event) {
+    if (!event.notify) return 0;
+
+    const level = event.type === 'end' ? event.summary.peakScale : event.scale;
+    const subscribers = (await getSubscribersByType('radiation'))
+        .filter(user => sLevelNumber(user.settings.minLevel || 'S1') <= level);
+    if (subscribers.length === 0) return 0;
+
+    const sLevel = alerts.scaleLabel('radiation', level);
+    const msg = event.type === 'end'
+        ? messagesByLanguage(lang => i18n.t(lang, 'radiation.clear', {
+            flux: event.value.toFixed(1),
+            peak: sLevel,
+            hours: event.summary.hours.toFixed(1)
+        }))
+        : messagesByLanguage(lang => i18n.t(lang, 'radiation.alert', {
+            level: sLevel,
+            flux: event.value.toFixed(1),
+            previous: event.type === 'start' ? 0 : alerts.HAZARDS.radiation.scale(event.previousPeak),
+            impact: i18n.t(lang, `radiation.impact.${sLevel}`)
+        }));
 
-// 每日定時推播
-async function dailyPush() {
-    const now = new Date();
-    const currentTime = now.toLocaleTimeString('zh-TW', { 
-        timeZone: 'Asia/Taipei', 
-        hour: '2-digit', 
-        minute: '2-digit',
-        hour12: false 
+    const result = await lineFanOut(subscribers.map(user => ({ userId: user.userId, messages: msg(user.language) })), {
+        type: 'radiation',
+        priority: event.type === 'end' ? 'alert' : quota.alertPriority(event.scale)
     });
+    return result.recipients;
+}
 
-    // 只在整點執行
-    if (!currentTime.endsWith(':00')) return;
-
-    const hour = currentTime.split(':')[0] + ':00';
-    
-    // 取得該時間的訂閱者
-    const subscribers = await getSubscribersByType('daily');
-    const targetUsers = subscribers.filter(s => s.pushTime === hour);
+function formatCMEAlertMessage(cme, impact, lang = i18n.DEFAULT_LANGUAGE) {
+    const t = i18n.translator(lang);
+    const fmt = date => date.toLocaleString(t.locale, {
+        timeZone: 'Asia/Taipei', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false
+    });
+    const kpText = impact.kpMin === impact.kpMax ? `${impact.kpMin}` : `${impact.kpMin}–${impact.kpMax}`;
+
+    return t('cme.alert', {
+        glancing: impact.glancing,
+        id: cme.id,
+        time: fmt(new Date(cme.time)),
+        speed: Math.round(cme.speed),
+        halfAngle: Math.round(cme.halfAngle),
+        windowStart: fmt(impact.windowStart),
+        windowEnd: fmt(impact.windowEnd),
+        arrival: fmt(impact.arrival),
+        kp: kpText,
+        gLevel: impact.kpMax >= 5 ? Math.min(5, Math.floor(impact.kpMax) - 4) : '',
+        source: t(`cme.source.${impact.source === 'WSA-Enlil' ? 'enlil' : 'eca'}`),
+        auroraLikely: impact.kpMax >= 5
+    });
+}
 
-    if (targetUsers.length === 0) return;
+async function loadAlertedCMEs() {
+    if (alertedCMEs) return alertedCMEs;
 
-    console.log(`📤 執行 ${hour} 定時推播，共 ${targetUsers.length} 位訂閱者`);
+    const saved = await getSystemSetting('已警報CME');
+    try {
+        alertedCMEs = new Set(saved ? JSON.parse(saved) : []);
+    } catch (e) {
+        alertedCMEs = new Set();
+    }
+    return alertedCMEs;
+}
 
-    const spaceWeather = await getSpaceWeather(true);
-    const message = formatSpaceWeatherMessage(spaceWeather);
+async function loadMissedCMEs() {
+    if (missedCMEs) return missedCMEs;
 
-    for (const user of targetUsers) {
-        await linePush(user.userId, message);
-        // 避免太快觸發限制
-        await new Promise(resolve => setTimeout(resolve, 100));
+    const saved = await getSystemSetting('未朝向地球CME');
+    try {
+        missedCMEs = new Map(Object.entries(saved ? JSON.parse(saved) : {}));
+    } catch (e) {
+        missedCMEs = new Map();
     }
+    return missedCMEs;
 }
 
-// 警報檢查
-async function checkAlerts() {
-    const spaceWeather = await getSpaceWeather(true);
-    const now = Date.now();
-    const ALERT_COOLDOWN = 60 * 60 * 1000; // 1 小時內不重複發送
+async function markCMEAlerted(id) {
+    alertedCMEs.add(id);
+    const ids = [...alertedCMEs].slice(-ALERTED_CME_LIMIT);
+    alertedCMEs = new Set(ids);
+    if (missedCMEs?.delete(id)) await saveMissedCMEs();
+    await setSystemSetting('已警報CME', JSON.stringify(ids), '已警報或已過抵達時間窗的 DONKI CME 活動 ID');
+}
 
-    // Kp >= 5 極光警報
-    if (spaceWeather.kp?.kp >= 5 && (now - lastAlerts.kp) > ALERT_COOLDOWN) {
-        const subscribers = await getSubscribersByType('aurora');
-        if (subscribers.length > 0) {
-            const msg = `🌌 ⚠️ 極光警報！
+// 記下判定不朝向地球時的評估依據；依據未變時不重複寫入
+async function markCMEMissed(id, basis) {
+    if (missedCMEs.get(id) === basis) return;
+    missedCMEs.delete(id);
+    missedCMEs.set(id, basis);
+    await saveMissedCMEs();
+}
 
-Kp 指數已達 ${spaceWeather.kp.kp.toFixed(1)}
-地磁警報等級：${spaceWeather.kp.gLevel}
+async function saveMissedCMEs() {
+    missedCMEs = new Map([...missedCMEs].slice(-ALERTED_CME_LIMIT));
+    await setSystemSetting('未朝向地球CME', JSON.stringify(Object.fromEntries(missedCMEs)), '判定不朝向地球的 DONKI CME 活動 ID 與評估依據（模擬或分析時間）');
+}
 
-${formatAuroraMessage(spaceWeather)}`;
+async function checkCMEAlerts(spaceWeather) {
+    const alerted = await loadAlertedCMEs();
+    const misses = await loadMissedCMEs();
+    const unalerted = (spaceWeather.cme || []).filter(cme => cme.id && !alerted.has(cme.id));
+    if (unalerted.length === 0) return;
 
-            for (const user of subscribers) {
-                await linePush(user.userId, msg);
-            }
-            lastAlerts.kp = now;
-            console.log('🌌 已發送極光警報');
-        }
-    }
+    // 判定不朝向地球的 CME 仍需檢查新的模擬；模擬清單有快取
+    const simulations = await fetchEnlilSimulations();
+    const candidates = unalerted.filter(cme => cmeAssessment.needsAssessment(cme, simulations, alerted, misses));
+    const now = Date.now();
 
-    // X 級閃焰警報
-    if (spaceWeather.xray?.flareClass === 'X' && (now - lastAlerts.flare) > ALERT_COOLDOWN) {
-        const subscribers = await getSubscribersByType('flare');
-        if (subscribers.length > 0) {
-            const msg = `🔥 ⚠️ X 級太陽閃焰警報！
+    for (const cme of candidates) {
+        const impact = cmeAssessment.assessCME(cme, simulations);
+        // 尚無分析資料的 CME 下次再評估；不朝向地球者待新的模擬或修正分析；已抵達者不再處理
+        if (!impact.earthDirected) {
+            if (impact.assessed) await markCMEMissed(cme.id, impact.basis);
+            continue;
+        }
+        if (impact.windowEnd.getTime() < now) {
+            await markCMEAlerted(cme.id);
+            continue;
+        }
 
-偵測到 ${spaceWeather.xray.fullClass} 級太陽閃焰
+        const subscribers = await getSubscribersByType('cme');
+        const msg = messagesByLanguage(lang => formatCMEAlertMessage(cme, impact, lang));
+        // 預估 Kp 7（G3）以上為嚴重警報
+        await lineFanOut(subscribers.map(user => ({ userId: user.userId, messages: msg(user.language) })), {
+            type: 'cme',
+            priority: quota.alertPriority(impact.kpMax - 4)
+        });
 
-可能影響：
-• 高頻無線電通訊中斷
-• GPS 定位精度下降
-• 衛星通訊干擾
+        await markCMEAlerted(cme.id);
+        await recordCMEEvent(cme, impact);
+        console.log(`🌋 已發送 CME 警報 ${cme.id}（${subscribers.length} 位訂閱者）`);
+    }
+}
 
-請密切關注後續發展`;
+async function recordCMEEvent(cme, impact) {
+    if (!store) return;
 
-            for (const user of subscribers) {
-                await linePush(user.userId, msg);
-            }
-            lastAlerts.flare = now;
-            console.log('🔥 已發送閃焰警報');
-        }
+    try {
+        await store.insert('CME事件', {
+            '時間': cme.time,
+            '速度': cme.speed,
+            '類型': cme.type,
+            '方向': impact.glancing ? '地球（擦邊）' : '地球',
+            '備註': `${cme.id} | 預估抵達 ${impact.arrival.toISOString()} | Kp ${impact.kpMin}-${impact.kpMax} | ${impact.source}`
+        });
+    } catch (error) {
+        console.error('CME 紀錄失敗:', error.message);
     }
 }
 
 // 數據記錄
 async function recordData() {
-    if (!doc) return;
+    if (!store) return;
 
     try {
         const now = new Date().toISOString();
@@ -1809,21 +4414,19 @@ async function recordData() {
 
         // 記錄太陽風
         if (data.solarWind) {
-            const sheet = doc.sheetsByTitle['太陽風紀錄'];
-            await sheet.addRow({
+            await store.insert('太陽風紀錄', {
                 '時間': now,
-                '風速': data.solarWind.speed,
-                '密度': data.solarWind.density,
-                'Bz': data.magneticField?.bz || 0,
-                'Bt': data.magneticField?.bt || 0,
-                '溫度': data.solarWind.temperature
+                '風速': data.solarWind.speed ?? '',
+                '密度': data.solarWind.density ?? '',
+                'Bz': data.magneticField?.bz ?? '',
+                'Bt': data.magneticField?.bt ?? '',
+                '溫度': data.solarWind.temperature ?? ''
             });
         }
 
         // 記錄 Kp
         if (data.kp) {
-            const sheet = doc.sheetsByTitle['Kp指數紀錄'];
-            await sheet.addRow({
+            await store.insert('Kp指數紀錄', {
                 '時間': now,
                 'Kp': data.kp.kp,
                 '等級': data.kp.level,
@@ -1833,8 +4436,7 @@ async function recordData() {
 
         // 記錄 ISS
         if (data.iss) {
-            const sheet = doc.sheetsByTitle['ISS位置'];
-            await sheet.addRow({
+            await store.insert('ISS位置', {
                 '時間': now,
                 '緯度': data.iss.lat.toFixed(4),
                 '經度': data.iss.lon.toFixed(4),
@@ -1846,11 +4448,10 @@ async function recordData() {
 
         // 記錄輻射
         if (data.proton) {
-            const sheet = doc.sheetsByTitle['輻射紀錄'];
-            await sheet.addRow({
+            await store.insert('輻射紀錄', {
                 '時間': now,
                 '質子通量': data.proton.flux,
-                '電子通量': data.electron?.flux || 0,
+                '電子通量': data.electron?.flux ?? '',
                 'S等級': data.proton.sLevel
             });
         }
@@ -1865,24 +4466,60 @@ async function recordData() {
 // API 端點
 // ═══════════════════════════════════════════════════════════════════════════
 
+// 網頁儀表板的訊息目錄（lib/i18n 的 web.* 鍵值）
+app.get('/api/i18n', (req, res) => {
+    res.json({ success: true, lang: req.lang, locale: i18n.locale(req.lang), messages: i18n.messages(req.lang, 'web.') });
+});
+
 // 綜合太空氣象
 app.get('/api/space-weather', async (req, res) => {
     const data = await getSpaceWeather(req.query.refresh === 'true');
-    res.json(data);
+    res.json(data.alertNotices ? { ...data, alertMessages: formatAlertMessages(data.alertNotices, req.lang) } : data);
+});
+
+// 極光機率（OVATION）：指定地點的頭頂 / 可見機率
+app.get('/api/aurora/probability', async (req, res) => {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidCoordinates') });
+    }
+
+    const probability = await getAuroraProbability(lat, lon);
+    if (!probability) {
+        return res.json({ success: false, message: i18n.t(req.lang, 'api.ovationUnavailable') });
+    }
+    res.json({ success: true, lat, lon, ...probability });
+});
+
+// 極光可見線（地球儀用）
+app.get('/api/aurora/view-line', async (req, res) => {
+    const grid = await fetchOvation();
+    if (!grid) {
+        return res.json({ success: false, message: i18n.t(req.lang, 'api.ovationUnavailable') });
+    }
+    res.json({
+        success: true,
+        observationTime: grid.observationTime,
+        forecastTime: grid.forecastTime,
+        threshold: ovation.VIEW_LINE_THRESHOLD,
+        north: ovation.viewLine(grid, 'north'),
+        south: ovation.viewLine(grid, 'south')
+    });
 });
 
 // Kp 歷史
 app.get('/api/kp-history', async (req, res) => {
     try {
-        const response = await fetch(`${NOAA_BASE}/products/noaa-planetary-k-index.json`);
-        const data = await response.json();
+        const data = await fetchNoaaJson('/products/noaa-planetary-k-index.json');
         
+        // 缺值為 null，不以 Kp 0 代替
         const history = data
             .filter(row => row[0] !== 'time_tag')
             .slice(-72)
             .map(row => ({
                 time: row[0],
-                kp: parseFloat(row[1]) || 0
+                kp: parseReading(row[1])
             }));
 
         res.json({ success: true, data: history });
@@ -1894,26 +4531,26 @@ app.get('/api/kp-history', async (req, res) => {
 // 太陽風歷史
 app.get('/api/solar-wind-history', async (req, res) => {
     try {
-        const [plasmaRes, magRes] = await Promise.all([
-            fetch(`${NOAA_BASE}/products/solar-wind/plasma-7-day.json`),
-            fetch(`${NOAA_BASE}/products/solar-wind/mag-7-day.json`)
+        const [plasma, mag] = await Promise.all([
+            fetchNoaaJson('/products/solar-wind/plasma-7-day.json'),
+            fetchNoaaJson('/products/solar-wind/mag-7-day.json')
         ]);
 
-        const plasma = await plasmaRes.json();
-        const mag = await magRes.json();
-
-        const history = [];
-        for (let i = Math.max(0, plasma.length - 200); i < plasma.length; i++) {
-            const row = plasma[i];
-            const magRow = mag[i] || [];
-            history.push({
-                time: row[0],
-                speed: parseFloat(row[2]) || 0,
-                density: parseFloat(row[1]) || 0,
-                bz: parseFloat(magRow[3]) || 0,
-                bt: parseFloat(magRow[6]) || 0
+        // 兩份資料列數不一定相同：磁場依時間對應；缺值為 null
+        const magByTime = new Map(mag.filter(row => row[0] !== 'time_tag').map(row => [row[0], row]));
+        const history = plasma
+            .filter(row => row[0] !== 'time_tag')
+            .slice(-200)
+            .map(row => {
+                const magRow = magByTime.get(row[0]) || [];
+                return {
+                    time: row[0],
+                    speed: parseReading(row[2]),
+                    density: parseReading(row[1]),
+                    bz: parseReading(magRow[3]),
+                    bt: parseReading(magRow[6])
+                };
             });
-        }
 
         res.json({ success: true, data: history });
     } catch (error) {
@@ -1927,7 +4564,32 @@ app.get('/api/iss', async (req, res) => {
     if (iss) {
         res.json({ success: true, ...iss });
     } else {
-        res.json({ success: false, message: 'ISS 數據取得失敗' });
+        res.json({ success: false, message: i18n.t(req.lang, 'api.issUnavailable') });
+    }
+});
+
+// ISS 過境預報
+app.get('/api/iss/passes', async (req, res) => {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidCoordinates') });
+    }
+
+    const days = Math.min(10, Math.max(1, parseFloat(req.query.days) || 3));
+    // 0° 為有效值（地平線以上的所有過境）
+    const requested = parseFloat(req.query.minElevation);
+    const minElevation = Math.min(90, Math.max(0, Number.isFinite(requested) ? requested : 10));
+    const visibleOnly = req.query.all !== 'true';
+
+    try {
+        const result = await getISSPasses(lat, lon, { days, minElevation, visibleOnly });
+        if (!result.passes) {
+            return res.json({ success: false, error: i18n.t(req.lang, 'api.issTleOutdated', { days: issPass.MAX_TLE_AGE_DAYS }), tle: result.tle });
+        }
+        res.json({ success: true, lat, lon, days, minElevation, visibleOnly, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
@@ -1939,7 +4601,7 @@ app.get('/api/weather', async (req, res) => {
     if (weather) {
         res.json({ success: true, ...weather });
     } else {
-        res.json({ success: false, message: '天氣數據取得失敗' });
+        res.json({ success: false, message: i18n.t(req.lang, 'api.weatherUnavailable') });
     }
 });
 
@@ -1955,34 +4617,139 @@ app.get('/api/flares', async (req, res) => {
     res.json({ success: true, data: flares });
 });
 
-// 火箭發射
-app.get('/api/spacex', (req, res) => {
-    const launches = getUpcomingLaunches();
-    res.json({ success: true, data: launches });
+// 火箭發射（Launch Library 2；source 為 feed / cache / bundled）
+app.get('/api/spacex', async (req, res) => {
+    const schedule = await fetchLaunchSchedule();
+    const launches = await getUpcomingLaunches();
+    res.json({ success: true, source: schedule.source, fetchedAt: schedule.fetchedAt, data: launches });
 });
 
 // 下一次發射
-app.get('/api/spacex/next', (req, res) => {
-    const next = getNextMajorLaunch();
-    res.json({ success: true, data: next });
+app.get('/api/spacex/next', async (req, res) => {
+    const schedule = await fetchLaunchSchedule();
+    const next = await getNextLaunch();
+    res.json({ success: true, source: schedule.source, fetchedAt: schedule.fetchedAt, data: next });
 });
 
-// 月相
+// 月相：?date=YYYY-MM-DD 或 ISO 時間；提供 lat/lon 時計算月出月落（tz 預設 Asia/Taipei）
 app.get('/api/moon', (req, res) => {
-    const moon = getMoonPhase();
-    res.json({ success: true, data: moon });
+    const timeZone = req.query.tz || timezone.DEFAULT_TIME_ZONE;
+    if (!timezone.isValidTimeZone(timeZone)) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidTimeZone', { tz: timeZone }) });
+    }
+
+    let date = new Date();
+    if (req.query.date) {
+        // 只給日期時取當地正午
+        date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date)
+            ? new Date(timezone.zonedDayStart(req.query.date, timeZone).getTime() + 12 * 60 * 60 * 1000)
+            : new Date(req.query.date);
+        if (isNaN(date.getTime())) {
+            return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidDateTime') });
+        }
+    }
+
+    let location = null;
+    if (req.query.lat !== undefined || req.query.lon !== undefined) {
+        const lat = parseFloat(req.query.lat);
+        const lon = parseFloat(req.query.lon);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidCoordinates') });
+        }
+        location = { lat, lon, timeZone };
+    }
+
+    const info = getMoonPhase(date, location);
+    res.json({ success: true, data: { ...info, phase: i18n.t(req.lang, `moon.phase.${info.phaseKey}`) } });
+});
+
+// 日出日落、黃金 / 藍調時刻、曙暮光：?lat=&lon=&date=YYYY-MM-DD&tz=
+app.get('/api/sun-times', (req, res) => {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidCoordinates') });
+    }
+
+    const timeZone = req.query.tz || timezone.DEFAULT_TIME_ZONE;
+    if (!timezone.isValidTimeZone(timeZone)) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidTimeZone', { tz: timeZone }) });
+    }
+
+    const date = req.query.date || timezone.zonedDateString(new Date(), timeZone);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidDate') });
+    }
+
+    res.json({ success: true, lat, lon, data: sun.sunTimes(date, lat, lon, timeZone) });
+});
+
+// 今晚觀測規劃：?lat=&lon=&tz=
+app.get('/api/tonight', async (req, res) => {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidCoordinates') });
+    }
+
+    const timeZone = req.query.tz || timezone.DEFAULT_TIME_ZONE;
+    if (!timezone.isValidTimeZone(timeZone)) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidTimeZone', { tz: timeZone }) });
+    }
+
+    try {
+        res.json({ success: true, data: localizeTonightPlan(await getTonightPlan(lat, lon, timeZone), req.lang) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 觀星預報：?lat=&lon=&tz=，未來 72 小時逐時分數與三晚摘要
+app.get('/api/observing-forecast', async (req, res) => {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidCoordinates') });
+    }
+
+    const timeZone = req.query.tz || timezone.DEFAULT_TIME_ZONE;
+    if (!timezone.isValidTimeZone(timeZone)) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidTimeZone', { tz: timeZone }) });
+    }
+
+    try {
+        const forecast = await getObservingForecast(lat, lon, timeZone);
+        if (!forecast) return res.status(503).json({ success: false, error: i18n.t(req.lang, 'api.forecastUnavailable') });
+        res.json({ success: true, data: forecast });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
-// 流星雨
+// 流星雨：?lat=&lon=&tz=（未提供座標時以台北計算）
 app.get('/api/meteors', (req, res) => {
-    const meteors = getMeteorShowers();
-    res.json({ success: true, data: meteors });
+    let location = null;
+    if (req.query.lat !== undefined || req.query.lon !== undefined) {
+        const lat = parseFloat(req.query.lat);
+        const lon = parseFloat(req.query.lon);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidCoordinates') });
+        }
+        location = { lat, lon };
+    }
+
+    const timeZone = req.query.tz || timezone.DEFAULT_TIME_ZONE;
+    if (!timezone.isValidTimeZone(timeZone)) {
+        return res.status(400).json({ success: false, error: i18n.t(req.lang, 'api.invalidTimeZone', { tz: timeZone }) });
+    }
+
+    res.json({ success: true, data: getMeteorShowers(location, timeZone) });
 });
 
 // 歷史紀錄查詢
 app.get('/api/history/:type', async (req, res) => {
-    if (!doc) {
-        return res.json({ success: false, message: 'Google Sheets 未連線' });
+    if (!store) {
+        return res.json({ success: false, message: i18n.t(req.lang, 'api.storageUnavailable') });
     }
 
     try {
@@ -2000,21 +4767,15 @@ app.get('/api/history/:type', async (req, res) => {
 
         const sheetName = sheetNames[type];
         if (!sheetName) {
-            return res.json({ success: false, message: '無效的類型' });
-        }
-
-        const sheet = doc.sheetsByTitle[sheetName];
-        if (!sheet) {
-            return res.json({ success: false, message: '找不到工作表' });
+            return res.json({ success: false, message: i18n.t(req.lang, 'api.invalidType') });
         }
 
-        const rows = await sheet.getRows();
+        const rows = await store.list(sheetName);
         const cutoff = new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000);
 
         const data = rows
-            .filter(row => new Date(row.get('時間')) > cutoff)
-            .slice(-parseInt(limit))
-            .map(row => row.toObject());
+            .filter(row => new Date(row['時間']) > cutoff)
+            .slice(-parseInt(limit));
 
         res.json({ success: true, data });
     } catch (error) {
@@ -2024,20 +4785,23 @@ app.get('/api/history/:type', async (req, res) => {
 
 // 訂閱統計
 app.get('/api/stats/subscriptions', async (req, res) => {
-    if (!doc) {
-        return res.json({ success: false, message: 'Google Sheets 未連線' });
+    if (!store) {
+        return res.json({ success: false, message: i18n.t(req.lang, 'api.storageUnavailable') });
     }
 
     try {
-        const sheet = doc.sheetsByTitle['LINE訂閱'];
-        const rows = await sheet.getRows();
+        const rows = await store.list('LINE訂閱');
 
         const stats = {
-            total: rows.filter(r => r.get('狀態') === '啟用').length,
-            daily: rows.filter(r => r.get('類型') === 'daily' && r.get('狀態') === '啟用').length,
-            aurora: rows.filter(r => r.get('類型') === 'aurora' && r.get('狀態') === '啟用').length,
-            flare: rows.filter(r => r.get('類型') === 'flare' && r.get('狀態') === '啟用').length,
-            cme: rows.filter(r => r.get('類型') === 'cme' && r.get('狀態') === '啟用').length
+            total: rows.filter(r => r['狀態'] === '啟用').length,
+            daily: rows.filter(r => r['類型'] === 'daily' && r['狀態'] === '啟用').length,
+            aurora: rows.filter(r => r['類型'] === 'aurora' && r['狀態'] === '啟用').length,
+            flare: rows.filter(r => r['類型'] === 'flare' && r['狀態'] === '啟用').length,
+            cme: rows.filter(r => r['類型'] === 'cme' && r['狀態'] === '啟用').length,
+            radiation: rows.filter(r => r['類型'] === 'radiation' && r['狀態'] === '啟用').length,
+            iss: rows.filter(r => r['類型'] === 'iss' && r['狀態'] === '啟用').length,
+            meteor: rows.filter(r => r['類型'] === 'meteor' && r['狀態'] === '啟用').length,
+            launch: rows.filter(r => r['類型'] === 'launch' && r['狀態'] === '啟用').length
         };
 
         res.json({ success: true, data: stats });
@@ -2046,39 +4810,279 @@ app.get('/api/stats/subscriptions', async (req, res) => {
     }
 });
 
-// 手動推播（管理用）- 需要 ADMIN_API_KEY
-app.post('/api/admin/broadcast', async (req, res) => {
-    // 驗證管理密鑰
+// ═══════════════════════════════════════════════════════════════════════════
+// 管理 API（需要 ADMIN_API_KEY，以 X-Admin-Key 標頭傳入）
+// ═══════════════════════════════════════════════════════════════════════════
+function requireAdmin(req, res, next) {
     const apiKey = req.headers['x-admin-key'];
     if (!ADMIN_API_KEY || apiKey !== ADMIN_API_KEY) {
         return res.status(403).json({ success: false, message: '無權限' });
     }
+    next();
+}
+
+const SUBSCRIBER_PAGE_SIZE = 20;
+const SUBSCRIBER_PAGE_SIZE_MAX = 100;
+
+// 匯出欄位：CSV 標題沿用資料表欄名，JSON 使用 API 欄位
+const SUBSCRIBER_EXPORT_FIELDS = [
+    ['用戶ID', 'userId'],
+    ['顯示名稱', 'displayName'],
+    ['類型', 'type'],
+    ['名稱', 'name'],
+    ['推播時間', 'pushTime'],
+    ['訂閱時間', 'subscribedAt'],
+    ['狀態', 'status'],
+    ['上次推播', 'lastPushAt'],
+    ['設定', 'settings']
+];
+
+function toSubscriberRecord(row, profile) {
+    return {
+        userId: row['用戶ID'],
+        displayName: profile?.displayName || null,
+        type: row['類型'],
+        name: row['名稱'],
+        pushTime: row['推播時間'] || null,
+        subscribedAt: row['訂閱時間'],
+        status: row['狀態'],
+        lastPushAt: row['上次推播'] || null,
+        settings: parseSubscriptionSettings(row['設定'])
+    };
+}
+
+/**
+ * 依條件篩選訂閱（每筆訂閱一列，新訂閱在前）
+ * type 訂閱類型、status 啟用 / 停用、q 搜尋用戶 ID、顯示名稱（僅已快取者）或訂閱名稱
+ */
+async function findSubscriberRecords({ type, status, q } = {}) {
+    const [rows, profiles] = await Promise.all([store.list('LINE訂閱'), getUserProfiles()]);
+    const keyword = String(q || '').trim().toLowerCase();
+
+    const records = rows
+        .filter(row => (!type || row['類型'] === type) && (!status || row['狀態'] === status))
+        .map(row => toSubscriberRecord(row, profiles.get(row['用戶ID'])))
+        .filter(record => !keyword || [record.userId, record.displayName, record.name]
+            .some(value => value && value.toLowerCase().includes(keyword)))
+        .sort((a, b) => (Date.parse(b.subscribedAt) || 0) - (Date.parse(a.subscribedAt) || 0));
+
+    return { records, profiles };
+}
+
+// 管理操作的對象：指定用戶的訂閱，可再以類型與推播時間縮小範圍
+function subscriberMatcher(userId, type, pushTime) {
+    return row => row['用戶ID'] === userId &&
+        (!type || row['類型'] === type) &&
+        (!pushTime || row['推播時間'] === pushTime);
+}
+
+// CSV 欄位：含逗號、引號或換行時加引號；開頭為 = + - @ 或 Tab、CR 的值前置單引號，避免試算表當成公式
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 訂閱者列表：?page=1&pageSize=20&type=aurora&status=啟用&q=關鍵字
+app.get('/api/admin/subscribers', requireAdmin, async (req, res) => {
+    if (!store) {
+        return res.json({ success: false, message: i18n.t(req.lang, 'api.storageUnavailable') });
+    }
+
+    try {
+        const pageSize = Math.min(SUBSCRIBER_PAGE_SIZE_MAX, Math.max(1, parseInt(req.query.pageSize) || SUBSCRIBER_PAGE_SIZE));
+        const { records, profiles } = await findSubscriberRecords(req.query);
+        const pages = Math.max(1, Math.ceil(records.length / pageSize));
+        const page = Math.min(pages, Math.max(1, parseInt(req.query.page) || 1));
+        const data = records.slice((page - 1) * pageSize, page * pageSize);
+
+        // 只查詢本頁的顯示名稱
+        const names = await getDisplayNames(data.map(record => record.userId), profiles);
+        for (const record of data) record.displayName = names.get(record.userId) || null;
+
+        res.json({ success: true, data, total: records.length, page, pageSize, pages });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 匯出：?format=csv|json，篩選條件同列表（不分頁，顯示名稱使用快取）
+app.get('/api/admin/subscribers/export', requireAdmin, async (req, res) => {
+    if (!store) {
+        return res.json({ success: false, message: i18n.t(req.lang, 'api.storageUnavailable') });
+    }
+
+    try {
+        const { records } = await findSubscriberRecords(req.query);
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (req.query.format === 'json') {
+            res.setHeader('Content-Disposition', `attachment; filename="subscribers-${date}.json"`);
+            return res.json(records);
+        }
+
+        const lines = [SUBSCRIBER_EXPORT_FIELDS.map(([header]) => header).join(',')];
+        for (const record of records) {
+            lines.push(SUBSCRIBER_EXPORT_FIELDS.map(([, key]) => csvCell(
+                key === 'settings' ? (Object.keys(record.settings).length ? JSON.stringify(record.settings) : '') : record[key]
+            )).join(','));
+        }
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="subscribers-${date}.csv"`);
+        // BOM 讓 Excel 以 UTF-8 開啟中文
+        res.send('\uFEFF' + lines.join('\r\n'));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 啟用 / 停用：body { enabled, type?, pushTime? }，未指定類型時套用該用戶所有訂閱
+app.patch('/api/admin/subscribers/:userId', requireAdmin, async (req, res) => {
+    if (!store) {
+        return res.json({ success: false, message: i18n.t(req.lang, 'api.storageUnavailable') });
+    }
+
+    const { enabled, type, pushTime } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+        return res.json({ success: false, message: '缺少必要參數' });
+    }
+
+    try {
+        const count = await store.update('LINE訂閱',
+            subscriberMatcher(req.params.userId, type, pushTime),
+            { '狀態': enabled ? '啟用' : '停用' }
+        );
+        if (count === 0) {
+            return res.status(404).json({ success: false, message: '找不到訂閱' });
+        }
+        res.json({ success: true, count });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 刪除訂閱：?type=&pushTime=，未指定類型時刪除該用戶所有訂閱（用戶設定保留）
+app.delete('/api/admin/subscribers/:userId', requireAdmin, async (req, res) => {
+    if (!store) {
+        return res.json({ success: false, message: i18n.t(req.lang, 'api.storageUnavailable') });
+    }
+
+    try {
+        const { type, pushTime } = req.query;
+        const count = await store.remove('LINE訂閱', subscriberMatcher(req.params.userId, type, pushTime));
+        if (count === 0) {
+            return res.status(404).json({ success: false, message: '找不到訂閱' });
+        }
+        res.json({ success: true, count });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-    const { type, message } = req.body;
+// 手動推播：body { type, message, audience? }
+//   type = all      所有訂閱者；其他類型為該類型的訂閱者（multicast）
+//   type = friends  所有好友：broadcast；帶 audience（recipient / filter / limit）時改用 narrowcast
+// 加入推播佇列即回覆，實際傳送與重試在背景進行，進度見推播紀錄
+// 額度偏低時暫停廣播，需先以 /api/admin/quota/override 暫時解除限制
+app.post('/api/admin/broadcast', requireAdmin, async (req, res) => {
+    const { type, message, audience } = req.body;
     
     if (!type || !message) {
         return res.json({ success: false, message: '缺少必要參數' });
     }
 
-    const subscribers = await getSubscribersByType(type);
-    let sent = 0;
+    const subscribers = type === 'friends' ? [] : await getSubscribersByType(type);
+    const status = await getQuotaStatus();
+    const decision = quota.evaluate(status, 'broadcast', subscribers.length);
+    if (!decision.allowed) {
+        return res.json({ success: false, message: QUOTA_BLOCK_REASONS[decision.reason] || decision.reason, quota: status });
+    }
 
-    for (const user of subscribers) {
-        const success = await linePush(user.userId, message);
-        if (success) sent++;
+    if (type === 'friends') {
+        const queued = await lineBroadcast(message, { audience: audience || null });
+        return res.json({ success: queued, method: audience ? 'narrowcast' : 'broadcast' });
     }
 
-    res.json({ success: true, sent, total: subscribers.length });
+    const result = await lineFanOut(subscribers.map(user => ({ userId: user.userId, messages: message })), { type: 'broadcast' });
+
+    res.json({ success: true, method: 'multicast', queued: result.recipients, requests: result.requests, total: subscribers.length });
 });
 
-// 測試推播 - 需要 ADMIN_API_KEY
-app.post('/api/admin/test-push', async (req, res) => {
-    // 驗證管理密鑰
-    const apiKey = req.headers['x-admin-key'];
-    if (!ADMIN_API_KEY || apiKey !== ADMIN_API_KEY) {
-        return res.status(403).json({ success: false, message: '無權限' });
+// 警報狀態與最近的轉換紀錄：?limit=50
+app.get('/api/admin/alerts', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(500, parseInt(req.query.limit) || 50);
+        const events = store ? (await store.list('警報紀錄')).slice(-limit).reverse() : [];
+        res.json({ success: true, data: { states: await loadAlertStates(), events } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 各災害可重播的記錄資料：資料表與讀數欄位
+const ALERT_REPLAY_SOURCES = {
+    geomagnetic: { table: 'Kp指數紀錄', column: 'Kp' },
+    radiation: { table: '輻射紀錄', column: '質子通量' }
+};
+
+// 重播警報狀態機（不推播、不寫入紀錄）：body { hazard, series?, from?, to? }
+//   series 為 [{ time, value }]；未提供時使用記錄的資料（地磁：Kp指數紀錄、輻射：輻射紀錄），可依 from / to 篩選
+app.post('/api/admin/alerts/replay', requireAdmin, async (req, res) => {
+    const { hazard, series, from, to } = req.body;
+    if (!alerts.HAZARDS[hazard]) {
+        return res.status(400).json({ success: false, message: `hazard 需為 ${Object.keys(alerts.HAZARDS).join(' / ')}` });
+    }
+
+    let readings = series;
+    if (!Array.isArray(readings)) {
+        const source = ALERT_REPLAY_SOURCES[hazard];
+        if (!source) return res.status(400).json({ success: false, message: '此災害沒有記錄的資料，請提供 series' });
+        if (!store) return res.status(503).json({ success: false, message: '資料儲存未就緒' });
+
+        readings = (await store.list(source.table))
+            .filter(row => (!from || row['時間'] >= from) && (!to || row['時間'] <= to))
+            .map(row => ({ time: row['時間'], value: parseFloat(row[source.column]) }));
+    }
+
+    const result = alerts.replay(hazard, readings);
+    res.json({ success: true, data: { readings: readings.length, events: result.events, state: result.state } });
+});
+
+// 推播額度：?refresh=1 重新向 LINE 查詢用量
+app.get('/api/admin/quota', requireAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, data: await getQuotaStatus({ refresh: req.query.refresh === '1' }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 暫時解除額度限制：body { hours }（預設 24，最多 168）
+app.post('/api/admin/quota/override', requireAdmin, async (req, res) => {
+    const hours = req.body.hours === undefined ? 24 : Number(req.body.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 168) {
+        return res.status(400).json({ success: false, message: 'hours 需介於 0 到 168' });
+    }
+
+    const until = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    if (!await setQuotaOverride(until)) {
+        return res.status(500).json({ success: false, message: '額度覆寫儲存失敗，限制未變更' });
+    }
+    console.log(`💸 管理員解除推播額度限制至 ${until}`);
+    res.json({ success: true, data: quotaStatus });
+});
+
+// 恢復額度限制
+app.delete('/api/admin/quota/override', requireAdmin, async (req, res) => {
+    if (!await setQuotaOverride(null)) {
+        return res.status(500).json({ success: false, message: '額度覆寫儲存失敗，限制未變更' });
     }
+    console.log('💸 管理員恢復推播額度限制');
+    res.json({ success: true, data: quotaStatus });
+});
 
+// 測試推播
+app.post('/api/admin/test-push', requireAdmin, async (req, res) => {
     const { userId, type = 'space-weather' } = req.body;
     
     if (!userId) {
@@ -2086,34 +5090,54 @@ app.post('/api/admin/test-push', async (req, res) => {
     }
 
     const spaceWeather = await getSpaceWeather(true);
+    const lang = await getUserLanguage(userId);
     let message;
 
     switch (type) {
         case 'aurora':
-            message = formatAuroraMessage(spaceWeather);
+            message = formatAuroraMessage(spaceWeather, null, lang);
             break;
         case 'solar':
-            message = formatSolarWindMessage(spaceWeather);
+            message = formatSolarWindMessage(spaceWeather, lang);
             break;
         case 'iss':
-            message = formatISSMessage(spaceWeather);
+            message = formatISSMessage(spaceWeather, lang);
             break;
         default:
-            message = formatSpaceWeatherMessage(spaceWeather);
+            message = formatSpaceWeatherMessage(spaceWeather, lang);
     }
 
-    const success = await linePush(userId, message);
+    // 等待第一次傳送結果，失敗時仍會在背景重試
+    const success = await linePush(userId, message, { type: 'test', wait: true });
     res.json({ success, message: success ? '已發送' : '發送失敗' });
 });
 
+// 太空氣象快取狀態：valid / partial（部分資料無法取得，列於 unavailable）/ unavailable / empty
+function spaceWeatherCacheStatus() {
+    if (!cachedSpaceWeather) return 'empty';
+    const missing = cachedSpaceWeather.unavailable.length;
+    if (missing === 0) return 'valid';
+    return missing === SPACE_WEATHER_READINGS.length ? 'unavailable' : 'partial';
+}
+
 // 健康檢查
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        googleSheets: doc ? 'connected' : 'not configured',
+        googleSheets: store?.name === 'google-sheets' ? 'connected' : 'not configured',
+        storage: store ? store.name : 'unavailable',
         lineBot: LINE_CHANNEL_ACCESS_TOKEN ? 'configured' : 'not configured',
-        cache: cachedSpaceWeather ? 'valid' : 'empty'
+        cache: spaceWeatherCacheStatus(),
+        unavailable: cachedSpaceWeather ? cachedSpaceWeather.unavailable : [],
+        pushQuota: quotaStatus ? {
+            level: quotaStatus.level,
+            used: quotaStatus.used,
+            limit: quotaStatus.limit,
+            remaining: quotaStatus.remaining,
+            override: !!quotaStatus.override,
+            source: quotaStatus.source
+        } : 'unknown'
     });
 });
 
@@ -2121,7 +5145,7 @@ app.get('/health', (req, res) => {
 app.get('/line-status', (req, res) => {
     const tokenSet = !!LINE_CHANNEL_ACCESS_TOKEN;
     const secretSet = !!LINE_CHANNEL_SECRET;
-    const sheetsSet = !!doc;
+    const storageName = store ? (store.name === 'google-sheets' ? 'Google Sheets' : '本機檔案') : null;
     
     const html = `<!DOCTYPE html>
 <html lang="zh-TW">
@@ -2171,8 +5195,8 @@ app.get('/line-status', (req, res) => {
                 <span class="${secretSet ? 'ok">✅ 已設定' : 'warn">⚠️ 未設定'}</span>
             </div>
             <div class="row">
-                <span class="label">📊 Google Sheets</span>
-                <span class="${sheetsSet ? 'ok">✅ 已連線' : 'warn">⚠️ 未設定'}</span>
+                <span class="label">📊 資料儲存</span>
+                <span class="${storageName ? `ok">✅ ${storageName}` : 'warn">⚠️ 未就緒'}</span>
             </div>
         </div>
         
@@ -2268,18 +5292,30 @@ async function start() {
     console.log('═══════════════════════════════════════════════════════════════');
     console.log('');
 
-    await initGoogleSheets();
+    await initStorage();
+    await getQuotaStatus();
+    // 繼續傳送上次未完成的推播
+    processOutbox();
     
     // 定時任務
     setInterval(dailyPush, 60 * 1000);       // 每分鐘檢查定時推播
+    setInterval(checkLaunchReminders, 60 * 1000); // 每分鐘檢查發射倒數提醒
+    setInterval(checkISSPassAlerts, 60 * 1000); // 每分鐘檢查 ISS 過境提醒
+    setInterval(checkMeteorReminders, 60 * 60 * 1000); // 每小時檢查流星雨提醒
     setInterval(checkAlerts, 5 * 60 * 1000); // 每 5 分鐘檢查警報
     setInterval(recordData, 5 * 60 * 1000);  // 每 5 分鐘記錄數據
+    setInterval(pruneOutbox, 6 * 60 * 60 * 1000); // 每 6 小時清理推播佇列
+    setInterval(checkNarrowcastProgress, 60 * 1000); // 每分鐘更新 narrowcast 進度
+    setInterval(() => getQuotaStatus({ refresh: true }), QUOTA_REFRESH_INTERVAL); // 每 10 分鐘更新推播額度
+    setInterval(flushPushUsage, PUSH_USAGE_FLUSH_INTERVAL); // 每分鐘寫回推播用量
 
     // 首次執行
     setTimeout(async () => {
         await getSpaceWeather(true);
-        if (doc) await recordData();
+        if (store) await recordData();
         console.log('✅ 首次數據已載入');
+        // 補發停機期間錯過的每日報告
+        await dailyPush();
     }, 5000);
 
     app.listen(PORT, () => {
@@ -2290,23 +5326,42 @@ async function start() {
         console.log('   GET  /api/kp-history        Kp 指數歷史');
         console.log('   GET  /api/solar-wind-history 太陽風歷史');
         console.log('   GET  /api/iss               ISS 即時位置');
+        console.log('   GET  /api/iss/passes        ISS 過境預報');
+        console.log('   GET  /api/aurora/probability 極光機率 (OVATION)');
         console.log('   GET  /api/weather           地面天氣');
         console.log('   GET  /api/cme               CME 事件');
         console.log('   GET  /api/flares            太陽閃焰');
-        console.log('   GET  /api/spacex            SpaceX 發射');
+        console.log('   GET  /api/spacex            發射排程（Launch Library 2）');
+        console.log('   GET  /api/spacex/next       下一次發射');
         console.log('   GET  /api/moon              月相');
-        console.log('   GET  /api/meteors           流星雨');
+        console.log('   GET  /api/sun-times         日出日落 / 黃金時刻');
+        console.log('   GET  /api/tonight           今晚觀測規劃');
+        console.log('   GET  /api/observing-forecast 觀星預報（72 小時逐時分數）');
+        console.log('   GET  /api/meteors           流星雨（輻射點高度 / 月光修正流星數）');
         console.log('   GET  /api/history/:type     歷史紀錄');
         console.log('   GET  /api/stats/subscriptions 訂閱統計');
         console.log('   POST /webhook               LINE Webhook');
         console.log('');
         console.log('📊 定時任務:');
         console.log('   每 1 分鐘  檢查定時推播');
+        console.log('   每 1 分鐘  檢查 ISS 過境提醒');
+        console.log('   每 1 分鐘  檢查發射倒數提醒');
         console.log('   每 5 分鐘  檢查警報條件');
-        console.log('   每 5 分鐘  記錄數據到 Google Sheets');
+        console.log(`   每 5 分鐘  記錄數據（${store ? store.name : '未啟用'}）`);
         console.log('');
         console.log('═══════════════════════════════════════════════════════════════');
     });
 }
 
-start();
+// 直接執行時啟動伺服器；測試以 require 載入時不啟動，只使用匯出的函式
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    app,
+    fetchLaunchSchedule,
+    initStorage,
+    linePush,
+    lineFanOut
+};
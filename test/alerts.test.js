@@ -0,0 +1,84 @@
+/**
+ * 警報狀態機：以 lib/fixtures/alerts.json 的資料序列重播，檢查狀態轉換與通知
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const alerts = require('../lib/alerts');
+
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'lib', 'fixtures', 'alerts.json'), 'utf8'));
+
+const summarize = events => events.map(e => `${e.type}:${e.to}${e.notify ? '!' : ''}`);
+
+test('地磁：Kp 3 即開始事件，極光帶內 Kp 3 門檻的訂閱者會收到通知', () => {
+    const { events, state } = alerts.replay('geomagnetic', FIXTURE.geomagnetic.minor);
+
+    assert.deepEqual(summarize(events), ['start:watch!', 'peak:watch']);
+    assert.equal(events[0].value, 3.33);
+    assert.equal(events[1].previousPeak, 3.33);
+    assert.equal(state.peak, 3.67);
+});
+
+test('地磁：升級才通知，等級邊界來回與回升不重複通知，結束時附摘要', () => {
+    const { events, state } = alerts.replay('geomagnetic', FIXTURE.geomagnetic.storm);
+
+    assert.deepEqual(summarize(events), [
+        'start:watch!',
+        'peak:watch',
+        'escalate:warning!',
+        'change:watch',
+        'change:warning',
+        'escalate:severe!',
+        'change:warning',
+        'recover:recovering',
+        'resume:watch',
+        'recover:recovering',
+        'end:quiet!'
+    ]);
+    assert.deepEqual(events.filter(e => e.type === 'escalate').map(e => alerts.scaleLabel('geomagnetic', e.scale)), ['G1', 'G3']);
+    assert.deepEqual(events.at(-1).summary, {
+        peak: 7.33,
+        peakScale: 3,
+        peakLevel: 'severe',
+        startedAt: '2026-10-10T03:00:00.000Z',
+        endedAt: '2026-10-11T06:00:00.000Z',
+        hours: 27
+    });
+    assert.deepEqual(state, { ...alerts.initialState(), value: 2, time: '2026-10-11T09:00:00.000Z' });
+});
+
+test('閃焰：X 級升級通知，結束不通知', () => {
+    const { events } = alerts.replay('flare', FIXTURE.flare['x-class']);
+
+    assert.deepEqual(summarize(events), ['start:watch!', 'escalate:severe!', 'recover:recovering', 'end:quiet']);
+    assert.equal(alerts.scaleLabel('flare', events[1].scale), 'R3');
+});
+
+test('輻射：恢復期間回升不重新開始事件，持續低於門檻才結束', () => {
+    const { events } = alerts.replay('radiation', FIXTURE.radiation.s1);
+
+    assert.deepEqual(summarize(events), ['start:watch!', 'recover:recovering', 'resume:watch', 'recover:recovering', 'end:quiet!']);
+    const { summary } = events.at(-1);
+    assert.equal(summary.peak, 14);
+    assert.equal(summary.hours, 0.25);
+});
+
+test('replay 依時間排序，可從中途狀態接續', () => {
+    const series = FIXTURE.geomagnetic.storm;
+    const expected = alerts.replay('geomagnetic', series);
+
+    assert.deepEqual(alerts.replay('geomagnetic', [...series].reverse()), expected);
+
+    const first = alerts.replay('geomagnetic', series.slice(0, 6));
+    const rest = alerts.replay('geomagnetic', series.slice(6), first.state);
+    assert.deepEqual([...first.events, ...rest.events], expected.events);
+    assert.deepEqual(rest.state, expected.state);
+});
+
+test('無效的讀數不改變狀態', () => {
+    const state = alerts.initialState();
+    assert.deepEqual(alerts.step('geomagnetic', state, { time: '2026-10-01T00:00:00Z', value: 'n/a' }), { state, events: [] });
+    assert.deepEqual(alerts.step('geomagnetic', state, { time: 'invalid', value: 6 }), { state, events: [] });
+});
@@ -0,0 +1,81 @@
+/**
+ * CME 地球方向評估：判定不朝向地球後，有新的 WSA-Enlil 模擬或修正分析時重新評估
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cme = require('../lib/cme');
+
+const EVENT = {
+    id: '2026-10-15T08:24:00-CME-001',
+    time: '2026-10-15T08:24Z',
+    speed: 900,
+    halfAngle: 30,
+    latitude: 10,
+    longitude: -70,
+    analysisTime: '2026-10-15T11:09Z',
+    enlilList: []
+};
+
+const simulation = (completed, arrival) => ({
+    modelCompletionTime: completed,
+    cmeInputs: [{ cmeid: EVENT.id }],
+    estimatedShockArrivalTime: arrival,
+    impactList: arrival ? [{ location: 'Earth', arrivalTime: arrival, isGlancingBlow: true }] : [],
+    kp_90: 5,
+    kp_135: 6,
+    kp_180: 7
+});
+
+test('錐體幾何：日地連線在錐體外判定不朝向地球，依據為分析時間', () => {
+    const impact = cme.assessCME(EVENT);
+    assert.equal(impact.assessed, true);
+    assert.equal(impact.earthDirected, false);
+    assert.equal(impact.basis, 'analysis:2026-10-15T11:09Z');
+});
+
+test('判定不朝向地球後，新的模擬顯示擊中地球時重新評估並警報', () => {
+    const alerted = new Set();
+    const misses = new Map();
+    const miss = simulation('2026-10-15T14:00Z', null);
+
+    const first = cme.assessCME(EVENT, [miss]);
+    assert.equal(first.assessed, true);
+    assert.equal(first.earthDirected, false);
+    misses.set(EVENT.id, first.basis);
+
+    // 依據未變：不再評估
+    assert.equal(cme.needsAssessment(EVENT, [miss], alerted, misses), false);
+
+    // 新的模擬：重新評估，改判擊中地球
+    const simulations = [miss, simulation('2026-10-16T02:00Z', '2026-10-17T20:00Z')];
+    assert.equal(cme.needsAssessment(EVENT, simulations, alerted, misses), true);
+    const second = cme.assessCME(EVENT, simulations);
+    assert.equal(second.earthDirected, true);
+    assert.equal(second.glancing, true);
+    assert.equal(second.source, 'WSA-Enlil');
+    assert.equal(second.basis, 'enlil:2026-10-16T02:00Z');
+    assert.deepEqual([second.kpMin, second.kpMax], [5, 7]);
+    assert.equal(second.arrival.toISOString(), '2026-10-17T20:00:00.000Z');
+
+    // 已警報：不再評估
+    alerted.add(EVENT.id);
+    assert.equal(cme.needsAssessment(EVENT, simulations, alerted, misses), false);
+});
+
+test('修正分析改為朝向地球時重新評估', () => {
+    const misses = new Map([[EVENT.id, cme.assessCME(EVENT).basis]]);
+    const revised = { ...EVENT, latitude: 5, longitude: 10, analysisTime: '2026-10-15T15:30Z' };
+
+    assert.equal(cme.needsAssessment(revised, [], new Set(), misses), true);
+    const impact = cme.assessCME(revised);
+    assert.equal(impact.earthDirected, true);
+    assert.equal(impact.source, '錐體幾何 + ECA 經驗模型');
+});
+
+test('尚無分析資料的 CME 不算已評估，下次再評估', () => {
+    const pending = { ...EVENT, latitude: null, longitude: null, analysisTime: null };
+    const impact = cme.assessCME(pending);
+    assert.equal(impact.assessed, false);
+    assert.equal(cme.needsAssessment(pending, [], new Set(), new Map()), true);
+});
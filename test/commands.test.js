@@ -0,0 +1,82 @@
+/**
+ * 指令解析：lib/commands.js 的意圖判斷、參數擷取與取消訂閱的確認
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const commands = require('../lib/commands');
+
+const route = text => {
+    const { intent, match, params, confirm } = commands.parseCommand(text);
+    return { intent, match, params, confirm };
+};
+
+test('同義說法、句中關鍵字與英日文別名對應到同一意圖', () => {
+    for (const text of ['極光', '極光預報', '今天極光如何？', 'aurora', 'オーロラ', 'kp']) {
+        assert.equal(route(text).intent, 'aurora', text);
+    }
+    assert.equal(route('unsubscribe').intent, 'unsubscribeAll');
+    assert.equal(route('subscribe aurora').intent, 'subscribeAurora');
+    assert.equal(route('月').intent, 'moon');
+    // 單字關鍵字只接受完全相符
+    assert.notEqual(route('月底').intent, 'moon');
+});
+
+test('錯字容錯，距離相同時回傳建議', () => {
+    assert.deepEqual(route('黃金時克'), { intent: 'sunTimes', match: 'fuzzy', params: { city: '' }, confirm: false });
+    assert.equal(route('auroa').intent, 'aurora');
+
+    const unknown = commands.parseCommand('隨便聊聊');
+    assert.equal(unknown.intent, null);
+    assert.deepEqual(unknown.suggestions, []);
+});
+
+test('擷取地名、時間、星期、Kp、等級與仰角', () => {
+    assert.deepEqual(route('台中今晚能看什麼').params, { city: '台中' });
+    assert.deepEqual(route('天氣 東京').params, { city: '東京' });
+    assert.deepEqual(route('訂閱每日報告 晚上九點 平日').params, { time: '21:00', days: [1, 2, 3, 4, 5], timeZone: null });
+    assert.deepEqual(route('訂閱每日報告 07:15 週一三五 Asia/Tokyo').params, { time: '07:15', days: [1, 3, 5], timeZone: 'Asia/Tokyo' });
+    assert.deepEqual(route('訂閱極光警報 3').params, { kp: 3 });
+    assert.deepEqual(route('訂閱輻射 S3').params, { level: 'S3' });
+    assert.deepEqual(route('訂閱ISS 40').params, { elevation: 40 });
+    assert.deepEqual(route('語言 en').params, { text: 'en' });
+});
+
+test('parseTime 支援口語、12 小時制與 24 小時制', () => {
+    assert.equal(commands.parseTime('晚上九點'), '21:00');
+    assert.equal(commands.parseTime('下午3點半'), '15:30');
+    assert.equal(commands.parseTime('9pm'), '21:00');
+    assert.equal(commands.parseTime('午後9時'), '21:00');
+    assert.equal(commands.parseTime('凌晨十二點'), '00:00');
+    assert.equal(commands.parseTime('不是時間'), null);
+});
+
+test('parseKp 門檻不低於地磁事件的起始 Kp 3，不高於 9', () => {
+    assert.equal(commands.parseKp('kp 4.5'), 4.5);
+    assert.equal(commands.parseKp('Kp五'), 5);
+    assert.equal(commands.parseKp('2'), 3);
+    assert.equal(commands.parseKp('零'), 3);
+    assert.equal(commands.parseKp('9.5'), 9);
+    assert.equal(commands.parseKp('高'), null);
+    assert.deepEqual(route('訂閱極光警報 2').params, { kp: 3 });
+});
+
+test('完整的取消指令直接執行', () => {
+    assert.deepEqual(route('取消訂閱'), { intent: 'unsubscribeAll', match: 'exact', params: {}, confirm: false });
+    assert.deepEqual(route('取消所有訂閱！'), { intent: 'unsubscribeAll', match: 'exact', params: {}, confirm: false });
+    assert.deepEqual(route('取消極光'), { intent: 'unsubscribe', match: 'exact', params: { type: 'aurora' }, confirm: false });
+    assert.equal(route('取消每日報告').confirm, false);
+    assert.equal(route('unsubscribe').confirm, false);
+});
+
+test('句中出現、開頭相符、錯字或問句的取消指令需確認', () => {
+    for (const text of ['如何取消訂閱？', '我不要取消訂閱', '請不要取消訂閱', '取消訂閱嗎', '取消訂閱？', 'how do I unsubscribe', '取消定閱']) {
+        const result = route(text);
+        assert.equal(result.intent, 'unsubscribeAll', text);
+        assert.equal(result.confirm, true, text);
+    }
+    assert.deepEqual(route('我想取消極光嗎'), { intent: 'unsubscribe', match: 'contains', params: { type: 'aurora' }, confirm: true });
+    assert.deepEqual(route('取消每日報告 07:15'), { intent: 'unsubscribeDaily', match: 'prefix', params: { time: '07:15' }, confirm: true });
+    // 非取消類的意圖不需確認
+    assert.equal(route('今天極光如何？').confirm, false);
+});
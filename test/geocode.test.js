@@ -0,0 +1,36 @@
+/**
+ * 地名查詢：離線地名表的精確與模糊查詢
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const geocode = require('../lib/geocode');
+
+const nameOf = result => result && result.displayName;
+
+test('lookup 接受全名、簡稱與縣市 + 鄉鎮，台 / 臺 視為相同', () => {
+    assert.equal(nameOf(geocode.lookup('台東')), '台東市（台東縣）');
+    assert.equal(nameOf(geocode.lookup('臺東縣成功鎮')), '成功鎮（台東縣）');
+    assert.equal(nameOf(geocode.lookup('花蓮玉里')), '玉里鎮（花蓮縣）');
+    assert.equal(geocode.lookup('成功大學'), null);
+});
+
+test('search 比對以完整地名開頭的地址，取最具體的地名', () => {
+    assert.equal(nameOf(geocode.search('花蓮縣玉里鎮中山路')), '玉里鎮（花蓮縣）');
+    assert.equal(nameOf(geocode.search('台北市信義區市府路1號')), '信義區（台北市）');
+    assert.equal(nameOf(geocode.search('花蓮玉里中山路')), '玉里鎮（花蓮縣）');
+    assert.equal(nameOf(geocode.search('台東')), '台東市（台東縣）');
+});
+
+test('search 不以簡稱開頭或地名的一部分比對', () => {
+    for (const query of ['成功大學', '中山大學', '金門大橋', '大同公司', '東部']) {
+        assert.equal(geocode.search(query), null, query);
+    }
+});
+
+test('nearest 回傳附近的鄉鎮，超出範圍為 null', () => {
+    const near = geocode.nearest(23.34, 121.31);
+    assert.equal(near.name, '玉里鎮');
+    assert.ok(near.distanceKm < 1);
+    assert.equal(geocode.nearest(35.0, 139.0), null);
+});
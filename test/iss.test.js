@@ -0,0 +1,78 @@
+/**
+ * ISS 過境預報：以 lib/fixtures/iss.tle（2008-09-20 的 TLE）從其 epoch 起預報
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const iss = require('../lib/iss');
+
+const tle = iss.loadFixtureTLE();
+const start = tle.epoch;
+const LONDON = { lat: 51.5, lon: -0.12 };
+const TAIPEI = { lat: 25.03, lon: 121.56 };
+
+test('parseTLE 解析名稱、軌道根數與 epoch', () => {
+    assert.equal(tle.name, 'ISS (ZARYA)');
+    assert.match(tle.line1, /^1 25544U/);
+    assert.match(tle.line2, /^2 25544 /);
+    assert.equal(tle.epoch.toISOString().slice(0, 16), '2008-09-20T12:25');
+
+    assert.equal(iss.parseTLE(''), null);
+    assert.equal(iss.parseTLE('ISS (ZARYA)\n1 25544U 98067A'), null);
+});
+
+test('過境依時間排序，升起、最高點、落下的時間與仰角一致', () => {
+    const passes = iss.predictPasses(tle, TAIPEI, { start, days: 2, visibleOnly: false });
+    assert.ok(passes.length > 0);
+
+    let previousSet = start.getTime();
+    for (const pass of passes) {
+        const rise = Date.parse(pass.rise.time);
+        const culmination = Date.parse(pass.culmination.time);
+        const set = Date.parse(pass.set.time);
+        assert.ok(previousSet <= rise && rise < culmination && culmination < set);
+        assert.ok(pass.maxElevation >= 10);
+        assert.ok(Math.abs(pass.rise.elevation) < 0.5 && Math.abs(pass.set.elevation) < 0.5);
+        assert.equal(pass.duration, Math.round((set - rise) / 1000));
+        previousSet = set;
+    }
+});
+
+test('最低仰角 0° 包含低仰角過境', () => {
+    const all = iss.predictPasses(tle, TAIPEI, { start, days: 2, minElevation: 0, visibleOnly: false });
+    const high = iss.predictPasses(tle, TAIPEI, { start, days: 2, minElevation: 10, visibleOnly: false });
+
+    assert.ok(all.length > high.length);
+    assert.ok(all.some(pass => pass.maxElevation < 10));
+});
+
+test('只列可見過境時，每次過境都有受日照且天黑的可見段', () => {
+    const passes = iss.predictPasses(tle, LONDON, { start, days: 3 });
+    assert.ok(passes.length > 0);
+
+    for (const pass of passes) {
+        assert.equal(pass.visible, true);
+        assert.ok(pass.maxVisibleElevation >= 10);
+        assert.ok(Date.parse(pass.visibleStart.time) <= Date.parse(pass.visibleEnd.time));
+        assert.equal(typeof pass.magnitude, 'number');
+    }
+});
+
+test('TLE 超過 MAX_TLE_AGE_DAYS 天時不預報', () => {
+    const later = new Date(start.getTime() + (iss.MAX_TLE_AGE_DAYS + 1) * 86400000);
+    assert.ok(iss.tleAgeDays(tle, later) > iss.MAX_TLE_AGE_DAYS);
+    assert.equal(iss.predictPasses(tle, TAIPEI, { start: later }), null);
+    assert.ok(Array.isArray(iss.predictPasses(tle, TAIPEI, { start: later, maxAgeDays: 10 })));
+    assert.equal(iss.predictPasses(tle, TAIPEI), null);
+});
+
+test('SGP4 失效（軌道衰減）時停止預報而不拋出錯誤', () => {
+    // 極大的 B* 阻力係數使軌道在數小時內衰減
+    const decaying = {
+        line1: tle.line1.replace('-11606-4', ' 99999-0'),
+        line2: tle.line2
+    };
+    const passes = iss.predictPasses(decaying, LONDON, { start, days: 3, minElevation: 0, visibleOnly: false });
+    assert.ok(Array.isArray(passes));
+    for (const pass of passes) assert.ok(Date.parse(pass.set.time) < start.getTime() + 86400000);
+});
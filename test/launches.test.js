@@ -0,0 +1,173 @@
+/**
+ * 發射排程：lib/launches.js 的解析與提醒判斷，以及 server.js 的 fetchLaunchSchedule
+ * 以本機伺服器提供 lib/fixtures/launches.json（Launch Library 2 格式）
+ */
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const launches = require('../lib/launches');
+
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'lib', 'fixtures', 'launches.json'), 'utf8'));
+
+describe('lib/launches', () => {
+    const parsed = launches.parseLaunchFeed(FIXTURE);
+
+    test('parseLaunchFeed 整理 LL2 欄位並依 NET 排序', () => {
+        assert.equal(parsed.length, 3);
+        assert.deepEqual(parsed.map(l => l.net), [
+            '2026-10-21T02:30:00.000Z',
+            '2026-11-01T00:00:00.000Z',
+            '2026-11-15T00:00:00.000Z'
+        ]);
+
+        const [starlink, change7] = parsed;
+        assert.equal(starlink.mission, 'Starlink Group 10-12');
+        assert.equal(starlink.provider, 'SpaceX');
+        assert.equal(starlink.providerAbbrev, 'SpX');
+        assert.equal(starlink.rocket, 'Falcon 9 Block 5');
+        assert.equal(starlink.statusCode, 'Go');
+        assert.equal(starlink.pad, 'Space Launch Complex 40');
+        assert.equal(starlink.webcast, 'https://x.com/SpaceX');
+        // 台北時間；月份精度只顯示年月並標示暫定
+        assert.equal(starlink.dateLocal, '2026/10/21 10:30');
+        assert.equal(change7.dateLocal, '2026年11月（暫定）');
+    });
+
+    test('parseLaunchFeed 格式不符時回傳 null', () => {
+        assert.equal(launches.parseLaunchFeed({}), null);
+        assert.equal(launches.parseLaunchFeed(null), null);
+        assert.deepEqual(launches.parseLaunchFeed({ results: [{ name: '缺少 id' }] }), []);
+    });
+
+    test('upcomingOnly 保留 NET 剛過的任務，排除已完成的任務', () => {
+        const now = new Date('2026-10-21T03:00:00Z');
+        assert.equal(launches.upcomingOnly(parsed, now).length, 3);
+        assert.equal(launches.upcomingOnly(parsed, new Date('2026-10-21T04:00:00Z')).length, 2);
+
+        const done = parsed.map(l => l.id === parsed[1].id ? { ...l, statusCode: 'Success' } : l);
+        assert.equal(launches.upcomingOnly(done, now).length, 2);
+    });
+
+    test('matchesFilter 比對發射商全名、縮寫與火箭', () => {
+        const [starlink, change7] = parsed;
+        assert.ok(launches.matchesFilter(starlink, { provider: 'spacex' }));
+        assert.ok(launches.matchesFilter(starlink, { provider: 'SpX' }));
+        assert.ok(launches.matchesFilter(starlink, { rocket: 'falcon9' }));
+        assert.ok(!launches.matchesFilter(change7, { provider: 'SpaceX' }));
+        assert.ok(launches.matchesFilter(change7, {}));
+    });
+
+    test('dueStage 依 NET 回傳提醒階段，粗略或未定的 NET 不提醒', () => {
+        const [starlink, change7, starship] = parsed;
+        const at = iso => launches.dueStage(starlink, new Date(iso));
+
+        assert.equal(at('2026-10-20T01:00:00Z'), null);
+        assert.equal(at('2026-10-20T02:30:00Z').key, 'T-24h');
+        assert.equal(at('2026-10-21T01:45:00Z').key, 'T-1h');
+        assert.equal(at('2026-10-21T02:40:00Z').key, 'liftoff');
+        assert.equal(at('2026-10-21T03:30:00Z'), null);
+
+        assert.equal(launches.dueStage(change7, new Date('2026-11-01T00:00:00Z')), null);
+        assert.equal(launches.dueStage(starship, new Date('2026-11-14T12:00:00Z')), null);
+    });
+
+    test('detectChange 判斷延後、提前、暫停與恢復', () => {
+        const previous = { net: '2026-10-21T02:30:00Z', statusCode: 'Go' };
+        const launch = (net, statusCode = 'Go') => ({ net, statusCode });
+
+        assert.equal(launches.detectChange(previous, launch('2026-10-21T02:32:00Z'), new Date('2026-10-20T00:00:00Z')), null);
+        assert.equal(launches.detectChange(previous, launch('2026-10-22T02:30:00Z'), new Date('2026-10-20T00:00:00Z')), 'net');
+        assert.equal(launches.detectChange(previous, launch('2026-10-22T02:30:00Z'), new Date('2026-10-21T02:00:00Z')), 'scrub');
+        assert.equal(launches.detectChange(previous, launch('2026-10-21T02:30:00Z', 'Hold')), 'hold');
+        assert.equal(launches.detectChange({ ...previous, statusCode: 'Hold' }, launch('2026-10-21T02:30:00Z')), 'resume');
+    });
+});
+
+describe('fetchLaunchSchedule', () => {
+    let server;
+    let fetchLaunchSchedule;
+    let mode = 'ok';
+    let requests = 0;
+    let clock = Date.parse('2026-10-01T00:00:00Z');
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests++;
+            if (mode === 'error') {
+                res.writeHead(500);
+                return res.end('error');
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(mode === 'malformed' ? '{"detail":"throttled"}' : JSON.stringify(FIXTURE));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        process.env.LAUNCH_FEED_URL = `http://127.0.0.1:${server.address().port}/launches.json`;
+        ({ fetchLaunchSchedule } = require('../server'));
+        mock.method(Date, 'now', () => clock);
+        mock.method(console, 'error', () => {});
+    });
+    after(() => {
+        mock.restoreAll();
+        server.close();
+    });
+
+    test('來源無法連線且沒有上次的清單時使用內建參考清單', async () => {
+        mode = 'error';
+        const schedule = await fetchLaunchSchedule();
+        assert.equal(schedule.source, 'bundled');
+        assert.deepEqual(schedule.launches, launches.FALLBACK_LAUNCHES);
+        assert.equal(requests, 1);
+    });
+
+    test('備援清單短暫快取後改用線上清單', async () => {
+        mode = 'ok';
+        clock += 5 * 60 * 1000;
+        assert.equal((await fetchLaunchSchedule()).source, 'bundled');
+        assert.equal(requests, 1);
+
+        clock += 6 * 60 * 1000;
+        const schedule = await fetchLaunchSchedule();
+        assert.equal(schedule.source, 'feed');
+        assert.deepEqual(schedule.launches, launches.parseLaunchFeed(FIXTURE));
+        assert.equal(requests, 2);
+    });
+
+    test('快取期間不重新取得', async () => {
+        clock += 20 * 60 * 1000;
+        assert.equal((await fetchLaunchSchedule()).source, 'feed');
+        assert.equal(requests, 2);
+    });
+
+    test('來源錯誤或格式不符時保留上次成功的清單', async () => {
+        mode = 'malformed';
+        clock += 11 * 60 * 1000;
+        const schedule = await fetchLaunchSchedule();
+        assert.equal(schedule.source, 'cache');
+        assert.equal(schedule.launches.length, 3);
+        assert.equal(requests, 3);
+
+        mode = 'error';
+        clock += 11 * 60 * 1000;
+        assert.equal((await fetchLaunchSchedule()).source, 'cache');
+        assert.equal(requests, 4);
+    });
+
+    test('兩小時內有發射時縮短快取', async () => {
+        mode = 'ok';
+        clock += 11 * 60 * 1000;
+        assert.equal((await fetchLaunchSchedule()).source, 'feed');
+        assert.equal(requests, 5);
+
+        // Starlink NET 前一小時：快取 5 分鐘
+        clock = Date.parse('2026-10-21T01:30:00Z');
+        await fetchLaunchSchedule();
+        assert.equal(requests, 6);
+        clock += 6 * 60 * 1000;
+        await fetchLaunchSchedule();
+        assert.equal(requests, 7);
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * 推播：lib/push.js 的錯誤分類，以及 server.js 推播佇列的傳送、停用與重送
+ * 以本機伺服器代替 LINE Messaging API（LINE_API_BASE），資料存於暫存目錄的 file 驅動
+ */
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const push = require('../lib/push');
+
+describe('classifyPushResponse', () => {
+    test('依狀態碼與錯誤內容分類', () => {
+        assert.deepEqual(push.classifyPushResponse(200), { outcome: 'sent', reason: '' });
+        assert.deepEqual(push.classifyPushResponse(409), { outcome: 'sent', reason: 'duplicate' });
+        assert.deepEqual(push.classifyPushResponse(null), { outcome: 'retry', reason: 'network' });
+        assert.deepEqual(push.classifyPushResponse(429, { message: 'Too many requests' }), { outcome: 'retry', reason: 'rateLimited' });
+        assert.deepEqual(push.classifyPushResponse(429, { message: 'You have reached your monthly limit.' }), { outcome: 'fail', reason: 'quota' });
+        assert.deepEqual(push.classifyPushResponse(503), { outcome: 'retry', reason: 'server' });
+        assert.deepEqual(push.classifyPushResponse(403, { message: 'Not a friend' }), { outcome: 'deactivate', reason: 'blocked' });
+        assert.deepEqual(push.classifyPushResponse(401), { outcome: 'fail', reason: 'unauthorized' });
+    });
+
+    test('404 不停用用戶', () => {
+        assert.deepEqual(push.classifyPushResponse(404, { message: 'Not found' }), { outcome: 'fail', reason: 'notFound' });
+    });
+
+    test('multicast 回報無效收件者的位置', () => {
+        const result = push.classifyPushResponse(400, {
+            message: 'The request body has 1 error(s)',
+            details: [{ message: 'invalid', property: 'to[1]' }]
+        });
+        assert.equal(result.outcome, 'deactivate');
+        assert.deepEqual(result.invalidIndexes, [1]);
+    });
+});
+
+describe('推播佇列', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orbital-push-'));
+    const requests = [];
+    let respond = () => [200, {}];
+    let server;
+    let linePush;
+    let lineFanOut;
+
+    const readTable = table => JSON.parse(fs.readFileSync(path.join(dataDir, `${table}.json`), 'utf8')).rows;
+    const sends = () => requests.filter(r => r.url.startsWith('/v2/bot/message/') && !r.url.includes('quota'));
+    const subscriptionStatus = userId => readTable('LINE訂閱').find(r => r['用戶ID'] === userId)['狀態'];
+
+    async function waitFor(check, timeout = 2000) {
+        const started = Date.now();
+        while (!check()) {
+            if (Date.now() - started > timeout) throw new Error('等待逾時');
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    }
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const request = { url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+                requests.push(request);
+                const [status, json] = req.url === '/v2/bot/message/quota' ? [200, { type: 'none' }]
+                    : req.url === '/v2/bot/message/quota/consumption' ? [200, { totalUsage: 0 }]
+                    : respond(request);
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(json));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        const headers = ['用戶ID', '類型', '名稱', '訂閱時間', '推播時間', '狀態', '上次推播', '設定'];
+        const subscriber = userId => ({ '用戶ID': userId, '類型': 'aurora', '名稱': '極光警報', '狀態': '啟用' });
+        fs.writeFileSync(path.join(dataDir, 'LINE訂閱.json'), JSON.stringify({
+            headers,
+            rows: ['U404', 'U403', 'UA', 'UB', 'UC'].map(userId => ({ ...Object.fromEntries(headers.map(h => [h, ''])), ...subscriber(userId) }))
+        }));
+
+        // 啟動前已在佇列中、收件者欄位損毀的 multicast
+        const outboxHeaders = ['佇列ID', '建立時間', '方式', '用戶ID', '收件者', '類型', '訊息', '狀態', '嘗試次數', '下次嘗試', '錯誤', '完成時間'];
+        fs.writeFileSync(path.join(dataDir, '推播佇列.json'), JSON.stringify({
+            headers: outboxHeaders,
+            rows: [{
+                ...Object.fromEntries(outboxHeaders.map(h => [h, ''])),
+                '佇列ID': 'corrupt-multicast',
+                '建立時間': '2026-10-01T00:00:00.000Z',
+                '方式': 'multicast',
+                '收件者': '["UA",',
+                '類型': 'aurora',
+                '訊息': JSON.stringify([{ type: 'text', text: '極光警報' }]),
+                '狀態': '待送',
+                '嘗試次數': '0',
+                '下次嘗試': '2026-10-01T00:00:00.000Z'
+            }]
+        }));
+
+        process.env.LINE_API_BASE = `http://127.0.0.1:${server.address().port}`;
+        process.env.LINE_CHANNEL_ACCESS_TOKEN = 'test-token';
+        process.env.STORAGE_DRIVER = 'file';
+        process.env.DATA_DIR = dataDir;
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+
+        let initStorage;
+        ({ initStorage, linePush, lineFanOut } = require('../server'));
+        await initStorage();
+    });
+    after(() => {
+        mock.restoreAll();
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('送達後標示已送並寫入推播紀錄，重試金鑰為佇列 ID', async () => {
+        respond = () => [200, {}];
+        assert.equal(await linePush('U200', '測試訊息', { type: 'aurora', wait: true }), true);
+
+        const [request] = sends();
+        assert.equal(request.url, '/v2/bot/message/push');
+        assert.equal(request.headers.authorization, 'Bearer test-token');
+        assert.deepEqual(request.body, { to: 'U200', messages: [{ type: 'text', text: '測試訊息' }] });
+
+        await waitFor(() => readTable('推播佇列').some(r => r['狀態'] === '已送'));
+        const row = readTable('推播佇列').find(r => r['用戶ID'] === 'U200');
+        assert.equal(row['佇列ID'], request.headers['x-line-retry-key']);
+        assert.equal(row['嘗試次數'], '1');
+        await waitFor(() => readTable('推播紀錄').some(r => r['用戶ID'] === 'U200...'));
+        assert.equal(readTable('推播紀錄').find(r => r['用戶ID'] === 'U200...')['狀態'], '成功');
+    });
+
+    test('訊息或收件者無法解析的項目標示失敗，不傳送也不重試', async () => {
+        await waitFor(() => readTable('推播佇列').find(r => r['佇列ID'] === 'corrupt-multicast')['狀態'] === '失敗');
+        const row = readTable('推播佇列').find(r => r['佇列ID'] === 'corrupt-multicast');
+        assert.equal(row['錯誤'], 'invalidPayload');
+        assert.equal(row['嘗試次數'], '1');
+        assert.equal(sends().filter(r => r.headers['x-line-retry-key'] === 'corrupt-multicast').length, 0);
+    });
+
+    test('404 記錄失敗但不停用訂閱', async () => {
+        respond = () => [404, { message: 'Not found' }];
+        assert.equal(await linePush('U404', '測試訊息', { type: 'aurora', wait: true }), false);
+
+        await waitFor(() => readTable('推播佇列').some(r => r['用戶ID'] === 'U404' && r['狀態'] === '失敗'));
+        assert.equal(readTable('推播佇列').find(r => r['用戶ID'] === 'U404')['錯誤'], 'notFound');
+        assert.equal(subscriptionStatus('U404'), '啟用');
+    });
+
+    test('已封鎖的用戶停用訂閱', async () => {
+        respond = () => [403, { message: 'Not a friend' }];
+        assert.equal(await linePush('U403', '測試訊息', { type: 'aurora', wait: true }), false);
+        await waitFor(() => subscriptionStatus('U403') === '停用');
+    });
+
+    test('multicast 移除無效的收件者後重送其餘用戶', async () => {
+        const before = sends().length;
+        respond = request => request.body.to.includes('UB')
+            ? [400, { message: 'The request body has 1 error(s)', details: [{ message: 'invalid', property: 'to[1]' }] }]
+            : [200, {}];
+
+        const result = await lineFanOut(['UA', 'UB', 'UC'].map(userId => ({ userId, messages: '極光警報' })), { type: 'aurora' });
+        assert.deepEqual(result, { recipients: 3, requests: 1, skipped: 0 });
+
+        await waitFor(() => readTable('推播佇列').some(r => r['方式'] === 'multicast' && r['狀態'] === '已送'));
+        assert.deepEqual(sends().slice(before).map(r => r.body.to), [['UA', 'UB', 'UC'], ['UA', 'UC']]);
+        assert.equal(subscriptionStatus('UB'), '停用');
+        assert.equal(subscriptionStatus('UA'), '啟用');
+    });
+
+    test('佇列狀態寫入失敗時不重複傳送，之後再寫入', async () => {
+        respond = () => [200, {}];
+        const before = sends().length;
+        // 佇列的暫存檔位置被目錄佔用：寫入資料表失敗
+        const blocker = path.join(dataDir, `推播佇列.json.${process.pid}.tmp`);
+
+        assert.equal(await linePush('U500', '第一則', { type: 'aurora' }), true);
+        fs.mkdirSync(blocker);
+        await waitFor(() => sends().length === before + 1);
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(sends().length, before + 1);
+        assert.equal(readTable('推播佇列').find(r => r['用戶ID'] === 'U500')['狀態'], '待送');
+
+        fs.rmdirSync(blocker);
+        assert.equal(await linePush('U501', '第二則', { type: 'aurora', wait: true }), true);
+        await waitFor(() => readTable('推播佇列').filter(r => r['用戶ID'].startsWith('U50') && r['狀態'] === '已送').length === 2);
+        assert.equal(sends().length, before + 2);
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * 每日報告排程：時區換算、日光節約與補發判斷
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const schedule = require('../lib/schedule');
+const timezone = require('../lib/timezone');
+
+const iso = date => date && date.toISOString();
+
+test('zonedDateTime 將當地時刻換算為 UTC', () => {
+    assert.equal(iso(timezone.zonedDateTime('2026-03-08', 8, 0, 'Asia/Taipei')), '2026-03-08T00:00:00.000Z');
+    assert.equal(iso(timezone.zonedDateTime('2026-03-08', 1, 30, 'America/New_York')), '2026-03-08T06:30:00.000Z');
+});
+
+test('zonedDateTime 將日光節約跳過的時刻順延', () => {
+    // 紐約 3/8 02:00 EST 直接跳到 03:00 EDT：02:30 → 03:30 EDT
+    assert.equal(iso(timezone.zonedDateTime('2026-03-08', 2, 30, 'America/New_York')), '2026-03-08T07:30:00.000Z');
+    const london = timezone.zonedDateTime('2026-03-29', 1, 15, 'Europe/London');
+    assert.deepEqual([london.getUTCHours(), london.getUTCMinutes()], [1, 15]);
+});
+
+test('dueOccurrence 只在排定時刻晚於上次推播與訂閱時間時推播', () => {
+    const daily = { time: '08:00', timeZone: 'Asia/Taipei' };
+    const now = new Date('2026-10-19T02:00:00Z'); // 台北 10:00
+
+    assert.equal(iso(schedule.dueOccurrence(daily, { subscribedAt: '2026-10-01T00:00:00Z' }, now)), '2026-10-19T00:00:00.000Z');
+    assert.equal(schedule.dueOccurrence(daily, { lastPushAt: '2026-10-19T00:00:05Z' }, now), null);
+    // 10:00 才（重新）訂閱 08:00 的報告：不立即補發
+    assert.equal(schedule.dueOccurrence(daily, { subscribedAt: '2026-10-19T02:00:00Z', lastPushAt: '2026-09-01T00:00:00Z' }, now), null);
+});
@@ -0,0 +1,285 @@
+/**
+ * 儲存驅動共用測試：file 與 sheets 驅動需通過同一組測試
+ * sheets 驅動以記憶體中的試算表替身執行（行為依 google-spreadsheet 4.x：
+ * 欄位以標題列對應、未知欄位忽略、讀出的值為字串；批次寫入經由 sheetsApi）
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// ─── google-spreadsheet 替身 ───
+class FakeRow {
+    constructor(sheet, values) {
+        this._sheet = sheet;
+        this._values = values;
+    }
+    get(key) {
+        return this._values[this._sheet.headerValues.indexOf(key)];
+    }
+    // 第 1 列為標題列
+    get rowNumber() {
+        return this._sheet._rows.indexOf(this._saved) + 2;
+    }
+    get a1Range() {
+        return `'${this._sheet.title}'!A${this.rowNumber}:${String.fromCharCode(64 + this._sheet.headerValues.length)}${this.rowNumber}`;
+    }
+}
+
+function cell(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+class FakeSheet {
+    constructor(sheetId, title, headerValues) {
+        this.sheetId = sheetId;
+        this.title = title;
+        this._headers = [...headerValues];
+        this._headersLoaded = true;
+        this._rows = [];
+        this.columnCount = Math.max(26, headerValues.length);
+        this.rowCount = 1000;
+    }
+    get headerValues() {
+        if (!this._headersLoaded) throw new Error('Header values are not yet loaded');
+        return this._headers;
+    }
+    async loadHeaderRow() {
+        this._headersLoaded = true;
+    }
+    async setHeaderRow(headers) {
+        this._headers = [...headers];
+    }
+    async resize({ rowCount, columnCount }) {
+        this.rowCount = rowCount;
+        this.columnCount = columnCount;
+    }
+    async getRows() {
+        return this._rows.map(saved => {
+            const row = new FakeRow(this, [...saved]);
+            row._saved = saved;
+            return row;
+        });
+    }
+    async addRow(record) {
+        this._rows.push(this._headers.map(h => cell(record[h])));
+    }
+    async addRows(records) {
+        for (const record of records) await this.addRow(record);
+    }
+}
+
+// sheetsApi 收到的請求（驗證批次寫入的請求數）
+const sheetsRequests = [];
+
+class FakeSpreadsheet {
+    constructor() {
+        this.title = 'fake';
+        this.sheetsByTitle = {};
+        this.sheetsApi = { post: async (url, body) => this._post(url, body) };
+    }
+    async loadInfo() {}
+    async addSheet({ title, headerValues }) {
+        this.sheetsByTitle[title] = new FakeSheet(Object.keys(this.sheetsByTitle).length, title, headerValues);
+        return this.sheetsByTitle[title];
+    }
+    async _post(url, body) {
+        sheetsRequests.push({ url, body });
+        if (url === '/values:batchUpdate') {
+            for (const { range, values } of body.data) {
+                const [, title, rowNumber] = range.match(/^'(.*)'!A(\d+):/);
+                this.sheetsByTitle[title]._rows[rowNumber - 2] = values[0].map(cell);
+            }
+        } else if (url === ':batchUpdate') {
+            for (const { deleteDimension: { range } } of body.requests) {
+                const sheet = Object.values(this.sheetsByTitle).find(s => s.sheetId === range.sheetId);
+                sheet._rows.splice(range.startIndex - 1, range.endIndex - range.startIndex);
+            }
+        } else {
+            throw new Error(`未知的請求：${url}`);
+        }
+        return { data: {} };
+    }
+}
+
+require.cache[require.resolve('google-spreadsheet')] = {
+    exports: { GoogleSpreadsheet: FakeSpreadsheet }
+};
+
+const { createFileStore, createSheetsStore } = require('../lib/storage');
+
+// init() 的連線訊息不輸出到測試報告
+async function quietInit(store) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await store.init();
+    } finally {
+        console.log = log;
+    }
+}
+
+const drivers = {
+    file: async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'orbital-storage-'));
+        const store = createFileStore({ dir });
+        await quietInit(store);
+        return { store, cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+    },
+    sheets: async () => {
+        const store = createSheetsStore({ sheetId: 'test', email: 'test@example.com', privateKey: 'key' });
+        await quietInit(store);
+        return { store, cleanup: async () => {} };
+    }
+};
+
+for (const [name, create] of Object.entries(drivers)) {
+    describe(`${name} 驅動`, () => {
+        let store;
+        let cleanup;
+
+        before(async () => {
+            ({ store, cleanup } = await create());
+            await store.ensureTable('訂閱', ['用戶ID', '類型', '狀態']);
+        });
+        after(() => cleanup());
+
+        test('新增的記錄值皆為字串，缺少的欄位為空字串', async () => {
+            await store.insert('訂閱', { '用戶ID': 'U1', '類型': 'daily', '狀態': 1 });
+            await store.insert('訂閱', { '用戶ID': 'U2', '類型': 'aurora' });
+
+            assert.deepEqual(await store.list('訂閱'), [
+                { '用戶ID': 'U1', '類型': 'daily', '狀態': '1' },
+                { '用戶ID': 'U2', '類型': 'aurora', '狀態': '' }
+            ]);
+        });
+
+        test('不在欄位中的鍵忽略', async () => {
+            await store.insert('訂閱', { '用戶ID': 'U3', '類型': 'iss', '狀態': 'active', '備註': 'x' });
+            await store.update('訂閱', r => r['用戶ID'] === 'U3', { '狀態': 'disabled', '備註': 'y' });
+
+            const row = (await store.list('訂閱')).find(r => r['用戶ID'] === 'U3');
+            assert.deepEqual(row, { '用戶ID': 'U3', '類型': 'iss', '狀態': 'disabled' });
+        });
+
+        test('update 只修改符合條件的記錄並回傳筆數', async () => {
+            const count = await store.update('訂閱', r => r['類型'] !== 'iss', { '狀態': 'active' });
+            assert.equal(count, 2);
+            assert.equal(await store.update('訂閱', () => false, { '狀態': 'x' }), 0);
+
+            const rows = await store.list('訂閱');
+            assert.deepEqual(rows.map(r => r['狀態']), ['active', 'active', 'disabled']);
+        });
+
+        test('update 的 patch 為函式時各記錄分別更新', async () => {
+            const count = await store.update('訂閱', r => r['類型'] !== 'iss', r => ({ '狀態': `${r['用戶ID']}-${r['狀態']}` }));
+            assert.equal(count, 2);
+            assert.deepEqual((await store.list('訂閱')).map(r => r['狀態']), ['U1-active', 'U2-active', 'disabled']);
+            await store.update('訂閱', r => r['類型'] !== 'iss', { '狀態': 'active' });
+        });
+
+        test('list 回傳副本，修改不影響儲存的資料', async () => {
+            const rows = await store.list('訂閱');
+            rows[0]['狀態'] = 'changed';
+            assert.equal((await store.list('訂閱'))[0]['狀態'], 'active');
+        });
+
+        test('remove 刪除符合條件的記錄並回傳筆數', async () => {
+            assert.equal(await store.remove('訂閱', r => r['用戶ID'] === 'U2'), 1);
+            assert.equal(await store.remove('訂閱', r => r['用戶ID'] === 'U9'), 0);
+            assert.deepEqual((await store.list('訂閱')).map(r => r['用戶ID']), ['U1', 'U3']);
+        });
+
+        test('ensureTable 補上缺少的欄位，既有記錄為空字串', async () => {
+            await store.ensureTable('訂閱', ['用戶ID', '類型', '狀態', '設定']);
+            await store.update('訂閱', r => r['用戶ID'] === 'U1', { '設定': '{"kp":4}' });
+
+            assert.deepEqual(await store.list('訂閱'), [
+                { '用戶ID': 'U1', '類型': 'daily', '狀態': 'active', '設定': '{"kp":4}' },
+                { '用戶ID': 'U3', '類型': 'iss', '狀態': 'disabled', '設定': '' }
+            ]);
+        });
+
+        test('insertMany 一次新增多筆記錄', async () => {
+            await store.insertMany('訂閱', [
+                { '用戶ID': 'U4', '類型': 'daily' },
+                { '用戶ID': 'U5', '類型': 'aurora', '備註': 'x' }
+            ]);
+            await store.insertMany('訂閱', []);
+            const rows = await store.list('訂閱');
+            assert.deepEqual(rows.slice(-2), [
+                { '用戶ID': 'U4', '類型': 'daily', '狀態': '', '設定': '' },
+                { '用戶ID': 'U5', '類型': 'aurora', '狀態': '', '設定': '' }
+            ]);
+            await store.remove('訂閱', r => ['U4', 'U5'].includes(r['用戶ID']));
+        });
+
+        test('不存在的資料表回報錯誤', async () => {
+            await assert.rejects(store.list('不存在'));
+        });
+    });
+}
+
+describe('file 驅動：檔案保存', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'orbital-storage-'));
+    });
+    after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    test('資料寫入檔案，重新建立後可讀回', async () => {
+        const store = createFileStore({ dir });
+        await quietInit(store);
+        await store.ensureTable('紀錄', ['時間', '值']);
+        await store.insert('紀錄', { '時間': '2026-01-01T00:00:00Z', '值': 1 });
+
+        const reopened = createFileStore({ dir });
+        await reopened.ensureTable('紀錄', ['時間', '值']);
+        assert.deepEqual(await reopened.list('紀錄'), [{ '時間': '2026-01-01T00:00:00Z', '值': '1' }]);
+    });
+
+    test('maxRows 限制筆數，超過時刪除最舊的記錄', async () => {
+        const store = createFileStore({ dir, maxRows: { '數據': 3 } });
+        await store.ensureTable('數據', ['序號']);
+        await store.ensureTable('其他', ['序號']);
+        for (let i = 1; i <= 5; i++) {
+            await store.insert('數據', { '序號': i });
+            await store.insert('其他', { '序號': i });
+        }
+
+        assert.deepEqual((await store.list('數據')).map(r => r['序號']), ['3', '4', '5']);
+        assert.equal((await store.list('其他')).length, 5);
+
+        const saved = JSON.parse(await fs.readFile(path.join(dir, '數據.json'), 'utf8'));
+        assert.equal(saved.rows.length, 3);
+    });
+});
+
+describe('sheets 驅動：批次寫入', () => {
+    test('update 與 remove 不論筆數各只送出一次請求', async () => {
+        const store = createSheetsStore({ sheetId: 'test', email: 'test@example.com', privateKey: 'key' });
+        await quietInit(store);
+        await store.ensureTable('佇列', ['ID', '狀態']);
+        await store.insertMany('佇列', Array.from({ length: 8 }, (_, i) => ({ 'ID': `Q${i}`, '狀態': '待送' })));
+
+        sheetsRequests.length = 0;
+        assert.equal(await store.update('佇列', r => r['ID'] !== 'Q0', r => ({ '狀態': `${r['ID']}-已送` })), 7);
+        assert.equal(sheetsRequests.length, 1);
+        assert.equal((await store.list('佇列'))[7]['狀態'], 'Q7-已送');
+
+        // 不相鄰的列：由下往上刪除，其餘列不受影響
+        sheetsRequests.length = 0;
+        assert.equal(await store.remove('佇列', r => ['Q1', 'Q2', 'Q5', 'Q7'].includes(r['ID'])), 4);
+        assert.equal(sheetsRequests.length, 1);
+        assert.deepEqual(sheetsRequests[0].body.requests.map(r => r.deleteDimension.range.startIndex), [8, 6, 2]);
+        assert.deepEqual((await store.list('佇列')).map(r => r['ID']), ['Q0', 'Q3', 'Q4', 'Q6']);
+
+        sheetsRequests.length = 0;
+        assert.equal(await store.update('佇列', () => false, { '狀態': 'x' }), 0);
+        assert.equal(await store.remove('佇列', () => false), 0);
+        assert.equal(sheetsRequests.length, 0);
+    });
+});